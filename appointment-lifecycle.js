@@ -0,0 +1,270 @@
+// ============================================
+// APPOINTMENT LIFECYCLE
+// ============================================
+// File: js/appointment-lifecycle.js
+// Requires: supabase-client.js
+//
+// Single source of truth for appointment statuses. The same transition
+// table is enforced by a database trigger, so illegal changes are rejected
+// even if they bypass this module.
+
+// ============================================
+// STATUSES AND TRANSITIONS
+// ============================================
+
+const APPOINTMENT_STATUS = {
+    HELD: 'held',
+    PENDING: 'pending',
+    SCHEDULED: 'scheduled',
+    CONFIRMED: 'confirmed',
+    RESCHEDULE_REQUESTED: 'reschedule_requested',
+    RESCHEDULED: 'rescheduled',
+    COMPLETED: 'completed',
+    NO_SHOW: 'no_show',
+    CANCELLED: 'cancelled',
+    DECLINED: 'declined',
+    EXPIRED: 'expired'
+};
+
+const STATUS_LABELS = {
+    held: 'Awaiting Payment',
+    pending: 'Awaiting Lawyer Approval',
+    scheduled: 'Scheduled',
+    confirmed: 'Confirmed',
+    reschedule_requested: 'Reschedule Requested',
+    rescheduled: 'Rescheduled',
+    completed: 'Completed',
+    no_show: 'No-Show',
+    cancelled: 'Cancelled',
+    declined: 'Declined by Lawyer',
+    expired: 'Expired'
+};
+
+// from status -> to status -> roles allowed to make the change.
+// Only the platform confirms an appointment, once it has been paid for.
+const TRANSITIONS = {
+    held: {
+        pending: ['client', 'system'],
+        scheduled: ['client', 'system'],
+        confirmed: ['system'],
+        expired: ['client', 'system'],
+        cancelled: ['client', 'system']
+    },
+    pending: {
+        scheduled: ['lawyer'],
+        confirmed: ['system'],
+        declined: ['lawyer'],
+        cancelled: ['client', 'system'],
+        expired: ['system']
+    },
+    scheduled: {
+        confirmed: ['system'],
+        reschedule_requested: ['client', 'lawyer'],
+        cancelled: ['client', 'lawyer', 'system'],
+        completed: ['lawyer', 'system'],
+        no_show: ['client', 'lawyer', 'system']
+    },
+    confirmed: {
+        reschedule_requested: ['client', 'lawyer'],
+        cancelled: ['client', 'lawyer', 'system'],
+        completed: ['lawyer', 'system'],
+        no_show: ['client', 'lawyer', 'system']
+    },
+    reschedule_requested: {
+        rescheduled: ['client', 'lawyer'],
+        scheduled: ['client', 'lawyer'],
+        confirmed: ['system'],
+        cancelled: ['client', 'lawyer', 'system']
+    },
+    rescheduled: {
+        confirmed: ['system'],
+        reschedule_requested: ['client', 'lawyer'],
+        cancelled: ['client', 'lawyer', 'system'],
+        completed: ['lawyer', 'system'],
+        no_show: ['client', 'lawyer', 'system']
+    },
+    completed: {},
+    no_show: {},
+    cancelled: {},
+    declined: {},
+    expired: {}
+};
+
+// Statuses that can only be reached once the appointment has started
+const POST_MEETING_STATUSES = ['completed', 'no_show'];
+
+// ============================================
+// TRANSITION CHECKS
+// ============================================
+
+/**
+ * Get the role a user plays in an appointment ('client', 'lawyer' or null)
+ */
+function getActorRole(appointment, userId) {
+    if (!appointment || !userId) return null;
+    if (appointment.client_id === userId) return 'client';
+    if (appointment.lawyer_id === userId) return 'lawyer';
+    return null;
+}
+
+/**
+ * Check whether a role may move an appointment from one status to another
+ */
+function canTransition(fromStatus, toStatus, role) {
+    const allowedRoles = TRANSITIONS[fromStatus]?.[toStatus];
+    return !!allowedRoles && allowedRoles.includes(role);
+}
+
+/**
+ * List the statuses a role may move an appointment to from its current status
+ */
+function getAllowedTransitions(fromStatus, role) {
+    return Object.entries(TRANSITIONS[fromStatus] || {})
+        .filter(([, roles]) => roles.includes(role))
+        .map(([toStatus]) => toStatus);
+}
+
+/**
+ * Check whether a status is final (no further transitions)
+ */
+function isTerminalStatus(status) {
+    return Object.keys(TRANSITIONS[status] || {}).length === 0;
+}
+
+/**
+ * Check whether the appointment start time has passed
+ */
+function hasAppointmentStarted(appointment) {
+    if (!appointment?.starts_at) return false;
+    return new Date(appointment.starts_at) <= new Date();
+}
+
+/**
+ * Get the display label for a status
+ */
+function getStatusLabel(status) {
+    return STATUS_LABELS[status] || status;
+}
+
+/**
+ * Translate lifecycle errors raised by the database into user-facing messages
+ */
+function getTransitionErrorMessage(error) {
+    const message = error?.message || '';
+    const detail = message.split(': ').slice(1).join(': ');
+
+    if (message.includes('INVALID_TRANSITION') || message.includes('NOT_AUTHORIZED')) {
+        return detail || message;
+    }
+
+    return message || 'Status change failed';
+}
+
+// ============================================
+// STATUS CHANGES
+// ============================================
+
+/**
+ * Move an appointment to a new status (validated here and by the database)
+ */
+async function transitionAppointment(appointmentId, toStatus, options = {}) {
+    try {
+        const supabase = window.SupabaseClient.supabase;
+
+        const { data: appointment, error: fetchError } = await supabase
+            .from('appointments')
+            .select('id, client_id, lawyer_id, status, starts_at')
+            .eq('id', appointmentId)
+            .single();
+
+        if (fetchError) throw fetchError;
+
+        const user = await window.SupabaseClient.getCurrentUser();
+        const role = getActorRole(appointment, user?.id);
+
+        if (!canTransition(appointment.status, toStatus, role)) {
+            throw new Error(`Cannot change a ${getStatusLabel(appointment.status).toLowerCase()} appointment to ${getStatusLabel(toStatus).toLowerCase()}`);
+        }
+
+        if (POST_MEETING_STATUSES.includes(toStatus) && !hasAppointmentStarted(appointment)) {
+            throw new Error(`An appointment cannot be marked ${getStatusLabel(toStatus).toLowerCase()} before it starts`);
+        }
+
+        const { data, error } = await supabase
+            .rpc('transition_appointment', {
+                p_appointment_id: appointmentId,
+                p_to_status: toStatus,
+                p_reason: options.reason || null,
+                p_no_show_party: options.noShowParty || null
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error changing appointment status:', error);
+        return { success: false, error: getTransitionErrorMessage(error) };
+    }
+}
+
+/**
+ * Cancel an appointment
+ */
+async function markCancelled(appointmentId, reason = null) {
+    return transitionAppointment(appointmentId, APPOINTMENT_STATUS.CANCELLED, { reason });
+}
+
+/**
+ * Mark a consultation as completed (lawyer only, after it has started)
+ */
+async function markCompleted(appointmentId) {
+    return transitionAppointment(appointmentId, APPOINTMENT_STATUS.COMPLETED);
+}
+
+/**
+ * Record that the other party did not attend
+ */
+async function markNoShow(appointmentId, reason = null) {
+    return transitionAppointment(appointmentId, APPOINTMENT_STATUS.NO_SHOW, { reason });
+}
+
+/**
+ * Get the timestamped status history of an appointment
+ */
+async function getStatusHistory(appointmentId) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('appointment_status_history')
+            .select('*')
+            .eq('appointment_id', appointmentId)
+            .order('changed_at', { ascending: true });
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching status history:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+// Export everything
+window.AppointmentLifecycle = {
+    APPOINTMENT_STATUS,
+    TRANSITIONS,
+    getActorRole,
+    canTransition,
+    getAllowedTransitions,
+    isTerminalStatus,
+    hasAppointmentStarted,
+    getStatusLabel,
+    transitionAppointment,
+    markCancelled,
+    markCompleted,
+    markNoShow,
+    getStatusHistory
+};
+
+console.log('✅ Appointment lifecycle initialized');
@@ -2,7 +2,7 @@
 // AUTHENTICATION SYSTEM - FIXED VERSION
 // ============================================
 // File: js/auth.js
-// Requires: supabase-client.js
+// Requires: supabase-client.js, authorization.js
 
 var { supabase, isAuthenticated, getCurrentUser, uploadFile, STORAGE_BUCKETS, showError, showSuccess, isValidEmail } = window.SupabaseClient;
 
@@ -350,8 +350,8 @@ async function login(email, password) {
             throw new Error('Failed to load user profile');
         }
         
-        // Store user type in localStorage for quick access
-        localStorage.setItem('userType', userData.user_type);
+        // The role is read from the users record when needed, never stored client-side
+        window.Authorization.clearAuthContext();
         
         return { 
             success: true, 
@@ -387,7 +387,8 @@ async function logout() {
         const { error } = await supabase.auth.signOut();
         if (error) throw error;
         
-        // Clear local storage
+        // Forget the cached role, and the copy older versions kept in local storage
+        window.Authorization.clearAuthContext();
         localStorage.removeItem('userType');
         
         console.log('User logged out');
@@ -584,6 +585,11 @@ async function deleteProfilePhotoFromStorage(photoUrl) {
  */
 async function updateLawyerProfile(lawyerId, updates) {
     try {
+        window.Authorization.assertPermission(
+            await window.Authorization.canManageLawyerProfile(lawyerId),
+            'you can only edit your own lawyer profile'
+        );
+        
         const { error } = await supabase
             .from('lawyers')
             .update(updates)
@@ -618,10 +624,10 @@ async function requireAuth(redirectTo = 'login.html') {
 }
 
 /**
- * Get current user type
+ * Get current user type from the signed-in user's users record
  */
-function getUserType() {
-    return localStorage.getItem('userType') || null;
+async function getUserType() {
+    return window.Authorization.getCurrentRole();
 }
 
 /**
@@ -0,0 +1,232 @@
+// ============================================
+// AUTHORIZATION
+// ============================================
+// File: js/authorization.js
+// Requires: supabase-client.js
+//
+// Who the signed-in user is allowed to be and what they may do. The role is
+// read from the user's own users record, not from localStorage, and the
+// permission checks call the same database functions the row-level policies
+// use (see supabase/migrations/..._role_based_access.sql). The checks keep
+// the UI honest; the policies are what actually stop a request.
+
+const ROLES = {
+    CLIENT: 'client',
+    LAWYER: 'lawyer',
+    ADMIN: 'admin'
+};
+
+// Where each role lands when it opens a page meant for someone else
+const ROLE_HOME_PAGES = {
+    client: 'client-profile.html',
+    lawyer: 'lawyer-profile-settings.html',
+    admin: 'home.html'
+};
+
+// The signed-in user and their role, looked up once per page load
+let authContextRequest = null;
+
+// ============================================
+// ROLES
+// ============================================
+
+/**
+ * Get the signed-in user and their role: { user, role }, or { user: null, role: null }
+ */
+async function getAuthContext() {
+    if (!authContextRequest) {
+        authContextRequest = (async () => {
+            const user = await window.SupabaseClient.getCurrentUser();
+            if (!user) return { user: null, role: null };
+
+            const { data, error } = await window.SupabaseClient.supabase
+                .from('users')
+                .select('user_type')
+                .eq('id', user.id)
+                .single();
+
+            if (error) throw error;
+
+            return { user, role: data.user_type };
+        })();
+    }
+
+    try {
+        return await authContextRequest;
+    } catch (error) {
+        console.error('Error loading user role:', error);
+        authContextRequest = null;
+        return { user: null, role: null };
+    }
+}
+
+/**
+ * Get the signed-in user's role ('client', 'lawyer' or 'admin'), or null
+ */
+async function getCurrentRole() {
+    return (await getAuthContext()).role;
+}
+
+/**
+ * Check whether the signed-in user has one of the given roles
+ */
+async function hasRole(...roles) {
+    return roles.includes(await getCurrentRole());
+}
+
+async function isAdmin() {
+    return hasRole(ROLES.ADMIN);
+}
+
+/**
+ * Forget the cached user and role (on login and logout)
+ */
+function clearAuthContext() {
+    authContextRequest = null;
+}
+
+// ============================================
+// PERMISSIONS
+// ============================================
+
+/**
+ * Check whether the signed-in user is this user
+ */
+async function isCurrentUser(userId) {
+    const { user } = await getAuthContext();
+    return !!user && user.id === userId;
+}
+
+/**
+ * Check whether the signed-in user is this user, or an admin acting for them
+ */
+async function isSelfOrAdmin(userId) {
+    const { user, role } = await getAuthContext();
+    return !!user && (user.id === userId || role === ROLES.ADMIN);
+}
+
+/**
+ * Run a permission function in the database, treating errors as a refusal
+ */
+async function checkPermission(functionName, params) {
+    const { data, error } = await window.SupabaseClient.supabase.rpc(functionName, params);
+
+    if (error) {
+        console.error(`Error checking ${functionName}:`, error);
+        return false;
+    }
+
+    return data === true;
+}
+
+/**
+ * A client's documents are visible to the client, admins, and lawyers the client has booked
+ */
+async function canViewClientDocuments(clientId) {
+    if (await isSelfOrAdmin(clientId)) return true;
+    if (!(await hasRole(ROLES.LAWYER))) return false;
+
+    return checkPermission('can_view_client_documents', { p_client_id: clientId });
+}
+
+/**
+ * Only the owner of documents can upload or delete them
+ */
+async function canManageDocuments(userId) {
+    return isCurrentUser(userId);
+}
+
+/**
+ * An appointment can be changed by its client, its lawyer and admins.
+ * Takes the appointment (with client_id and lawyer_id) or its id.
+ */
+async function canUpdateAppointment(appointment) {
+    const { user, role } = await getAuthContext();
+    if (!user) return false;
+    if (role === ROLES.ADMIN) return true;
+
+    if (typeof appointment === 'object' && appointment?.client_id) {
+        return [appointment.client_id, appointment.lawyer_id].includes(user.id);
+    }
+
+    return checkPermission('can_update_appointment', { p_appointment_id: appointment?.id || appointment });
+}
+
+/**
+ * A lawyer's profile, schedule and settings can be changed by that lawyer and admins
+ */
+async function canManageLawyerProfile(lawyerId) {
+    const { user, role } = await getAuthContext();
+    return !!user && (role === ROLES.ADMIN || (role === ROLES.LAWYER && user.id === lawyerId));
+}
+
+/**
+ * Conversations are open only to their client and lawyer.
+ * Takes the conversation (with client_id and lawyer_id) or its id.
+ */
+async function canAccessConversation(conversation) {
+    const { user } = await getAuthContext();
+    if (!user) return false;
+
+    if (typeof conversation === 'object' && conversation?.client_id) {
+        return [conversation.client_id, conversation.lawyer_id].includes(user.id);
+    }
+
+    return checkPermission('is_conversation_participant', { p_conversation_id: conversation?.id || conversation });
+}
+
+/**
+ * Throw a NOT_AUTHORIZED error unless a permission check passed
+ */
+function assertPermission(allowed, message) {
+    if (!allowed) {
+        throw new Error(`NOT_AUTHORIZED: ${message}`);
+    }
+}
+
+// ============================================
+// PAGE GUARDS
+// ============================================
+
+/**
+ * Let the page continue only for a signed-in user with one of the given roles.
+ * Others are sent to log in, or to their own home page. Returns { user, role } or null.
+ */
+async function requireRole(...roles) {
+    const context = await getAuthContext();
+
+    if (!context.user) {
+        window.location.href = 'login.html';
+        return null;
+    }
+
+    if (roles.length > 0 && !roles.includes(context.role)) {
+        alert('You do not have access to this page.');
+        window.location.href = ROLE_HOME_PAGES[context.role] || 'home.html';
+        return null;
+    }
+
+    return context;
+}
+
+// Export everything
+window.Authorization = {
+    ROLES,
+    ROLE_HOME_PAGES,
+    getAuthContext,
+    getCurrentRole,
+    hasRole,
+    isAdmin,
+    clearAuthContext,
+    isCurrentUser,
+    isSelfOrAdmin,
+    canViewClientDocuments,
+    canManageDocuments,
+    canUpdateAppointment,
+    canManageLawyerProfile,
+    canAccessConversation,
+    assertPermission,
+    requireRole
+};
+
+console.log('✅ Authorization initialized');
@@ -0,0 +1,220 @@
+// ============================================
+// CALENDAR EXPORT (iCalendar / .ics)
+// ============================================
+// File: js/calendar.js
+// Requires: supabase-client.js
+
+const CALENDAR_PRODUCT_ID = '-//Brief-Case//Appointments//EN';
+const DEFAULT_EVENT_DURATION_MINUTES = 60;
+
+// ============================================
+// ICS FORMATTING
+// ============================================
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function escapeICalText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets as required by RFC 5545
+ */
+function foldICalLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        if (currentBytes + charBytes > 75) {
+            parts.push(current);
+            current = ' ';
+            currentBytes = 1;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n');
+}
+
+/**
+ * Format a Date as a UTC iCalendar timestamp (YYYYMMDDTHHMMSSZ)
+ */
+function formatICalUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Describe where the meeting happens
+ */
+function getMeetingLocation(meetingType) {
+    return meetingType === 'online' ? 'Online meeting (video call)' : "In person at the lawyer's office";
+}
+
+/**
+ * Map an appointment status to an iCalendar event status
+ */
+function getICalStatus(status) {
+    if (['cancelled', 'declined', 'expired', 'no_show'].includes(status)) return 'CANCELLED';
+    if (['held', 'pending', 'reschedule_requested'].includes(status)) return 'TENTATIVE';
+    return 'CONFIRMED';
+}
+
+/**
+ * Build the VEVENT lines for one appointment
+ */
+function buildEventLines(appointment, counterpartName = null) {
+    const startsAt = new Date(appointment.starts_at);
+    const endsAt = appointment.ends_at
+        ? new Date(appointment.ends_at)
+        : new Date(startsAt.getTime() + DEFAULT_EVENT_DURATION_MINUTES * 60000);
+    const meetingLabel = appointment.meeting_type === 'online' ? 'Online' : 'In-Person';
+    const description = [
+        appointment.description,
+        counterpartName ? `With: ${counterpartName}` : null,
+        `Meeting type: ${meetingLabel}`
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${appointment.id}@brief-case`,
+        `DTSTAMP:${formatICalUtc(new Date())}`,
+        `LAST-MODIFIED:${formatICalUtc(new Date(appointment.status_changed_at || appointment.created_at || Date.now()))}`,
+        `SEQUENCE:${appointment.calendar_sequence || 0}`,
+        `DTSTART:${formatICalUtc(startsAt)}`,
+        `DTEND:${formatICalUtc(endsAt)}`,
+        `SUMMARY:${escapeICalText(appointment.title || 'Legal Consultation')}`,
+        `DESCRIPTION:${escapeICalText(description)}`,
+        `LOCATION:${escapeICalText(getMeetingLocation(appointment.meeting_type))}`,
+        `STATUS:${getICalStatus(appointment.status)}`,
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Build a complete VCALENDAR document for a list of appointments
+ */
+function buildCalendar(appointments, calendarName = 'Brief-Case Appointments', getCounterpartName = null) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CALENDAR_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICalText(calendarName)}`
+    ];
+
+    appointments.forEach(appointment => {
+        const counterpart = getCounterpartName ? getCounterpartName(appointment) : null;
+        lines.push(...buildEventLines(appointment, counterpart));
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+// ============================================
+// DOWNLOADS
+// ============================================
+
+/**
+ * Trigger a browser download of .ics content
+ */
+function downloadICalFile(icsContent, filename) {
+    const blob = new Blob([icsContent], { type: 'text/calendar;charset=utf-8' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Download a single appointment as an .ics file
+ */
+function downloadAppointmentICS(appointment, counterpartName = null) {
+    const ics = buildCalendar([appointment], appointment.title || 'Brief-Case Appointment', () => counterpartName);
+    downloadICalFile(ics, `appointment_${appointment.appointment_date}_${appointment.id.slice(0, 8)}.ics`);
+}
+
+// ============================================
+// SUBSCRIBABLE FEED
+// ============================================
+
+/**
+ * Get (or create) the user's private calendar feed URL
+ */
+async function getCalendarFeedUrl(userId) {
+    try {
+        const { supabase, SUPABASE_URL } = window.SupabaseClient;
+
+        let { data, error } = await supabase
+            .from('calendar_feed_tokens')
+            .select('token')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!data) {
+            ({ data, error } = await supabase
+                .from('calendar_feed_tokens')
+                .insert({ user_id: userId })
+                .select('token')
+                .single());
+
+            if (error) throw error;
+        }
+
+        return { success: true, url: `${SUPABASE_URL}/functions/v1/calendar-feed?token=${data.token}` };
+
+    } catch (error) {
+        console.error('Error getting calendar feed URL:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Replace the feed token so an old, shared feed URL stops working
+ */
+async function regenerateCalendarFeedUrl(userId) {
+    try {
+        const { supabase } = window.SupabaseClient;
+
+        const { error } = await supabase
+            .from('calendar_feed_tokens')
+            .delete()
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        return getCalendarFeedUrl(userId);
+
+    } catch (error) {
+        console.error('Error regenerating calendar feed URL:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Export everything
+window.CalendarExport = {
+    buildCalendar,
+    downloadAppointmentICS,
+    getCalendarFeedUrl,
+    regenerateCalendarFeedUrl
+};
+
+console.log('✅ Calendar export initialized');
@@ -0,0 +1,213 @@
+// ============================================
+// CANCELLATION POLICY
+// ============================================
+// File: js/cancellation-policy.js
+// Requires: supabase-client.js, appointment-lifecycle.js
+//
+// How much of the amount paid is refunded when an appointment is cancelled
+// or missed. The database applies the same rules (cancellation_refund_percent)
+// to the policy copied onto each appointment when it is booked, and stores
+// the result in refund_percent / refund_due.
+
+// ============================================
+// POLICIES
+// ============================================
+
+// Full refund a day ahead, half within 24 hours, nothing for a client no-show
+const DEFAULT_CANCELLATION_POLICY = {
+    tiers: [
+        { hoursBefore: 24, refundPercent: 100 },
+        { hoursBefore: 0, refundPercent: 50 }
+    ],
+    noShowRefundPercent: 0
+};
+
+/**
+ * Fill in missing fields and sort tiers from earliest to latest cancellation
+ */
+function normalizePolicy(policy) {
+    const source = policy || DEFAULT_CANCELLATION_POLICY;
+
+    return {
+        tiers: [...(source.tiers || [])]
+            .map(tier => ({ hoursBefore: Number(tier.hoursBefore), refundPercent: Number(tier.refundPercent) }))
+            .sort((a, b) => b.hoursBefore - a.hoursBefore),
+        noShowRefundPercent: Number(source.noShowRefundPercent || 0)
+    };
+}
+
+/**
+ * Check a policy before saving it; returns an error message or null
+ */
+function validatePolicy(policy) {
+    const isPercent = value => Number.isInteger(value) && value >= 0 && value <= 100;
+
+    if (!policy || !Array.isArray(policy.tiers)) {
+        return 'Policy must have a list of refund tiers';
+    }
+
+    for (const tier of policy.tiers) {
+        if (!Number.isFinite(tier.hoursBefore) || tier.hoursBefore < 0) {
+            return 'Hours before the meeting must be zero or more';
+        }
+        if (!isPercent(tier.refundPercent)) {
+            return 'Refund percentages must be whole numbers from 0 to 100';
+        }
+    }
+
+    if (!isPercent(policy.noShowRefundPercent || 0)) {
+        return 'No-show refund must be a whole number from 0 to 100';
+    }
+
+    return null;
+}
+
+/**
+ * Describe a policy as short lines for display on profiles and the booking page
+ */
+function describePolicy(policy) {
+    const { tiers, noShowRefundPercent } = normalizePolicy(policy);
+    const refundText = percent => percent === 100 ? 'Full refund' : percent === 0 ? 'No refund' : `${percent}% refund`;
+
+    const lines = tiers.map((tier, index) => {
+        if (tier.hoursBefore === 0 && index > 0) {
+            return `${refundText(tier.refundPercent)} if cancelled less than ${tiers[index - 1].hoursBefore} hours before`;
+        }
+        if (tier.hoursBefore === 0) {
+            return `${refundText(tier.refundPercent)} if cancelled any time before the meeting`;
+        }
+        return `${refundText(tier.refundPercent)} if cancelled at least ${tier.hoursBefore} hours before`;
+    });
+
+    const lastTier = tiers[tiers.length - 1];
+    if (!lastTier || lastTier.hoursBefore > 0) {
+        lines.push(`No refund if cancelled less than ${lastTier ? lastTier.hoursBefore : 0} hours before`);
+    }
+
+    lines.push(`${refundText(noShowRefundPercent)} if you do not attend`);
+    lines.push('Full refund if the lawyer cancels or does not attend');
+
+    return lines;
+}
+
+// ============================================
+// REFUNDS
+// ============================================
+
+/**
+ * Work out the refund for cancelling (or missing) an appointment.
+ * options: { actorRole: 'client' | 'lawyer' | 'system', status: 'cancelled' | 'no_show', noShowParty, at }
+ */
+function calculateRefund(appointment, options = {}) {
+    const policy = normalizePolicy(appointment.cancellation_policy);
+    const status = options.status || 'cancelled';
+    const at = options.at || new Date();
+    const hoursBefore = (new Date(appointment.starts_at) - at) / 3600000;
+    const amountPaid = Number(appointment.payment_amount || 0);
+
+    let percent;
+    if (status === 'no_show') {
+        percent = options.noShowParty === 'lawyer' ? 100 : policy.noShowRefundPercent;
+    } else if (options.actorRole === 'lawyer' || options.actorRole === 'system') {
+        percent = 100;
+    } else {
+        const tier = policy.tiers.find(t => hoursBefore >= t.hoursBefore);
+        percent = tier ? tier.refundPercent : 0;
+    }
+
+    return {
+        percent,
+        amountPaid,
+        refundAmount: Math.round(amountPaid * percent) / 100,
+        hoursBefore
+    };
+}
+
+/**
+ * Preview what the current user would get back for cancelling an appointment now
+ */
+async function previewCancellation(appointmentId) {
+    try {
+        const { data: appointment, error } = await window.SupabaseClient.supabase
+            .from('appointments')
+            .select('id, client_id, lawyer_id, starts_at, payment_amount, cancellation_policy')
+            .eq('id', appointmentId)
+            .single();
+
+        if (error) throw error;
+
+        const user = await window.SupabaseClient.getCurrentUser();
+        const actorRole = window.AppointmentLifecycle.getActorRole(appointment, user?.id);
+
+        return { success: true, data: calculateRefund(appointment, { actorRole }) };
+
+    } catch (error) {
+        console.error('Error previewing cancellation:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================
+// LAWYER SETTINGS
+// ============================================
+
+/**
+ * Get a lawyer's cancellation policy (the default if they have not set one)
+ */
+async function getLawyerPolicy(lawyerId) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('lawyers')
+            .select('cancellation_policy')
+            .eq('id', lawyerId)
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data: normalizePolicy(data?.cancellation_policy) };
+
+    } catch (error) {
+        console.error('Error fetching cancellation policy:', error);
+        return { success: false, error: error.message, data: normalizePolicy(null) };
+    }
+}
+
+/**
+ * Save a lawyer's cancellation policy (applies to bookings made from now on)
+ */
+async function saveLawyerPolicy(lawyerId, policy) {
+    try {
+        const normalized = normalizePolicy(policy);
+        const problem = validatePolicy(normalized);
+        if (problem) throw new Error(problem);
+
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('lawyers')
+            .update({ cancellation_policy: normalized })
+            .eq('id', lawyerId)
+            .select('cancellation_policy')
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data: data.cancellation_policy };
+
+    } catch (error) {
+        console.error('Error saving cancellation policy:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Export everything
+window.CancellationPolicy = {
+    DEFAULT_CANCELLATION_POLICY,
+    normalizePolicy,
+    validatePolicy,
+    describePolicy,
+    calculateRefund,
+    previewCancellation,
+    getLawyerPolicy,
+    saveLawyerPolicy
+};
+
+console.log('✅ Cancellation policy initialized');
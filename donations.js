@@ -0,0 +1,439 @@
+// ============================================
+// DONATIONS
+// ============================================
+// File: js/donations.js
+// Requires: supabase-client.js, payment-gateways.js, payment.js, pdf-document.js, invoice.js
+//
+// One-time and monthly gifts to the platform. Donations are charged through
+// the same gateway adapters and challenge handling as appointment payments
+// (see processPayment in js/payment.js) but are kept in their own table, as
+// there is no lawyer, escrow or tax invoice involved. Monthly donations are
+// charged from the donor's browser when due (see chargeDueRecurringDonations).
+
+const DONATION_DESIGNATIONS = {
+    general: 'General Fund',
+    pro_bono: 'Pro Bono Fund'
+};
+
+const DONATION_STATUS_LABELS = {
+    pending: 'Processing',
+    completed: 'Received',
+    failed: 'Failed'
+};
+
+const DONATION_FIELDS = '*, donation_campaigns(name)';
+
+// ============================================
+// CAMPAIGNS
+// ============================================
+
+/**
+ * Get the campaigns accepting donations (admins also see closed ones)
+ */
+async function getDonationCampaigns() {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('donation_campaigns')
+            .select('*')
+            .order('created_at');
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching donation campaigns:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Start a donation campaign (admin only).
+ * campaign: { name, description, goalAmount, currency }
+ */
+async function createDonationCampaign(campaign) {
+    try {
+        const user = await window.SupabaseClient.getCurrentUser();
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('donation_campaigns')
+            .insert({
+                name: campaign.name,
+                description: campaign.description || null,
+                goal_amount: campaign.goalAmount || null,
+                currency: campaign.currency || window.SupabaseClient.DEFAULT_CURRENCY,
+                created_by: user?.id
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error creating donation campaign:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Open or close a campaign to new donations (admin only)
+ */
+async function setDonationCampaignActive(campaignId, active) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('donation_campaigns')
+            .update({ is_active: active })
+            .eq('id', campaignId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error updating donation campaign:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get totals per campaign and currency for completed donations (admin only).
+ * Dates are optional 'YYYY-MM-DD' bounds on when donations were received.
+ */
+async function getCampaignSummary(startDate = null, endDate = null) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .rpc('donation_campaign_summary', {
+                p_start: startDate,
+                p_end: endDate
+            });
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching donation summary:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+// ============================================
+// DONATING
+// ============================================
+
+// Donations started on this page, so a double click waits for the first attempt
+const donationsInFlight = new Map();
+
+/**
+ * Charge a donation through the gateway for its payment type (see payment-gateways.js).
+ * The attempt is recorded first and marked failed if the charge does not go through.
+ * A guest's donation comes back with pending: true, as it is completed once the
+ * gateway confirms the charge to the database.
+ * Pass paymentMethodId instead of paymentMethod and card to give with a saved method,
+ * or recurringDonationId to charge the month that is due on a monthly donation.
+ * donationData: { campaignId, amount, currency, designation, isAnonymous, donorName, donorEmail,
+ *                 paymentMethod, card, paymentMethodId, recurringDonationId, onChallenge }
+ */
+async function processDonation(donationData) {
+    const key = donationData.recurringDonationId || 'one-time';
+
+    if (donationsInFlight.has(key)) {
+        return donationsInFlight.get(key);
+    }
+
+    const attempt = submitDonation(donationData)
+        .finally(() => donationsInFlight.delete(key));
+
+    donationsInFlight.set(key, attempt);
+    return attempt;
+}
+
+async function submitDonation(donationData) {
+    const supabase = window.SupabaseClient.supabase;
+    let donation = null;
+    let gateway = null;
+    let capture = null;
+
+    try {
+        if (!donationData.recurringDonationId && !(donationData.amount > 0)) {
+            throw new Error('INVALID_AMOUNT: please enter an amount to donate');
+        }
+
+        let paymentMethod = donationData.paymentMethod;
+        let token = null;
+
+        if (donationData.paymentMethodId) {
+            const saved = await window.Payment.getUsablePaymentMethod(donationData.paymentMethodId);
+            paymentMethod = saved.payment_type;
+            token = saved.gateway_token;
+            gateway = { name: saved.gateway, adapter: window.PaymentGateways.getGateway(saved.gateway) };
+        } else {
+            gateway = window.PaymentGateways.getGatewayForPaymentType(paymentMethod);
+        }
+
+        const { data: recorded, error: recordError } = await supabase
+            .rpc('record_donation', {
+                p_campaign_id: donationData.campaignId || null,
+                p_amount: donationData.amount || null,
+                p_currency: donationData.currency || window.SupabaseClient.DEFAULT_CURRENCY,
+                p_designation: donationData.designation || 'general',
+                p_is_anonymous: donationData.isAnonymous || false,
+                p_donor_name: donationData.donorName || null,
+                p_donor_email: donationData.donorEmail || null,
+                p_payment_method: paymentMethod,
+                p_transaction_id: window.Payment.generateTransactionId(),
+                p_gateway: gateway.name,
+                p_recurring_donation_id: donationData.recurringDonationId || null
+            });
+
+        if (recordError) throw recordError;
+        donation = recorded;
+
+        const authorization = await window.Payment.authorizeWithGateway(gateway.adapter, donation, {
+            paymentMethod,
+            amount: Number(donation.amount),
+            card: token ? null : donationData.card,
+            token,
+            onChallenge: donationData.onChallenge
+        });
+        capture = await gateway.adapter.capture(authorization.reference, Number(donation.amount));
+
+        // Only the gateway's webhook can complete a guest's gift; it stays
+        // 'pending' (and has no receipt number) until then
+        if (!donation.donor_id) {
+            return { success: true, pending: true, transactionId: donation.transaction_id, data: donation };
+        }
+
+        const { data: completed, error: completeError } = await window.Payment
+            .completeWhenGatewayVerified('complete_donation', {
+                p_donation_id: donation.id,
+                p_transaction_id: donation.transaction_id,
+                p_gateway_reference: capture.reference
+            });
+
+        if (completeError) throw completeError;
+
+        return { success: true, transactionId: completed.transaction_id, data: completed };
+
+    } catch (error) {
+        console.error('Donation processing error:', error);
+        const message = window.Payment.getPaymentErrorMessage(error);
+
+        // Charged but not recorded as received: give the money back
+        if (capture) {
+            try {
+                await gateway.adapter.refund(capture.reference, Number(donation.amount));
+            } catch (refundError) {
+                console.error('Error returning captured donation:', refundError);
+            }
+        }
+
+        if (donation?.status === 'pending') {
+            await supabase.rpc('fail_donation', {
+                p_donation_id: donation.id,
+                p_transaction_id: donation.transaction_id,
+                p_reason: message
+            });
+        }
+
+        return { success: false, error: message, data: donation };
+    }
+}
+
+// ============================================
+// MONTHLY DONATIONS
+// ============================================
+
+/**
+ * Set up a monthly donation and make the first month's gift now. A card is
+ * saved as a payment method first; pass paymentMethodId to use one already saved.
+ * If the first charge fails the monthly donation is cancelled again.
+ * donationData: { campaignId, amount, currency, designation, isAnonymous, card, paymentMethodId, onChallenge }
+ */
+async function startRecurringDonation(userId, donationData) {
+    try {
+        let paymentMethodId = donationData.paymentMethodId;
+
+        if (!paymentMethodId) {
+            const saved = await window.Payment.addPaymentMethod(userId, { type: 'card', card: donationData.card });
+            if (!saved.success) {
+                return saved;
+            }
+            paymentMethodId = saved.data.id;
+        }
+
+        const { data: recurring, error } = await window.SupabaseClient.supabase
+            .rpc('start_recurring_donation', {
+                p_campaign_id: donationData.campaignId,
+                p_amount: donationData.amount,
+                p_currency: donationData.currency || window.SupabaseClient.DEFAULT_CURRENCY,
+                p_designation: donationData.designation || 'general',
+                p_is_anonymous: donationData.isAnonymous || false,
+                p_payment_method_id: paymentMethodId
+            });
+
+        if (error) throw error;
+
+        const firstMonth = await processDonation({
+            recurringDonationId: recurring.id,
+            paymentMethodId,
+            onChallenge: donationData.onChallenge
+        });
+
+        if (!firstMonth.success) {
+            await cancelRecurringDonation(recurring.id);
+            return firstMonth;
+        }
+
+        return { ...firstMonth, recurring };
+
+    } catch (error) {
+        console.error('Error starting monthly donation:', error);
+        return { success: false, error: window.Payment.getPaymentErrorMessage(error) };
+    }
+}
+
+/**
+ * Get a donor's monthly donations, active ones first
+ */
+async function getRecurringDonations(donorId) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('recurring_donations')
+            .select('*, donation_campaigns(name), payment_methods(card_type, last_four_digits, is_expired)')
+            .eq('donor_id', donorId)
+            .order('status')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching monthly donations:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Stop a monthly donation
+ */
+async function cancelRecurringDonation(recurringDonationId) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .rpc('cancel_recurring_donation', {
+                p_recurring_donation_id: recurringDonationId
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error cancelling monthly donation:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Charge every monthly donation of a donor that has come due. A donation
+ * whose payment method was removed is left due until the donor picks another.
+ * Returns { success, data: [{ recurring, result }] } for the ones attempted.
+ */
+async function chargeDueRecurringDonations(donorId, options = {}) {
+    const result = await getRecurringDonations(donorId);
+    // Due dates are kept in the platform's timezone
+    const today = window.SupabaseClient.getZonedParts(new Date(), window.SupabaseClient.DEFAULT_TIMEZONE).date;
+    const due = result.data.filter(recurring =>
+        recurring.status === 'active' && recurring.payment_method_id && recurring.next_charge_on <= today
+    );
+    const charged = [];
+
+    for (const recurring of due) {
+        charged.push({
+            recurring,
+            result: await processDonation({
+                recurringDonationId: recurring.id,
+                paymentMethodId: recurring.payment_method_id,
+                onChallenge: options.onChallenge
+            })
+        });
+    }
+
+    return { success: result.success, data: charged };
+}
+
+// ============================================
+// DONATION RECORDS AND RECEIPTS
+// ============================================
+
+/**
+ * Get a donor's donations, newest first
+ */
+async function getDonorDonations(donorId) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('donations')
+            .select(DONATION_FIELDS)
+            .eq('donor_id', donorId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching donations:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Download the receipt for a completed donation as a PDF. Takes the donation
+ * itself, as a guest donor cannot look it up again later.
+ */
+async function downloadDonationReceipt(donation, campaignName = null) {
+    if (donation?.status !== 'completed') {
+        return { success: false, error: 'A receipt is available once the donation has been received' };
+    }
+
+    // Guests cannot read the invoice settings; the receipt falls back to the platform name
+    const settings = await window.Invoice.getInvoiceSettings();
+    const platform = settings.success ? {
+        name: settings.data.business_name,
+        address: settings.data.address,
+        email: settings.data.email,
+        phone: settings.data.phone,
+        taxRegistrationNo: settings.data.tax_registration_no
+    } : {};
+
+    const receipt = campaignName ? { ...donation, donation_campaigns: { name: campaignName } } : donation;
+    window.PdfDocument.downloadPdf(
+        window.Invoice.buildDonationReceiptPdf(receipt, platform),
+        `${donation.receipt_number}.pdf`
+    );
+
+    return { success: true, data: donation };
+}
+
+// Export everything
+window.Donations = {
+    DONATION_DESIGNATIONS,
+    DONATION_STATUS_LABELS,
+    getDonationCampaigns,
+    createDonationCampaign,
+    setDonationCampaignActive,
+    getCampaignSummary,
+    processDonation,
+    startRecurringDonation,
+    getRecurringDonations,
+    cancelRecurringDonation,
+    chargeDueRecurringDonations,
+    getDonorDonations,
+    downloadDonationReceipt
+};
+
+console.log('✅ Donations initialized');
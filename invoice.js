@@ -0,0 +1,399 @@
+// ============================================
+// INVOICES
+// ============================================
+// File: js/invoice.js
+// Requires: supabase-client.js, pdf-document.js
+//
+// Tax invoices for payments and credit notes for refunds, drawn as PDFs in
+// the browser. The invoice record (number, tax line, platform, lawyer and
+// client details) is fixed by the database when the payment completes, so a
+// document downloaded again later is the same one. Donor receipts (see
+// js/donations.js) are drawn with the same layout.
+
+const INVOICE_BRAND_COLOR = '#7a1a31';
+
+const INVOICE_KIND_TITLES = {
+    invoice: 'TAX INVOICE',
+    credit_note: 'CREDIT NOTE'
+};
+
+// ============================================
+// INVOICE RECORDS
+// ============================================
+
+/**
+ * Get the invoice for a payment, or the credit note for one of its refunds
+ */
+async function getInvoice(paymentId, refundId = null) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .rpc('get_invoice', {
+                p_payment_id: paymentId,
+                p_refund_id: refundId
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error fetching invoice:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get the platform's invoice details and tax settings
+ */
+async function getInvoiceSettings() {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('invoice_settings')
+            .select('business_name, address, email, phone, tax_registration_no, tax_label, tax_rate')
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error fetching invoice settings:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Update the platform's invoice details or tax line (admin only).
+ * Applies to invoices issued from now on.
+ */
+async function updateInvoiceSettings(changes) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('invoice_settings')
+            .update({ ...changes, updated_at: new Date().toISOString() })
+            .eq('id', true)
+            .select('business_name, address, email, phone, tax_registration_no, tax_label, tax_rate')
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error updating invoice settings:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================
+// PDF
+// ============================================
+
+/**
+ * Format an amount as "PKR 1,234.00"
+ */
+function formatInvoiceAmount(amount, currency) {
+    return `${currency} ${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Format a date as "19 October 2026"
+ */
+function formatInvoiceDate(value) {
+    return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Draw the brand band across the top of the page with the document title and number
+ */
+function drawDocumentHeader(doc, platform, title, number) {
+    const left = 50;
+    const right = doc.width - 50;
+
+    doc.rect(0, 0, doc.width, 95, { fill: INVOICE_BRAND_COLOR });
+    doc.text(platform.name || 'Brief-Case', left, 50, { size: 24, bold: true, color: '#ffffff' });
+    doc.text('Your case, our counsel.', left, 70, { size: 10, color: '#ffffff' });
+    doc.text(title, right, 50, { size: 18, bold: true, color: '#ffffff', align: 'right' });
+    doc.text(number, right, 70, { size: 11, color: '#ffffff', align: 'right' });
+}
+
+/**
+ * Draw the platform's name, address and tax registration. Returns the number of lines drawn.
+ */
+function drawPlatformDetails(doc, platform, left, top) {
+    doc.text(platform.name || 'Brief-Case', left, top, { bold: true });
+    const lines = [
+        ...doc.wrapText(platform.address || '', 240),
+        platform.email,
+        platform.phone,
+        platform.taxRegistrationNo ? `Tax Registration No: ${platform.taxRegistrationNo}` : null
+    ].filter(Boolean);
+    lines.forEach((line, index) => doc.text(line, left, top + 15 * (index + 1), { size: 9, color: '#666666' }));
+
+    return lines.length + 1;
+}
+
+/**
+ * Draw the thank-you footer at the bottom of the page
+ */
+function drawDocumentFooter(doc, platform, message = `Thank you for using ${platform.name || 'Brief-Case'}!`) {
+    const left = 50;
+    const right = doc.width - 50;
+    const footerTop = doc.height - 70;
+
+    doc.line(left, footerTop, right, footerTop);
+    doc.text(message, doc.width / 2, footerTop + 20, { size: 10, bold: true, align: 'center' });
+    doc.text('This is a computer-generated document and does not require a signature.', doc.width / 2, footerTop + 35, {
+        size: 8,
+        color: '#999999',
+        align: 'center'
+    });
+}
+
+/**
+ * Draw an invoice or credit note.
+ * payment: { payment_method, transaction_id, completed_at, settlement_currency, exchange_rate }
+ */
+function buildInvoicePdf(invoice, payment = {}) {
+    const doc = window.PdfDocument.createPdfDocument({ title: `${INVOICE_KIND_TITLES[invoice.kind]} ${invoice.invoice_number}` });
+    const isCreditNote = invoice.kind === 'credit_note';
+    const platform = invoice.platform_details || {};
+    const lawyer = invoice.lawyer_details || {};
+    const client = invoice.client_details || {};
+    const service = invoice.service_details || {};
+    const money = amount => formatInvoiceAmount(amount, invoice.currency);
+    const left = 50;
+    const right = doc.width - 50;
+    const middle = 320;
+
+    drawDocumentHeader(doc, platform, INVOICE_KIND_TITLES[invoice.kind], invoice.invoice_number);
+
+    // Platform details and document details
+    let top = 130;
+    const platformLineCount = drawPlatformDetails(doc, platform, left, top);
+
+    const documentDetails = [
+        [isCreditNote ? 'Credit Note No:' : 'Invoice No:', invoice.invoice_number],
+        ['Date of Issue:', formatInvoiceDate(invoice.issued_at)],
+        ...(isCreditNote ? [['Original Invoice:', service.originalInvoiceNumber]] : []),
+        ['Status:', isCreditNote ? 'REFUNDED' : 'PAID']
+    ];
+    documentDetails.forEach(([label, value], index) => {
+        doc.text(label, middle, top + 15 * index, { size: 9, color: '#666666' });
+        doc.text(value || '', right, top + 15 * index, { size: 9, bold: true, align: 'right' });
+    });
+
+    // Parties
+    top = Math.max(top + 15 * platformLineCount, top + 15 * documentDetails.length) + 30;
+    doc.text(isCreditNote ? 'REFUNDED TO' : 'BILLED TO', left, top, { size: 9, bold: true, color: INVOICE_BRAND_COLOR });
+    doc.text('LEGAL CONSULTANT', middle, top, { size: 9, bold: true, color: INVOICE_BRAND_COLOR });
+
+    const clientLines = [client.name, client.email].filter(Boolean);
+    const lawyerLines = [
+        lawyer.name ? `Attorney ${lawyer.name}` : null,
+        lawyer.lawFirm,
+        lawyer.barRegistrationNo ? `Bar Registration No: ${lawyer.barRegistrationNo}` : null,
+        lawyer.email
+    ].filter(Boolean);
+    clientLines.forEach((line, index) => doc.text(line, left, top + 16 * (index + 1), { bold: index === 0 }));
+    lawyerLines.forEach((line, index) => doc.text(line, middle, top + 16 * (index + 1), { bold: index === 0 }));
+
+    // Line items
+    top += 16 * (Math.max(clientLines.length, lawyerLines.length) + 1) + 30;
+    doc.rect(left, top - 15, right - left, 22, { fill: '#f5f5f5' });
+    doc.text('DESCRIPTION', left + 10, top, { size: 9, bold: true });
+    doc.text(`AMOUNT (${invoice.currency})`, right - 10, top, { size: 9, bold: true, align: 'right' });
+    top += 28;
+
+    const when = [
+        service.date ? formatInvoiceDate(`${service.date}T00:00:00`) : null,
+        service.time ? String(service.time).slice(0, 5) : null,
+        service.meetingType ? `${service.meetingType} meeting` : null
+    ].filter(Boolean).join(', ');
+    const items = [
+        [`${isCreditNote ? 'Refund of consultation fee' : 'Consultation fee'}: ${service.title || 'Legal Consultation'}`, when, invoice.consultation_fee],
+        [isCreditNote ? 'Refund of platform service fee' : 'Platform service fee', null, invoice.service_fee],
+        ...(Number(invoice.discount_amount) > 0
+            ? [[`Discount${service.promoCode ? ` (promo code ${service.promoCode})` : ''}`, null, -invoice.discount_amount]]
+            : [])
+    ];
+    items.forEach(([description, detail, amount]) => {
+        const lines = doc.wrapText(description, right - left - 140);
+        lines.forEach((line, index) => doc.text(line, left + 10, top + 14 * index));
+        doc.text(amount < 0 ? `- ${money(-amount)}` : money(amount), right - 10, top, { align: 'right' });
+        top += 14 * lines.length;
+        if (detail) {
+            doc.text(detail, left + 10, top, { size: 9, color: '#666666' });
+            top += 14;
+        }
+        top += 8;
+        doc.line(left, top - 12, right, top - 12);
+    });
+
+    // Totals
+    top += 8;
+    const taxRate = Number(invoice.tax_rate);
+    const totals = taxRate > 0
+        ? [
+            [`Amount excluding ${invoice.tax_label}`, Number(invoice.total) - Number(invoice.tax_amount)],
+            [`${invoice.tax_label} (${Math.round(taxRate * 10000) / 100}%)`, invoice.tax_amount]
+        ]
+        : [];
+    totals.forEach(([label, amount]) => {
+        doc.text(label, right - 160, top, { color: '#666666', align: 'right' });
+        doc.text(money(amount), right - 10, top, { align: 'right' });
+        top += 18;
+    });
+    doc.rect(right - 300, top - 14, 300, 24, { fill: INVOICE_BRAND_COLOR });
+    doc.text(isCreditNote ? 'Total Refunded' : 'Total Paid', right - 160, top + 2, { bold: true, color: '#ffffff', align: 'right' });
+    doc.text(money(invoice.total), right - 10, top + 2, { size: 11, bold: true, color: '#ffffff', align: 'right' });
+    top += 45;
+
+    // Payment details
+    doc.text(isCreditNote ? 'REFUND DETAILS' : 'PAYMENT DETAILS', left, top, { size: 9, bold: true, color: INVOICE_BRAND_COLOR });
+    const paymentLines = [
+        payment.payment_method ? `${isCreditNote ? 'Refunded to' : 'Payment method'}: ${payment.payment_method}` : null,
+        payment.transaction_id ? `Transaction ID: ${payment.transaction_id}` : null,
+        !isCreditNote && payment.completed_at ? `Paid on: ${formatInvoiceDate(payment.completed_at)}` : null,
+        payment.settlement_currency && payment.settlement_currency !== invoice.currency
+            ? `Charged in ${invoice.currency}; settled to the lawyer in ${payment.settlement_currency} at 1 ${invoice.currency} = ${Number(payment.exchange_rate)} ${payment.settlement_currency}`
+            : null,
+        ...(isCreditNote && service.reason ? doc.wrapText(`Reason: ${service.reason}`, right - left) : [])
+    ].filter(Boolean);
+    paymentLines.forEach((line, index) => doc.text(line, left, top + 15 * (index + 1), { size: 9 }));
+
+    drawDocumentFooter(doc, platform);
+
+    return doc.toBlob();
+}
+
+/**
+ * Draw a donor receipt.
+ * donation: a completed donation (see js/donations.js) with donation_campaigns(name)
+ * platform: { name, address, email, phone, taxRegistrationNo }
+ */
+function buildDonationReceiptPdf(donation, platform = {}) {
+    const doc = window.PdfDocument.createPdfDocument({ title: `DONATION RECEIPT ${donation.receipt_number}` });
+    const money = amount => formatInvoiceAmount(amount, donation.currency);
+    const left = 50;
+    const right = doc.width - 50;
+    const middle = 320;
+
+    drawDocumentHeader(doc, platform, 'DONATION RECEIPT', donation.receipt_number);
+
+    // Platform details and receipt details
+    let top = 130;
+    const platformLineCount = drawPlatformDetails(doc, platform, left, top);
+
+    const receiptDetails = [
+        ['Receipt No:', donation.receipt_number],
+        ['Date Received:', formatInvoiceDate(donation.completed_at)],
+        ['Status:', 'RECEIVED']
+    ];
+    receiptDetails.forEach(([label, value], index) => {
+        doc.text(label, middle, top + 15 * index, { size: 9, color: '#666666' });
+        doc.text(value || '', right, top + 15 * index, { size: 9, bold: true, align: 'right' });
+    });
+
+    // Donor
+    top = Math.max(top + 15 * platformLineCount, top + 15 * receiptDetails.length) + 30;
+    doc.text('RECEIVED FROM', left, top, { size: 9, bold: true, color: INVOICE_BRAND_COLOR });
+    const donorLines = donation.is_anonymous || !donation.donor_name
+        ? ['Anonymous Donor']
+        : [donation.donor_name, donation.donor_email].filter(Boolean);
+    donorLines.forEach((line, index) => doc.text(line, left, top + 16 * (index + 1), { bold: index === 0 }));
+
+    // Line item
+    top += 16 * (donorLines.length + 1) + 30;
+    doc.rect(left, top - 15, right - left, 22, { fill: '#f5f5f5' });
+    doc.text('DESCRIPTION', left + 10, top, { size: 9, bold: true });
+    doc.text(`AMOUNT (${donation.currency})`, right - 10, top, { size: 9, bold: true, align: 'right' });
+    top += 28;
+
+    const campaign = donation.donation_campaigns?.name || 'General Fund';
+    const detail = [
+        donation.designation === 'pro_bono' ? 'Designated for the Pro Bono Fund' : null,
+        donation.recurring_donation_id ? 'Monthly donation' : 'One-time donation'
+    ].filter(Boolean).join(', ');
+    doc.text(`Donation: ${campaign}`, left + 10, top);
+    doc.text(money(donation.amount), right - 10, top, { align: 'right' });
+    doc.text(detail, left + 10, top + 14, { size: 9, color: '#666666' });
+    top += 36;
+    doc.line(left, top - 12, right, top - 12);
+
+    // Total
+    top += 8;
+    doc.rect(right - 300, top - 14, 300, 24, { fill: INVOICE_BRAND_COLOR });
+    doc.text('Total Donated', right - 160, top + 2, { bold: true, color: '#ffffff', align: 'right' });
+    doc.text(money(donation.amount), right - 10, top + 2, { size: 11, bold: true, color: '#ffffff', align: 'right' });
+    top += 45;
+
+    // Payment details
+    doc.text('PAYMENT DETAILS', left, top, { size: 9, bold: true, color: INVOICE_BRAND_COLOR });
+    [
+        `Payment method: ${donation.payment_method}`,
+        `Transaction ID: ${donation.transaction_id}`
+    ].forEach((line, index) => doc.text(line, left, top + 15 * (index + 1), { size: 9 }));
+
+    drawDocumentFooter(doc, platform, 'Thank you for helping make legal help accessible to everyone!');
+
+    return doc.toBlob();
+}
+
+// ============================================
+// DOWNLOADS
+// ============================================
+
+/**
+ * Fetch a document and the payment it belongs to, then download the PDF
+ */
+async function downloadInvoiceDocument(paymentId, refundId) {
+    const result = await getInvoice(paymentId, refundId);
+
+    if (!result.success) {
+        return result;
+    }
+
+    const { data: payment, error } = await window.SupabaseClient.supabase
+        .from('payments')
+        .select('payment_method, transaction_id, completed_at, settlement_currency, exchange_rate')
+        .eq('id', paymentId)
+        .single();
+
+    if (error) {
+        console.error('Error fetching payment for invoice:', error);
+        return { success: false, error: error.message };
+    }
+
+    const invoice = result.data;
+    window.PdfDocument.downloadPdf(buildInvoicePdf(invoice, payment), `${invoice.invoice_number}.pdf`);
+
+    return { success: true, data: invoice };
+}
+
+/**
+ * Download the tax invoice for a payment
+ */
+async function downloadInvoice(paymentId) {
+    return downloadInvoiceDocument(paymentId, null);
+}
+
+/**
+ * Download the credit note for a completed refund
+ */
+async function downloadCreditNote(paymentId, refundId) {
+    return downloadInvoiceDocument(paymentId, refundId);
+}
+
+// Export everything
+window.Invoice = {
+    getInvoice,
+    getInvoiceSettings,
+    updateInvoiceSettings,
+    buildInvoicePdf,
+    buildDonationReceiptPdf,
+    downloadInvoice,
+    downloadCreditNote
+};
+
+console.log('✅ Invoices initialized');
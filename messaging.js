@@ -2,7 +2,7 @@
 // MESSAGING SYSTEM - FIXED VERSION
 // ============================================
 // File: js/messaging.js
-// Requires: supabase-client.js
+// Requires: supabase-client.js, authorization.js
 
 console.log('📨 Loading messaging.js...');
 
@@ -24,6 +24,12 @@ if (!window.SupabaseClient) {
 async function getOrCreateConversation(userId1, userId2) {
     try {
         console.log('🔍 Getting/Creating conversation between:', userId1, 'and', userId2);
+
+        const { user } = await window.Authorization.getAuthContext();
+        window.Authorization.assertPermission(
+            !!user && [userId1, userId2].includes(user.id),
+            'you can only start conversations you take part in'
+        );
         
         const supabase = window.SupabaseClient.supabase;
         
@@ -105,6 +111,11 @@ async function getOrCreateConversation(userId1, userId2) {
 async function getUserConversations(userId) {
     try {
         console.log('🔍 Loading conversations for user:', userId);
+
+        window.Authorization.assertPermission(
+            await window.Authorization.isCurrentUser(userId),
+            'you can only view your own conversations'
+        );
         
         const supabase = window.SupabaseClient.supabase;
         
@@ -185,6 +196,12 @@ async function getUserConversations(userId) {
 async function sendMessage(conversationId, senderId, messageText, attachmentFile = null) {
     try {
         console.log('📤 Sending message to conversation:', conversationId);
+
+        window.Authorization.assertPermission(
+            await window.Authorization.isCurrentUser(senderId) &&
+                await window.Authorization.canAccessConversation(conversationId),
+            'you can only send messages as yourself in your own conversations'
+        );
         
         const supabase = window.SupabaseClient.supabase;
         let attachmentUrl = null;
@@ -247,6 +264,11 @@ async function sendMessage(conversationId, senderId, messageText, attachmentFile
 async function getMessages(conversationId, limit = 50) {
     try {
         console.log('📥 Loading messages for conversation:', conversationId);
+
+        window.Authorization.assertPermission(
+            await window.Authorization.canAccessConversation(conversationId),
+            'you can only read your own conversations'
+        );
         
         const supabase = window.SupabaseClient.supabase;
         
@@ -293,6 +315,12 @@ async function getMessages(conversationId, limit = 50) {
  */
 async function markMessagesAsRead(conversationId, userId) {
     try {
+        window.Authorization.assertPermission(
+            await window.Authorization.isCurrentUser(userId) &&
+                await window.Authorization.canAccessConversation(conversationId),
+            'you can only update your own conversations'
+        );
+
         const supabase = window.SupabaseClient.supabase;
         
         const { error } = await supabase
@@ -97,7 +97,7 @@ function goToDonate() {
 }
 
 async function goToProfile() {
-    const userType = localStorage.getItem('userType');
+    const userType = window.Authorization ? await window.Authorization.getCurrentRole() : null;
     if (userType === 'lawyer') {
         navigate(PAGES.LAWYER_PROFILE_SETTINGS);
     } else {
@@ -0,0 +1,260 @@
+// ============================================
+// PAYMENT GATEWAYS
+// ============================================
+// File: js/payment-gateways.js
+//
+// Every gateway is an adapter with the same four async methods:
+//   authorize(request)           -> { status: 'authorized' | 'requires_action' | 'declined', reference, challenge?, reason? }
+//                                   Call again with { reference, challengeResponse } to answer a challenge.
+//   capture(reference, amount)   -> { status: 'captured', reference }
+//   refund(reference, amount)    -> { status: 'refunded', reference, amount }
+//   getStatus(reference)         -> { status: 'authorized' | 'captured' | 'refunded' | 'declined' | 'not_found', reference }
+//                                   reference may also be our transactionId, e.g. after a timeout.
+// Gateways that can save payment methods also have:
+//   tokenize(request)            -> { status: 'tokenized' | 'declined', token, lastFour?, reason? }
+//                                   The token is passed to authorize({ token, ... }) in place of the card,
+//                                   so the card number itself is never stored.
+// Declines are returned, not thrown. Other failures throw Errors whose messages
+// start with a code (GATEWAY_TIMEOUT, GATEWAY_ERROR), like the database functions do.
+//
+// Real gateways (Stripe, PayPal, JazzCash, Easypaisa) register themselves with
+// registerGateway and are picked per payment type with setPaymentTypeGateway.
+// Their captures are reported to the database through supabase/functions/gateway-webhook,
+// and complete_payment only accepts a reference the webhook has recorded.
+//
+// The sandbox takes no real money, so it is only available in development and
+// testing: set window.PAYMENT_SANDBOX_ENABLED = true before this file loads,
+// and turn on sandbox_enabled in payment_gateway_settings.
+
+const SANDBOX_ENABLED = window.PAYMENT_SANDBOX_ENABLED === true;
+
+const PAYMENT_TYPE_GATEWAYS = SANDBOX_ENABLED
+    ? { card: 'sandbox', bank: 'sandbox', paypak: 'sandbox' }
+    : {};
+
+const gateways = {};
+
+// ============================================
+// REGISTRY
+// ============================================
+
+/**
+ * Register a gateway adapter under a name
+ */
+function registerGateway(name, adapter) {
+    ['authorize', 'capture', 'refund', 'getStatus'].forEach(method => {
+        if (typeof adapter[method] !== 'function') {
+            throw new Error(`Gateway ${name} is missing ${method}()`);
+        }
+    });
+
+    gateways[name] = adapter;
+}
+
+/**
+ * Get a registered gateway adapter by name
+ */
+function getGateway(name) {
+    const adapter = gateways[name];
+    if (!adapter) {
+        throw new Error(`GATEWAY_ERROR: no payment gateway named ${name}`);
+    }
+    return adapter;
+}
+
+/**
+ * Get the gateway name and adapter that handle a payment type ('card', 'bank', 'paypak')
+ */
+function getGatewayForPaymentType(paymentType) {
+    const name = PAYMENT_TYPE_GATEWAYS[paymentType];
+    if (!name) {
+        throw new Error(`GATEWAY_ERROR: no payment gateway is set up for ${paymentType} payments`);
+    }
+    return { name, adapter: getGateway(name) };
+}
+
+/**
+ * Payment types ('card', 'bank', 'paypak') that a registered gateway can take
+ */
+function getAvailablePaymentTypes() {
+    return Object.keys(PAYMENT_TYPE_GATEWAYS).filter(type => gateways[PAYMENT_TYPE_GATEWAYS[type]]);
+}
+
+/**
+ * Route a payment type to a different registered gateway
+ */
+function setPaymentTypeGateway(paymentType, name) {
+    getGateway(name);
+    PAYMENT_TYPE_GATEWAYS[paymentType] = name;
+}
+
+// ============================================
+// SANDBOX GATEWAY
+// ============================================
+
+// Card numbers with a fixed outcome in the sandbox; any other card is approved.
+// Bank transfers and PayPak are always approved.
+const SANDBOX_TEST_CARDS = {
+    '4242424242424242': 'approve',
+    '4000000000000002': 'decline',
+    '4000000000009995': 'insufficient_funds',
+    '4000000000000119': 'timeout',
+    '4000000000003220': 'challenge'
+};
+
+// The one-time code that passes a sandbox 3-D Secure challenge
+const SANDBOX_CHALLENGE_CODE = '123456';
+
+/**
+ * Create a local gateway that never contacts a real provider.
+ * Outcomes depend only on the card number, so every scenario can be repeated offline.
+ */
+function createSandboxGateway(options = {}) {
+    const latencyMs = options.latencyMs ?? 1000;
+    const records = new Map();
+    const referencesByTransaction = new Map();
+    const cardsByToken = new Map();
+    let counter = 0;
+
+    const wait = () => new Promise(resolve => setTimeout(resolve, latencyMs));
+    const nextReference = prefix => `sbx_${prefix}_${Date.now()}_${++counter}`;
+
+    async function authorize(request) {
+        await wait();
+
+        if (request.reference) {
+            const record = records.get(request.reference);
+            if (!record || record.status !== 'requires_action') {
+                throw new Error('GATEWAY_ERROR: no challenge is waiting for this payment');
+            }
+            if (request.challengeResponse !== SANDBOX_CHALLENGE_CODE) {
+                record.status = 'declined';
+                return { status: 'declined', reference: request.reference, reason: 'Verification failed' };
+            }
+            record.status = 'authorized';
+            return { status: 'authorized', reference: request.reference };
+        }
+
+        const cardNumber = (request.card?.number || cardsByToken.get(request.token) || '').replace(/\D/g, '');
+        const outcome = request.paymentType === 'card' ? (SANDBOX_TEST_CARDS[cardNumber] || 'approve') : 'approve';
+        const reference = nextReference('auth');
+        const record = { status: 'authorized', amount: request.amount, currency: request.currency, captured: 0, refunded: 0 };
+
+        if (outcome === 'timeout') {
+            // The sandbox never records a timed-out attempt, so a status lookup reports no charge
+            throw new Error('GATEWAY_TIMEOUT: the payment provider did not respond');
+        }
+
+        referencesByTransaction.set(request.transactionId, reference);
+
+        if (outcome === 'decline' || outcome === 'insufficient_funds') {
+            records.set(reference, { ...record, status: 'declined' });
+            return {
+                status: 'declined',
+                reference,
+                reason: outcome === 'decline' ? 'Your card was declined' : 'Insufficient funds'
+            };
+        }
+
+        if (outcome === 'challenge') {
+            records.set(reference, { ...record, status: 'requires_action' });
+            return {
+                status: 'requires_action',
+                reference,
+                challenge: { type: '3ds', message: `Enter the verification code sent by your bank (sandbox code: ${SANDBOX_CHALLENGE_CODE})` }
+            };
+        }
+
+        records.set(reference, record);
+        return { status: 'authorized', reference };
+    }
+
+    async function tokenize(request) {
+        await wait();
+
+        if (request.paymentType !== 'card') {
+            return { status: 'tokenized', token: nextReference('tok') };
+        }
+
+        const cardNumber = (request.card?.number || '').replace(/\D/g, '');
+        if (cardNumber.length < 12 || cardNumber.length > 19) {
+            return { status: 'declined', reason: 'Invalid card number' };
+        }
+        if (SANDBOX_TEST_CARDS[cardNumber] === 'decline') {
+            return { status: 'declined', reason: 'Your card was declined' };
+        }
+
+        // Tokens from an earlier page load are unknown here; the sandbox approves them
+        const token = nextReference('tok');
+        cardsByToken.set(token, cardNumber);
+        return { status: 'tokenized', token, lastFour: cardNumber.slice(-4) };
+    }
+
+    async function capture(reference, amount) {
+        await wait();
+
+        const record = records.get(reference);
+        if (!record || record.status !== 'authorized') {
+            throw new Error('GATEWAY_ERROR: payment is not authorized');
+        }
+        if (amount > record.amount) {
+            throw new Error('GATEWAY_ERROR: cannot capture more than was authorized');
+        }
+
+        record.status = 'captured';
+        record.captured = amount;
+        return { status: 'captured', reference };
+    }
+
+    async function refund(reference, amount) {
+        await wait();
+
+        const record = records.get(reference);
+        if (record && record.status !== 'captured' && record.status !== 'refunded') {
+            throw new Error('GATEWAY_ERROR: only captured payments can be refunded');
+        }
+        if (record && record.refunded + amount > record.captured) {
+            throw new Error('GATEWAY_ERROR: refund exceeds the captured amount');
+        }
+
+        // Captures from an earlier page load are unknown here; the sandbox accepts them
+        if (record) {
+            record.refunded += amount;
+            if (record.refunded >= record.captured) {
+                record.status = 'refunded';
+            }
+        }
+
+        return { status: 'refunded', reference: nextReference('refund'), amount };
+    }
+
+    async function getStatus(reference) {
+        await wait();
+
+        const gatewayReference = records.has(reference) ? reference : referencesByTransaction.get(reference);
+        const record = records.get(gatewayReference);
+        return { status: record ? record.status : 'not_found', reference: record ? gatewayReference : null };
+    }
+
+    return { authorize, capture, refund, getStatus, tokenize };
+}
+
+if (SANDBOX_ENABLED) {
+    registerGateway('sandbox', createSandboxGateway());
+}
+
+// Export everything
+window.PaymentGateways = {
+    SANDBOX_ENABLED,
+    PAYMENT_TYPE_GATEWAYS,
+    SANDBOX_TEST_CARDS,
+    SANDBOX_CHALLENGE_CODE,
+    registerGateway,
+    getGateway,
+    getGatewayForPaymentType,
+    getAvailablePaymentTypes,
+    setPaymentTypeGateway,
+    createSandboxGateway
+};
+
+console.log('✅ Payment gateways initialized');
@@ -2,32 +2,85 @@
 // PAYMENT SYSTEM
 // ============================================
 // File: js/payment.js
-// Requires: supabase-client.js
+// Requires: supabase-client.js, payment-gateways.js
 
-const { supabase } = window.SupabaseClient;
+// var, as in auth.js: supabase-client.js already declares this global
+var { supabase } = window.SupabaseClient;
 
 // ============================================
 // PAYMENT METHODS
 // ============================================
+// A saved method is a gateway token, never a card number or CVV: the card goes
+// from the browser straight to the gateway's tokenize(). Saving, removing and
+// switching the default go through database functions that check the method
+// belongs to the user and keep exactly one default.
+
+const PAYMENT_METHOD_FIELDS = 'id, user_id, payment_type, gateway, gateway_token, card_type, last_four_digits, expiry_month, expiry_year, is_default, is_expired';
+
+/**
+ * Read a card expiry given as "MM/YY" or "MM/YYYY". Returns { month, year } or null.
+ */
+function parseCardExpiry(expiry) {
+    const match = /^(0[1-9]|1[0-2])\/(\d{2}|\d{4})$/.exec((expiry || '').trim());
+    if (!match) return null;
+
+    const year = Number(match[2]);
+    return { month: Number(match[1]), year: year < 100 ? 2000 + year : year };
+}
+
+/**
+ * Check whether a card has expired. A card works until the end of its expiry month.
+ */
+function isCardExpired(expiryMonth, expiryYear, today = new Date()) {
+    return new Date(expiryYear, expiryMonth, 1) <= today;
+}
 
 /**
- * Add payment method for user
+ * Save a payment method for the signed-in user after the gateway tokenizes it.
+ * paymentData: { type: 'card' | 'bank' | 'paypak', card: { number, name, expiry: 'MM/YY', cvv }, isDefault }
  */
 async function addPaymentMethod(userId, paymentData) {
     try {
+        const card = paymentData.type === 'card' ? paymentData.card || {} : null;
+        let expiry = null;
+
+        if (card) {
+            if (!validateCardNumber(card.number || '')) {
+                throw new Error('Invalid card number');
+            }
+
+            expiry = parseCardExpiry(card.expiry);
+            if (!expiry) {
+                throw new Error('Invalid expiry date');
+            }
+
+            if (isCardExpired(expiry.month, expiry.year)) {
+                throw new Error('CARD_EXPIRED: this card has expired');
+            }
+        }
+
+        const gateway = window.PaymentGateways.getGatewayForPaymentType(paymentData.type);
+        if (typeof gateway.adapter.tokenize !== 'function') {
+            throw new Error(`GATEWAY_ERROR: ${gateway.name} cannot save payment methods`);
+        }
+
+        const tokenized = await gateway.adapter.tokenize({ paymentType: paymentData.type, card });
+        if (tokenized.status !== 'tokenized') {
+            throw new Error(`GATEWAY_DECLINED: ${tokenized.reason || 'the payment method could not be saved'}`);
+        }
+
         const { data, error } = await supabase
-            .from('payment_methods')
-            .insert({
-                user_id: userId,
-                payment_type: paymentData.type, // 'card', 'paypal', 'bank'
-                card_type: paymentData.cardType,
-                last_four_digits: paymentData.lastFour,
-                expiry_month: paymentData.expiryMonth,
-                expiry_year: paymentData.expiryYear,
-                is_default: paymentData.isDefault || false
-            })
-            .select()
-            .single();
+            .rpc('add_payment_method', {
+                p_user_id: userId,
+                p_payment_type: paymentData.type,
+                p_gateway: gateway.name,
+                p_gateway_token: tokenized.token,
+                p_card_type: card ? getCardType(card.number) : null,
+                p_last_four: card ? tokenized.lastFour || card.number.replace(/\D/g, '').slice(-4) : null,
+                p_expiry_month: expiry ? expiry.month : null,
+                p_expiry_year: expiry ? expiry.year : null,
+                p_make_default: paymentData.isDefault || false
+            });
 
         if (error) throw error;
 
@@ -35,24 +88,31 @@ async function addPaymentMethod(userId, paymentData) {
 
     } catch (error) {
         console.error('Error adding payment method:', error);
-        return { success: false, error: error.message };
+        return { success: false, error: getPaymentErrorMessage(error) };
     }
 }
 
 /**
- * Get user payment methods
+ * Get user payment methods, default first. Cards that expired since the
+ * daily check are flagged too.
  */
 async function getUserPaymentMethods(userId) {
     try {
         const { data, error } = await supabase
             .from('payment_methods')
-            .select('*')
+            .select(PAYMENT_METHOD_FIELDS)
             .eq('user_id', userId)
             .order('is_default', { ascending: false });
 
         if (error) throw error;
 
-        return { success: true, data: data || [] };
+        const methods = (data || []).map(method => ({
+            ...method,
+            is_expired: method.is_expired
+                || (method.payment_type === 'card' && !!method.expiry_month && isCardExpired(method.expiry_month, method.expiry_year))
+        }));
+
+        return { success: true, data: methods };
 
     } catch (error) {
         console.error('Error fetching payment methods:', error);
@@ -61,14 +121,39 @@ async function getUserPaymentMethods(userId) {
 }
 
 /**
- * Delete payment method
+ * Get a saved method to pay with, refusing expired cards and methods saved
+ * before tokenization
+ */
+async function getUsablePaymentMethod(paymentMethodId) {
+    const { data: method, error } = await supabase
+        .from('payment_methods')
+        .select(PAYMENT_METHOD_FIELDS)
+        .eq('id', paymentMethodId)
+        .single();
+
+    if (error) throw error;
+
+    if (!method.gateway_token) {
+        throw new Error('INVALID_ACTION: this payment method was saved before cards were tokenized; please add it again');
+    }
+
+    if (method.is_expired || (method.payment_type === 'card' && isCardExpired(method.expiry_month, method.expiry_year))) {
+        throw new Error('CARD_EXPIRED: this card has expired');
+    }
+
+    return method;
+}
+
+/**
+ * Delete payment method. If it was the default, another usable method takes over.
  */
-async function deletePaymentMethod(paymentMethodId) {
+async function deletePaymentMethod(userId, paymentMethodId) {
     try {
         const { error } = await supabase
-            .from('payment_methods')
-            .delete()
-            .eq('id', paymentMethodId);
+            .rpc('delete_payment_method', {
+                p_user_id: userId,
+                p_payment_method_id: paymentMethodId
+            });
 
         if (error) throw error;
 
@@ -76,34 +161,28 @@ async function deletePaymentMethod(paymentMethodId) {
 
     } catch (error) {
         console.error('Error deleting payment method:', error);
-        return { success: false, error: error.message };
+        return { success: false, error: getPaymentErrorMessage(error) };
     }
 }
 
 /**
- * Set default payment method
+ * Set default payment method. The old default is unset in the same transaction.
  */
 async function setDefaultPaymentMethod(userId, paymentMethodId) {
     try {
-        // First, unset all as default
-        await supabase
-            .from('payment_methods')
-            .update({ is_default: false })
-            .eq('user_id', userId);
-
-        // Then set the selected one as default
-        const { error } = await supabase
-            .from('payment_methods')
-            .update({ is_default: true })
-            .eq('id', paymentMethodId);
+        const { data, error } = await supabase
+            .rpc('set_default_payment_method', {
+                p_user_id: userId,
+                p_payment_method_id: paymentMethodId
+            });
 
         if (error) throw error;
 
-        return { success: true };
+        return { success: true, data };
 
     } catch (error) {
         console.error('Error setting default payment method:', error);
-        return { success: false, error: error.message };
+        return { success: false, error: getPaymentErrorMessage(error) };
     }
 }
 
@@ -111,60 +190,357 @@ async function setDefaultPaymentMethod(userId, paymentMethodId) {
 // PAYMENT PROCESSING
 // ============================================
 
+const PAYMENT_STATUS = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    PARTIALLY_REFUNDED: 'partially_refunded',
+    REFUNDED: 'refunded'
+};
+
+// from status -> statuses it may move to (enforced by a database trigger)
+const PAYMENT_TRANSITIONS = {
+    pending: ['completed', 'failed'],
+    completed: ['partially_refunded', 'refunded'],
+    partially_refunded: ['partially_refunded', 'refunded'],
+    failed: [],
+    refunded: []
+};
+
+/**
+ * Translate payment errors raised by the database into user-facing messages
+ */
+function getPaymentErrorMessage(error) {
+    const message = error?.message || '';
+
+    if (message.includes('HOLD_EXPIRED')) {
+        return 'Your reservation expired before payment was completed. Please book the slot again.';
+    }
+    if (message.includes('ALREADY_PAID')) {
+        if (message.includes('donation')) {
+            return 'This month\'s donation has already been made.';
+        }
+        return message.includes('installment')
+            ? 'This installment has already been paid.'
+            : 'This appointment has already been paid for.';
+    }
+    if (message.includes('GATEWAY_TIMEOUT')) {
+        return 'The payment provider did not respond. You have not been charged; please try again.';
+    }
+    if (['CARD_EXPIRED', 'GATEWAY_DECLINED', 'GATEWAY_ERROR', 'GATEWAY_UNVERIFIED', 'INVALID_AMOUNT', 'INVALID_PROMO', 'NOT_AUTHORIZED', 'NOT_FOUND', 'INVALID_STATUS', 'INVALID_ACTION', 'INVALID_TRANSITION'].some(code => message.includes(code))) {
+        return message.split(': ').slice(1).join(': ') || message;
+    }
+
+    return message || 'Payment failed';
+}
+
+/**
+ * Authorize a payment with its gateway, answering a 3-D Secure-style challenge
+ * through paymentData.onChallenge(challenge) if the gateway asks for one
+ */
+async function authorizeWithGateway(adapter, payment, paymentData) {
+    let result;
+
+    try {
+        result = await adapter.authorize({
+            paymentType: paymentData.paymentMethod,
+            amount: paymentData.amount,
+            currency: payment.currency,
+            transactionId: payment.transaction_id,
+            card: paymentData.card,
+            token: paymentData.token
+        });
+    } catch (error) {
+        if (!(error.message || '').startsWith('GATEWAY_TIMEOUT')) throw error;
+
+        // The provider may have authorized the payment before the connection dropped
+        const lookup = await adapter.getStatus(payment.transaction_id);
+        if (lookup.status !== 'authorized') throw error;
+        result = lookup;
+    }
+
+    if (result.status === 'requires_action') {
+        const response = paymentData.onChallenge ? await paymentData.onChallenge(result.challenge) : null;
+        if (!response) {
+            throw new Error('GATEWAY_DECLINED: verification was cancelled');
+        }
+        result = await adapter.authorize({ reference: result.reference, challengeResponse: response });
+    }
+
+    if (result.status !== 'authorized') {
+        throw new Error(`GATEWAY_DECLINED: ${result.reason || 'the payment was declined'}`);
+    }
+
+    return result;
+}
+
+// How long to wait for the gateway's webhook to report a capture or refund (see supabase/functions/gateway-webhook)
+const GATEWAY_VERIFICATION_ATTEMPTS = 6;
+const GATEWAY_VERIFICATION_DELAY_MS = 2000;
+
+/**
+ * Call a completion function (complete_payment, complete_donation, finish_payment_refund)
+ * that checks the gateway's report with the database, waiting while the webhook has not sent it yet
+ */
+async function completeWhenGatewayVerified(functionName, params) {
+    for (let attempt = 1; ; attempt++) {
+        const result = await supabase.rpc(functionName, params);
+        const waiting = (result.error?.message || '').includes('has not reported a matching');
+
+        if (!waiting || attempt >= GATEWAY_VERIFICATION_ATTEMPTS) {
+            return result;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, GATEWAY_VERIFICATION_DELAY_MS));
+    }
+}
+
+// Payments started on this page, by idempotency key, so a double click waits for the first attempt
+const paymentsInFlight = new Map();
+
+/**
+ * Get the idempotency key for paying an appointment or installment. It is kept
+ * for the browser session, so a refresh or retry reuses it until an attempt fails.
+ */
+function getIdempotencyKey(appointmentId) {
+    const storageKey = `payment_idempotency_${appointmentId}`;
+    let key = sessionStorage.getItem(storageKey);
+
+    if (!key) {
+        key = `${appointmentId}:${Date.now().toString(36)}${Math.random().toString(36).substring(2, 9)}`;
+        sessionStorage.setItem(storageKey, key);
+    }
+
+    return key;
+}
+
 /**
- * Process payment (simulation - integrate with real payment gateway)
+ * Forget an appointment's (or installment's) idempotency key so the next attempt is a new payment
+ */
+function clearIdempotencyKey(appointmentId) {
+    sessionStorage.removeItem(`payment_idempotency_${appointmentId}`);
+}
+
+/**
+ * Process payment through the gateway for its payment type (see payment-gateways.js).
+ * Records the attempt in the payments ledger, then completes it and confirms
+ * the appointment together; a failed attempt stays on record as 'failed'.
+ * Submitting again with the same idempotency key returns the original result.
+ * A payment brought to 0 by a promo code is recorded without going to a gateway.
+ * Pass installmentId instead of appointmentId to pay an installment of a payment plan,
+ * and paymentMethodId instead of paymentMethod and card to pay with a saved method.
+ * paymentData: { appointmentId, installmentId, amount, consultationFee, serviceFee, discount, promoCode, currency,
+ *                paymentMethod, card, paymentMethodId, onChallenge, idempotencyKey }
  */
 async function processPayment(paymentData) {
+    const payingFor = paymentData.installmentId || paymentData.appointmentId;
+    const idempotencyKey = paymentData.idempotencyKey
+        || (payingFor ? getIdempotencyKey(payingFor) : null);
+
+    if (paymentsInFlight.has(idempotencyKey)) {
+        return paymentsInFlight.get(idempotencyKey);
+    }
+
+    const attempt = submitPayment(paymentData, idempotencyKey)
+        .finally(() => paymentsInFlight.delete(idempotencyKey));
+
+    paymentsInFlight.set(idempotencyKey, attempt);
+    return attempt;
+}
+
+/**
+ * Build the result for a payment that has already completed, with the
+ * appointment it confirmed or the installment it paid
+ */
+async function getCompletedPaymentResult(payment) {
+    const { data, error } = payment.installment_id
+        ? await supabase.from('payment_plan_installments').select('*').eq('id', payment.installment_id).single()
+        : await supabase.from('appointments').select('*').eq('id', payment.appointment_id).single();
+
+    if (error) throw error;
+
+    return {
+        success: true,
+        replayed: true,
+        transactionId: payment.transaction_id,
+        paymentRecord: payment,
+        ...(payment.installment_id ? { installment: data } : { appointment: data })
+    };
+}
+
+async function submitPayment(paymentData, idempotencyKey) {
+    let payment = null;
+    let gateway = null;
+    let capture = null;
+    const payingFor = paymentData.installmentId || paymentData.appointmentId;
+
     try {
-        // In a real application, this would integrate with:
-        // - Stripe
-        // - PayPal
-        // - Local payment gateway (JazzCash, Easypaisa for Pakistan)
-        
         // Validate payment data
-        if (!paymentData.amount || paymentData.amount <= 0) {
+        const discount = paymentData.discount || 0;
+
+        if (typeof paymentData.amount !== 'number' || paymentData.amount < 0 || (paymentData.amount === 0 && !discount)) {
             throw new Error('Invalid payment amount');
         }
 
-        if (!paymentData.appointmentId) {
+        if (!payingFor) {
             throw new Error('Appointment ID required');
         }
 
-        // Simulate payment processing delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        const consultationFee = paymentData.consultationFee ?? paymentData.amount;
+        const serviceFee = paymentData.serviceFee ?? 0;
 
-        // Create payment record
-        const paymentRecord = {
-            appointment_id: paymentData.appointmentId,
-            amount: paymentData.amount,
-            currency: paymentData.currency || 'PKR',
-            payment_method: paymentData.paymentMethod,
-            status: 'completed',
-            transaction_id: generateTransactionId(),
-            payment_date: new Date().toISOString()
-        };
+        // Compare in paisa/cents so fractional fees do not trip over float rounding
+        const toMinorUnits = amount => Math.round(Number(amount) * 100);
+        if (toMinorUnits(consultationFee) + toMinorUnits(serviceFee) - toMinorUnits(discount) !== toMinorUnits(paymentData.amount)) {
+            throw new Error('Payment amount does not match the fee breakdown');
+        }
+
+        let savedMethod = null;
+        if (paymentData.paymentMethodId) {
+            savedMethod = await getUsablePaymentMethod(paymentData.paymentMethodId);
+            paymentData = { ...paymentData, paymentMethod: savedMethod.payment_type, card: null, token: savedMethod.gateway_token };
+        }
+
+        if (paymentData.amount > 0) {
+            gateway = savedMethod
+                ? { name: savedMethod.gateway, adapter: window.PaymentGateways.getGateway(savedMethod.gateway) }
+                : window.PaymentGateways.getGatewayForPaymentType(paymentData.paymentMethod);
+        }
+
+        const transactionId = generateTransactionId();
+
+        const { data: recorded, error: recordError } = paymentData.installmentId
+            ? await supabase
+                .rpc('record_installment_payment', {
+                    p_installment_id: paymentData.installmentId,
+                    p_amount: paymentData.amount,
+                    p_currency: paymentData.currency || 'PKR',
+                    p_payment_method: paymentData.paymentMethod,
+                    p_transaction_id: transactionId,
+                    p_gateway: gateway.name,
+                    p_idempotency_key: idempotencyKey
+                })
+            : await supabase
+                .rpc('record_payment', {
+                    p_appointment_id: paymentData.appointmentId,
+                    p_consultation_fee: consultationFee,
+                    p_service_fee: serviceFee,
+                    p_currency: paymentData.currency || 'PKR',
+                    p_payment_method: paymentData.paymentMethod,
+                    p_transaction_id: transactionId,
+                    p_gateway: gateway ? gateway.name : 'none',
+                    p_idempotency_key: idempotencyKey,
+                    p_promo_code: paymentData.promoCode || null,
+                    p_discount_amount: discount
+                });
+
+        if (recordError) throw recordError;
+        payment = recorded;
+
+        // The key was used before: report that attempt instead of charging again
+        const isRetry = payment.transaction_id !== transactionId;
+
+        if (isRetry && payment.status === PAYMENT_STATUS.COMPLETED) {
+            return await getCompletedPaymentResult(payment);
+        }
+
+        if (isRetry && payment.status !== PAYMENT_STATUS.PENDING) {
+            clearIdempotencyKey(payingFor);
+            return { success: false, replayed: true, error: payment.failure_reason || 'Payment failed', paymentRecord: payment };
+        }
+
+        if (Number(payment.amount) === 0) {
+            // Fully covered by the promo code: nothing to charge
+        } else if (isRetry) {
+            // The earlier attempt was interrupted (e.g. the page was refreshed): ask the gateway how far it got
+            gateway = { name: payment.gateway, adapter: window.PaymentGateways.getGateway(payment.gateway) };
+            const lookup = await gateway.adapter.getStatus(payment.transaction_id);
 
-        // In real app, you'd save this to a payments table
-        // For now, we'll update the appointment with payment info
-        const { error: updateError } = await supabase
-            .from('appointments')
-            .update({ 
-                status: 'confirmed',
-                // Add payment_status field if you want to track it
-            })
-            .eq('id', paymentData.appointmentId);
+            if (lookup.status === 'captured') {
+                capture = lookup;
+            } else if (lookup.status === 'authorized') {
+                capture = await gateway.adapter.capture(lookup.reference, Number(payment.amount));
+            } else {
+                throw new Error('GATEWAY_ERROR: the earlier payment attempt did not go through. Please try again.');
+            }
+        } else {
+            const authorization = await authorizeWithGateway(gateway.adapter, payment, paymentData);
+            capture = await gateway.adapter.capture(authorization.reference, paymentData.amount);
+        }
 
-        if (updateError) throw updateError;
+        // Fails (and leaves the payment pending) if the slot hold has expired.
+        // An installment is marked paid instead of confirming an appointment.
+        const { data: completed, error: completeError } = await completeWhenGatewayVerified('complete_payment', {
+            p_payment_id: payment.id,
+            p_gateway_reference: capture ? capture.reference : null
+        });
+
+        if (completeError) throw completeError;
 
         return { 
             success: true, 
-            transactionId: paymentRecord.transaction_id,
-            paymentRecord 
+            transactionId: completed.payment.transaction_id,
+            paymentRecord: completed.payment,
+            appointment: completed.appointment,
+            installment: completed.installment
         };
 
     } catch (error) {
         console.error('Payment processing error:', error);
-        return { success: false, error: error.message };
+        const message = getPaymentErrorMessage(error);
+
+        // The error may have come after complete_payment went through (e.g. the
+        // response was lost), so check before giving any money back
+        if (payment?.status === PAYMENT_STATUS.PENDING) {
+            const { data: latest, error: latestError } = await supabase
+                .from('payments')
+                .select('*')
+                .eq('id', payment.id)
+                .single();
+
+            if (latestError) {
+                // Unknown outcome: keep the charge and the key, so a retry asks the gateway again
+                console.error('Error re-reading payment:', latestError);
+                return { success: false, error: message, paymentRecord: payment };
+            } else if (latest.status === PAYMENT_STATUS.COMPLETED) {
+                try {
+                    return await getCompletedPaymentResult(latest);
+                } catch (loadError) {
+                    console.error('Error loading completed payment:', loadError);
+                    return { success: true, replayed: true, transactionId: latest.transaction_id, paymentRecord: latest };
+                }
+            } else {
+                payment = latest;
+            }
+        }
+
+        // Charged but the appointment could not be confirmed: give the money back
+        if (capture) {
+            try {
+                await gateway.adapter.refund(capture.reference, Number(payment.amount));
+            } catch (refundError) {
+                console.error('Error returning captured payment:', refundError);
+            }
+        }
+
+        if (payment?.status === PAYMENT_STATUS.PENDING) {
+            await supabase.rpc('set_payment_status', {
+                p_payment_id: payment.id,
+                p_status: PAYMENT_STATUS.FAILED,
+                p_reason: message
+            });
+        }
+
+        if (payingFor) {
+            clearIdempotencyKey(payingFor);
+        }
+
+        return {
+            success: false,
+            error: message,
+            holdExpired: (error?.message || '').includes('HOLD_EXPIRED'),
+            paymentRecord: payment
+        };
     }
 }
 
@@ -178,89 +554,774 @@ function generateTransactionId() {
 }
 
 /**
- * Calculate consultation fee with service fee
+ * Calculate consultation fee with service fee, less any promo code discount
+ * (promo as returned by validatePromoCode). The service fee rate mirrors
+ * platform_service_fee_rate() in the database, which rejects any other breakdown.
  */
-function calculateTotalFee(consultationFee, serviceFeePercentage = 0.15) {
-    const serviceFee = consultationFee * serviceFeePercentage;
-    const total = consultationFee + serviceFee;
+function calculateTotalFee(consultationFee, serviceFeePercentage = 0.15, promo = null) {
+    const serviceFee = Math.round(consultationFee * serviceFeePercentage);
+    const subtotal = consultationFee + serviceFee;
+    const discount = promo ? calculatePromoDiscount(promo, subtotal) : 0;
     
+    // Built from the rounded service fee so the split always adds up to the total charged
     return {
         consultationFee,
-        serviceFee: Math.round(serviceFee),
-        total: Math.round(total)
+        serviceFee,
+        subtotal,
+        discount,
+        promoCode: promo ? promo.code : null,
+        total: subtotal - discount
     };
 }
 
+// ============================================
+// PROMO CODES
+// ============================================
+
+/**
+ * Discount a promo code gives on a subtotal. Mirrors promo_code_discount() in the database.
+ */
+function calculatePromoDiscount(promo, subtotal) {
+    switch (promo.discountType) {
+        case 'free':
+            return subtotal;
+        case 'percent':
+            return Math.min(Math.round(subtotal * promo.discountValue / 100), subtotal);
+        case 'fixed':
+            return Math.min(Number(promo.discountValue), subtotal);
+        default:
+            return 0;
+    }
+}
+
 /**
- * Generate payment receipt data
+ * Check a promo code for an appointment at checkout.
+ * Returns { code, description, discountType, discountValue, currency }.
  */
-function generateReceipt(paymentData, appointmentData, lawyerData) {
-    return {
-        receiptNumber: paymentData.transactionId,
-        date: new Date().toLocaleDateString(),
-        time: new Date().toLocaleTimeString(),
-        clientName: appointmentData.clientName,
-        lawyerName: lawyerData.name,
-        serviceType: appointmentData.title,
-        consultationFee: paymentData.consultationFee,
-        serviceFee: paymentData.serviceFee,
-        totalAmount: paymentData.amount,
-        currency: paymentData.currency,
-        paymentMethod: paymentData.paymentMethod,
-        status: 'Paid'
-    };
+async function validatePromoCode(code, appointmentId) {
+    try {
+        if (!code || !code.trim()) {
+            throw new Error('Please enter a promo code');
+        }
+
+        const { data, error } = await supabase
+            .rpc('validate_promo_code', {
+                p_code: code.trim(),
+                p_appointment_id: appointmentId
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error validating promo code:', error);
+        return { success: false, error: getPaymentErrorMessage(error) };
+    }
+}
+
+/**
+ * Create a promo code (admin only).
+ * promo: { code, description, partnerName, discountType: 'percent' | 'fixed' | 'free', discountValue,
+ *          validFrom, validUntil, maxUses, maxUsesPerUser, newClientsOnly, eligibleLawyerIds, eligiblePracticeAreaIds }
+ */
+async function createPromoCode(promo) {
+    try {
+        const user = await window.SupabaseClient.getCurrentUser();
+
+        const { data, error } = await supabase
+            .from('promo_codes')
+            .insert([{
+                code: promo.code.trim().toUpperCase(),
+                description: promo.description || null,
+                partner_name: promo.partnerName || null,
+                discount_type: promo.discountType,
+                discount_value: promo.discountType === 'free' ? 0 : promo.discountValue,
+                currency: promo.currency || 'PKR',
+                valid_from: promo.validFrom || null,
+                valid_until: promo.validUntil || null,
+                max_uses: promo.maxUses || null,
+                max_uses_per_user: promo.maxUsesPerUser === undefined ? 1 : promo.maxUsesPerUser,
+                new_clients_only: promo.newClientsOnly || false,
+                eligible_lawyer_ids: promo.eligibleLawyerIds?.length ? promo.eligibleLawyerIds : null,
+                eligible_practice_area_ids: promo.eligiblePracticeAreaIds?.length ? promo.eligiblePracticeAreaIds : null,
+                created_by: user?.id
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error creating promo code:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * List promo codes with their redemptions (admin only)
+ */
+async function listPromoCodes() {
+    try {
+        const { data, error } = await supabase
+            .from('promo_codes')
+            .select('*, promo_redemptions(id, client_id, appointment_id, payment_id, discount_amount, status, created_at)')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching promo codes:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Switch a promo code on or off (admin only)
+ */
+async function setPromoCodeActive(promoCodeId, active) {
+    try {
+        const { data, error } = await supabase
+            .from('promo_codes')
+            .update({ active })
+            .eq('id', promoCodeId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error updating promo code:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================
+// PAYMENT RECORDS
+// ============================================
+
+const PAYMENT_RECORD_FIELDS = `
+    *,
+    client:users!payments_client_id_fkey(first_name, last_name, email),
+    lawyers(users(first_name, last_name)),
+    appointments(title, appointment_date, appointment_time, meeting_type),
+    payment_plan_installments(label, payment_plans(title)),
+    payment_refunds(*)
+`;
+
+/**
+ * Get a stored payment with the names needed for its receipt
+ */
+async function getPayment(paymentId) {
+    try {
+        const { data, error } = await supabase
+            .from('payments')
+            .select(PAYMENT_RECORD_FIELDS)
+            .eq('id', paymentId)
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error fetching payment:', error);
+        return { success: false, error: error.message };
+    }
 }
 
 /**
- * Download receipt as text (basic implementation)
+ * Look up a stored payment by its transaction ID
  */
-function downloadReceipt(receiptData) {
-    const receiptText = `
-=====================================
-       BRIEF-CASE RECEIPT
-=====================================
+async function getPaymentByTransactionId(transactionId) {
+    try {
+        const { data, error } = await supabase
+            .from('payments')
+            .select(PAYMENT_RECORD_FIELDS)
+            .eq('transaction_id', transactionId)
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data };
 
-Receipt No: ${receiptData.receiptNumber}
-Date: ${receiptData.date}
-Time: ${receiptData.time}
+    } catch (error) {
+        console.error('Error fetching payment:', error);
+        return { success: false, error: error.message };
+    }
+}
 
--------------------------------------
-CLIENT INFORMATION
--------------------------------------
-Name: ${receiptData.clientName}
+/**
+ * List payments, newest first, filtered by one column
+ */
+async function listPayments(column, value, status = null) {
+    try {
+        let query = supabase
+            .from('payments')
+            .select(PAYMENT_RECORD_FIELDS)
+            .eq(column, value)
+            .order('created_at', { ascending: false });
 
--------------------------------------
-SERVICE DETAILS
--------------------------------------
-Lawyer: ${receiptData.lawyerName}
-Service: ${receiptData.serviceType}
+        if (status) {
+            query = query.eq('status', status);
+        }
 
--------------------------------------
-PAYMENT BREAKDOWN
--------------------------------------
-Consultation Fee:  ${receiptData.currency} ${receiptData.consultationFee.toLocaleString()}
-Service Fee:       ${receiptData.currency} ${receiptData.serviceFee.toLocaleString()}
-                  ─────────────────
-Total Amount:      ${receiptData.currency} ${receiptData.totalAmount.toLocaleString()}
+        const { data, error } = await query;
 
-Payment Method: ${receiptData.paymentMethod}
-Status: ${receiptData.status}
+        if (error) throw error;
 
-=====================================
-Thank you for using Brief-Case!
-Your case, our counsel.
-=====================================
-    `;
+        return { success: true, data: data || [] };
 
-    const blob = new Blob([receiptText], { type: 'text/plain' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `receipt_${receiptData.receiptNumber}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    window.URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error fetching payments:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Get every payment attempt for an appointment
+ */
+async function getAppointmentPayments(appointmentId) {
+    return listPayments('appointment_id', appointmentId);
+}
+
+/**
+ * Get a client's payments (optionally only one status)
+ */
+async function getClientPayments(clientId, status = null) {
+    return listPayments('client_id', clientId, status);
+}
+
+/**
+ * Get payments received by a lawyer (optionally only one status)
+ */
+async function getLawyerPayments(lawyerId, status = null) {
+    return listPayments('lawyer_id', lawyerId, status);
+}
+
+/**
+ * Check whether a payment may move from one status to another
+ */
+function canTransitionPayment(fromStatus, toStatus) {
+    return (PAYMENT_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// ============================================
+// REFUNDS
+// ============================================
+
+/**
+ * Refund all or part of a completed payment (lawyer or admin); leave amount
+ * out to refund whatever has not been refunded yet. The refund is reserved in
+ * the database first, then returned through the payment's gateway.
+ */
+async function refundPayment(paymentId, amount, reason) {
+    let refund = null;
+    let gatewayRefund = null;
+
+    try {
+        if (!reason || !reason.trim()) {
+            throw new Error('Please give a reason for the refund');
+        }
+
+        const { data: payment, error: paymentError } = await supabase
+            .from('payments')
+            .select('id, amount, refunded_amount, gateway, gateway_reference')
+            .eq('id', paymentId)
+            .single();
+
+        if (paymentError) throw paymentError;
+
+        const { data: started, error: startError } = await supabase
+            .rpc('start_payment_refund', {
+                p_payment_id: paymentId,
+                p_amount: amount ?? Number(payment.amount) - Number(payment.refunded_amount),
+                p_reason: reason
+            });
+
+        if (startError) throw startError;
+        refund = started;
+
+        gatewayRefund = await window.PaymentGateways.getGateway(payment.gateway)
+            .refund(payment.gateway_reference, Number(refund.amount));
+
+        const { data, error } = await completeWhenGatewayVerified('finish_payment_refund', {
+            p_refund_id: refund.id,
+            p_succeeded: true,
+            p_gateway_reference: gatewayRefund.reference
+        });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error refunding payment:', error);
+        const message = getPaymentErrorMessage(error);
+
+        // Only release the reservation if the gateway did not return the money
+        if (refund && !gatewayRefund) {
+            await supabase.rpc('finish_payment_refund', {
+                p_refund_id: refund.id,
+                p_succeeded: false,
+                p_failure_reason: message
+            });
+        }
+
+        return { success: false, error: message };
+    }
+}
+
+/**
+ * List refunds, newest first, filtered by one column
+ */
+async function listRefunds(column, value) {
+    try {
+        const { data, error } = await supabase
+            .from('payment_refunds')
+            .select(`*, payments(${PAYMENT_RECORD_FIELDS})`)
+            .eq(column, value)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching refunds:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Get the refunds issued against a payment
+ */
+async function getPaymentRefunds(paymentId) {
+    return listRefunds('payment_id', paymentId);
+}
+
+/**
+ * Get refunds paid back to a client
+ */
+async function getClientRefunds(clientId) {
+    return listRefunds('client_id', clientId);
+}
+
+/**
+ * Get refunds issued on a lawyer's payments
+ */
+async function getLawyerRefunds(lawyerId) {
+    return listRefunds('lawyer_id', lawyerId);
+}
+
+/**
+ * Get refunds still waiting to be returned through the gateway (admin review)
+ */
+async function getQueuedRefunds() {
+    return listRefunds('status', 'pending');
+}
+
+/**
+ * Amount of a payment that can still be refunded
+ */
+function getRefundableAmount(payment) {
+    if (![PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(payment.status)) {
+        return 0;
+    }
+    return Number(payment.amount) - Number(payment.refunded_amount || 0);
+}
+
+// ============================================
+// ESCROW
+// ============================================
+// Appointment payments are held until the meeting is completed and the
+// dispute window has passed; cancellations queue refunds automatically.
+
+const ESCROW_STATUS_LABELS = {
+    held: 'Held in escrow',
+    released: 'Released to lawyer',
+    refunded: 'Refunded to client',
+    disputed: 'Disputed'
+};
+
+/**
+ * Get the display label for a payment's escrow status
+ */
+function getEscrowLabel(payment) {
+    return ESCROW_STATUS_LABELS[payment.escrow_status] || '';
+}
+
+/**
+ * Check whether the client can still dispute a payment
+ */
+function canDisputePayment(payment) {
+    return payment.escrow_status === 'held'
+        && !!payment.escrow_release_at
+        && new Date(payment.escrow_release_at) > new Date();
+}
+
+/**
+ * Get payments held while a dispute waits for an admin (admin only)
+ */
+async function getDisputedPayments() {
+    return listPayments('escrow_status', 'disputed');
+}
+
+/**
+ * Dispute a charge after the meeting (client only, within the dispute window)
+ */
+async function disputePayment(paymentId, reason) {
+    try {
+        const { data, error } = await supabase
+            .rpc('dispute_payment', {
+                p_payment_id: paymentId,
+                p_reason: reason
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error disputing payment:', error);
+        return { success: false, error: getPaymentErrorMessage(error) };
+    }
+}
+
+/**
+ * Settle a disputed payment (admin only): refund refundAmount and release the rest
+ */
+async function resolvePaymentDispute(paymentId, refundAmount, note = null) {
+    try {
+        const { data, error } = await supabase
+            .rpc('resolve_payment_dispute', {
+                p_payment_id: paymentId,
+                p_refund_amount: refundAmount,
+                p_note: note
+            });
+
+        if (error) throw error;
+
+        await settlePendingRefunds(data.appointment_id);
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error resolving dispute:', error);
+        return { success: false, error: getPaymentErrorMessage(error) };
+    }
+}
+
+/**
+ * Return the money for refunds queued by the database (cancellations,
+ * declined requests, resolved disputes) through each payment's gateway.
+ * System refunds are carried out by an admin when they open their profile
+ * page, other refunds by whoever started them.
+ * A refund the gateway rejects stays queued and is retried next time.
+ */
+async function settlePendingRefunds(appointmentId = null) {
+    try {
+        const { user, role } = await window.Authorization.getAuthContext();
+        const isAdmin = role === window.Authorization.ROLES.ADMIN;
+
+        let query = supabase
+            .from('payment_refunds')
+            .select('*, payments(gateway, gateway_reference)')
+            .eq('status', 'pending');
+
+        if (appointmentId) {
+            query = query.eq('appointment_id', appointmentId);
+        }
+
+        const { data: refunds, error } = await query;
+
+        if (error) throw error;
+
+        const settled = [];
+
+        for (const refund of refunds || []) {
+            if (refund.refunded_by ? refund.refunded_by !== user?.id : !isAdmin) continue;
+
+            try {
+                const gatewayRefund = await window.PaymentGateways.getGateway(refund.payments.gateway)
+                    .refund(refund.payments.gateway_reference, Number(refund.amount));
+
+                const { data, error: finishError } = await completeWhenGatewayVerified('finish_payment_refund', {
+                    p_refund_id: refund.id,
+                    p_succeeded: true,
+                    p_gateway_reference: gatewayRefund.reference
+                });
+
+                if (finishError) throw finishError;
+                settled.push(data);
+
+            } catch (refundError) {
+                console.error('Error settling refund:', refundError);
+            }
+        }
+
+        return { success: true, data: settled };
+
+    } catch (error) {
+        console.error('Error settling refunds:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+// ============================================
+// PAYMENT PLANS
+// ============================================
+// A lawyer can bill a matter as a retainer plus installments. Each installment
+// is paid on its own through processPayment({ installmentId, ... }); a daily
+// job in the database marks missed ones overdue and leaves the client reminders.
+
+const INSTALLMENT_STATUS_LABELS = {
+    upcoming: 'Upcoming',
+    overdue: 'Overdue',
+    paid: 'Paid',
+    cancelled: 'Cancelled'
+};
+
+const PAYMENT_PLAN_FIELDS = `
+    *,
+    client:users!payment_plans_client_id_fkey(first_name, last_name, email),
+    lawyers(users(first_name, last_name)),
+    payment_plan_installments(*)
+`;
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ */
+function toDueDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Get an installment's status, counting it overdue as soon as its due date
+ * has passed even if the daily job has not run yet
+ */
+function getInstallmentStatus(installment, today = new Date()) {
+    if (installment.status === 'upcoming' && installment.due_date < toDueDateString(today)) {
+        return 'overdue';
+    }
+    return installment.status;
+}
+
+/**
+ * Build a schedule of a retainer (due on retainerDueDate, today by default)
+ * followed by count equal installments, one every intervalMonths from firstDueDate.
+ * Returns [{ label, amount, dueDate }] for createPaymentPlan.
+ */
+function buildInstallmentSchedule({ retainer = 0, installmentAmount, count, firstDueDate, intervalMonths = 1, retainerDueDate = null }) {
+    const schedule = [];
+
+    if (retainer > 0) {
+        schedule.push({
+            label: 'Retainer',
+            amount: retainer,
+            dueDate: retainerDueDate || toDueDateString(new Date())
+        });
+    }
+
+    const [year, month, day] = firstDueDate.split('-').map(Number);
+
+    for (let i = 0; i < count; i++) {
+        // Clamp to the end of shorter months (31 Jan -> 28 Feb)
+        const lastDay = new Date(year, month - 1 + i * intervalMonths + 1, 0).getDate();
+        const dueDate = new Date(year, month - 1 + i * intervalMonths, Math.min(day, lastDay));
+
+        schedule.push({
+            label: `Installment ${i + 1} of ${count}`,
+            amount: installmentAmount,
+            dueDate: toDueDateString(dueDate)
+        });
+    }
+
+    return schedule;
+}
+
+/**
+ * Set up a payment plan for a client (lawyer only).
+ * plan: { clientId, appointmentId, title, description, currency, installments: [{ label, amount, dueDate }] }
+ */
+async function createPaymentPlan(plan) {
+    try {
+        const { data, error } = await supabase
+            .rpc('create_payment_plan', {
+                p_client_id: plan.clientId,
+                p_appointment_id: plan.appointmentId || null,
+                p_title: plan.title,
+                p_description: plan.description || null,
+                p_currency: plan.currency || 'PKR',
+                p_installments: plan.installments
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error creating payment plan:', error);
+        return { success: false, error: getPaymentErrorMessage(error) };
+    }
+}
+
+/**
+ * List payment plans where column = value, newest first, with installments in order
+ */
+async function listPaymentPlans(column, value) {
+    try {
+        const { data, error } = await supabase
+            .from('payment_plans')
+            .select(PAYMENT_PLAN_FIELDS)
+            .eq(column, value)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        const plans = (data || []).map(plan => ({
+            ...plan,
+            payment_plan_installments: (plan.payment_plan_installments || [])
+                .sort((a, b) => a.sequence - b.sequence)
+        }));
+
+        return { success: true, data: plans };
+
+    } catch (error) {
+        console.error('Error fetching payment plans:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Get a client's payment plans
+ */
+async function getClientPaymentPlans(clientId) {
+    return listPaymentPlans('client_id', clientId);
+}
+
+/**
+ * Get the payment plans a lawyer has set up
+ */
+async function getLawyerPaymentPlans(lawyerId) {
+    return listPaymentPlans('lawyer_id', lawyerId);
+}
+
+/**
+ * Cancel the unpaid part of a payment plan (lawyer only)
+ */
+async function cancelPaymentPlan(planId) {
+    try {
+        const { data, error } = await supabase
+            .rpc('cancel_payment_plan', { p_plan_id: planId });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error cancelling payment plan:', error);
+        return { success: false, error: getPaymentErrorMessage(error) };
+    }
+}
+
+/**
+ * Get a client's reminders for installments that are due soon or overdue
+ */
+async function getInstallmentReminders(clientId) {
+    try {
+        const { data, error } = await supabase
+            .from('payment_plan_reminders')
+            .select('*, payment_plan_installments(*, payment_plans(title, currency, status))')
+            .eq('client_id', clientId)
+            .is('dismissed_at', null)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        // Drop reminders for installments that were paid or cancelled since
+        const reminders = (data || []).filter(reminder =>
+            ['upcoming', 'overdue'].includes(reminder.payment_plan_installments?.status)
+        );
+
+        return { success: true, data: reminders };
+
+    } catch (error) {
+        console.error('Error fetching installment reminders:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Dismiss an installment reminder
+ */
+async function dismissInstallmentReminder(reminderId) {
+    try {
+        const { error } = await supabase
+            .from('payment_plan_reminders')
+            .update({ dismissed_at: new Date().toISOString() })
+            .eq('id', reminderId);
+
+        if (error) throw error;
+
+        return { success: true };
+
+    } catch (error) {
+        console.error('Error dismissing reminder:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================
+// RECEIPTS
+// ============================================
+// Invoice and credit note PDFs are drawn by js/invoice.js
+
+const PAYMENT_STATUS_LABELS = {
+    pending: 'Processing',
+    completed: 'Paid',
+    failed: 'Failed',
+    partially_refunded: 'Partially Refunded',
+    refunded: 'Refunded'
+};
+
+/**
+ * Generate payment receipt data from a stored payment (see getPayment)
+ */
+function generateReceipt(payment) {
+    const paidAt = new Date(payment.completed_at || payment.created_at);
+    const lawyer = payment.lawyers?.users;
+
+    return {
+        receiptNumber: payment.transaction_id,
+        date: paidAt.toLocaleDateString(),
+        time: paidAt.toLocaleTimeString(),
+        clientName: payment.client ? `${payment.client.first_name} ${payment.client.last_name}` : '',
+        lawyerName: lawyer ? `${lawyer.first_name} ${lawyer.last_name}` : '',
+        serviceType: payment.appointments?.title
+            || (payment.payment_plan_installments
+                ? `${payment.payment_plan_installments.payment_plans?.title} - ${payment.payment_plan_installments.label}`
+                : 'Legal Consultation'),
+        consultationFee: Number(payment.consultation_fee),
+        serviceFee: Number(payment.service_fee),
+        discount: Number(payment.discount_amount || 0),
+        totalAmount: Number(payment.amount),
+        refundedAmount: Number(payment.refunded_amount || 0),
+        currency: payment.currency,
+        settlementCurrency: payment.settlement_currency || payment.currency,
+        exchangeRate: Number(payment.exchange_rate || 1),
+        settlementAmount: Number(payment.settlement_amount ?? payment.amount),
+        paymentMethod: payment.payment_method,
+        status: PAYMENT_STATUS_LABELS[payment.status] || payment.status
+    };
 }
 
 /**
@@ -326,14 +1387,55 @@ function maskCardNumber(cardNumber) {
 
 // Export everything
 window.Payment = {
+    PAYMENT_STATUS,
+    PAYMENT_TRANSITIONS,
     addPaymentMethod,
     getUserPaymentMethods,
+    isCardExpired,
     deletePaymentMethod,
     setDefaultPaymentMethod,
+    getUsablePaymentMethod,
     processPayment,
+    authorizeWithGateway,
+    getPaymentErrorMessage,
+    generateTransactionId,
+    getIdempotencyKey,
+    clearIdempotencyKey,
+    completeWhenGatewayVerified,
     calculateTotalFee,
+    calculatePromoDiscount,
+    validatePromoCode,
+    createPromoCode,
+    listPromoCodes,
+    setPromoCodeActive,
+    getPayment,
+    getPaymentByTransactionId,
+    getAppointmentPayments,
+    getClientPayments,
+    getLawyerPayments,
+    canTransitionPayment,
+    refundPayment,
+    getPaymentRefunds,
+    getClientRefunds,
+    getLawyerRefunds,
+    getQueuedRefunds,
+    getRefundableAmount,
+    getEscrowLabel,
+    canDisputePayment,
+    getDisputedPayments,
+    disputePayment,
+    resolvePaymentDispute,
+    settlePendingRefunds,
+    INSTALLMENT_STATUS_LABELS,
+    getInstallmentStatus,
+    buildInstallmentSchedule,
+    createPaymentPlan,
+    getClientPaymentPlans,
+    getLawyerPaymentPlans,
+    cancelPaymentPlan,
+    getInstallmentReminders,
+    dismissInstallmentReminder,
     generateReceipt,
-    downloadReceipt,
     validateCardNumber,
     getCardType,
     formatCardNumber,
@@ -0,0 +1,180 @@
+// ============================================
+// PDF DOCUMENTS
+// ============================================
+// File: js/pdf-document.js
+//
+// A small single-page PDF writer for receipts and invoices, so documents can
+// be drawn in the browser without a PDF library or server. It supports text
+// in Helvetica and Helvetica-Bold, lines and filled boxes on an A4 page.
+// Positions are in points from the top-left corner of the page.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Character widths of the standard PDF fonts for ASCII 32-126, in 1/1000 em
+const FONT_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+/**
+ * Reduce text to the printable ASCII the standard fonts can draw
+ */
+function toPdfText(value) {
+    return String(value ?? '')
+        .normalize('NFKD')
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/[\u201c\u201d]/g, '"')
+        .replace(/[\u2013\u2014]/g, '-')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7E]/g, '?');
+}
+
+/**
+ * Width of text in points
+ */
+function measureText(text, size = 10, bold = false) {
+    const widths = FONT_WIDTHS[bold ? 'bold' : 'regular'];
+    let units = 0;
+
+    for (const char of toPdfText(text)) {
+        units += widths[char.charCodeAt(0) - 32];
+    }
+
+    return units * size / 1000;
+}
+
+/**
+ * Split text into lines no wider than maxWidth
+ */
+function wrapText(text, maxWidth, size = 10, bold = false) {
+    const lines = [];
+    let current = '';
+
+    for (const word of toPdfText(text).split(/\s+/).filter(Boolean)) {
+        const candidate = current ? `${current} ${word}` : word;
+
+        if (current && measureText(candidate, size, bold) > maxWidth) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = candidate;
+        }
+    }
+
+    if (current) lines.push(current);
+    return lines;
+}
+
+/**
+ * Convert a hex colour (#7a1a31) to PDF RGB components
+ */
+function toPdfColor(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+        .map(component => (component / 255).toFixed(3))
+        .join(' ');
+}
+
+/**
+ * Start a blank A4 document. Draw on it, then call toBlob() to get the file.
+ */
+function createPdfDocument({ title = '' } = {}) {
+    const operations = [];
+    const y = top => (PAGE_HEIGHT - top).toFixed(2);
+
+    return {
+        width: PAGE_WIDTH,
+        height: PAGE_HEIGHT,
+        measureText,
+        wrapText,
+
+        /**
+         * Draw text with its baseline at top. options: { size, bold, color, align: 'left' | 'right' | 'center' }
+         */
+        text(value, x, top, { size = 10, bold = false, color = '#2c2c2c', align = 'left' } = {}) {
+            const text = toPdfText(value);
+            const width = measureText(text, size, bold);
+            const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+            const escaped = text.replace(/[\\()]/g, char => `\\${char}`);
+
+            operations.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${toPdfColor(color)} rg ${left.toFixed(2)} ${y(top)} Td (${escaped}) Tj ET`);
+        },
+
+        line(x1, top1, x2, top2, { width = 0.75, color = '#e0e0e0' } = {}) {
+            operations.push(`${width} w ${toPdfColor(color)} RG ${x1.toFixed(2)} ${y(top1)} m ${x2.toFixed(2)} ${y(top2)} l S`);
+        },
+
+        rect(x, top, width, height, { fill = '#f5f5f5' } = {}) {
+            operations.push(`${toPdfColor(fill)} rg ${x.toFixed(2)} ${y(top + height)} ${width.toFixed(2)} ${height.toFixed(2)} re f`);
+        },
+
+        toBlob() {
+            const content = operations.join('\n');
+            const objects = [
+                '<< /Type /Catalog /Pages 2 0 R >>',
+                '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                    '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+                '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+                `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+                `<< /Title (${toPdfText(title).replace(/[\\()]/g, char => `\\${char}`)}) /Producer (Brief-Case) >>`
+            ];
+
+            // Everything is ASCII, so string length equals byte length for the xref offsets
+            let pdf = '%PDF-1.4\n';
+            const offsets = objects.map((object, index) => {
+                const offset = pdf.length;
+                pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+                return offset;
+            });
+
+            const xrefOffset = pdf.length;
+            pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+            pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+            pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+            return new Blob([pdf], { type: 'application/pdf' });
+        }
+    };
+}
+
+/**
+ * Trigger a browser download of a PDF blob
+ */
+function downloadPdf(blob, filename) {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+// Export everything
+window.PdfDocument = {
+    createPdfDocument,
+    measureText,
+    wrapText,
+    downloadPdf
+};
+
+console.log('✅ PDF documents initialized');
@@ -2,10 +2,22 @@
 // SEARCH FUNCTIONALITY
 // ============================================
 // File: js/search.js
-// Requires: supabase-client.js
+// Requires: supabase-client.js, authorization.js
 
 const { supabase } = window.SupabaseClient;
 
+// Appointment statuses that occupy a lawyer's time
+const ACTIVE_APPOINTMENT_STATUSES = ['pending', 'scheduled', 'confirmed', 'rescheduled', 'reschedule_requested'];
+
+// Default consultation length when the lawyer has not set one
+const DEFAULT_SLOT_DURATION_MINUTES = 60;
+
+// How long a slot is held for a client while they complete payment
+const HOLD_DURATION_MINUTES = 10;
+
+// Longest recurring series that can be booked at once
+const MAX_SERIES_OCCURRENCES = 52;
+
 // Cache control for fresh data
 let queryCache = {};
 function clearQueryCache() {
@@ -159,7 +171,8 @@ async function getLawyerDetails(lawyerId) {
                     first_name,
                     last_name,
                     phone_number,
-                    profile_photo_url
+                    profile_photo_url,
+                    timezone
                 ),
                 lawyer_practice_areas(
                     practice_areas(id, name)
@@ -203,47 +216,74 @@ async function getLawyerAvailability(lawyerId) {
 }
 
 /**
- * Get booked appointment slots for a lawyer
+ * Get date-specific availability exceptions for a lawyer
  */
-async function getBookedSlots(lawyerId, date) {
+async function getAvailabilityOverrides(lawyerId, startDate = null, endDate = null) {
     try {
-        const { data, error } = await supabase
-            .from('appointments')
-            .select('appointment_time')
+        let query = supabase
+            .from('lawyer_availability_overrides')
+            .select('*')
             .eq('lawyer_id', lawyerId)
-            .eq('appointment_date', date)
-            .in('status', ['scheduled', 'rescheduled']);
+            .order('override_date', { ascending: true })
+            .order('start_time', { ascending: true });
+
+        if (startDate) query = query.gte('override_date', startDate);
+        if (endDate) query = query.lte('override_date', endDate);
+
+        const { data, error } = await query;
 
         if (error) throw error;
 
         return { success: true, data: data || [] };
 
     } catch (error) {
-        console.error('Error fetching booked slots:', error);
+        console.error('Error fetching availability overrides:', error);
         return { success: false, error: error.message, data: [] };
     }
 }
 
-// ============================================
-// APPOINTMENTS
-// ============================================
-
 /**
- * Create an appointment
+ * Add an availability exception ({ date, type: 'blocked' | 'extra', startTime, endTime, reason })
+ * A 'blocked' override without times blocks the whole day.
  */
-async function createAppointment(appointmentData) {
+async function addAvailabilityOverride(lawyerId, override) {
     try {
+        window.Authorization.assertPermission(
+            await window.Authorization.canManageLawyerProfile(lawyerId),
+            'you can only change your own schedule'
+        );
+
+        if (!override.date) {
+            throw new Error('Date is required');
+        }
+
+        if (!['blocked', 'extra'].includes(override.type)) {
+            throw new Error('Override type must be blocked or extra');
+        }
+
+        const hasTimes = !!(override.startTime || override.endTime);
+
+        if (override.type === 'extra' && !hasTimes) {
+            throw new Error('Extra hours need a start and end time');
+        }
+
+        if (hasTimes) {
+            const start = timeToMinutes(override.startTime);
+            const end = timeToMinutes(override.endTime);
+            if (start === null || end === null || start >= end) {
+                throw new Error('End time must be after start time');
+            }
+        }
+
         const { data, error } = await supabase
-            .from('appointments')
+            .from('lawyer_availability_overrides')
             .insert({
-                client_id: appointmentData.clientId,
-                lawyer_id: appointmentData.lawyerId,
-                appointment_date: appointmentData.date,
-                appointment_time: appointmentData.time,
-                title: appointmentData.title || 'Consultation',
-                description: appointmentData.description,
-                meeting_type: appointmentData.meetingType,
-                status: 'scheduled'
+                lawyer_id: lawyerId,
+                override_date: override.date,
+                override_type: override.type,
+                start_time: hasTimes ? override.startTime : null,
+                end_time: hasTimes ? override.endTime : null,
+                reason: override.reason || null
             })
             .select()
             .single();
@@ -253,267 +293,1402 @@ async function createAppointment(appointmentData) {
         return { success: true, data };
 
     } catch (error) {
-        console.error('Error creating appointment:', error);
+        console.error('Error adding availability override:', error);
         return { success: false, error: error.message };
     }
 }
 
 /**
- * Get user appointments
+ * Remove an availability exception
  */
-async function getUserAppointments(userId, status = null) {
+async function deleteAvailabilityOverride(overrideId) {
     try {
-        let query = supabase
-            .from('appointments')
-            .select(`
-                *,
-                lawyers!inner(
-                    users!inner(first_name, last_name, profile_photo_url)
-                )
-            `)
-            .or(`client_id.eq.${userId},lawyer_id.eq.${userId}`)
-            .order('appointment_date', { ascending: true });
-
-        if (status) {
-            query = query.eq('status', status);
-        }
-
-        const { data, error } = await query;
+        const { error } = await supabase
+            .from('lawyer_availability_overrides')
+            .delete()
+            .eq('id', overrideId);
 
         if (error) throw error;
 
-        return { success: true, data: data || [] };
+        return { success: true };
 
     } catch (error) {
-        console.error('Error fetching appointments:', error);
-        return { success: false, error: error.message, data: [] };
+        console.error('Error deleting availability override:', error);
+        return { success: false, error: error.message };
     }
 }
 
 /**
- * Update appointment
+ * Get booked appointment slots for a lawyer, each with the time it keeps
+ * the lawyer busy until (its own duration plus the lawyer's buffer)
  */
-async function updateAppointment(appointmentId, updates) {
+async function getBookedSlots(lawyerId, date) {
     try {
+        const settings = await getSchedulingSettings(lawyerId);
+
         const { data, error } = await supabase
             .from('appointments')
-            .update(updates)
-            .eq('id', appointmentId)
-            .select()
-            .single();
+            .select('id, appointment_time, duration_minutes, meeting_type, status, hold_expires_at, approval_expires_at')
+            .eq('lawyer_id', lawyerId)
+            .eq('appointment_date', date)
+            .in('status', [...ACTIVE_APPOINTMENT_STATUSES, 'held']);
 
         if (error) throw error;
 
-        return { success: true, data };
+        const booked = (data || []).filter(isSlotOccupied).map(apt => {
+            const start = timeToMinutes(apt.appointment_time);
+            const duration = apt.duration_minutes || DEFAULT_SLOT_DURATION_MINUTES;
+            return {
+                ...apt,
+                end_time: minutesToTime(start + duration),
+                busy_until: minutesToTime(start + duration + settings.bufferMinutes)
+            };
+        });
+
+        const dailyCapReached = settings.maxDailyAppointments !== null && booked.length >= settings.maxDailyAppointments;
+
+        return { success: true, data: booked, dailyCapReached };
 
     } catch (error) {
-        console.error('Error updating appointment:', error);
-        return { success: false, error: error.message };
+        console.error('Error fetching booked slots:', error);
+        return { success: false, error: error.message, data: [] };
     }
 }
 
 /**
- * Cancel appointment (sets status to cancelled)
+ * Check whether a booked row still occupies its slot (lapsed holds and booking requests do not)
  */
-async function cancelAppointment(appointmentId) {
-    return updateAppointment(appointmentId, { status: 'cancelled' });
+function isSlotOccupied(appointment) {
+    if (appointment.status === 'held') {
+        return !!appointment.hold_expires_at && new Date(appointment.hold_expires_at) > new Date();
+    }
+    if (appointment.status === 'pending' && appointment.approval_expires_at) {
+        return new Date(appointment.approval_expires_at) > new Date();
+    }
+    return true;
 }
 
+// ============================================
+// SLOT GENERATION
+// ============================================
+
 /**
- * Delete appointment (permanently removes from database)
+ * Convert a time string ('14:30', '14:30:00' or '2:30 PM') to minutes since midnight
  */
-async function deleteAppointment(appointmentId) {
-    try {
-        console.log('Deleting appointment:', appointmentId);
-        
-        const { data, error, count } = await supabase
-            .from('appointments')
-            .delete()
-            .eq('id', appointmentId)
-            .select();
+function timeToMinutes(timeString) {
+    if (!timeString) return null;
 
-        console.log('Delete result:', { data, error, count });
+    const match = String(timeString).trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(AM|PM)?$/i);
+    if (!match) return null;
 
-        if (error) {
-            console.error('Delete error:', error);
-            throw error;
-        }
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const meridiem = match[3] ? match[3].toUpperCase() : null;
 
-        if (!data || data.length === 0) {
-            console.warn('No appointment was deleted - may not exist or permission denied');
-            return { success: false, error: 'Could not delete appointment. Check permissions.' };
-        }
+    if (meridiem === 'PM' && hours < 12) hours += 12;
+    if (meridiem === 'AM' && hours === 12) hours = 0;
 
-        console.log('Appointment deleted successfully');
-        return { success: true };
+    return hours * 60 + minutes;
+}
 
-    } catch (error) {
-        console.error('Error deleting appointment:', error);
-        return { success: false, error: error.message };
+/**
+ * Convert minutes since midnight to a 24-hour 'HH:MM' string
+ */
+function minutesToTime(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Format a slot time for display (e.g. '14:30' -> '2:30 PM')
+ */
+function formatSlotTime(timeString) {
+    const totalMinutes = timeToMinutes(timeString);
+    if (totalMinutes === null) return timeString;
+
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    const meridiem = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+
+    return `${displayHours}:${String(minutes).padStart(2, '0')} ${meridiem}`;
+}
+
+/**
+ * List 'YYYY-MM-DD' dates from startDate to endDate (inclusive)
+ */
+function getDateRange(startDate, endDate) {
+    const dates = [];
+    const current = new Date(`${startDate}T00:00:00Z`);
+    const last = new Date(`${endDate}T00:00:00Z`);
+
+    while (current <= last) {
+        dates.push(current.toISOString().split('T')[0]);
+        current.setUTCDate(current.getUTCDate() + 1);
     }
+
+    return dates;
 }
 
-// ============================================
-// REVIEWS
-// ============================================
+/**
+ * Get the bookable windows (in minutes) for one date: weekly availability plus
+ * extra hours, minus blocked ranges. A whole-day block removes everything.
+ */
+function getAvailabilityWindows(date, availability, overrides = []) {
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const dayOverrides = overrides.filter(override => override.override_date === date);
+
+    if (dayOverrides.some(override => override.override_type === 'blocked' && !override.start_time)) {
+        return [];
+    }
+
+    const windows = [
+        ...availability.filter(row => row.is_available !== false && Number(row.day_of_week) === dayOfWeek),
+        ...dayOverrides.filter(override => override.override_type === 'extra')
+    ]
+        .map(row => ({ start: timeToMinutes(row.start_time), end: timeToMinutes(row.end_time) }))
+        .filter(window => window.start !== null && window.end !== null && window.start < window.end);
+
+    const blocked = dayOverrides
+        .filter(override => override.override_type === 'blocked')
+        .map(override => ({ start: timeToMinutes(override.start_time), end: timeToMinutes(override.end_time) }));
+
+    // Cut every blocked range out of every window
+    return blocked.reduce((remaining, block) => remaining.flatMap(window => {
+        if (block.end <= window.start || block.start >= window.end) return [window];
+
+        const pieces = [];
+        if (block.start > window.start) pieces.push({ start: window.start, end: block.start });
+        if (block.end < window.end) pieces.push({ start: block.end, end: window.end });
+        return pieces;
+    }), windows);
+}
 
 /**
- * Calculate and update lawyer's average rating
+ * Build the free slots for one date from weekly availability rows, overrides and booked appointments.
+ * Dates and times are the lawyer's wall-clock time in options.timeZone. Each booked appointment keeps
+ * its own duration_minutes; options.bufferMinutes is kept free on either side of it, and no slots are
+ * offered once options.maxDailyAppointments bookings exist on the date.
  */
-async function updateLawyerRating(lawyerId) {
+function buildSlotsForDate(date, availability, bookedAppointments, options = {}) {
+    const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToUtc } = window.SupabaseClient;
+    const zone = options.timeZone || DEFAULT_TIMEZONE;
+    const durationMinutes = options.durationMinutes || DEFAULT_SLOT_DURATION_MINUTES;
+    const bufferMinutes = options.bufferMinutes || 0;
+    const maxDailyAppointments = options.maxDailyAppointments ?? null;
+
+    const bookedOnDate = bookedAppointments.filter(apt => apt.appointment_date === date);
+
+    if (maxDailyAppointments !== null && bookedOnDate.length >= maxDailyAppointments) {
+        return [];
+    }
+
+    // Booked ranges on this date, in minutes, widened by the buffer
+    const bookedRanges = bookedOnDate
+        .map(apt => ({ start: timeToMinutes(apt.appointment_time), duration: apt.duration_minutes || DEFAULT_SLOT_DURATION_MINUTES }))
+        .filter(range => range.start !== null)
+        .map(range => ({ start: range.start - bufferMinutes, end: range.start + range.duration + bufferMinutes }));
+
+    // Skip slots that have already started in the lawyer's zone
+    const now = getZonedParts(new Date(), zone);
+    if (date < now.date) return [];
+    const earliestStart = date === now.date ? now.minutes : 0;
+
+    const slots = [];
+    const seen = new Set();
+
+    getAvailabilityWindows(date, availability, options.overrides || [])
+        .forEach(({ start: windowStart, end: windowEnd }) => {
+            for (let start = windowStart; start + durationMinutes <= windowEnd; start += durationMinutes + bufferMinutes) {
+                if (start < earliestStart || seen.has(start)) continue;
+
+                const end = start + durationMinutes;
+                const overlaps = bookedRanges.some(range => start < range.end && range.start < end);
+                if (overlaps) continue;
+
+                seen.add(start);
+                slots.push({
+                    time: minutesToTime(start),
+                    endTime: minutesToTime(end),
+                    label: formatSlotTime(minutesToTime(start)),
+                    startsAt: zonedTimeToUtc(date, minutesToTime(start), zone).toISOString()
+                });
+            }
+        });
+
+    return slots.sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Get a user's stored IANA timezone
+ */
+async function getUserTimezone(userId) {
+    const { DEFAULT_TIMEZONE } = window.SupabaseClient;
+
+    const { data, error } = await supabase
+        .from('users')
+        .select('timezone')
+        .eq('id', userId)
+        .single();
+
+    if (error) {
+        console.error('Error fetching timezone:', error);
+        return DEFAULT_TIMEZONE;
+    }
+
+    return data?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get a lawyer's scheduling settings: timezone, duration per meeting type,
+ * buffer between appointments and daily booking cap (null = no cap)
+ */
+async function getSchedulingSettings(lawyerId) {
+    const { DEFAULT_TIMEZONE } = window.SupabaseClient;
+
+    const { data, error } = await supabase
+        .from('lawyers')
+        .select(`
+            online_duration_minutes,
+            in_person_duration_minutes,
+            buffer_minutes,
+            max_daily_appointments,
+            users!inner(timezone)
+        `)
+        .eq('id', lawyerId)
+        .single();
+
+    if (error) {
+        console.error('Error fetching scheduling settings:', error);
+    }
+
+    return {
+        timeZone: data?.users?.timezone || DEFAULT_TIMEZONE,
+        durations: {
+            'online': data?.online_duration_minutes || DEFAULT_SLOT_DURATION_MINUTES,
+            'in-person': data?.in_person_duration_minutes || DEFAULT_SLOT_DURATION_MINUTES
+        },
+        bufferMinutes: data?.buffer_minutes || 0,
+        maxDailyAppointments: data?.max_daily_appointments ?? null
+    };
+}
+
+/**
+ * Get the consultation length for a meeting type from a lawyer's scheduling settings
+ */
+function getConsultationDuration(settings, meetingType) {
+    return settings.durations[meetingType] || DEFAULT_SLOT_DURATION_MINUTES;
+}
+
+/**
+ * Update a lawyer's durations, buffer and daily cap
+ * ({ onlineDurationMinutes, inPersonDurationMinutes, bufferMinutes, maxDailyAppointments })
+ */
+async function updateSchedulingSettings(lawyerId, settings) {
     try {
-        console.log('📊 Recalculating rating for lawyer:', lawyerId);
-        
-        // Get all reviews for this lawyer
-        const { data: reviews, error: reviewError } = await supabase
-            .from('reviews')
-            .select('rating')
-            .eq('lawyer_id', lawyerId);
-
-        if (reviewError) throw reviewError;
-
-        if (!reviews || reviews.length === 0) {
-            // No reviews yet, set to default
-            const { error: updateError } = await supabase
-                .from('lawyers')
-                .update({
-                    average_rating: 5.0,
-                    total_reviews: 0
-                })
-                .eq('id', lawyerId);
-
-            if (updateError) throw updateError;
-            
-            console.log('✅ Set default rating (no reviews)');
-            return { success: true, average: 5.0, count: 0 };
+        window.Authorization.assertPermission(
+            await window.Authorization.canManageLawyerProfile(lawyerId),
+            'you can only change your own schedule'
+        );
+
+        const durations = [settings.onlineDurationMinutes, settings.inPersonDurationMinutes];
+        if (durations.some(minutes => !Number.isInteger(minutes) || minutes < 15 || minutes > 480)) {
+            throw new Error('Consultation length must be between 15 and 480 minutes');
         }
 
-        // Calculate average
-        const totalRating = reviews.reduce((sum, review) => sum + review.rating, 0);
-        const averageRating = totalRating / reviews.length;
-        const roundedAverage = Math.round(averageRating * 10) / 10; // Round to 1 decimal
+        if (!Number.isInteger(settings.bufferMinutes) || settings.bufferMinutes < 0 || settings.bufferMinutes > 240) {
+            throw new Error('Buffer must be between 0 and 240 minutes');
+        }
 
-        console.log('📈 Calculated:', {
-            total: totalRating,
-            count: reviews.length,
-            average: roundedAverage
-        });
+        const cap = settings.maxDailyAppointments;
+        if (cap !== null && (!Number.isInteger(cap) || cap < 1)) {
+            throw new Error('Daily limit must be at least 1, or left empty for no limit');
+        }
 
-        // Update lawyer record
-        const { error: updateError } = await supabase
+        const { data, error } = await supabase
             .from('lawyers')
             .update({
-                average_rating: roundedAverage,
-                total_reviews: reviews.length
+                online_duration_minutes: settings.onlineDurationMinutes,
+                in_person_duration_minutes: settings.inPersonDurationMinutes,
+                buffer_minutes: settings.bufferMinutes,
+                max_daily_appointments: cap
             })
-            .eq('id', lawyerId);
+            .eq('id', lawyerId)
+            .select()
+            .single();
 
-        if (updateError) throw updateError;
+        if (error) throw error;
 
-        console.log('✅ Rating updated successfully');
-        return { success: true, average: roundedAverage, count: reviews.length };
+        return { success: true, data };
 
     } catch (error) {
-        console.error('❌ Error updating lawyer rating:', error);
+        console.error('Error updating scheduling settings:', error);
         return { success: false, error: error.message };
     }
 }
 
 /**
- * Get lawyer reviews
+ * Get free appointment slots for a lawyer over a date range (dates in the lawyer's timezone).
+ * options: { meetingType, durationMinutes, excludeAppointmentId } - slots are sized for the
+ * meeting type unless durationMinutes is given; excludeAppointmentId ignores the appointment
+ * being rescheduled so it does not block its own new time.
  */
-async function getLawyerReviews(lawyerId) {
+async function getAvailableSlots(lawyerId, startDate, endDate, options = {}) {
     try {
-        const { data, error } = await supabase
-            .from('reviews')
-            .select(`
-                *,
-                users!client_id(first_name, last_name, profile_photo_url)
-            `)
+        const settings = await getSchedulingSettings(lawyerId);
+        const durationMinutes = options.durationMinutes || getConsultationDuration(settings, options.meetingType);
+
+        const availabilityResult = await getLawyerAvailability(lawyerId);
+        if (!availabilityResult.success) throw new Error(availabilityResult.error);
+
+        const overridesResult = await getAvailabilityOverrides(lawyerId, startDate, endDate);
+        if (!overridesResult.success) throw new Error(overridesResult.error);
+
+        const { data: booked, error } = await supabase
+            .from('appointments')
+            .select('id, appointment_date, appointment_time, duration_minutes, status, hold_expires_at, approval_expires_at')
             .eq('lawyer_id', lawyerId)
-            .order('created_at', { ascending: false });
+            .gte('appointment_date', startDate)
+            .lte('appointment_date', endDate)
+            .in('status', [...ACTIVE_APPOINTMENT_STATUSES, 'held']);
 
         if (error) throw error;
 
-        return { success: true, data: data || [] };
+        // Slots freed by a cancellation stay reserved while they are offered to someone on the waitlist
+        const { data: offered, error: offeredError } = await supabase
+            .rpc('waitlist_offered_slots', {
+                p_lawyer_id: lawyerId,
+                p_start_date: startDate,
+                p_end_date: endDate
+            });
+
+        if (offeredError) throw offeredError;
+
+        const occupied = [
+            ...(booked || [])
+                .filter(isSlotOccupied)
+                .filter(apt => apt.id !== options.excludeAppointmentId),
+            ...(offered || []).map(offer => ({
+                appointment_date: offer.slot_date,
+                appointment_time: offer.slot_time,
+                duration_minutes: offer.duration_minutes
+            }))
+        ];
+
+        const slotOptions = {
+            durationMinutes,
+            bufferMinutes: settings.bufferMinutes,
+            maxDailyAppointments: settings.maxDailyAppointments,
+            timeZone: settings.timeZone,
+            overrides: overridesResult.data
+        };
+
+        const data = getDateRange(startDate, endDate).map(date => ({
+            date,
+            slots: buildSlotsForDate(date, availabilityResult.data, occupied, slotOptions)
+        }));
+
+        return { success: true, data, timeZone: settings.timeZone, durationMinutes };
 
     } catch (error) {
-        console.error('Error fetching reviews:', error);
+        console.error('Error generating available slots:', error);
         return { success: false, error: error.message, data: [] };
     }
 }
 
 /**
- * Create a review and update lawyer rating
+ * Get the free slots an existing appointment could be moved to (same length, ignoring its current time)
  */
-async function createReview(reviewData) {
+async function getRescheduleSlots(appointmentId, startDate, endDate) {
     try {
-        console.log('📝 Creating review:', reviewData);
-        
-        // Insert the review
-        const { data, error } = await supabase
-            .from('reviews')
-            .insert({
-                lawyer_id: reviewData.lawyerId,
-                client_id: reviewData.clientId,
-                appointment_id: reviewData.appointmentId,
-                rating: reviewData.rating,
-                review_text: reviewData.reviewText
-            })
-            .select()
+        const { data: appointment, error } = await supabase
+            .from('appointments')
+            .select('lawyer_id, duration_minutes')
+            .eq('id', appointmentId)
             .single();
 
         if (error) throw error;
 
-        console.log('✅ Review created:', data);
-
-        // Immediately recalculate and update lawyer's average rating
-        const ratingUpdate = await updateLawyerRating(reviewData.lawyerId);
-        
-        if (!ratingUpdate.success) {
-            console.warn('⚠️ Review created but rating calculation failed:', ratingUpdate.error);
-        } else {
-            console.log('✅ Lawyer rating updated:', ratingUpdate);
-        }
-
-        return { success: true, data };
+        return getAvailableSlots(appointment.lawyer_id, startDate, endDate, {
+            durationMinutes: appointment.duration_minutes,
+            excludeAppointmentId: appointmentId
+        });
 
     } catch (error) {
-        console.error('Error creating review:', error);
-        return { success: false, error: error.message };
+        console.error('Error fetching reschedule slots:', error);
+        return { success: false, error: error.message, data: [] };
     }
 }
 
+/**
+ * Check whether a specific date/time is one of the lawyer's free slots
+ */
+async function isSlotAvailable(lawyerId, date, time, options = {}) {
+    const result = await getAvailableSlots(lawyerId, date, date, options);
+    if (!result.success) return false;
+
+    const requested = timeToMinutes(time);
+    const day = result.data[0];
+    return !!day && day.slots.some(slot => timeToMinutes(slot.time) === requested);
+}
+
 // ============================================
-// DOCUMENTS
+// APPOINTMENTS
 // ============================================
 
 /**
- * Upload document
+ * Translate reservation errors raised by the database into user-facing messages
  */
-async function uploadDocument(userId, file, documentType) {
-    try {
-        const { uploadFile, STORAGE_BUCKETS } = window.SupabaseClient;
-        
-        // Sanitize filename - remove special characters and spaces
-        const cleanFileName = file.name.replace(/[^a-zA-Z0-9._-]/g, '_');
-        const fileName = `${userId}/${Date.now()}_${cleanFileName}`;
-        const fileUrl = await uploadFile(STORAGE_BUCKETS.DOCUMENTS, file, fileName);
+function getReservationErrorMessage(error) {
+    const message = error?.message || '';
 
-        if (!fileUrl) throw new Error('File upload failed');
+    if (message.includes('SLOT_UNAVAILABLE') || message.includes('appointments_active_slot_idx')) {
+        return 'This time slot was just booked by someone else. Please choose another slot.';
+    }
+    if (message.includes('DAILY_CAP_REACHED')) {
+        return 'This lawyer has no more consultations available on that day. Please choose another date.';
+    }
+    if (message.includes('OFFER_EXPIRED')) {
+        return 'This waitlist offer has expired or was already used.';
+    }
+    if (message.includes('HOLD_EXPIRED')) {
+        return 'Your reservation expired before payment was completed. Please book the slot again.';
+    }
+    if (message.includes('NOT_AUTHORIZED')) {
+        return 'You are not allowed to change this appointment.';
+    }
+    if (message.includes('PROPOSAL_PENDING')) {
+        return 'A reschedule proposal is already waiting for a response.';
+    }
+    if (['INVALID_PROPOSAL', 'INVALID_STATUS', 'INVALID_ACTION', 'INVALID_RECURRENCE', 'SERIES_CONFLICT'].some(code => message.includes(code))) {
+        return message.split(': ').slice(1).join(': ') || message;
+    }
+
+    return message || 'Reservation failed';
+}
+
+/**
+ * Create an appointment (conflict-safe; pass holdMinutes to create a temporary hold)
+ */
+async function createAppointment(appointmentData) {
+    if (appointmentData.recurrence) {
+        return createRecurringAppointment(appointmentData);
+    }
+
+    try {
+        // The database sets the duration from the lawyer's settings and enforces buffers and the daily cap
+        const slotFree = await isSlotAvailable(
+            appointmentData.lawyerId,
+            appointmentData.date,
+            appointmentData.time,
+            { meetingType: appointmentData.meetingType }
+        );
+
+        if (!slotFree) {
+            throw new Error('The selected time is not available. Please choose another slot.');
+        }
 
         const { data, error } = await supabase
-            .from('documents')
-            .insert({
-                user_id: userId,
-                document_name: file.name,
-                document_type: documentType,
-                file_url: fileUrl,
-                file_size: file.size,
-                mime_type: file.type
-            })
-            .select()
-            .single();
+            .rpc('reserve_appointment_slot', {
+                p_client_id: appointmentData.clientId,
+                p_lawyer_id: appointmentData.lawyerId,
+                p_date: appointmentData.date,
+                p_time: appointmentData.time,
+                p_title: appointmentData.title || 'Consultation',
+                p_description: appointmentData.description,
+                p_meeting_type: appointmentData.meetingType,
+                p_hold_minutes: appointmentData.holdMinutes || null
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error creating appointment:', error);
+        return { success: false, error: getReservationErrorMessage(error) };
+    }
+}
+
+/**
+ * Hold a slot for a client while they complete payment
+ */
+async function reserveSlot(appointmentData) {
+    return createAppointment({
+        ...appointmentData,
+        holdMinutes: appointmentData.holdMinutes || HOLD_DURATION_MINUTES
+    });
+}
+
+/**
+ * Book a held slot as scheduled without payment (fails if the hold has expired).
+ * Paid bookings are confirmed by completing their payment (see payment.js).
+ */
+async function confirmReservation(appointmentId) {
+    try {
+        const { data, error } = await supabase
+            .rpc('confirm_appointment_hold', {
+                p_appointment_id: appointmentId
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error confirming reservation:', error);
+        return { success: false, error: getReservationErrorMessage(error) };
+    }
+}
+
+/**
+ * Release a held slot early (e.g. the client leaves the payment page)
+ */
+async function releaseReservation(appointmentId) {
+    try {
+        const { error } = await supabase
+            .from('appointments')
+            .update({ status: 'expired', hold_expires_at: null })
+            .eq('id', appointmentId)
+            .eq('status', 'held');
+
+        if (error) throw error;
+
+        return { success: true };
+
+    } catch (error) {
+        console.error('Error releasing reservation:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get user appointments
+ */
+async function getUserAppointments(userId, status = null) {
+    try {
+        window.Authorization.assertPermission(
+            await window.Authorization.isSelfOrAdmin(userId),
+            'you can only view your own appointments'
+        );
+
+        let query = supabase
+            .from('appointments')
+            .select(`
+                *,
+                lawyers!inner(
+                    users!inner(first_name, last_name, profile_photo_url, timezone)
+                ),
+                client:users!appointments_client_id_fkey(first_name, last_name, timezone),
+                appointment_series(interval_weeks, weekday, status)
+            `)
+            .or(`client_id.eq.${userId},lawyer_id.eq.${userId}`)
+            .order('starts_at', { ascending: true });
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching appointments:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Update appointment details (status changes go through AppointmentLifecycle,
+ * a new date or time through proposeReschedule)
+ */
+async function updateAppointment(appointmentId, updates) {
+    try {
+        if ('status' in updates) {
+            throw new Error('Use AppointmentLifecycle.transitionAppointment to change appointment status');
+        }
+
+        const scheduling = ['lawyer_id', 'client_id', 'appointment_date', 'appointment_time', 'duration_minutes', 'starts_at', 'ends_at']
+            .filter(field => field in updates);
+        if (scheduling.length > 0) {
+            throw new Error(`NOT_AUTHORIZED: ${scheduling.join(', ')} can only be changed by rescheduling the appointment`);
+        }
+
+        window.Authorization.assertPermission(
+            await window.Authorization.canUpdateAppointment(appointmentId),
+            'you can only change your own appointments'
+        );
+
+        const { data, error } = await supabase
+            .from('appointments')
+            .update(updates)
+            .eq('id', appointmentId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error updating appointment:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Cancel appointment (sets status to cancelled)
+ */
+async function cancelAppointment(appointmentId, reason = null) {
+    return window.AppointmentLifecycle.markCancelled(appointmentId, reason);
+}
+
+/**
+ * Delete appointment (permanently removes from database)
+ */
+async function deleteAppointment(appointmentId) {
+    try {
+        console.log('Deleting appointment:', appointmentId);
+
+        window.Authorization.assertPermission(
+            await window.Authorization.canUpdateAppointment(appointmentId),
+            'you can only delete your own appointments'
+        );
+        
+        const { data, error, count } = await supabase
+            .from('appointments')
+            .delete()
+            .eq('id', appointmentId)
+            .select();
+
+        console.log('Delete result:', { data, error, count });
+
+        if (error) {
+            console.error('Delete error:', error);
+            throw error;
+        }
+
+        if (!data || data.length === 0) {
+            console.warn('No appointment was deleted - may not exist or permission denied');
+            return { success: false, error: 'Could not delete appointment. Check permissions.' };
+        }
+
+        console.log('Appointment deleted successfully');
+        return { success: true };
+
+    } catch (error) {
+        console.error('Error deleting appointment:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================
+// BOOKING REQUESTS
+// ============================================
+
+/**
+ * Turn "requires approval" on or off for a lawyer and set how long requests wait for an answer
+ */
+async function updateApprovalSettings(lawyerId, requiresApproval, approvalWindowHours = 48) {
+    try {
+        window.Authorization.assertPermission(
+            await window.Authorization.canManageLawyerProfile(lawyerId),
+            'you can only change your own schedule'
+        );
+
+        if (!Number.isInteger(approvalWindowHours) || approvalWindowHours < 1 || approvalWindowHours > 168) {
+            throw new Error('Response window must be between 1 and 168 hours');
+        }
+
+        const { data, error } = await supabase
+            .from('lawyers')
+            .update({
+                requires_approval: !!requiresApproval,
+                approval_window_hours: approvalWindowHours
+            })
+            .eq('id', lawyerId)
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error updating approval settings:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get a lawyer's booking requests that are waiting for approval (soonest deadline first)
+ */
+async function getPendingBookingRequests(lawyerId) {
+    try {
+        const { data, error } = await supabase
+            .from('appointments')
+            .select(`
+                *,
+                client:users!appointments_client_id_fkey(first_name, last_name, email, timezone)
+            `)
+            .eq('lawyer_id', lawyerId)
+            .eq('status', 'pending')
+            .gt('approval_expires_at', new Date().toISOString())
+            .order('approval_expires_at', { ascending: true });
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching booking requests:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Accept or decline a pending booking request (lawyer only)
+ */
+async function respondToBookingRequest(appointmentId, action, reason = null) {
+    try {
+        const { data, error } = await supabase
+            .rpc('respond_to_booking_request', {
+                p_appointment_id: appointmentId,
+                p_action: action,
+                p_reason: reason
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error(`Error trying to ${action} booking request:`, error);
+        return { success: false, error: getReservationErrorMessage(error) };
+    }
+}
+
+/**
+ * Accept a booking request
+ */
+async function acceptBookingRequest(appointmentId) {
+    return respondToBookingRequest(appointmentId, 'accept');
+}
+
+/**
+ * Decline a booking request (a reason is required and shown to the client)
+ */
+async function declineBookingRequest(appointmentId, reason) {
+    if (!reason || !reason.trim()) {
+        return { success: false, error: 'Please give a reason for declining' };
+    }
+    return respondToBookingRequest(appointmentId, 'decline', reason.trim());
+}
+
+// ============================================
+// RESCHEDULING
+// ============================================
+
+/**
+ * Propose one or more new times for an appointment ([{ date, time }, ...]).
+ * With options.applyToSeries, accepting also moves the later sessions of its series.
+ */
+async function proposeReschedule(appointmentId, proposedSlots, note = null, options = {}) {
+    try {
+        if (!proposedSlots || proposedSlots.length === 0) {
+            throw new Error('Propose at least one new time');
+        }
+
+        const { data: appointment, error: fetchError } = await supabase
+            .from('appointments')
+            .select('lawyer_id, duration_minutes')
+            .eq('id', appointmentId)
+            .single();
+
+        if (fetchError) throw fetchError;
+
+        // Every proposed time must be a free slot in the lawyer's schedule
+        for (const slot of proposedSlots) {
+            const free = await isSlotAvailable(appointment.lawyer_id, slot.date, slot.time, {
+                durationMinutes: appointment.duration_minutes,
+                excludeAppointmentId: appointmentId
+            });
+            if (!free) {
+                throw new Error(`${slot.date} at ${formatSlotTime(slot.time)} is not available`);
+            }
+        }
+
+        const { data, error } = await supabase
+            .rpc('propose_reschedule', {
+                p_appointment_id: appointmentId,
+                p_slots: proposedSlots.map(slot => ({ date: slot.date, time: slot.time })),
+                p_note: note,
+                p_apply_to_series: !!options.applyToSeries
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error proposing reschedule:', error);
+        return { success: false, error: getReservationErrorMessage(error) };
+    }
+}
+
+/**
+ * Respond to a reschedule proposal ('accept', 'decline' or 'withdraw')
+ */
+async function respondToReschedule(requestId, action, options = {}) {
+    try {
+        const { data, error } = await supabase
+            .rpc('respond_to_reschedule', {
+                p_request_id: requestId,
+                p_action: action,
+                p_date: options.date || null,
+                p_time: options.time || null,
+                p_note: options.note || null
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error(`Error trying to ${action} reschedule:`, error);
+        return { success: false, error: getReservationErrorMessage(error) };
+    }
+}
+
+/**
+ * Accept one of the proposed times
+ */
+async function acceptReschedule(requestId, slot, note = null) {
+    return respondToReschedule(requestId, 'accept', { date: slot.date, time: slot.time, note });
+}
+
+/**
+ * Decline a reschedule proposal (appointment keeps its original time)
+ */
+async function declineReschedule(requestId, note = null) {
+    return respondToReschedule(requestId, 'decline', { note });
+}
+
+/**
+ * Withdraw your own pending proposal
+ */
+async function withdrawReschedule(requestId) {
+    return respondToReschedule(requestId, 'withdraw');
+}
+
+/**
+ * Get reschedule history for an appointment (newest first)
+ */
+async function getRescheduleHistory(appointmentId) {
+    try {
+        const { data, error } = await supabase
+            .from('appointment_reschedule_requests')
+            .select('*')
+            .eq('appointment_id', appointmentId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching reschedule history:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Get pending reschedule proposals on any of the user's appointments
+ */
+async function getPendingRescheduleRequests(userId) {
+    try {
+        const { data, error } = await supabase
+            .from('appointment_reschedule_requests')
+            .select(`
+                *,
+                appointments!inner(
+                    id, client_id, lawyer_id, title, appointment_date, appointment_time,
+                    lawyers(users(timezone))
+                )
+            `)
+            .eq('status', 'pending')
+            .or(`client_id.eq.${userId},lawyer_id.eq.${userId}`, { foreignTable: 'appointments' })
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        const { DEFAULT_TIMEZONE, zonedTimeToUtc } = window.SupabaseClient;
+
+        // Proposed times are the lawyer's wall-clock time; attach absolute instants for display
+        const requests = (data || []).map(request => {
+            const lawyerTimezone = request.appointments.lawyers?.users?.timezone || DEFAULT_TIMEZONE;
+            const toInstant = (date, time) => zonedTimeToUtc(date, time.slice(0, 5), lawyerTimezone).toISOString();
+
+            return {
+                ...request,
+                lawyerTimezone,
+                previousStartsAt: toInstant(request.previous_date, request.previous_time),
+                proposed_slots: request.proposed_slots.map(slot => ({
+                    ...slot,
+                    startsAt: toInstant(slot.date, slot.time)
+                })),
+                awaitingMyResponse: request.proposed_by !== userId
+            };
+        });
+
+        return { success: true, data: requests };
+
+    } catch (error) {
+        console.error('Error fetching reschedule requests:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+// ============================================
+// RECURRING APPOINTMENTS
+// ============================================
+
+/**
+ * List the dates of a recurrence rule ({ weekday, intervalWeeks, endDate, count }) from startDate.
+ * The first session is the first matching weekday on or after startDate. Matches
+ * appointment_series_dates() in the database.
+ */
+function expandRecurrence(startDate, rule) {
+    const start = new Date(`${startDate}T00:00:00Z`);
+    const weekday = rule.weekday ?? start.getUTCDay();
+    const intervalWeeks = rule.intervalWeeks || 1;
+    const limit = Math.min(rule.count || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+
+    const current = new Date(start);
+    current.setUTCDate(current.getUTCDate() + ((weekday - start.getUTCDay() + 7) % 7));
+
+    const dates = [];
+    while (dates.length < limit) {
+        const date = current.toISOString().split('T')[0];
+        if (rule.endDate && date > rule.endDate) break;
+        dates.push(date);
+        current.setUTCDate(current.getUTCDate() + 7 * intervalWeeks);
+    }
+
+    return dates;
+}
+
+/**
+ * Check every session of a recurring booking against the lawyer's availability and bookings
+ */
+async function checkRecurringAvailability(lawyerId, startDate, time, rule, options = {}) {
+    try {
+        if (!rule.endDate && !rule.count) {
+            throw new Error('Give an end date or a number of sessions');
+        }
+
+        const dates = expandRecurrence(startDate, rule);
+        if (dates.length === 0) {
+            throw new Error('The recurrence rule does not produce any sessions');
+        }
+
+        const result = await getAvailableSlots(lawyerId, dates[0], dates[dates.length - 1], options);
+        if (!result.success) throw new Error(result.error);
+
+        const requested = timeToMinutes(time);
+        const slotsByDate = Object.fromEntries(result.data.map(day => [day.date, day.slots]));
+        const isFree = date => (slotsByDate[date] || []).some(slot => timeToMinutes(slot.time) === requested);
+
+        return {
+            success: true,
+            data: {
+                dates,
+                available: dates.filter(isFree),
+                conflicts: dates.filter(date => !isFree(date))
+            }
+        };
+
+    } catch (error) {
+        console.error('Error checking recurring availability:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Book a recurring series (appointmentData.recurrence = { weekday, intervalWeeks, endDate, count }).
+ * If any session conflicts nothing is booked and the conflicting dates are returned,
+ * unless appointmentData.skipConflicts is set, in which case only the free sessions are sent
+ * to be booked. The returned conflicts are the dates the database did not book.
+ */
+async function createRecurringAppointment(appointmentData) {
+    try {
+        const rule = appointmentData.recurrence;
+        const weekday = rule.weekday ?? new Date(`${appointmentData.date}T00:00:00Z`).getUTCDay();
+
+        const check = await checkRecurringAvailability(
+            appointmentData.lawyerId,
+            appointmentData.date,
+            appointmentData.time,
+            { ...rule, weekday },
+            { meetingType: appointmentData.meetingType }
+        );
+
+        if (!check.success) throw new Error(check.error);
+
+        const { available, conflicts } = check.data;
+
+        if (available.length === 0) {
+            return { success: false, error: 'None of the sessions are available', conflicts };
+        }
+
+        if (conflicts.length > 0 && !appointmentData.skipConflicts) {
+            return { success: false, error: `${conflicts.length} of the sessions are not available`, conflicts };
+        }
+
+        const { data, error } = await supabase
+            .rpc('create_appointment_series', {
+                p_client_id: appointmentData.clientId,
+                p_lawyer_id: appointmentData.lawyerId,
+                p_time: appointmentData.time,
+                p_weekday: weekday,
+                p_interval_weeks: rule.intervalWeeks || 1,
+                p_start_date: appointmentData.date,
+                p_end_date: rule.endDate || null,
+                p_count: rule.count || null,
+                p_title: appointmentData.title || 'Consultation',
+                p_description: appointmentData.description,
+                p_meeting_type: appointmentData.meetingType,
+                p_skip_conflicts: !!appointmentData.skipConflicts,
+                p_dates: appointmentData.skipConflicts ? available : null
+            });
+
+        if (error) throw error;
+
+        return { success: true, data, conflicts: data.conflicts.map(conflict => conflict.date) };
+
+    } catch (error) {
+        console.error('Error creating recurring appointment:', error);
+        return { success: false, error: getReservationErrorMessage(error) };
+    }
+}
+
+/**
+ * Get a series with all of its sessions
+ */
+async function getAppointmentSeries(seriesId) {
+    try {
+        const { data, error } = await supabase
+            .from('appointment_series')
+            .select('*, appointments(*)')
+            .eq('id', seriesId)
+            .single();
+
+        if (error) throw error;
+
+        data.appointments = (data.appointments || []).sort((a, b) => a.series_index - b.series_index);
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error fetching appointment series:', error);
+        return { success: false, error: error.message, data: null };
+    }
+}
+
+/**
+ * Cancel every upcoming session of a series
+ */
+async function cancelAppointmentSeries(seriesId, reason = null) {
+    try {
+        const { data, error } = await supabase
+            .rpc('cancel_appointment_series', {
+                p_series_id: seriesId,
+                p_reason: reason
+            });
+
+        if (error) throw error;
+
+        return { success: true, cancelledCount: data };
+
+    } catch (error) {
+        console.error('Error cancelling appointment series:', error);
+        return { success: false, error: getReservationErrorMessage(error) };
+    }
+}
+
+/**
+ * Describe a series for display (e.g. 'Every 2 weeks on Monday')
+ */
+function describeRecurrence(series) {
+    const weekday = new Date(Date.UTC(2024, 0, 7 + series.weekday))
+        .toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+    const every = series.interval_weeks > 1 ? `Every ${series.interval_weeks} weeks` : 'Weekly';
+    return `${every} on ${weekday}`;
+}
+
+// ============================================
+// WAITLIST
+// ============================================
+
+/**
+ * Join a lawyer's waitlist ({ mode: 'range' | 'first_available', startDate, endDate, meetingType })
+ */
+async function joinWaitlist(clientId, lawyerId, options = {}) {
+    try {
+        const mode = options.mode || 'first_available';
+
+        if (!['range', 'first_available'].includes(mode)) {
+            throw new Error('Waitlist mode must be range or first_available');
+        }
+
+        if (mode === 'range' && (!options.startDate || !options.endDate || options.startDate > options.endDate)) {
+            throw new Error('Choose a start and end date for the waitlist');
+        }
+
+        const { data, error } = await supabase
+            .from('lawyer_waitlist')
+            .insert({
+                lawyer_id: lawyerId,
+                client_id: clientId,
+                mode,
+                start_date: mode === 'range' ? options.startDate : null,
+                end_date: mode === 'range' ? options.endDate : null,
+                meeting_type: options.meetingType || 'in-person'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.message.includes('lawyer_waitlist_active_idx')) {
+                throw new Error('You are already on this lawyer\'s waitlist');
+            }
+            throw error;
+        }
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error joining waitlist:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Leave a waitlist
+ */
+async function leaveWaitlist(entryId) {
+    try {
+        const { error } = await supabase
+            .from('lawyer_waitlist')
+            .update({ status: 'cancelled' })
+            .eq('id', entryId)
+            .in('status', ['waiting', 'offered']);
+
+        if (error) throw error;
+
+        return { success: true };
+
+    } catch (error) {
+        console.error('Error leaving waitlist:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get a client's live waitlist entries, each with its open offer (if any)
+ */
+async function getWaitlistEntries(clientId) {
+    try {
+        const { data, error } = await supabase
+            .from('lawyer_waitlist')
+            .select(`
+                *,
+                lawyers(users(first_name, last_name, timezone)),
+                waitlist_offers(*)
+            `)
+            .eq('client_id', clientId)
+            .in('status', ['waiting', 'offered'])
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        const now = new Date();
+        const entries = (data || []).map(entry => ({
+            ...entry,
+            openOffer: (entry.waitlist_offers || [])
+                .find(offer => offer.status === 'open' && new Date(offer.expires_at) > now) || null
+        }));
+
+        return { success: true, data: entries };
+
+    } catch (error) {
+        console.error('Error fetching waitlist:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Claim an offered slot; it becomes a payment hold like a normal booking
+ */
+async function claimWaitlistOffer(offerId) {
+    try {
+        const { data, error } = await supabase
+            .rpc('claim_waitlist_offer', {
+                p_offer_id: offerId,
+                p_hold_minutes: HOLD_DURATION_MINUTES
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error claiming waitlist offer:', error);
+        return { success: false, error: getReservationErrorMessage(error) };
+    }
+}
+
+/**
+ * Turn down an offered slot and stay on the waitlist
+ */
+async function passWaitlistOffer(offerId) {
+    try {
+        const { data, error } = await supabase
+            .rpc('pass_waitlist_offer', { p_offer_id: offerId });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error passing waitlist offer:', error);
+        return { success: false, error: getReservationErrorMessage(error) };
+    }
+}
+
+// ============================================
+// REVIEWS
+// ============================================
+
+/**
+ * Recalculate a lawyer's average rating from their reviews. Reviews already
+ * do this as they are written (see ..._lawyer_ratings.sql); this catches up
+ * ratings recorded before that.
+ */
+async function updateLawyerRating(lawyerId) {
+    try {
+        console.log('📊 Recalculating rating for lawyer:', lawyerId);
+        
+        const { data, error } = await supabase
+            .rpc('refresh_lawyer_rating', { p_lawyer_id: lawyerId });
+
+        if (error) throw error;
+
+        console.log('✅ Rating updated successfully');
+        return { success: true, average: Number(data.average_rating), count: data.total_reviews };
+
+    } catch (error) {
+        console.error('❌ Error updating lawyer rating:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get lawyer reviews
+ */
+async function getLawyerReviews(lawyerId) {
+    try {
+        const { data, error } = await supabase
+            .from('reviews')
+            .select(`
+                *,
+                users!client_id(first_name, last_name, profile_photo_url)
+            `)
+            .eq('lawyer_id', lawyerId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching reviews:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Create a review and update lawyer rating
+ */
+async function createReview(reviewData) {
+    try {
+        console.log('📝 Creating review:', reviewData);
+        
+        // Insert the review
+        const { data, error } = await supabase
+            .from('reviews')
+            .insert({
+                lawyer_id: reviewData.lawyerId,
+                client_id: reviewData.clientId,
+                appointment_id: reviewData.appointmentId,
+                rating: reviewData.rating,
+                review_text: reviewData.reviewText
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        // The lawyer's rating is recalculated by the database as the review is saved
+        console.log('✅ Review created:', data);
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error creating review:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================
+// DOCUMENTS
+// ============================================
+
+/**
+ * Upload document
+ */
+async function uploadDocument(userId, file, documentType) {
+    try {
+        window.Authorization.assertPermission(
+            await window.Authorization.canManageDocuments(userId),
+            'you can only upload your own documents'
+        );
+
+        const { uploadFile, STORAGE_BUCKETS } = window.SupabaseClient;
+        
+        // Sanitize filename - remove special characters and spaces
+        const cleanFileName = file.name.replace(/[^a-zA-Z0-9._-]/g, '_');
+        const fileName = `${userId}/${Date.now()}_${cleanFileName}`;
+        const fileUrl = await uploadFile(STORAGE_BUCKETS.DOCUMENTS, file, fileName);
+
+        if (!fileUrl) throw new Error('File upload failed');
+
+        const { data, error } = await supabase
+            .from('documents')
+            .insert({
+                user_id: userId,
+                document_name: file.name,
+                document_type: documentType,
+                file_url: fileUrl,
+                file_size: file.size,
+                mime_type: file.type
+            })
+            .select()
+            .single();
 
         if (error) throw error;
 
@@ -530,6 +1705,11 @@ async function uploadDocument(userId, file, documentType) {
  */
 async function getUserDocuments(userId) {
     try {
+        window.Authorization.assertPermission(
+            await window.Authorization.canViewClientDocuments(userId),
+            'you can only view your own documents or those of clients who booked you'
+        );
+
         const { data, error } = await supabase
             .from('documents')
             .select('*')
@@ -582,12 +1762,47 @@ window.Search = {
     getPracticeAreas,
     getLawyerDetails,
     getLawyerAvailability,
+    getAvailabilityOverrides,
+    addAvailabilityOverride,
+    deleteAvailabilityOverride,
     getBookedSlots,
+    getAvailableSlots,
+    getRescheduleSlots,
+    isSlotAvailable,
+    getUserTimezone,
+    getSchedulingSettings,
+    getConsultationDuration,
+    updateSchedulingSettings,
+    formatSlotTime,
     createAppointment,
+    reserveSlot,
+    confirmReservation,
+    releaseReservation,
+    updateApprovalSettings,
+    getPendingBookingRequests,
+    acceptBookingRequest,
+    declineBookingRequest,
+    HOLD_DURATION_MINUTES,
     getUserAppointments,
     updateAppointment,
     cancelAppointment,
     deleteAppointment,
+    proposeReschedule,
+    acceptReschedule,
+    declineReschedule,
+    withdrawReschedule,
+    getRescheduleHistory,
+    getPendingRescheduleRequests,
+    expandRecurrence,
+    checkRecurringAvailability,
+    getAppointmentSeries,
+    cancelAppointmentSeries,
+    describeRecurrence,
+    joinWaitlist,
+    leaveWaitlist,
+    getWaitlistEntries,
+    claimWaitlistOffer,
+    passWaitlistOffer,
     getLawyerReviews,
     createReview,
     updateLawyerRating,
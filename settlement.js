@@ -0,0 +1,304 @@
+// ============================================
+// LAWYER SETTLEMENT
+// ============================================
+// File: js/settlement.js
+// Requires: supabase-client.js
+//
+// What each lawyer has earned after platform commission and refunds, the
+// weekly payout batches those earnings are paid in, and downloadable
+// statements. The amounts come from the lawyer_earnings database function.
+
+// Mirrors platform_commission_rate() in the database (shown on statements)
+const PLATFORM_COMMISSION_RATE = 0.10;
+
+const PAYOUT_STATUS_LABELS = {
+    pending: 'Awaiting Payout',
+    paid: 'Paid Out'
+};
+
+// ============================================
+// EARNINGS
+// ============================================
+
+/**
+ * Format a Date as YYYY-MM-DD (local calendar date)
+ */
+function formatPeriodDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the start and end dates of a named period ('this_month', 'last_month', 'this_year')
+ */
+function getPeriodRange(period, today = new Date()) {
+    const year = today.getFullYear();
+    const month = today.getMonth();
+
+    if (period === 'last_month') {
+        return { start: formatPeriodDate(new Date(year, month - 1, 1)), end: formatPeriodDate(new Date(year, month, 0)) };
+    }
+    if (period === 'this_year') {
+        return { start: `${year}-01-01`, end: `${year}-12-31` };
+    }
+    return { start: formatPeriodDate(new Date(year, month, 1)), end: formatPeriodDate(new Date(year, month + 1, 0)) };
+}
+
+/**
+ * Add up earnings lines. Net amounts are split by where the money is:
+ * still in escrow, released and waiting for a payout batch, or batched.
+ */
+function summarizeEarnings(lines) {
+    const sum = (rows, field) => Math.round(rows.reduce((total, row) => total + Number(row[field] || 0), 0) * 100) / 100;
+    const inEscrow = lines.filter(line => ['held', 'disputed'].includes(line.escrow_status));
+    const released = lines.filter(line => line.escrow_status === 'released');
+
+    return {
+        currency: lines[0]?.currency || 'PKR',
+        paymentCount: lines.length,
+        gross: sum(lines, 'lawyer_gross'),
+        commission: sum(lines, 'commission'),
+        refunded: sum(lines, 'lawyer_refunded'),
+        net: sum(lines, 'net'),
+        inEscrow: sum(inEscrow, 'net'),
+        awaitingPayout: sum(released.filter(line => !line.payout_batch_id), 'net'),
+        batched: sum(released.filter(line => line.payout_batch_id), 'net')
+    };
+}
+
+/**
+ * Get a lawyer's earnings lines and totals for a date range (YYYY-MM-DD)
+ */
+async function getEarnings(lawyerId, startDate, endDate) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .rpc('lawyer_earnings', {
+                p_lawyer_id: lawyerId,
+                p_start: startDate,
+                p_end: endDate
+            });
+
+        if (error) throw error;
+
+        const lines = data || [];
+        return { success: true, data: lines, summary: summarizeEarnings(lines) };
+
+    } catch (error) {
+        console.error('Error fetching earnings:', error);
+        return { success: false, error: error.message, data: [], summary: summarizeEarnings([]) };
+    }
+}
+
+// ============================================
+// PAYOUT BATCHES
+// ============================================
+
+/**
+ * Get a lawyer's payout batches, newest first
+ */
+async function getPayoutBatches(lawyerId) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .from('payout_batches')
+            .select('*')
+            .eq('lawyer_id', lawyerId)
+            .order('period_start', { ascending: false });
+
+        if (error) throw error;
+
+        return { success: true, data: data || [] };
+
+    } catch (error) {
+        console.error('Error fetching payout batches:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Get the earnings lines paid in one payout batch
+ */
+async function getBatchEarnings(batch) {
+    const result = await getEarnings(batch.lawyer_id, batch.period_start, batch.period_end);
+    const lines = result.data.filter(line => line.payout_batch_id === batch.id);
+
+    return { ...result, data: lines, summary: summarizeEarnings(lines) };
+}
+
+/**
+ * Batch a lawyer's released payments for a period (admin only; also runs weekly).
+ * A batch holds one settlement currency, the lawyer's current one unless given.
+ */
+async function createPayoutBatch(lawyerId, periodStart, periodEnd, currency = null) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .rpc('create_payout_batch', {
+                p_lawyer_id: lawyerId,
+                p_period_start: periodStart,
+                p_period_end: periodEnd,
+                p_currency: currency
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error creating payout batch:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Record that a payout batch has been paid to the lawyer (admin only)
+ */
+async function markPayoutBatchPaid(batchId, reference = null) {
+    try {
+        const { data, error } = await window.SupabaseClient.supabase
+            .rpc('mark_payout_batch_paid', {
+                p_batch_id: batchId,
+                p_reference: reference
+            });
+
+        if (error) throw error;
+
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error marking payout as paid:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ============================================
+// STATEMENTS
+// ============================================
+
+const STATEMENT_COLUMNS = [
+    ['earned_on', 'Date'],
+    ['transaction_id', 'Transaction ID'],
+    ['lawyer_gross', 'Consultation Fee'],
+    ['commission', 'Platform Commission'],
+    ['lawyer_refunded', 'Refunded'],
+    ['net', 'Net Earnings'],
+    ['escrow_status', 'Status']
+];
+
+/**
+ * Build a CSV statement. meta: { lawyerName, periodStart, periodEnd }
+ */
+function buildStatementCsv(lines, summary, meta) {
+    const escape = value => {
+        const text = String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [
+        ['Brief-Case Earnings Statement'],
+        ['Lawyer', meta.lawyerName],
+        ['Period', `${meta.periodStart} to ${meta.periodEnd}`],
+        ['Currency', summary.currency],
+        [],
+        STATEMENT_COLUMNS.map(([, label]) => label),
+        ...lines.map(line => STATEMENT_COLUMNS.map(([field]) => line[field])),
+        [],
+        ['Consultation Fees', summary.gross],
+        [`Platform Commission (${PLATFORM_COMMISSION_RATE * 100}%)`, summary.commission],
+        ['Refunded', summary.refunded],
+        ['Net Earnings', summary.net]
+    ];
+
+    return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Download a CSV statement
+ */
+function downloadStatementCsv(lines, summary, meta) {
+    const blob = new Blob([buildStatementCsv(lines, summary, meta)], { type: 'text/csv;charset=utf-8' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `statement_${meta.periodStart}_${meta.periodEnd}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Open a printable statement in a new window and show the print dialog
+ */
+function printStatement(lines, summary, meta) {
+    const money = value => `${summary.currency} ${Number(value).toLocaleString(undefined, { minimumFractionDigits: 2 })}`;
+    const escapeHtml = value => String(value ?? '').replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        return { success: false, error: 'Please allow pop-ups to print the statement' };
+    }
+
+    printWindow.document.write(`
+        <html>
+        <head>
+            <title>Earnings Statement ${meta.periodStart} to ${meta.periodEnd}</title>
+            <style>
+                body { font-family: Arial, sans-serif; color: #2c2c2c; padding: 30px; }
+                h1 { font-size: 22px; margin-bottom: 4px; }
+                table { width: 100%; border-collapse: collapse; margin-top: 20px; font-size: 13px; }
+                th, td { border-bottom: 1px solid #ddd; padding: 8px; text-align: left; }
+                td.amount, th.amount { text-align: right; }
+                .totals td { font-weight: bold; border-bottom: none; }
+            </style>
+        </head>
+        <body>
+            <h1>Brief-Case Earnings Statement</h1>
+            <div>${escapeHtml(meta.lawyerName)}</div>
+            <div>${meta.periodStart} to ${meta.periodEnd}</div>
+            <table>
+                <tr>
+                    <th>Date</th><th>Transaction ID</th>
+                    <th class="amount">Consultation Fee</th><th class="amount">Commission</th>
+                    <th class="amount">Refunded</th><th class="amount">Net</th><th>Status</th>
+                </tr>
+                ${lines.map(line => `
+                    <tr>
+                        <td>${line.earned_on}</td><td>${escapeHtml(line.transaction_id)}</td>
+                        <td class="amount">${money(line.lawyer_gross)}</td><td class="amount">${money(line.commission)}</td>
+                        <td class="amount">${money(line.lawyer_refunded)}</td><td class="amount">${money(line.net)}</td>
+                        <td>${escapeHtml(line.escrow_status)}</td>
+                    </tr>
+                `).join('')}
+                <tr class="totals">
+                    <td colspan="2">Total (${summary.paymentCount} payments)</td>
+                    <td class="amount">${money(summary.gross)}</td><td class="amount">${money(summary.commission)}</td>
+                    <td class="amount">${money(summary.refunded)}</td><td class="amount">${money(summary.net)}</td><td></td>
+                </tr>
+            </table>
+            <p style="font-size:12px;color:#666;">Platform commission is ${PLATFORM_COMMISSION_RATE * 100}% of the consultation fee. Refunds reduce earnings in proportion to the amount refunded.</p>
+        </body>
+        </html>
+    `);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+
+    return { success: true };
+}
+
+// Export everything
+window.Settlement = {
+    PLATFORM_COMMISSION_RATE,
+    PAYOUT_STATUS_LABELS,
+    getPeriodRange,
+    summarizeEarnings,
+    getEarnings,
+    getPayoutBatches,
+    getBatchEarnings,
+    createPayoutBatch,
+    markPayoutBatchPaid,
+    buildStatementCsv,
+    downloadStatementCsv,
+    printStatement
+};
+
+console.log('✅ Settlement initialized');
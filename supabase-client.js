@@ -261,26 +261,140 @@ function getPublicUrl(bucket, path) {
 }
 
 /**
- * Format date for display
+ * Format date for display (in the given IANA timezone, or the browser's)
  */
-function formatDate(dateString) {
-    const options = { year: 'numeric', month: 'long', day: 'numeric' };
+function formatDate(dateString, timeZone = undefined) {
+    const options = { year: 'numeric', month: 'long', day: 'numeric', timeZone };
     return new Date(dateString).toLocaleDateString('en-US', options);
 }
 
 /**
- * Format time for display
+ * Format time for display (in the given IANA timezone, or the browser's)
  */
-function formatTime(dateString) {
-    const options = { hour: '2-digit', minute: '2-digit' };
+function formatTime(dateString, timeZone = undefined) {
+    const options = { hour: '2-digit', minute: '2-digit', timeZone };
     return new Date(dateString).toLocaleTimeString('en-US', options);
 }
 
+// ============================================
+// TIMEZONES
+// ============================================
+
+// Zone used when a user has not chosen one
+var DEFAULT_TIMEZONE = 'Asia/Karachi';
+
 /**
- * Format currency
+ * Get the browser's IANA timezone
+ */
+function getBrowserTimezone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIMEZONE;
+    } catch (error) {
+        return DEFAULT_TIMEZONE;
+    }
+}
+
+/**
+ * Check that a string is a timezone the browser understands
+ */
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return !!timeZone;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * List selectable IANA timezones
+ */
+function getTimezoneOptions() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        return Intl.supportedValuesOf('timeZone');
+    }
+    return ['Asia/Karachi', 'Asia/Dubai', 'Asia/Riyadh', 'Europe/London', 'America/New_York', 'America/Toronto', 'Australia/Sydney', 'UTC'];
+}
+
+/**
+ * Short label for a timezone (e.g. 'Asia/Karachi' -> 'Karachi')
  */
-function formatCurrency(amount, currency = 'PKR') {
-    return `${currency} ${amount.toLocaleString()}`;
+function getTimezoneLabel(timeZone) {
+    if (!timeZone) return '';
+    return timeZone.split('/').pop().replace(/_/g, ' ');
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a timezone
+ */
+function getZonedParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+    }, {});
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`,
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+}
+
+/**
+ * Convert a wall-clock date ('YYYY-MM-DD') and time ('HH:MM') in a timezone to an absolute Date
+ */
+function zonedTimeToUtc(dateString, timeString, timeZone) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const [hours, minutes] = timeString.split(':').map(Number);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+    const offsetAt = instant => {
+        const zoned = getZonedParts(new Date(instant), timeZone);
+        const [zy, zm, zd] = zoned.date.split('-').map(Number);
+        return Date.UTC(zy, zm - 1, zd) + zoned.minutes * 60000 - instant;
+    };
+
+    // Second pass corrects guesses that land on the other side of a DST change
+    let instant = wallClockAsUtc - offsetAt(wallClockAsUtc);
+    instant = wallClockAsUtc - offsetAt(instant);
+
+    return new Date(instant);
+}
+
+/**
+ * Format an instant as date and time in a timezone (e.g. 'Mon, Oct 20, 3:00 PM')
+ */
+function formatDateTimeInZone(dateString, timeZone = undefined) {
+    return new Date(dateString).toLocaleString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZone
+    });
+}
+
+/**
+ * Format an appointment instant for the viewer, with the other party's local time beside it
+ */
+function formatAppointmentTime(startsAt, viewerTimezone, otherTimezone = null, otherLabel = 'their time') {
+    const viewerText = formatDateTimeInZone(startsAt, viewerTimezone);
+
+    if (!otherTimezone || otherTimezone === viewerTimezone) {
+        return viewerText;
+    }
+
+    const otherText = formatDateTimeInZone(startsAt, otherTimezone);
+    return `${viewerText} (${otherText} ${otherLabel}, ${getTimezoneLabel(otherTimezone)})`;
 }
 
 /**
@@ -334,6 +448,103 @@ function generateUniqueFilename(originalFilename) {
     return `${timestamp}_${random}.${extension}`;
 }
 
+// ============================================
+// CURRENCIES
+// ============================================
+
+// Currency used when a lawyer or client has not chosen one
+var DEFAULT_CURRENCY = 'PKR';
+
+// Exchange rates load once per page
+var exchangeRatesRequest = null;
+
+/**
+ * Format currency
+ */
+function formatCurrency(amount, currency = DEFAULT_CURRENCY) {
+    return `${currency} ${Number(amount).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Get the exchange-rate table: [{ currency, name, rate_to_pkr, updated_at }]
+ */
+async function getExchangeRates() {
+    if (!exchangeRatesRequest) {
+        exchangeRatesRequest = supabase
+            .from('exchange_rates')
+            .select('currency, name, rate_to_pkr, updated_at')
+            .order('currency')
+            .then(({ data, error }) => {
+                if (error) throw error;
+                return data || [];
+            });
+    }
+
+    try {
+        return { success: true, data: await exchangeRatesRequest };
+    } catch (error) {
+        console.error('Error fetching exchange rates:', error);
+        exchangeRatesRequest = null;
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Convert an amount between currencies with rates from getExchangeRates().
+ * Mirrors exchange_rate_between() in the database. Returns null without a rate.
+ */
+function convertCurrency(amount, fromCurrency, toCurrency, rates) {
+    if (fromCurrency === toCurrency) return Number(amount);
+
+    const from = rates.find(rate => rate.currency === fromCurrency);
+    const to = rates.find(rate => rate.currency === toCurrency);
+    if (!from || !to) return null;
+
+    return Math.round(Number(amount) * from.rate_to_pkr / to.rate_to_pkr * 100) / 100;
+}
+
+/**
+ * Show a price in its own currency with an estimate in the viewer's,
+ * e.g. "GBP 50 (approx. PKR 17,750)"
+ */
+function formatCurrencyEstimate(amount, currency, viewerCurrency, rates) {
+    const price = formatCurrency(amount, currency);
+    const estimate = viewerCurrency ? convertCurrency(amount, currency, viewerCurrency, rates) : null;
+
+    return estimate === null || viewerCurrency === currency
+        ? price
+        : `${price} (approx. ${formatCurrency(estimate, viewerCurrency)})`;
+}
+
+/**
+ * Set how much one unit of a currency is worth in PKR (admin only)
+ */
+async function updateExchangeRate(currency, rateToPkr, name = null) {
+    try {
+        const user = await getCurrentUser();
+        const { data, error } = await supabase
+            .from('exchange_rates')
+            .upsert({
+                currency: currency.toUpperCase(),
+                rate_to_pkr: rateToPkr,
+                ...(name ? { name } : {}),
+                updated_at: new Date().toISOString(),
+                updated_by: user?.id
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        exchangeRatesRequest = null;
+        return { success: true, data };
+
+    } catch (error) {
+        console.error('Error updating exchange rate:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 // ============================================
 // REAL-TIME SUBSCRIPTIONS
 // ============================================
@@ -435,6 +646,7 @@ function waitForSupabase(maxWaitMs = 5000) {
 // Export everything
 window.SupabaseClient = {
     supabase,
+    SUPABASE_URL,
     STORAGE_BUCKETS,
     isAuthenticated,
     getCurrentUser,
@@ -445,7 +657,21 @@ window.SupabaseClient = {
     getPublicUrl,
     formatDate,
     formatTime,
+    DEFAULT_CURRENCY,
     formatCurrency,
+    getExchangeRates,
+    convertCurrency,
+    formatCurrencyEstimate,
+    updateExchangeRate,
+    DEFAULT_TIMEZONE,
+    getBrowserTimezone,
+    isValidTimezone,
+    getTimezoneOptions,
+    getTimezoneLabel,
+    getZonedParts,
+    zonedTimeToUtc,
+    formatDateTimeInZone,
+    formatAppointmentTime,
     showLoading,
     hideLoading,
     showError,
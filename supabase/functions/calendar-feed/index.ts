@@ -0,0 +1,152 @@
+// ============================================
+// CALENDAR FEED (Supabase Edge Function)
+// ============================================
+// GET /functions/v1/calendar-feed?token=<calendar_feed_tokens.token>
+// Deploy with: supabase functions deploy calendar-feed --no-verify-jwt
+//
+// Calendar apps cannot send auth headers, so the secret token in the URL
+// identifies the user. Output matches js/calendar.js buildCalendar().
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const DEFAULT_EVENT_DURATION_MINUTES = 60;
+
+function escapeICalText(text: unknown): string {
+    return String(text ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function foldICalLine(line: string): string {
+    const encoder = new TextEncoder();
+    const parts: string[] = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        if (currentBytes + charBytes > 75) {
+            parts.push(current);
+            current = ' ';
+            currentBytes = 1;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n');
+}
+
+function formatICalUtc(date: Date): string {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function getICalStatus(status: string): string {
+    if (['cancelled', 'declined', 'expired', 'no_show'].includes(status)) return 'CANCELLED';
+    if (['held', 'pending', 'reschedule_requested'].includes(status)) return 'TENTATIVE';
+    return 'CONFIRMED';
+}
+
+// deno-lint-ignore no-explicit-any
+function buildEventLines(appointment: any, counterpartName: string | null): string[] {
+    const startsAt = new Date(appointment.starts_at);
+    const endsAt = appointment.ends_at
+        ? new Date(appointment.ends_at)
+        : new Date(startsAt.getTime() + DEFAULT_EVENT_DURATION_MINUTES * 60000);
+    const online = appointment.meeting_type === 'online';
+    const description = [
+        appointment.description,
+        counterpartName ? `With: ${counterpartName}` : null,
+        `Meeting type: ${online ? 'Online' : 'In-Person'}`
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${appointment.id}@brief-case`,
+        `DTSTAMP:${formatICalUtc(new Date())}`,
+        `LAST-MODIFIED:${formatICalUtc(new Date(appointment.status_changed_at || appointment.created_at || Date.now()))}`,
+        `SEQUENCE:${appointment.calendar_sequence || 0}`,
+        `DTSTART:${formatICalUtc(startsAt)}`,
+        `DTEND:${formatICalUtc(endsAt)}`,
+        `SUMMARY:${escapeICalText(appointment.title || 'Legal Consultation')}`,
+        `DESCRIPTION:${escapeICalText(description)}`,
+        `LOCATION:${escapeICalText(online ? 'Online meeting (video call)' : "In person at the lawyer's office")}`,
+        `STATUS:${getICalStatus(appointment.status)}`,
+        'END:VEVENT'
+    ];
+}
+
+Deno.serve(async (req: Request) => {
+    const token = new URL(req.url).searchParams.get('token');
+
+    if (!token) {
+        return new Response('Missing token', { status: 400 });
+    }
+
+    const supabase = createClient(
+        Deno.env.get('SUPABASE_URL')!,
+        Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    );
+
+    const { data: feed } = await supabase
+        .from('calendar_feed_tokens')
+        .select('user_id')
+        .eq('token', token)
+        .maybeSingle();
+
+    if (!feed) {
+        return new Response('Calendar feed not found', { status: 404 });
+    }
+
+    const userId = feed.user_id;
+
+    // Cancelled appointments stay in the feed so subscribed calendars remove them
+    const { data: appointments, error } = await supabase
+        .from('appointments')
+        .select(`
+            *,
+            client:users!appointments_client_id_fkey(first_name, last_name),
+            lawyers(users(first_name, last_name))
+        `)
+        .or(`client_id.eq.${userId},lawyer_id.eq.${userId}`)
+        .gte('starts_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString())
+        .not('status', 'in', '(held,expired)')
+        .order('starts_at', { ascending: true });
+
+    if (error) {
+        console.error('Calendar feed query failed:', error);
+        return new Response('Could not load appointments', { status: 500 });
+    }
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Brief-Case//Appointments//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Brief-Case Appointments',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    for (const appointment of appointments || []) {
+        const person = appointment.client_id === userId
+            ? appointment.lawyers?.users
+            : appointment.client;
+        const name = person ? `${person.first_name} ${person.last_name}` : null;
+        lines.push(...buildEventLines(appointment, name));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return new Response(lines.map(foldICalLine).join('\r\n') + '\r\n', {
+        headers: {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="brief-case.ics"',
+            'Cache-Control': 'no-cache'
+        }
+    });
+});
@@ -0,0 +1,135 @@
+// ============================================
+// GATEWAY WEBHOOK (Supabase Edge Function)
+// ============================================
+// POST /functions/v1/gateway-webhook
+// Deploy with: supabase functions deploy gateway-webhook --no-verify-jwt
+// Secret: supabase secrets set GATEWAY_WEBHOOK_SECRET=<shared secret>
+//
+// Each gateway integration reports its charges here, signed with the shared
+// secret (hex HMAC-SHA256 of the raw body in the X-Gateway-Signature header):
+//   { "type": "capture", "gateway": "stripe", "reference": "...",
+//     "amount": 5750, "currency": "PKR", "transactionId": "TXN..." }
+// transactionId is the one the browser passed to authorize(). Captures are
+// stored in gateway_captures, where complete_payment and complete_donation
+// check them (see ..._verified_gateway_captures.sql); a guest's donation is
+// completed here, as there is no one signed in to complete it. Refunds are reported the
+// same way with "type": "refund" (no transactionId) into gateway_refunds,
+// which finish_payment_refund checks.
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const encoder = new TextEncoder();
+
+async function sign(secret: string, body: string): Promise<string> {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Compare without stopping at the first difference, so timing gives nothing away
+function sameSignature(a: string, b: string): boolean {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+function json(body: unknown, status = 200): Response {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+Deno.serve(async (req: Request) => {
+    if (req.method !== 'POST') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    const secret = Deno.env.get('GATEWAY_WEBHOOK_SECRET');
+    if (!secret) {
+        console.error('GATEWAY_WEBHOOK_SECRET is not set');
+        return new Response('Webhook is not configured', { status: 500 });
+    }
+
+    const body = await req.text();
+    const signature = (req.headers.get('x-gateway-signature') || '').toLowerCase();
+
+    if (!sameSignature(signature, await sign(secret, body))) {
+        return new Response('Invalid signature', { status: 401 });
+    }
+
+    // deno-lint-ignore no-explicit-any
+    let event: any;
+    try {
+        event = JSON.parse(body);
+    } catch {
+        return new Response('Invalid JSON', { status: 400 });
+    }
+
+    if (!['capture', 'refund'].includes(event.type)) {
+        return new Response(`Unknown event type ${event.type}`, { status: 400 });
+    }
+
+    const amount = Number(event.amount);
+    if (!event.gateway || !event.reference || !(amount > 0) || !/^[A-Z]{3}$/.test(event.currency || '')) {
+        return new Response('gateway, reference, amount and currency are required', { status: 400 });
+    }
+
+    const supabase = createClient(
+        Deno.env.get('SUPABASE_URL')!,
+        Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    );
+
+    const report = { gateway: event.gateway, reference: event.reference, amount, currency: event.currency };
+
+    // Gateways resend events until they get a 2xx, so a repeat is not an error
+    const { error } = event.type === 'capture'
+        ? await supabase
+            .from('gateway_captures')
+            .upsert({ ...report, transaction_id: event.transactionId || null }, { onConflict: 'gateway,reference', ignoreDuplicates: true })
+        : await supabase
+            .from('gateway_refunds')
+            .upsert(report, { onConflict: 'gateway,reference', ignoreDuplicates: true });
+
+    if (error) {
+        console.error(`Could not record ${event.type}:`, error);
+        return new Response(`Could not record ${event.type}`, { status: 500 });
+    }
+
+    // No one is signed in to complete a guest's donation, so its capture does
+    if (event.type === 'capture' && event.transactionId) {
+        const { data: donation } = await supabase
+            .from('donations')
+            .select('id')
+            .eq('transaction_id', event.transactionId)
+            .eq('gateway', event.gateway)
+            .eq('status', 'pending')
+            .is('donor_id', null)
+            .maybeSingle();
+
+        if (donation) {
+            const { error: completeError } = await supabase
+                .rpc('complete_donation', {
+                    p_donation_id: donation.id,
+                    p_transaction_id: event.transactionId,
+                    p_gateway_reference: event.reference
+                });
+
+            if (completeError) {
+                console.error('Could not complete donation:', completeError);
+                return new Response('Could not complete donation', { status: 500 });
+            }
+        }
+    }
+
+    return json({ received: true });
+});
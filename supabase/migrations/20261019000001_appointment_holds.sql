@@ -0,0 +1,165 @@
+-- ============================================
+-- APPOINTMENT HOLDS
+-- ============================================
+-- Temporary slot holds while a client completes payment, and a
+-- conflict-safe reservation path so two clients cannot book the same slot.
+
+alter table public.appointments
+    add column if not exists hold_expires_at timestamptz;
+
+-- Bookings made before this index existed may already share a slot: keep the
+-- earliest booking and cancel the others, or the index cannot be built
+update public.appointments a
+   set status = 'cancelled'
+ where a.status in ('held', 'scheduled', 'confirmed', 'rescheduled')
+   and exists (
+       select 1 from public.appointments b
+        where b.lawyer_id = a.lawyer_id
+          and b.appointment_date = a.appointment_date
+          and b.appointment_time = a.appointment_time
+          and b.status in ('held', 'scheduled', 'confirmed', 'rescheduled')
+          and (coalesce(b.created_at, '-infinity'), b.id) < (coalesce(a.created_at, '-infinity'), a.id)
+   );
+
+-- Last line of defence against double booking: only one live booking per slot.
+-- Stale holds are moved to 'expired' before every reservation, so they never block this index.
+create unique index if not exists appointments_active_slot_idx
+    on public.appointments (lawyer_id, appointment_date, appointment_time)
+    where status in ('held', 'scheduled', 'confirmed', 'rescheduled');
+
+-- Mark holds whose payment window has passed as expired
+create or replace function public.expire_stale_holds()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    expired_count integer;
+begin
+    update appointments
+       set status = 'expired',
+           hold_expires_at = null
+     where status = 'held'
+       and hold_expires_at <= now();
+
+    get diagnostics expired_count = row_count;
+    return expired_count;
+end;
+$$;
+
+-- Reserve a slot atomically. With p_hold_minutes the appointment is created as a
+-- short-lived 'held' booking; without it the appointment is 'scheduled' straight away.
+create or replace function public.reserve_appointment_slot(
+    p_client_id uuid,
+    p_lawyer_id uuid,
+    p_date date,
+    p_time time,
+    p_title text default 'Consultation',
+    p_description text default null,
+    p_meeting_type text default null,
+    p_hold_minutes integer default null,
+    p_duration_minutes integer default 60
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    new_appointment appointments;
+begin
+    if auth.uid() is null or auth.uid() <> p_client_id then
+        raise exception 'NOT_AUTHORIZED: you can only book appointments for yourself';
+    end if;
+
+    -- Serialise reservations for the same lawyer and day
+    perform pg_advisory_xact_lock(hashtext(p_lawyer_id::text || p_date::text));
+
+    perform expire_stale_holds();
+
+    if exists (
+        select 1
+          from appointments
+         where lawyer_id = p_lawyer_id
+           and appointment_date = p_date
+           and status in ('held', 'scheduled', 'confirmed', 'rescheduled')
+           and appointment_time < p_time + make_interval(mins => p_duration_minutes)
+           and p_time < appointment_time + make_interval(mins => p_duration_minutes)
+    ) then
+        raise exception 'SLOT_UNAVAILABLE: this time slot is no longer available';
+    end if;
+
+    insert into appointments (
+        client_id, lawyer_id, appointment_date, appointment_time,
+        title, description, meeting_type, status, hold_expires_at
+    )
+    values (
+        p_client_id, p_lawyer_id, p_date, p_time,
+        coalesce(p_title, 'Consultation'), p_description, p_meeting_type,
+        case when p_hold_minutes is null then 'scheduled' else 'held' end,
+        case when p_hold_minutes is null then null else now() + make_interval(mins => p_hold_minutes) end
+    )
+    returning * into new_appointment;
+
+    return new_appointment;
+end;
+$$;
+
+-- Turn a live hold (or an existing booking) into a confirmed appointment
+create or replace function public.confirm_appointment_hold(
+    p_appointment_id uuid,
+    p_status text default 'scheduled'
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+begin
+    select * into target
+      from appointments
+     where id = p_appointment_id
+     for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() not in (target.client_id, target.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this appointment';
+    end if;
+
+    if target.status = 'held' and target.hold_expires_at <= now() then
+        update appointments set status = 'expired', hold_expires_at = null where id = p_appointment_id;
+        raise exception 'HOLD_EXPIRED: the reservation expired before payment was completed';
+    end if;
+
+    if target.status not in ('held', 'scheduled', 'confirmed', 'rescheduled') then
+        raise exception 'INVALID_STATUS: appointment is %', target.status;
+    end if;
+
+    update appointments
+       set status = p_status,
+           hold_expires_at = null
+     where id = p_appointment_id
+    returning * into target;
+
+    return target;
+end;
+$$;
+
+grant execute on function public.reserve_appointment_slot(uuid, uuid, date, time, text, text, text, integer, integer) to authenticated;
+grant execute on function public.confirm_appointment_hold(uuid, text) to authenticated;
+grant execute on function public.expire_stale_holds() to authenticated;
+
+-- Sweep expired holds every minute where pg_cron is available
+do $$
+begin
+    if exists (select 1 from pg_extension where extname = 'pg_cron') then
+        perform cron.schedule('expire-appointment-holds', '* * * * *', 'select public.expire_stale_holds()');
+    end if;
+end;
+$$;
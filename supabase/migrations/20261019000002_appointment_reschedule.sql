@@ -0,0 +1,270 @@
+-- ============================================
+-- APPOINTMENT RESCHEDULING
+-- ============================================
+-- Either party proposes one or more new times; the other side accepts one
+-- of them or declines. Every proposal is kept as history.
+
+-- Statuses that keep a lawyer's slot occupied
+create or replace function public.active_appointment_statuses()
+returns text[]
+language sql
+immutable
+as $$
+    select array['held', 'scheduled', 'confirmed', 'rescheduled', 'reschedule_requested']
+$$;
+
+drop index if exists public.appointments_active_slot_idx;
+create unique index appointments_active_slot_idx
+    on public.appointments (lawyer_id, appointment_date, appointment_time)
+    where status in ('held', 'scheduled', 'confirmed', 'rescheduled', 'reschedule_requested');
+
+create table if not exists public.appointment_reschedule_requests (
+    id uuid primary key default gen_random_uuid(),
+    appointment_id uuid not null references public.appointments(id) on delete cascade,
+    proposed_by uuid not null references public.users(id),
+    proposed_slots jsonb not null,
+    note text,
+    status text not null default 'pending'
+        check (status in ('pending', 'accepted', 'declined', 'withdrawn')),
+    previous_status text not null,
+    previous_date date not null,
+    previous_time time not null,
+    accepted_date date,
+    accepted_time time,
+    responded_by uuid references public.users(id),
+    response_note text,
+    responded_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists appointment_reschedule_requests_appointment_idx
+    on public.appointment_reschedule_requests (appointment_id, created_at desc);
+
+-- Only one open proposal per appointment
+create unique index if not exists appointment_reschedule_requests_pending_idx
+    on public.appointment_reschedule_requests (appointment_id)
+    where status = 'pending';
+
+alter table public.appointment_reschedule_requests enable row level security;
+
+create policy "Participants can view reschedule requests"
+    on public.appointment_reschedule_requests for select
+    using (exists (
+        select 1 from public.appointments a
+         where a.id = appointment_id
+           and auth.uid() in (a.client_id, a.lawyer_id)
+    ));
+
+-- Reserve now checks the shared status list
+create or replace function public.reserve_appointment_slot(
+    p_client_id uuid,
+    p_lawyer_id uuid,
+    p_date date,
+    p_time time,
+    p_title text default 'Consultation',
+    p_description text default null,
+    p_meeting_type text default null,
+    p_hold_minutes integer default null,
+    p_duration_minutes integer default 60
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    new_appointment appointments;
+begin
+    if auth.uid() is null or auth.uid() <> p_client_id then
+        raise exception 'NOT_AUTHORIZED: you can only book appointments for yourself';
+    end if;
+
+    perform pg_advisory_xact_lock(hashtext(p_lawyer_id::text || p_date::text));
+
+    perform expire_stale_holds();
+
+    if exists (
+        select 1
+          from appointments
+         where lawyer_id = p_lawyer_id
+           and appointment_date = p_date
+           and status = any(active_appointment_statuses())
+           and appointment_time < p_time + make_interval(mins => p_duration_minutes)
+           and p_time < appointment_time + make_interval(mins => p_duration_minutes)
+    ) then
+        raise exception 'SLOT_UNAVAILABLE: this time slot is no longer available';
+    end if;
+
+    insert into appointments (
+        client_id, lawyer_id, appointment_date, appointment_time,
+        title, description, meeting_type, status, hold_expires_at
+    )
+    values (
+        p_client_id, p_lawyer_id, p_date, p_time,
+        coalesce(p_title, 'Consultation'), p_description, p_meeting_type,
+        case when p_hold_minutes is null then 'scheduled' else 'held' end,
+        case when p_hold_minutes is null then null else now() + make_interval(mins => p_hold_minutes) end
+    )
+    returning * into new_appointment;
+
+    return new_appointment;
+end;
+$$;
+
+-- Propose new times for an appointment. p_slots is a JSON array of {"date": "YYYY-MM-DD", "time": "HH:MM"}
+create or replace function public.propose_reschedule(
+    p_appointment_id uuid,
+    p_slots jsonb,
+    p_note text default null
+)
+returns public.appointment_reschedule_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    new_request appointment_reschedule_requests;
+begin
+    select * into target from appointments where id = p_appointment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() not in (target.client_id, target.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this appointment';
+    end if;
+
+    if target.status = 'reschedule_requested' then
+        raise exception 'PROPOSAL_PENDING: a reschedule proposal is already awaiting a response';
+    end if;
+
+    if target.status not in ('scheduled', 'confirmed', 'rescheduled') then
+        raise exception 'INVALID_STATUS: appointment is %', target.status;
+    end if;
+
+    if jsonb_typeof(p_slots) <> 'array' or jsonb_array_length(p_slots) = 0 then
+        raise exception 'INVALID_PROPOSAL: propose at least one new time';
+    end if;
+
+    insert into appointment_reschedule_requests (
+        appointment_id, proposed_by, proposed_slots, note,
+        previous_status, previous_date, previous_time
+    )
+    values (
+        p_appointment_id, auth.uid(), p_slots, p_note,
+        target.status, target.appointment_date, target.appointment_time
+    )
+    returning * into new_request;
+
+    update appointments set status = 'reschedule_requested' where id = p_appointment_id;
+
+    return new_request;
+end;
+$$;
+
+-- Accept one of the proposed times, decline the proposal, or withdraw your own proposal
+create or replace function public.respond_to_reschedule(
+    p_request_id uuid,
+    p_action text,
+    p_date date default null,
+    p_time time default null,
+    p_note text default null,
+    p_duration_minutes integer default 60
+)
+returns public.appointment_reschedule_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    request appointment_reschedule_requests;
+    target appointments;
+begin
+    select * into request from appointment_reschedule_requests where id = p_request_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: reschedule request does not exist';
+    end if;
+
+    if request.status <> 'pending' then
+        raise exception 'INVALID_STATUS: reschedule request is already %', request.status;
+    end if;
+
+    select * into target from appointments where id = request.appointment_id for update;
+
+    if auth.uid() is null or auth.uid() not in (target.client_id, target.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this appointment';
+    end if;
+
+    if p_action = 'withdraw' then
+        if auth.uid() <> request.proposed_by then
+            raise exception 'NOT_AUTHORIZED: only the proposer can withdraw a proposal';
+        end if;
+    elsif auth.uid() = request.proposed_by then
+        raise exception 'NOT_AUTHORIZED: the other party must respond to this proposal';
+    end if;
+
+    if p_action = 'accept' then
+        if not exists (
+            select 1 from jsonb_array_elements(request.proposed_slots) slot
+             where (slot->>'date')::date = p_date
+               and (slot->>'time')::time = p_time
+        ) then
+            raise exception 'INVALID_PROPOSAL: choose one of the proposed times';
+        end if;
+
+        perform pg_advisory_xact_lock(hashtext(target.lawyer_id::text || p_date::text));
+        perform expire_stale_holds();
+
+        if exists (
+            select 1
+              from appointments
+             where lawyer_id = target.lawyer_id
+               and id <> target.id
+               and appointment_date = p_date
+               and status = any(active_appointment_statuses())
+               and appointment_time < p_time + make_interval(mins => p_duration_minutes)
+               and p_time < appointment_time + make_interval(mins => p_duration_minutes)
+        ) then
+            raise exception 'SLOT_UNAVAILABLE: the proposed time has since been booked';
+        end if;
+
+        update appointments
+           set appointment_date = p_date,
+               appointment_time = p_time,
+               status = 'rescheduled'
+         where id = target.id;
+
+        update appointment_reschedule_requests
+           set status = 'accepted',
+               accepted_date = p_date,
+               accepted_time = p_time,
+               responded_by = auth.uid(),
+               response_note = p_note,
+               responded_at = now()
+         where id = p_request_id
+        returning * into request;
+
+    elsif p_action in ('decline', 'withdraw') then
+        update appointments set status = request.previous_status where id = target.id;
+
+        update appointment_reschedule_requests
+           set status = case when p_action = 'decline' then 'declined' else 'withdrawn' end,
+               responded_by = auth.uid(),
+               response_note = p_note,
+               responded_at = now()
+         where id = p_request_id
+        returning * into request;
+
+    else
+        raise exception 'INVALID_ACTION: %', p_action;
+    end if;
+
+    return request;
+end;
+$$;
+
+grant execute on function public.propose_reschedule(uuid, jsonb, text) to authenticated;
+grant execute on function public.respond_to_reschedule(uuid, text, date, time, text, integer) to authenticated;
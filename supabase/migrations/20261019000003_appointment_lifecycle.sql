@@ -0,0 +1,264 @@
+-- ============================================
+-- APPOINTMENT LIFECYCLE
+-- ============================================
+-- Allowed status transitions, who may make each one, and a timestamped
+-- history of every change. Mirrors js/appointment-lifecycle.js.
+
+alter table public.appointments
+    add column if not exists status_changed_at timestamptz default now(),
+    add column if not exists completed_at timestamptz,
+    add column if not exists cancelled_at timestamptz,
+    add column if not exists cancelled_by uuid references public.users(id),
+    add column if not exists cancellation_reason text,
+    add column if not exists no_show_party text check (no_show_party in ('client', 'lawyer'));
+
+create table if not exists public.appointment_status_transitions (
+    from_status text not null,
+    to_status text not null,
+    allowed_roles text[] not null,
+    primary key (from_status, to_status)
+);
+
+truncate public.appointment_status_transitions;
+insert into public.appointment_status_transitions (from_status, to_status, allowed_roles) values
+    ('held',                 'scheduled',            array['client', 'system']),
+    ('held',                 'confirmed',            array['client', 'system']),
+    ('held',                 'expired',              array['client', 'system']),
+    ('held',                 'cancelled',            array['client', 'system']),
+    ('scheduled',            'confirmed',            array['client', 'lawyer', 'system']),
+    ('scheduled',            'reschedule_requested', array['client', 'lawyer']),
+    ('scheduled',            'cancelled',            array['client', 'lawyer', 'system']),
+    ('scheduled',            'completed',            array['lawyer', 'system']),
+    ('scheduled',            'no_show',              array['client', 'lawyer', 'system']),
+    ('confirmed',            'reschedule_requested', array['client', 'lawyer']),
+    ('confirmed',            'cancelled',            array['client', 'lawyer', 'system']),
+    ('confirmed',            'completed',            array['lawyer', 'system']),
+    ('confirmed',            'no_show',              array['client', 'lawyer', 'system']),
+    ('reschedule_requested', 'rescheduled',          array['client', 'lawyer']),
+    ('reschedule_requested', 'scheduled',            array['client', 'lawyer']),
+    ('reschedule_requested', 'confirmed',            array['client', 'lawyer']),
+    ('reschedule_requested', 'cancelled',            array['client', 'lawyer', 'system']),
+    ('rescheduled',          'confirmed',            array['client', 'lawyer', 'system']),
+    ('rescheduled',          'reschedule_requested', array['client', 'lawyer']),
+    ('rescheduled',          'cancelled',            array['client', 'lawyer', 'system']),
+    ('rescheduled',          'completed',            array['lawyer', 'system']),
+    ('rescheduled',          'no_show',              array['client', 'lawyer', 'system']);
+
+alter table public.appointment_status_transitions enable row level security;
+
+create policy "Anyone can read appointment transitions"
+    on public.appointment_status_transitions for select
+    using (true);
+
+create table if not exists public.appointment_status_history (
+    id uuid primary key default gen_random_uuid(),
+    appointment_id uuid not null references public.appointments(id) on delete cascade,
+    from_status text,
+    to_status text not null,
+    changed_by uuid references public.users(id),
+    actor_role text not null,
+    reason text,
+    changed_at timestamptz not null default now()
+);
+
+create index if not exists appointment_status_history_appointment_idx
+    on public.appointment_status_history (appointment_id, changed_at);
+
+alter table public.appointment_status_history enable row level security;
+
+create policy "Participants can view status history"
+    on public.appointment_status_history for select
+    using (exists (
+        select 1 from public.appointments a
+         where a.id = appointment_id
+           and auth.uid() in (a.client_id, a.lawyer_id)
+    ));
+
+-- Role of whoever is changing the appointment. Security definer functions acting on
+-- behalf of the platform set app.transition_actor = 'system' for their transaction.
+create or replace function public.appointment_actor_role(p_client_id uuid, p_lawyer_id uuid)
+returns text
+language plpgsql
+stable
+as $$
+declare
+    configured text := nullif(current_setting('app.transition_actor', true), '');
+begin
+    if configured is not null then
+        return configured;
+    end if;
+    if auth.uid() is null then
+        return 'system';
+    end if;
+    if auth.uid() = p_client_id then
+        return 'client';
+    end if;
+    if auth.uid() = p_lawyer_id then
+        return 'lawyer';
+    end if;
+    return null;
+end;
+$$;
+
+create or replace function public.enforce_appointment_transition()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    actor text := appointment_actor_role(new.client_id, new.lawyer_id);
+    allowed text[];
+begin
+    if tg_op = 'INSERT' then
+        if new.status not in ('held', 'scheduled') then
+            raise exception 'INVALID_TRANSITION: appointments must start as held or scheduled, not %', new.status;
+        end if;
+        new.status_changed_at := now();
+        return new;
+    end if;
+
+    if new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    select allowed_roles into allowed
+      from appointment_status_transitions
+     where from_status = old.status and to_status = new.status;
+
+    if allowed is null then
+        raise exception 'INVALID_TRANSITION: cannot move an appointment from % to %', old.status, new.status;
+    end if;
+
+    if actor is null or not (actor = any(allowed)) then
+        raise exception 'NOT_AUTHORIZED: % cannot move an appointment from % to %',
+            coalesce(actor, 'this user'), old.status, new.status;
+    end if;
+
+    if new.status in ('completed', 'no_show')
+       and (old.appointment_date + old.appointment_time) > (now() at time zone 'Asia/Karachi') then
+        raise exception 'INVALID_TRANSITION: an appointment cannot be marked % before it starts', new.status;
+    end if;
+
+    new.status_changed_at := now();
+
+    if new.status = 'completed' then
+        new.completed_at := now();
+    elsif new.status = 'cancelled' then
+        new.cancelled_at := now();
+        new.cancelled_by := auth.uid();
+        new.cancellation_reason := coalesce(new.cancellation_reason, nullif(current_setting('app.transition_reason', true), ''));
+    elsif new.status = 'no_show' and new.no_show_party is null then
+        -- Whoever reports the no-show is reporting the other party
+        new.no_show_party := case actor when 'lawyer' then 'client' when 'client' then 'lawyer' end;
+        if new.no_show_party is null then
+            raise exception 'INVALID_TRANSITION: no_show_party is required';
+        end if;
+    end if;
+
+    return new;
+end;
+$$;
+
+create or replace function public.record_appointment_transition()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'UPDATE' and new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    insert into appointment_status_history (appointment_id, from_status, to_status, changed_by, actor_role, reason)
+    values (
+        new.id,
+        case when tg_op = 'UPDATE' then old.status end,
+        new.status,
+        auth.uid(),
+        coalesce(appointment_actor_role(new.client_id, new.lawyer_id), 'system'),
+        nullif(current_setting('app.transition_reason', true), '')
+    );
+
+    return new;
+end;
+$$;
+
+drop trigger if exists appointments_enforce_transition on public.appointments;
+create trigger appointments_enforce_transition
+    before insert or update of status on public.appointments
+    for each row execute function public.enforce_appointment_transition();
+
+drop trigger if exists appointments_record_transition on public.appointments;
+create trigger appointments_record_transition
+    after insert or update of status on public.appointments
+    for each row execute function public.record_appointment_transition();
+
+-- Holds expire on behalf of the platform, not the caller
+create or replace function public.expire_stale_holds()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    expired_count integer;
+begin
+    perform set_config('app.transition_actor', 'system', true);
+    perform set_config('app.transition_reason', 'Payment hold expired', true);
+
+    update appointments
+       set status = 'expired',
+           hold_expires_at = null
+     where status = 'held'
+       and hold_expires_at <= now();
+
+    get diagnostics expired_count = row_count;
+
+    perform set_config('app.transition_actor', '', true);
+    perform set_config('app.transition_reason', '', true);
+    return expired_count;
+end;
+$$;
+
+-- The single entry point for status changes from the app
+create or replace function public.transition_appointment(
+    p_appointment_id uuid,
+    p_to_status text,
+    p_reason text default null,
+    p_no_show_party text default null
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+begin
+    select * into target from appointments where id = p_appointment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() not in (target.client_id, target.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this appointment';
+    end if;
+
+    perform set_config('app.transition_reason', coalesce(p_reason, ''), true);
+
+    update appointments
+       set status = p_to_status,
+           cancellation_reason = case when p_to_status = 'cancelled' then p_reason else cancellation_reason end,
+           no_show_party = case when p_to_status = 'no_show' then p_no_show_party else no_show_party end
+     where id = p_appointment_id
+    returning * into target;
+
+    perform set_config('app.transition_reason', '', true);
+    return target;
+end;
+$$;
+
+grant execute on function public.transition_appointment(uuid, text, text, text) to authenticated;
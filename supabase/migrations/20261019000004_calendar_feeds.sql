@@ -0,0 +1,43 @@
+-- ============================================
+-- CALENDAR FEEDS
+-- ============================================
+-- Per-user secret tokens for the subscribable .ics feed, and an iCalendar
+-- SEQUENCE number so calendar apps pick up reschedules and cancellations.
+
+alter table public.appointments
+    add column if not exists calendar_sequence integer not null default 0;
+
+create or replace function public.bump_calendar_sequence()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.appointment_date is distinct from old.appointment_date
+       or new.appointment_time is distinct from old.appointment_time
+       or new.status is distinct from old.status
+       or new.title is distinct from old.title
+       or new.description is distinct from old.description
+       or new.meeting_type is distinct from old.meeting_type then
+        new.calendar_sequence := old.calendar_sequence + 1;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists appointments_bump_calendar_sequence on public.appointments;
+create trigger appointments_bump_calendar_sequence
+    before update on public.appointments
+    for each row execute function public.bump_calendar_sequence();
+
+create table if not exists public.calendar_feed_tokens (
+    user_id uuid primary key references public.users(id) on delete cascade,
+    token uuid not null unique default gen_random_uuid(),
+    created_at timestamptz not null default now()
+);
+
+alter table public.calendar_feed_tokens enable row level security;
+
+create policy "Users manage their own calendar feed token"
+    on public.calendar_feed_tokens for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
@@ -0,0 +1,131 @@
+-- ============================================
+-- TIMEZONES
+-- ============================================
+-- Every user has an IANA timezone. appointment_date / appointment_time stay the
+-- lawyer's wall-clock time (matching lawyer_availability); starts_at / ends_at
+-- are the absolute instants every view and reminder is rendered from.
+
+alter table public.users
+    add column if not exists timezone text not null default 'Asia/Karachi';
+
+alter table public.appointments
+    add column if not exists starts_at timestamptz,
+    add column if not exists ends_at timestamptz;
+
+create or replace function public.set_appointment_instants()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    lawyer_timezone text;
+begin
+    select coalesce(timezone, 'Asia/Karachi') into lawyer_timezone
+      from users
+     where id = new.lawyer_id;
+
+    new.starts_at := (new.appointment_date + new.appointment_time) at time zone coalesce(lawyer_timezone, 'Asia/Karachi');
+    new.ends_at := new.starts_at + interval '60 minutes';
+    return new;
+end;
+$$;
+
+drop trigger if exists appointments_set_instants on public.appointments;
+create trigger appointments_set_instants
+    before insert or update of appointment_date, appointment_time, lawyer_id on public.appointments
+    for each row execute function public.set_appointment_instants();
+
+-- Backfill existing appointments from their lawyer's zone
+update public.appointments a
+   set starts_at = (a.appointment_date + a.appointment_time) at time zone u.timezone,
+       ends_at = ((a.appointment_date + a.appointment_time) at time zone u.timezone) + interval '60 minutes'
+  from public.users u
+ where u.id = a.lawyer_id
+   and a.starts_at is null;
+
+create index if not exists appointments_starts_at_idx on public.appointments (starts_at);
+
+-- When a lawyer moves timezone, keep upcoming appointments at the same instant
+-- by rewriting their wall-clock date and time in the new zone
+create or replace function public.shift_appointments_to_new_timezone()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.timezone is distinct from old.timezone then
+        update appointments
+           set appointment_date = (starts_at at time zone new.timezone)::date,
+               appointment_time = (starts_at at time zone new.timezone)::time
+         where lawyer_id = new.id
+           and starts_at > now();
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists users_shift_appointments_timezone on public.users;
+create trigger users_shift_appointments_timezone
+    after update of timezone on public.users
+    for each row execute function public.shift_appointments_to_new_timezone();
+
+-- Completion and no-show checks now compare absolute instants
+create or replace function public.enforce_appointment_transition()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    actor text := appointment_actor_role(new.client_id, new.lawyer_id);
+    allowed text[];
+begin
+    if tg_op = 'INSERT' then
+        if new.status not in ('held', 'scheduled') then
+            raise exception 'INVALID_TRANSITION: appointments must start as held or scheduled, not %', new.status;
+        end if;
+        new.status_changed_at := now();
+        return new;
+    end if;
+
+    if new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    select allowed_roles into allowed
+      from appointment_status_transitions
+     where from_status = old.status and to_status = new.status;
+
+    if allowed is null then
+        raise exception 'INVALID_TRANSITION: cannot move an appointment from % to %', old.status, new.status;
+    end if;
+
+    if actor is null or not (actor = any(allowed)) then
+        raise exception 'NOT_AUTHORIZED: % cannot move an appointment from % to %',
+            coalesce(actor, 'this user'), old.status, new.status;
+    end if;
+
+    if new.status in ('completed', 'no_show') and old.starts_at > now() then
+        raise exception 'INVALID_TRANSITION: an appointment cannot be marked % before it starts', new.status;
+    end if;
+
+    new.status_changed_at := now();
+
+    if new.status = 'completed' then
+        new.completed_at := now();
+    elsif new.status = 'cancelled' then
+        new.cancelled_at := now();
+        new.cancelled_by := auth.uid();
+        new.cancellation_reason := coalesce(new.cancellation_reason, nullif(current_setting('app.transition_reason', true), ''));
+    elsif new.status = 'no_show' and new.no_show_party is null then
+        new.no_show_party := case actor when 'lawyer' then 'client' when 'client' then 'lawyer' end;
+        if new.no_show_party is null then
+            raise exception 'INVALID_TRANSITION: no_show_party is required';
+        end if;
+    end if;
+
+    return new;
+end;
+$$;
@@ -0,0 +1,36 @@
+-- ============================================
+-- AVAILABILITY OVERRIDES
+-- ============================================
+-- Date-specific exceptions to a lawyer's weekly lawyer_availability:
+-- block a whole day, block a time range, or add extra hours on one date.
+-- Times are the lawyer's wall-clock time, like lawyer_availability.
+
+create table if not exists public.lawyer_availability_overrides (
+    id uuid primary key default gen_random_uuid(),
+    lawyer_id uuid not null references public.lawyers(id) on delete cascade,
+    override_date date not null,
+    override_type text not null check (override_type in ('blocked', 'extra')),
+    start_time time,
+    end_time time,
+    reason text,
+    created_at timestamptz not null default now(),
+    -- Whole-day blocks have no times; everything else needs a valid range
+    check (
+        (override_type = 'blocked' and start_time is null and end_time is null)
+        or (start_time is not null and end_time is not null and start_time < end_time)
+    )
+);
+
+create index if not exists lawyer_availability_overrides_lookup_idx
+    on public.lawyer_availability_overrides (lawyer_id, override_date);
+
+alter table public.lawyer_availability_overrides enable row level security;
+
+create policy "Anyone can view availability overrides"
+    on public.lawyer_availability_overrides for select
+    using (true);
+
+create policy "Lawyers manage their own availability overrides"
+    on public.lawyer_availability_overrides for all
+    using (auth.uid() = lawyer_id)
+    with check (auth.uid() = lawyer_id);
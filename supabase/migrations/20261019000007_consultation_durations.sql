@@ -0,0 +1,266 @@
+-- ============================================
+-- CONSULTATION DURATIONS, BUFFERS AND DAILY CAPS
+-- ============================================
+-- Lawyers set a length per meeting type, a buffer kept free between
+-- appointments, and an optional maximum number of consultations per day.
+-- Reservations read these settings server-side rather than trusting the client.
+
+alter table public.lawyers
+    add column if not exists online_duration_minutes integer not null default 60
+        check (online_duration_minutes between 15 and 480),
+    add column if not exists in_person_duration_minutes integer not null default 60
+        check (in_person_duration_minutes between 15 and 480),
+    add column if not exists buffer_minutes integer not null default 0
+        check (buffer_minutes between 0 and 240),
+    add column if not exists max_daily_appointments integer
+        check (max_daily_appointments is null or max_daily_appointments > 0);
+
+alter table public.appointments
+    add column if not exists duration_minutes integer not null default 60;
+
+-- Length of a consultation of the given meeting type with this lawyer
+create or replace function public.lawyer_consultation_duration(p_lawyer_id uuid, p_meeting_type text)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select case when p_meeting_type = 'online' then online_duration_minutes else in_person_duration_minutes end
+      from lawyers
+     where id = p_lawyer_id
+$$;
+
+-- True if [p_time, p_time + p_duration) clashes with another live appointment,
+-- including the lawyer's buffer on either side
+create or replace function public.appointment_slot_conflicts(
+    p_lawyer_id uuid,
+    p_date date,
+    p_time time,
+    p_duration_minutes integer,
+    p_exclude_appointment_id uuid default null
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1
+          from appointments a
+          join lawyers l on l.id = a.lawyer_id
+         where a.lawyer_id = p_lawyer_id
+           and a.appointment_date = p_date
+           and a.id is distinct from p_exclude_appointment_id
+           and a.status = any(active_appointment_statuses())
+           and a.appointment_time < p_time + make_interval(mins => p_duration_minutes + l.buffer_minutes)
+           and p_time < a.appointment_time + make_interval(mins => a.duration_minutes + l.buffer_minutes)
+    )
+$$;
+
+-- True if the lawyer has reached their daily booking cap on p_date
+create or replace function public.lawyer_daily_cap_reached(
+    p_lawyer_id uuid,
+    p_date date,
+    p_exclude_appointment_id uuid default null
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce(
+        (select count(*) >= l.max_daily_appointments
+           from appointments a
+          where a.lawyer_id = l.id
+            and a.appointment_date = p_date
+            and a.id is distinct from p_exclude_appointment_id
+            and a.status = any(active_appointment_statuses())),
+        false)
+      from lawyers l
+     where l.id = p_lawyer_id
+       and l.max_daily_appointments is not null
+$$;
+
+-- ends_at follows the stored duration
+create or replace function public.set_appointment_instants()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    lawyer_timezone text;
+begin
+    select coalesce(timezone, 'Asia/Karachi') into lawyer_timezone
+      from users
+     where id = new.lawyer_id;
+
+    new.starts_at := (new.appointment_date + new.appointment_time) at time zone coalesce(lawyer_timezone, 'Asia/Karachi');
+    new.ends_at := new.starts_at + make_interval(mins => new.duration_minutes);
+    return new;
+end;
+$$;
+
+drop trigger if exists appointments_set_instants on public.appointments;
+create trigger appointments_set_instants
+    before insert or update of appointment_date, appointment_time, lawyer_id, duration_minutes on public.appointments
+    for each row execute function public.set_appointment_instants();
+
+-- Reservations take duration, buffer and cap from the lawyer's settings
+drop function if exists public.reserve_appointment_slot(uuid, uuid, date, time, text, text, text, integer, integer);
+
+create or replace function public.reserve_appointment_slot(
+    p_client_id uuid,
+    p_lawyer_id uuid,
+    p_date date,
+    p_time time,
+    p_title text default 'Consultation',
+    p_description text default null,
+    p_meeting_type text default null,
+    p_hold_minutes integer default null
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    new_appointment appointments;
+    duration integer := coalesce(lawyer_consultation_duration(p_lawyer_id, p_meeting_type), 60);
+begin
+    if auth.uid() is null or auth.uid() <> p_client_id then
+        raise exception 'NOT_AUTHORIZED: you can only book appointments for yourself';
+    end if;
+
+    perform pg_advisory_xact_lock(hashtext(p_lawyer_id::text || p_date::text));
+
+    perform expire_stale_holds();
+
+    if lawyer_daily_cap_reached(p_lawyer_id, p_date) then
+        raise exception 'DAILY_CAP_REACHED: this lawyer is fully booked on %', p_date;
+    end if;
+
+    if appointment_slot_conflicts(p_lawyer_id, p_date, p_time, duration) then
+        raise exception 'SLOT_UNAVAILABLE: this time slot is no longer available';
+    end if;
+
+    insert into appointments (
+        client_id, lawyer_id, appointment_date, appointment_time, duration_minutes,
+        title, description, meeting_type, status, hold_expires_at
+    )
+    values (
+        p_client_id, p_lawyer_id, p_date, p_time, duration,
+        coalesce(p_title, 'Consultation'), p_description, p_meeting_type,
+        case when p_hold_minutes is null then 'scheduled' else 'held' end,
+        case when p_hold_minutes is null then null else now() + make_interval(mins => p_hold_minutes) end
+    )
+    returning * into new_appointment;
+
+    return new_appointment;
+end;
+$$;
+
+grant execute on function public.reserve_appointment_slot(uuid, uuid, date, time, text, text, text, integer) to authenticated;
+
+-- Accepting a reschedule applies the same checks, ignoring the appointment being moved
+drop function if exists public.respond_to_reschedule(uuid, text, date, time, text, integer);
+
+create or replace function public.respond_to_reschedule(
+    p_request_id uuid,
+    p_action text,
+    p_date date default null,
+    p_time time default null,
+    p_note text default null
+)
+returns public.appointment_reschedule_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    request appointment_reschedule_requests;
+    target appointments;
+begin
+    select * into request from appointment_reschedule_requests where id = p_request_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: reschedule request does not exist';
+    end if;
+
+    if request.status <> 'pending' then
+        raise exception 'INVALID_STATUS: reschedule request is already %', request.status;
+    end if;
+
+    select * into target from appointments where id = request.appointment_id for update;
+
+    if auth.uid() is null or auth.uid() not in (target.client_id, target.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this appointment';
+    end if;
+
+    if p_action = 'withdraw' then
+        if auth.uid() <> request.proposed_by then
+            raise exception 'NOT_AUTHORIZED: only the proposer can withdraw a proposal';
+        end if;
+    elsif auth.uid() = request.proposed_by then
+        raise exception 'NOT_AUTHORIZED: the other party must respond to this proposal';
+    end if;
+
+    if p_action = 'accept' then
+        if not exists (
+            select 1 from jsonb_array_elements(request.proposed_slots) slot
+             where (slot->>'date')::date = p_date
+               and (slot->>'time')::time = p_time
+        ) then
+            raise exception 'INVALID_PROPOSAL: choose one of the proposed times';
+        end if;
+
+        perform pg_advisory_xact_lock(hashtext(target.lawyer_id::text || p_date::text));
+        perform expire_stale_holds();
+
+        if p_date <> target.appointment_date and lawyer_daily_cap_reached(target.lawyer_id, p_date, target.id) then
+            raise exception 'DAILY_CAP_REACHED: the lawyer is fully booked on %', p_date;
+        end if;
+
+        if appointment_slot_conflicts(target.lawyer_id, p_date, p_time, target.duration_minutes, target.id) then
+            raise exception 'SLOT_UNAVAILABLE: the proposed time has since been booked';
+        end if;
+
+        update appointments
+           set appointment_date = p_date,
+               appointment_time = p_time,
+               status = 'rescheduled'
+         where id = target.id;
+
+        update appointment_reschedule_requests
+           set status = 'accepted',
+               accepted_date = p_date,
+               accepted_time = p_time,
+               responded_by = auth.uid(),
+               response_note = p_note,
+               responded_at = now()
+         where id = p_request_id
+        returning * into request;
+
+    elsif p_action in ('decline', 'withdraw') then
+        update appointments set status = request.previous_status where id = target.id;
+
+        update appointment_reschedule_requests
+           set status = case when p_action = 'decline' then 'declined' else 'withdrawn' end,
+               responded_by = auth.uid(),
+               response_note = p_note,
+               responded_at = now()
+         where id = p_request_id
+        returning * into request;
+
+    else
+        raise exception 'INVALID_ACTION: %', p_action;
+    end if;
+
+    return request;
+end;
+$$;
+
+grant execute on function public.respond_to_reschedule(uuid, text, date, time, text) to authenticated;
@@ -0,0 +1,345 @@
+-- ============================================
+-- BOOKING APPROVAL
+-- ============================================
+-- Lawyers can require approval for new bookings. Their bookings become
+-- 'pending' (still occupying the slot) until the lawyer accepts or declines,
+-- and expire if the lawyer does not answer within the approval window.
+
+alter table public.lawyers
+    add column if not exists requires_approval boolean not null default false,
+    add column if not exists approval_window_hours integer not null default 48
+        check (approval_window_hours between 1 and 168);
+
+alter table public.appointments
+    add column if not exists approval_expires_at timestamptz,
+    add column if not exists approval_status text check (approval_status in ('scheduled', 'confirmed')),
+    add column if not exists approval_decided_at timestamptz,
+    add column if not exists decline_reason text;
+
+-- Pending requests keep their slot
+create or replace function public.active_appointment_statuses()
+returns text[]
+language sql
+immutable
+as $$
+    select array['held', 'pending', 'scheduled', 'confirmed', 'rescheduled', 'reschedule_requested']
+$$;
+
+drop index if exists public.appointments_active_slot_idx;
+create unique index appointments_active_slot_idx
+    on public.appointments (lawyer_id, appointment_date, appointment_time)
+    where status in ('held', 'pending', 'scheduled', 'confirmed', 'rescheduled', 'reschedule_requested');
+
+create index if not exists appointments_pending_approval_idx
+    on public.appointments (lawyer_id, approval_expires_at)
+    where status = 'pending';
+
+insert into public.appointment_status_transitions (from_status, to_status, allowed_roles) values
+    ('held',    'pending',   array['client', 'system']),
+    ('pending', 'scheduled', array['lawyer']),
+    ('pending', 'confirmed', array['lawyer']),
+    ('pending', 'declined',  array['lawyer']),
+    ('pending', 'cancelled', array['client', 'system']),
+    ('pending', 'expired',   array['system'])
+on conflict (from_status, to_status) do update set allowed_roles = excluded.allowed_roles;
+
+-- Appointments may now start out pending
+create or replace function public.enforce_appointment_transition()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    actor text := appointment_actor_role(new.client_id, new.lawyer_id);
+    allowed text[];
+begin
+    if tg_op = 'INSERT' then
+        if new.status not in ('held', 'pending', 'scheduled') then
+            raise exception 'INVALID_TRANSITION: appointments must start as held, pending or scheduled, not %', new.status;
+        end if;
+        new.status_changed_at := now();
+        return new;
+    end if;
+
+    if new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    select allowed_roles into allowed
+      from appointment_status_transitions
+     where from_status = old.status and to_status = new.status;
+
+    if allowed is null then
+        raise exception 'INVALID_TRANSITION: cannot move an appointment from % to %', old.status, new.status;
+    end if;
+
+    if actor is null or not (actor = any(allowed)) then
+        raise exception 'NOT_AUTHORIZED: % cannot move an appointment from % to %',
+            coalesce(actor, 'this user'), old.status, new.status;
+    end if;
+
+    if new.status in ('completed', 'no_show') and old.starts_at > now() then
+        raise exception 'INVALID_TRANSITION: an appointment cannot be marked % before it starts', new.status;
+    end if;
+
+    new.status_changed_at := now();
+
+    if old.status = 'pending' then
+        new.approval_expires_at := null;
+        new.approval_decided_at := now();
+    end if;
+
+    if new.status = 'completed' then
+        new.completed_at := now();
+    elsif new.status = 'cancelled' then
+        new.cancelled_at := now();
+        new.cancelled_by := auth.uid();
+        new.cancellation_reason := coalesce(new.cancellation_reason, nullif(current_setting('app.transition_reason', true), ''));
+    elsif new.status = 'declined' then
+        new.decline_reason := coalesce(new.decline_reason, nullif(current_setting('app.transition_reason', true), ''));
+    elsif new.status = 'no_show' and new.no_show_party is null then
+        new.no_show_party := case actor when 'lawyer' then 'client' when 'client' then 'lawyer' end;
+        if new.no_show_party is null then
+            raise exception 'INVALID_TRANSITION: no_show_party is required';
+        end if;
+    end if;
+
+    return new;
+end;
+$$;
+
+-- When an unanswered request lapses: the approval window, capped at the appointment start
+create or replace function public.booking_approval_deadline(p_lawyer_id uuid, p_starts_at timestamptz)
+returns timestamptz
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select least(now() + make_interval(hours => approval_window_hours), p_starts_at)
+      from lawyers
+     where id = p_lawyer_id
+$$;
+
+-- Expire lapsed payment holds and unanswered booking requests
+create or replace function public.expire_stale_holds()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    expired_holds integer;
+    expired_requests integer;
+begin
+    perform set_config('app.transition_actor', 'system', true);
+
+    perform set_config('app.transition_reason', 'Payment hold expired', true);
+
+    update appointments
+       set status = 'expired',
+           hold_expires_at = null
+     where status = 'held'
+       and hold_expires_at <= now();
+
+    get diagnostics expired_holds = row_count;
+
+    perform set_config('app.transition_reason', 'Lawyer did not respond to the booking request in time', true);
+
+    update appointments
+       set status = 'expired'
+     where status = 'pending'
+       and approval_expires_at <= now();
+
+    get diagnostics expired_requests = row_count;
+
+    perform set_config('app.transition_actor', '', true);
+    perform set_config('app.transition_reason', '', true);
+    return expired_holds + expired_requests;
+end;
+$$;
+
+-- Direct bookings with a lawyer who requires approval start out pending
+create or replace function public.reserve_appointment_slot(
+    p_client_id uuid,
+    p_lawyer_id uuid,
+    p_date date,
+    p_time time,
+    p_title text default 'Consultation',
+    p_description text default null,
+    p_meeting_type text default null,
+    p_hold_minutes integer default null
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    new_appointment appointments;
+    duration integer := coalesce(lawyer_consultation_duration(p_lawyer_id, p_meeting_type), 60);
+    needs_approval boolean := coalesce((select requires_approval from lawyers where id = p_lawyer_id), false);
+begin
+    if auth.uid() is null or auth.uid() <> p_client_id then
+        raise exception 'NOT_AUTHORIZED: you can only book appointments for yourself';
+    end if;
+
+    perform pg_advisory_xact_lock(hashtext(p_lawyer_id::text || p_date::text));
+
+    perform expire_stale_holds();
+
+    if lawyer_daily_cap_reached(p_lawyer_id, p_date) then
+        raise exception 'DAILY_CAP_REACHED: this lawyer is fully booked on %', p_date;
+    end if;
+
+    if appointment_slot_conflicts(p_lawyer_id, p_date, p_time, duration) then
+        raise exception 'SLOT_UNAVAILABLE: this time slot is no longer available';
+    end if;
+
+    insert into appointments (
+        client_id, lawyer_id, appointment_date, appointment_time, duration_minutes,
+        title, description, meeting_type, status, hold_expires_at, approval_status
+    )
+    values (
+        p_client_id, p_lawyer_id, p_date, p_time, duration,
+        coalesce(p_title, 'Consultation'), p_description, p_meeting_type,
+        case
+            when p_hold_minutes is not null then 'held'
+            when needs_approval then 'pending'
+            else 'scheduled'
+        end,
+        case when p_hold_minutes is null then null else now() + make_interval(mins => p_hold_minutes) end,
+        case when p_hold_minutes is null and needs_approval then 'scheduled' end
+    )
+    returning * into new_appointment;
+
+    if new_appointment.status = 'pending' then
+        update appointments
+           set approval_expires_at = booking_approval_deadline(p_lawyer_id, new_appointment.starts_at)
+         where id = new_appointment.id
+        returning * into new_appointment;
+    end if;
+
+    return new_appointment;
+end;
+$$;
+
+-- A confirmed hold with a lawyer who requires approval becomes a pending request;
+-- p_status is applied once the lawyer accepts
+create or replace function public.confirm_appointment_hold(
+    p_appointment_id uuid,
+    p_status text default 'scheduled'
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    needs_approval boolean;
+begin
+    select * into target
+      from appointments
+     where id = p_appointment_id
+     for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() not in (target.client_id, target.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this appointment';
+    end if;
+
+    if target.status = 'held' and target.hold_expires_at <= now() then
+        update appointments set status = 'expired', hold_expires_at = null where id = p_appointment_id;
+        raise exception 'HOLD_EXPIRED: the reservation expired before payment was completed';
+    end if;
+
+    if target.status not in ('held', 'scheduled', 'confirmed', 'rescheduled') then
+        raise exception 'INVALID_STATUS: appointment is %', target.status;
+    end if;
+
+    select requires_approval into needs_approval from lawyers where id = target.lawyer_id;
+
+    if target.status = 'held' and coalesce(needs_approval, false) then
+        update appointments
+           set status = 'pending',
+               hold_expires_at = null,
+               approval_status = p_status,
+               approval_expires_at = booking_approval_deadline(target.lawyer_id, target.starts_at)
+         where id = p_appointment_id
+        returning * into target;
+
+        return target;
+    end if;
+
+    update appointments
+       set status = p_status,
+           hold_expires_at = null
+     where id = p_appointment_id
+    returning * into target;
+
+    return target;
+end;
+$$;
+
+-- The lawyer accepts or declines a pending booking request
+create or replace function public.respond_to_booking_request(
+    p_appointment_id uuid,
+    p_action text,
+    p_reason text default null
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+begin
+    perform expire_stale_holds();
+
+    select * into target from appointments where id = p_appointment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> target.lawyer_id then
+        raise exception 'NOT_AUTHORIZED: only the lawyer can respond to a booking request';
+    end if;
+
+    if target.status <> 'pending' then
+        raise exception 'INVALID_STATUS: booking request is already %', target.status;
+    end if;
+
+    perform set_config('app.transition_reason', coalesce(p_reason, ''), true);
+
+    if p_action = 'accept' then
+        update appointments
+           set status = coalesce(approval_status, 'scheduled')
+         where id = p_appointment_id
+        returning * into target;
+    elsif p_action = 'decline' then
+        if nullif(trim(coalesce(p_reason, '')), '') is null then
+            raise exception 'INVALID_ACTION: a reason is required to decline a booking request';
+        end if;
+
+        update appointments
+           set status = 'declined',
+               decline_reason = p_reason
+         where id = p_appointment_id
+        returning * into target;
+    else
+        raise exception 'INVALID_ACTION: %', p_action;
+    end if;
+
+    perform set_config('app.transition_reason', '', true);
+    return target;
+end;
+$$;
+
+grant execute on function public.respond_to_booking_request(uuid, text, text) to authenticated;
@@ -0,0 +1,363 @@
+-- ============================================
+-- WAITLIST
+-- ============================================
+-- Clients wait for a fully booked lawyer, either for a date range or for the
+-- first available slot. When a booking is cancelled or deleted, the freed
+-- slot is offered to waiting clients one at a time, in the order they joined.
+-- While an offer is open the slot is kept for that client until the claim
+-- window closes; then it moves on to the next client.
+
+create table if not exists public.lawyer_waitlist (
+    id uuid primary key default gen_random_uuid(),
+    lawyer_id uuid not null references public.lawyers(id) on delete cascade,
+    client_id uuid not null references public.users(id) on delete cascade,
+    mode text not null check (mode in ('range', 'first_available')),
+    start_date date,
+    end_date date,
+    meeting_type text not null default 'in-person' check (meeting_type in ('online', 'in-person')),
+    status text not null default 'waiting'
+        check (status in ('waiting', 'offered', 'booked', 'expired', 'cancelled')),
+    created_at timestamptz not null default now(),
+    check (
+        (mode = 'first_available' and start_date is null and end_date is null)
+        or (mode = 'range' and start_date is not null and end_date is not null and start_date <= end_date)
+    )
+);
+
+create index if not exists lawyer_waitlist_queue_idx
+    on public.lawyer_waitlist (lawyer_id, status, created_at);
+
+-- One live entry per client and lawyer
+create unique index if not exists lawyer_waitlist_active_idx
+    on public.lawyer_waitlist (lawyer_id, client_id)
+    where status in ('waiting', 'offered');
+
+create table if not exists public.waitlist_offers (
+    id uuid primary key default gen_random_uuid(),
+    waitlist_id uuid not null references public.lawyer_waitlist(id) on delete cascade,
+    lawyer_id uuid not null references public.lawyers(id) on delete cascade,
+    client_id uuid not null references public.users(id) on delete cascade,
+    slot_date date not null,
+    slot_time time not null,
+    duration_minutes integer not null,
+    slot_starts_at timestamptz not null,
+    status text not null default 'open'
+        check (status in ('open', 'claimed', 'passed', 'expired')),
+    appointment_id uuid references public.appointments(id) on delete set null,
+    offered_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    responded_at timestamptz
+);
+
+create index if not exists waitlist_offers_slot_idx
+    on public.waitlist_offers (lawyer_id, slot_date, status);
+
+alter table public.lawyer_waitlist enable row level security;
+alter table public.waitlist_offers enable row level security;
+
+create policy "Clients view their waitlist entries"
+    on public.lawyer_waitlist for select
+    using (auth.uid() in (client_id, lawyer_id));
+
+create policy "Clients join waitlists for themselves"
+    on public.lawyer_waitlist for insert
+    with check (auth.uid() = client_id and status = 'waiting');
+
+create policy "Clients leave their own waitlist entries"
+    on public.lawyer_waitlist for update
+    using (auth.uid() = client_id)
+    with check (auth.uid() = client_id and status = 'cancelled');
+
+create policy "Participants view waitlist offers"
+    on public.waitlist_offers for select
+    using (auth.uid() in (client_id, lawyer_id));
+
+-- How long a client has to claim an offered slot
+create or replace function public.waitlist_claim_window()
+returns interval
+language sql
+immutable
+as $$
+    select interval '2 hours'
+$$;
+
+-- Open offers now keep their slot for the client they were offered to
+create or replace function public.appointment_slot_conflicts(
+    p_lawyer_id uuid,
+    p_date date,
+    p_time time,
+    p_duration_minutes integer,
+    p_exclude_appointment_id uuid default null
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1
+          from appointments a
+          join lawyers l on l.id = a.lawyer_id
+         where a.lawyer_id = p_lawyer_id
+           and a.appointment_date = p_date
+           and a.id is distinct from p_exclude_appointment_id
+           and a.status = any(active_appointment_statuses())
+           and a.appointment_time < p_time + make_interval(mins => p_duration_minutes + l.buffer_minutes)
+           and p_time < a.appointment_time + make_interval(mins => a.duration_minutes + l.buffer_minutes)
+    ) or exists (
+        select 1
+          from waitlist_offers o
+         where o.lawyer_id = p_lawyer_id
+           and o.slot_date = p_date
+           and o.status = 'open'
+           and o.expires_at > now()
+           and o.client_id is distinct from auth.uid()
+           and o.slot_time < p_time + make_interval(mins => p_duration_minutes)
+           and p_time < o.slot_time + make_interval(mins => o.duration_minutes)
+    )
+$$;
+
+-- Offer a freed slot to the next waiting client who wants that date, has not
+-- already been offered it, and whose consultation fits. Returns the offer id.
+create or replace function public.offer_freed_slot(
+    p_lawyer_id uuid,
+    p_date date,
+    p_time time,
+    p_duration_minutes integer,
+    p_starts_at timestamptz
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    candidate lawyer_waitlist;
+    candidate_duration integer;
+    offer_id uuid;
+begin
+    if p_starts_at <= now() then
+        return null;
+    end if;
+
+    for candidate in
+        select w.*
+          from lawyer_waitlist w
+         where w.lawyer_id = p_lawyer_id
+           and w.status = 'waiting'
+           and (w.mode = 'first_available' or p_date between w.start_date and w.end_date)
+           and not exists (
+               select 1 from waitlist_offers o
+                where o.waitlist_id = w.id
+                  and o.slot_date = p_date
+                  and o.slot_time = p_time
+           )
+         order by w.created_at
+         for update skip locked
+    loop
+        candidate_duration := coalesce(lawyer_consultation_duration(p_lawyer_id, candidate.meeting_type), 60);
+
+        if candidate_duration <= p_duration_minutes
+           and not appointment_slot_conflicts(p_lawyer_id, p_date, p_time, candidate_duration) then
+            insert into waitlist_offers (
+                waitlist_id, lawyer_id, client_id, slot_date, slot_time,
+                duration_minutes, slot_starts_at, expires_at
+            )
+            values (
+                candidate.id, p_lawyer_id, candidate.client_id, p_date, p_time,
+                candidate_duration, p_starts_at, least(now() + waitlist_claim_window(), p_starts_at)
+            )
+            returning id into offer_id;
+
+            update lawyer_waitlist set status = 'offered' where id = candidate.id;
+            return offer_id;
+        end if;
+    end loop;
+
+    return null;
+end;
+$$;
+
+-- Cancelled and deleted bookings free their slot for the waitlist
+create or replace function public.offer_slot_on_release()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'DELETE' then
+        if old.status = any(active_appointment_statuses()) then
+            perform offer_freed_slot(old.lawyer_id, old.appointment_date, old.appointment_time, old.duration_minutes, old.starts_at);
+        end if;
+        return old;
+    end if;
+
+    if new.status = 'cancelled' and old.status = any(active_appointment_statuses()) then
+        perform offer_freed_slot(old.lawyer_id, old.appointment_date, old.appointment_time, old.duration_minutes, old.starts_at);
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists appointments_offer_slot_on_release on public.appointments;
+create trigger appointments_offer_slot_on_release
+    after update of status or delete on public.appointments
+    for each row execute function public.offer_slot_on_release();
+
+-- Close lapsed offers, pass their slots down the queue, and retire finished date ranges
+create or replace function public.expire_waitlist_offers()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    lapsed waitlist_offers;
+    expired_count integer := 0;
+begin
+    for lapsed in
+        update waitlist_offers
+           set status = 'expired',
+               responded_at = now()
+         where status = 'open'
+           and expires_at <= now()
+        returning *
+    loop
+        update lawyer_waitlist set status = 'waiting' where id = lapsed.waitlist_id and status = 'offered';
+        perform offer_freed_slot(lapsed.lawyer_id, lapsed.slot_date, lapsed.slot_time, lapsed.duration_minutes, lapsed.slot_starts_at);
+        expired_count := expired_count + 1;
+    end loop;
+
+    update lawyer_waitlist
+       set status = 'expired'
+     where mode = 'range'
+       and status = 'waiting'
+       and end_date < current_date;
+
+    return expired_count;
+end;
+$$;
+
+-- Claim an offered slot: it becomes a normal payment hold for the client
+create or replace function public.claim_waitlist_offer(
+    p_offer_id uuid,
+    p_hold_minutes integer default 10
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    offer waitlist_offers;
+    entry lawyer_waitlist;
+    new_appointment appointments;
+begin
+    perform expire_waitlist_offers();
+
+    select * into offer from waitlist_offers where id = p_offer_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: waitlist offer does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> offer.client_id then
+        raise exception 'NOT_AUTHORIZED: this offer was made to another client';
+    end if;
+
+    if offer.status <> 'open' or offer.expires_at <= now() then
+        raise exception 'OFFER_EXPIRED: this waitlist offer is no longer available';
+    end if;
+
+    select * into entry from lawyer_waitlist where id = offer.waitlist_id;
+
+    new_appointment := reserve_appointment_slot(
+        offer.client_id, offer.lawyer_id, offer.slot_date, offer.slot_time,
+        'Legal Consultation', null, entry.meeting_type, p_hold_minutes
+    );
+
+    update waitlist_offers
+       set status = 'claimed',
+           appointment_id = new_appointment.id,
+           responded_at = now()
+     where id = p_offer_id;
+
+    update lawyer_waitlist set status = 'booked' where id = offer.waitlist_id;
+
+    return new_appointment;
+end;
+$$;
+
+-- Turn down an offer; the client stays on the waitlist and the slot moves on
+create or replace function public.pass_waitlist_offer(p_offer_id uuid)
+returns public.waitlist_offers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    offer waitlist_offers;
+begin
+    select * into offer from waitlist_offers where id = p_offer_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: waitlist offer does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> offer.client_id then
+        raise exception 'NOT_AUTHORIZED: this offer was made to another client';
+    end if;
+
+    if offer.status <> 'open' then
+        raise exception 'OFFER_EXPIRED: this waitlist offer is no longer available';
+    end if;
+
+    update waitlist_offers
+       set status = 'passed',
+           responded_at = now()
+     where id = p_offer_id
+    returning * into offer;
+
+    update lawyer_waitlist set status = 'waiting' where id = offer.waitlist_id and status = 'offered';
+
+    perform offer_freed_slot(offer.lawyer_id, offer.slot_date, offer.slot_time, offer.duration_minutes, offer.slot_starts_at);
+
+    return offer;
+end;
+$$;
+
+-- Slots held by other clients' open offers, so the booking page can hide them
+create or replace function public.waitlist_offered_slots(p_lawyer_id uuid, p_start_date date, p_end_date date)
+returns table (slot_date date, slot_time time, duration_minutes integer)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select o.slot_date, o.slot_time, o.duration_minutes
+      from waitlist_offers o
+     where o.lawyer_id = p_lawyer_id
+       and o.slot_date between p_start_date and p_end_date
+       and o.status = 'open'
+       and o.expires_at > now()
+       and o.client_id is distinct from auth.uid()
+$$;
+
+grant execute on function public.claim_waitlist_offer(uuid, integer) to authenticated;
+grant execute on function public.pass_waitlist_offer(uuid) to authenticated;
+grant execute on function public.waitlist_offered_slots(uuid, date, date) to authenticated;
+grant execute on function public.expire_waitlist_offers() to authenticated;
+
+-- Internal helper: offers are only created by the release trigger and the offer sweep
+revoke execute on function public.offer_freed_slot(uuid, date, time, integer, timestamptz) from public, anon, authenticated;
+
+-- Sweep lapsed offers every minute where pg_cron is available
+do $$
+begin
+    if exists (select 1 from pg_extension where extname = 'pg_cron') then
+        perform cron.schedule('expire-waitlist-offers', '* * * * *', 'select public.expire_waitlist_offers()');
+    end if;
+end;
+$$;
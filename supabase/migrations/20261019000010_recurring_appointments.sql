@@ -0,0 +1,429 @@
+-- ============================================
+-- RECURRING APPOINTMENTS
+-- ============================================
+-- A series books the same weekday and time every N weeks until an end date
+-- or for a number of sessions. Each session is an ordinary appointment
+-- linked by series_id, so it can be cancelled or rescheduled on its own, or
+-- together with the rest of the series.
+
+create table if not exists public.appointment_series (
+    id uuid primary key default gen_random_uuid(),
+    client_id uuid not null references public.users(id) on delete cascade,
+    lawyer_id uuid not null references public.lawyers(id) on delete cascade,
+    interval_weeks integer not null default 1 check (interval_weeks between 1 and 4),
+    weekday integer not null check (weekday between 0 and 6),
+    appointment_time time not null,
+    start_date date not null,
+    end_date date,
+    occurrence_count integer check (occurrence_count between 1 and 52),
+    meeting_type text,
+    title text,
+    description text,
+    status text not null default 'active' check (status in ('active', 'cancelled')),
+    created_at timestamptz not null default now(),
+    check (end_date is not null or occurrence_count is not null)
+);
+
+alter table public.appointments
+    add column if not exists series_id uuid references public.appointment_series(id) on delete set null,
+    add column if not exists series_index integer;
+
+create index if not exists appointments_series_idx
+    on public.appointments (series_id, series_index)
+    where series_id is not null;
+
+alter table public.appointment_reschedule_requests
+    add column if not exists apply_to_series boolean not null default false,
+    add column if not exists series_result jsonb;
+
+alter table public.appointment_series enable row level security;
+
+create policy "Participants can view appointment series"
+    on public.appointment_series for select
+    using (auth.uid() in (client_id, lawyer_id));
+
+-- Dates of a series: the first p_weekday on or after p_start_date, then every
+-- p_interval_weeks, stopping at p_end_date or after p_count sessions (at most 52)
+create or replace function public.appointment_series_dates(
+    p_start_date date,
+    p_weekday integer,
+    p_interval_weeks integer,
+    p_end_date date default null,
+    p_count integer default null
+)
+returns setof date
+language sql
+immutable
+as $$
+    select d::date
+      from generate_series(
+               p_start_date + ((p_weekday - extract(dow from p_start_date)::integer + 7) % 7),
+               coalesce(p_end_date, p_start_date + 7 * p_interval_weeks * 52),
+               make_interval(days => 7 * p_interval_weeks)
+           ) d
+     limit least(coalesce(p_count, 52), 52)
+$$;
+
+-- Book every session of a series. Sessions that cannot be booked are reported
+-- in "conflicts"; unless p_skip_conflicts is set, any conflict books nothing.
+create or replace function public.create_appointment_series(
+    p_client_id uuid,
+    p_lawyer_id uuid,
+    p_time time,
+    p_weekday integer,
+    p_interval_weeks integer,
+    p_start_date date,
+    p_end_date date default null,
+    p_count integer default null,
+    p_title text default 'Consultation',
+    p_description text default null,
+    p_meeting_type text default null,
+    p_skip_conflicts boolean default false
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    series appointment_series;
+    session_date date;
+    session_index integer := 0;
+    booked appointments;
+    booked_sessions jsonb := '[]'::jsonb;
+    conflicts jsonb := '[]'::jsonb;
+    duration integer := coalesce(lawyer_consultation_duration(p_lawyer_id, p_meeting_type), 60);
+begin
+    if auth.uid() is null or auth.uid() <> p_client_id then
+        raise exception 'NOT_AUTHORIZED: you can only book appointments for yourself';
+    end if;
+
+    if p_end_date is null and p_count is null then
+        raise exception 'INVALID_RECURRENCE: give an end date or a number of sessions';
+    end if;
+
+    if p_start_date < current_date then
+        raise exception 'INVALID_RECURRENCE: a series cannot start in the past';
+    end if;
+
+    insert into appointment_series (
+        client_id, lawyer_id, interval_weeks, weekday, appointment_time,
+        start_date, end_date, occurrence_count, meeting_type, title, description
+    )
+    values (
+        p_client_id, p_lawyer_id, p_interval_weeks, p_weekday, p_time,
+        p_start_date, p_end_date, p_count, p_meeting_type, coalesce(p_title, 'Consultation'), p_description
+    )
+    returning * into series;
+
+    for session_date in
+        select * from appointment_series_dates(p_start_date, p_weekday, p_interval_weeks, p_end_date, p_count)
+    loop
+        session_index := session_index + 1;
+
+        begin
+            booked := reserve_appointment_slot(
+                p_client_id, p_lawyer_id, session_date, p_time,
+                series.title, p_description, p_meeting_type, null
+            );
+
+            update appointments
+               set series_id = series.id,
+                   series_index = session_index
+             where id = booked.id;
+
+            booked_sessions := booked_sessions || jsonb_build_object('date', session_date, 'appointment_id', booked.id);
+        exception when others then
+            conflicts := conflicts || jsonb_build_object('date', session_date, 'reason', sqlerrm);
+        end;
+    end loop;
+
+    if jsonb_array_length(booked_sessions) = 0 then
+        raise exception 'SERIES_CONFLICT: none of the sessions could be booked';
+    end if;
+
+    if jsonb_array_length(conflicts) > 0 and not p_skip_conflicts then
+        raise exception 'SERIES_CONFLICT: % of the sessions could not be booked', jsonb_array_length(conflicts);
+    end if;
+
+    return jsonb_build_object(
+        'series_id', series.id,
+        'duration_minutes', duration,
+        'booked', booked_sessions,
+        'conflicts', conflicts
+    );
+end;
+$$;
+
+-- Cancel every upcoming session of a series that the caller is allowed to cancel
+create or replace function public.cancel_appointment_series(
+    p_series_id uuid,
+    p_reason text default null
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    series appointment_series;
+    actor text;
+    cancelled_count integer;
+begin
+    select * into series from appointment_series where id = p_series_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment series does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() not in (series.client_id, series.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this series';
+    end if;
+
+    actor := case when auth.uid() = series.client_id then 'client' else 'lawyer' end;
+
+    perform set_config('app.transition_reason', coalesce(p_reason, ''), true);
+
+    update appointments a
+       set status = 'cancelled',
+           cancellation_reason = p_reason
+     where a.series_id = p_series_id
+       and a.starts_at > now()
+       and exists (
+           select 1 from appointment_status_transitions t
+            where t.from_status = a.status
+              and t.to_status = 'cancelled'
+              and actor = any(t.allowed_roles)
+       );
+
+    get diagnostics cancelled_count = row_count;
+
+    update appointment_series set status = 'cancelled' where id = p_series_id;
+
+    perform set_config('app.transition_reason', '', true);
+    return cancelled_count;
+end;
+$$;
+
+-- Proposals can ask to move the rest of the series along with this session
+drop function if exists public.propose_reschedule(uuid, jsonb, text);
+
+create or replace function public.propose_reschedule(
+    p_appointment_id uuid,
+    p_slots jsonb,
+    p_note text default null,
+    p_apply_to_series boolean default false
+)
+returns public.appointment_reschedule_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    new_request appointment_reschedule_requests;
+begin
+    select * into target from appointments where id = p_appointment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() not in (target.client_id, target.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this appointment';
+    end if;
+
+    if target.status = 'reschedule_requested' then
+        raise exception 'PROPOSAL_PENDING: a reschedule proposal is already awaiting a response';
+    end if;
+
+    if target.status not in ('scheduled', 'confirmed', 'rescheduled') then
+        raise exception 'INVALID_STATUS: appointment is %', target.status;
+    end if;
+
+    if jsonb_typeof(p_slots) <> 'array' or jsonb_array_length(p_slots) = 0 then
+        raise exception 'INVALID_PROPOSAL: propose at least one new time';
+    end if;
+
+    if p_apply_to_series and target.series_id is null then
+        raise exception 'INVALID_PROPOSAL: this appointment is not part of a series';
+    end if;
+
+    insert into appointment_reschedule_requests (
+        appointment_id, proposed_by, proposed_slots, note,
+        previous_status, previous_date, previous_time, apply_to_series
+    )
+    values (
+        p_appointment_id, auth.uid(), p_slots, p_note,
+        target.status, target.appointment_date, target.appointment_time, p_apply_to_series
+    )
+    returning * into new_request;
+
+    update appointments set status = 'reschedule_requested' where id = p_appointment_id;
+
+    return new_request;
+end;
+$$;
+
+-- Move the sessions after p_appointment_id by the same number of days and to
+-- the same new time. Sessions that would clash stay where they are.
+create or replace function public.shift_series_sessions(
+    p_appointment_id uuid,
+    p_day_shift integer,
+    p_time time
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    anchor appointments;
+    session appointments;
+    new_date date;
+    moved integer := 0;
+    conflicts jsonb := '[]'::jsonb;
+begin
+    select * into anchor from appointments where id = p_appointment_id;
+
+    for session in
+        select * from appointments
+         where series_id = anchor.series_id
+           and series_index > anchor.series_index
+           and status in ('scheduled', 'confirmed', 'rescheduled', 'pending')
+         order by series_index
+         for update
+    loop
+        new_date := session.appointment_date + p_day_shift;
+
+        perform pg_advisory_xact_lock(hashtext(session.lawyer_id::text || new_date::text));
+
+        if (new_date <> session.appointment_date and lawyer_daily_cap_reached(session.lawyer_id, new_date, session.id))
+           or appointment_slot_conflicts(session.lawyer_id, new_date, p_time, session.duration_minutes, session.id) then
+            conflicts := conflicts || jsonb_build_object('appointment_id', session.id, 'date', session.appointment_date);
+        else
+            update appointments
+               set appointment_date = new_date,
+                   appointment_time = p_time
+             where id = session.id;
+            moved := moved + 1;
+        end if;
+    end loop;
+
+    update appointment_series
+       set weekday = extract(dow from anchor.appointment_date + p_day_shift)::integer,
+           appointment_time = p_time
+     where id = anchor.series_id;
+
+    return jsonb_build_object('moved', moved, 'conflicts', conflicts);
+end;
+$$;
+
+-- Accepting a series proposal also moves the following sessions
+create or replace function public.respond_to_reschedule(
+    p_request_id uuid,
+    p_action text,
+    p_date date default null,
+    p_time time default null,
+    p_note text default null
+)
+returns public.appointment_reschedule_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    request appointment_reschedule_requests;
+    target appointments;
+    shifted jsonb;
+begin
+    select * into request from appointment_reschedule_requests where id = p_request_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: reschedule request does not exist';
+    end if;
+
+    if request.status <> 'pending' then
+        raise exception 'INVALID_STATUS: reschedule request is already %', request.status;
+    end if;
+
+    select * into target from appointments where id = request.appointment_id for update;
+
+    if auth.uid() is null or auth.uid() not in (target.client_id, target.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this appointment';
+    end if;
+
+    if p_action = 'withdraw' then
+        if auth.uid() <> request.proposed_by then
+            raise exception 'NOT_AUTHORIZED: only the proposer can withdraw a proposal';
+        end if;
+    elsif auth.uid() = request.proposed_by then
+        raise exception 'NOT_AUTHORIZED: the other party must respond to this proposal';
+    end if;
+
+    if p_action = 'accept' then
+        if not exists (
+            select 1 from jsonb_array_elements(request.proposed_slots) slot
+             where (slot->>'date')::date = p_date
+               and (slot->>'time')::time = p_time
+        ) then
+            raise exception 'INVALID_PROPOSAL: choose one of the proposed times';
+        end if;
+
+        perform pg_advisory_xact_lock(hashtext(target.lawyer_id::text || p_date::text));
+        perform expire_stale_holds();
+
+        if p_date <> target.appointment_date and lawyer_daily_cap_reached(target.lawyer_id, p_date, target.id) then
+            raise exception 'DAILY_CAP_REACHED: the lawyer is fully booked on %', p_date;
+        end if;
+
+        if appointment_slot_conflicts(target.lawyer_id, p_date, p_time, target.duration_minutes, target.id) then
+            raise exception 'SLOT_UNAVAILABLE: the proposed time has since been booked';
+        end if;
+
+        update appointments
+           set appointment_date = p_date,
+               appointment_time = p_time,
+               status = 'rescheduled'
+         where id = target.id;
+
+        if request.apply_to_series and target.series_id is not null then
+            shifted := shift_series_sessions(target.id, p_date - request.previous_date, p_time);
+        end if;
+
+        update appointment_reschedule_requests
+           set status = 'accepted',
+               accepted_date = p_date,
+               accepted_time = p_time,
+               responded_by = auth.uid(),
+               response_note = p_note,
+               responded_at = now(),
+               series_result = shifted
+         where id = p_request_id
+        returning * into request;
+
+    elsif p_action in ('decline', 'withdraw') then
+        update appointments set status = request.previous_status where id = target.id;
+
+        update appointment_reschedule_requests
+           set status = case when p_action = 'decline' then 'declined' else 'withdrawn' end,
+               responded_by = auth.uid(),
+               response_note = p_note,
+               responded_at = now()
+         where id = p_request_id
+        returning * into request;
+
+    else
+        raise exception 'INVALID_ACTION: %', p_action;
+    end if;
+
+    return request;
+end;
+$$;
+
+grant execute on function public.create_appointment_series(uuid, uuid, time, integer, integer, date, date, integer, text, text, text, boolean) to authenticated;
+grant execute on function public.cancel_appointment_series(uuid, text) to authenticated;
+grant execute on function public.propose_reschedule(uuid, jsonb, text, boolean) to authenticated;
+
+-- Internal helper: only callable from respond_to_reschedule
+revoke execute on function public.shift_series_sessions(uuid, integer, time) from public, anon, authenticated;
@@ -0,0 +1,124 @@
+-- ============================================
+-- CANCELLATION POLICIES
+-- ============================================
+-- Lawyers define how much of the amount paid is refunded when a client
+-- cancels, depending on how far ahead of the meeting they cancel, and what a
+-- client no-show gets back. Lawyer cancellations and lawyer no-shows are
+-- always refunded in full. Each appointment keeps a copy of the policy it was
+-- booked under, so later policy changes do not affect existing bookings.
+-- Mirrors js/cancellation-policy.js.
+--
+-- Policy shape:
+--   { "tiers": [{ "hoursBefore": 24, "refundPercent": 100 }, { "hoursBefore": 0, "refundPercent": 50 }],
+--     "noShowRefundPercent": 0 }
+
+create or replace function public.default_cancellation_policy()
+returns jsonb
+language sql
+immutable
+as $$
+    select '{"tiers": [{"hoursBefore": 24, "refundPercent": 100}, {"hoursBefore": 0, "refundPercent": 50}], "noShowRefundPercent": 0}'::jsonb
+$$;
+
+create or replace function public.is_valid_cancellation_policy(p_policy jsonb)
+returns boolean
+language sql
+immutable
+as $$
+    select jsonb_typeof(p_policy->'tiers') = 'array'
+       and coalesce((p_policy->>'noShowRefundPercent')::integer, 0) between 0 and 100
+       and not exists (
+           select 1 from jsonb_array_elements(p_policy->'tiers') tier
+            where coalesce((tier->>'hoursBefore')::numeric, -1) < 0
+               or coalesce((tier->>'refundPercent')::integer, -1) not between 0 and 100
+       )
+$$;
+
+alter table public.lawyers
+    add column if not exists cancellation_policy jsonb
+        check (cancellation_policy is null or is_valid_cancellation_policy(cancellation_policy));
+
+alter table public.appointments
+    add column if not exists cancellation_policy jsonb,
+    add column if not exists refund_percent integer,
+    add column if not exists refund_due numeric(12, 2);
+
+-- Percentage of the amount paid that is refunded
+create or replace function public.cancellation_refund_percent(
+    p_policy jsonb,
+    p_hours_before numeric,
+    p_actor text,
+    p_status text,
+    p_no_show_party text default null
+)
+returns integer
+language sql
+immutable
+as $$
+    select case
+        when p_status = 'no_show' and p_no_show_party = 'lawyer' then 100
+        when p_status = 'no_show' then coalesce((p_policy->>'noShowRefundPercent')::integer, 0)
+        when p_actor in ('lawyer', 'system') then 100
+        else coalesce((
+            select (tier->>'refundPercent')::integer
+              from jsonb_array_elements(coalesce(p_policy->'tiers', '[]'::jsonb)) tier
+             where p_hours_before >= (tier->>'hoursBefore')::numeric
+             order by (tier->>'hoursBefore')::numeric desc
+             limit 1
+        ), 0)
+    end
+$$;
+
+-- Copy the lawyer's current policy onto every new booking
+create or replace function public.snapshot_cancellation_policy()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.cancellation_policy is null then
+        select coalesce(cancellation_policy, default_cancellation_policy()) into new.cancellation_policy
+          from lawyers
+         where id = new.lawyer_id;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists appointments_snapshot_cancellation_policy on public.appointments;
+create trigger appointments_snapshot_cancellation_policy
+    before insert on public.appointments
+    for each row execute function public.snapshot_cancellation_policy();
+
+-- Work out the refund when an appointment is cancelled or marked no-show.
+-- Runs after appointments_enforce_transition (triggers fire in name order),
+-- so no_show_party is already filled in.
+create or replace function public.set_refund_due()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.status is not distinct from old.status or new.status not in ('cancelled', 'no_show') then
+        return new;
+    end if;
+
+    new.refund_percent := cancellation_refund_percent(
+        coalesce(new.cancellation_policy, default_cancellation_policy()),
+        extract(epoch from (new.starts_at - now())) / 3600,
+        coalesce(appointment_actor_role(new.client_id, new.lawyer_id), 'system'),
+        new.status,
+        new.no_show_party
+    );
+    new.refund_due := round(coalesce(new.payment_amount, 0) * new.refund_percent / 100.0, 2);
+
+    return new;
+end;
+$$;
+
+drop trigger if exists appointments_set_refund_due on public.appointments;
+create trigger appointments_set_refund_due
+    before update of status on public.appointments
+    for each row execute function public.set_refund_due();
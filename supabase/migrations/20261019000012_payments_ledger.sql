@@ -0,0 +1,220 @@
+-- ============================================
+-- PAYMENTS LEDGER
+-- ============================================
+-- One row per payment attempt, kept for good. A payment starts as pending,
+-- then completes or fails; completed payments can later be refunded.
+-- Completing a payment confirms the appointment hold in the same transaction,
+-- so a client is never charged for a slot they no longer have.
+-- Mirrors PAYMENT_TRANSITIONS in js/payment.js.
+
+create table if not exists public.payments (
+    id uuid primary key default gen_random_uuid(),
+    appointment_id uuid references public.appointments(id) on delete set null,
+    client_id uuid not null references public.users(id),
+    lawyer_id uuid references public.lawyers(id),
+    consultation_fee numeric(12, 2) not null default 0 check (consultation_fee >= 0),
+    service_fee numeric(12, 2) not null default 0 check (service_fee >= 0),
+    amount numeric(12, 2) not null check (amount > 0),
+    currency text not null default 'PKR',
+    payment_method text not null,
+    transaction_id text not null unique,
+    status text not null default 'pending'
+        check (status in ('pending', 'completed', 'failed', 'refunded')),
+    failure_reason text,
+    created_at timestamptz not null default now(),
+    status_changed_at timestamptz not null default now(),
+    completed_at timestamptz,
+    failed_at timestamptz,
+    refunded_at timestamptz,
+    check (amount = consultation_fee + service_fee)
+);
+
+create index if not exists payments_appointment_idx on public.payments (appointment_id, created_at);
+create index if not exists payments_client_idx on public.payments (client_id, created_at desc);
+create index if not exists payments_lawyer_idx on public.payments (lawyer_id, created_at desc);
+
+alter table public.payments enable row level security;
+
+create policy "Participants view their payments"
+    on public.payments for select
+    using (auth.uid() in (client_id, lawyer_id));
+
+create or replace function public.enforce_payment_transition()
+returns trigger
+language plpgsql
+as $$
+begin
+    if tg_op = 'INSERT' then
+        if new.status <> 'pending' then
+            raise exception 'INVALID_TRANSITION: payments must start as pending, not %', new.status;
+        end if;
+        return new;
+    end if;
+
+    if new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    if not ((old.status = 'pending' and new.status in ('completed', 'failed'))
+            or (old.status = 'completed' and new.status = 'refunded')) then
+        raise exception 'INVALID_TRANSITION: cannot move a payment from % to %', old.status, new.status;
+    end if;
+
+    new.status_changed_at := now();
+
+    if new.status = 'completed' then
+        new.completed_at := now();
+    elsif new.status = 'failed' then
+        new.failed_at := now();
+    elsif new.status = 'refunded' then
+        new.refunded_at := now();
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists payments_enforce_transition on public.payments;
+create trigger payments_enforce_transition
+    before insert or update of status on public.payments
+    for each row execute function public.enforce_payment_transition();
+
+-- The client starts a payment for one of their appointments
+create or replace function public.record_payment(
+    p_appointment_id uuid,
+    p_consultation_fee numeric,
+    p_service_fee numeric,
+    p_currency text,
+    p_payment_method text,
+    p_transaction_id text
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    created payments;
+begin
+    select * into target from appointments where id = p_appointment_id;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> target.client_id then
+        raise exception 'NOT_AUTHORIZED: only the client can pay for this appointment';
+    end if;
+
+    insert into payments (
+        appointment_id, client_id, lawyer_id,
+        consultation_fee, service_fee, amount,
+        currency, payment_method, transaction_id
+    )
+    values (
+        target.id, target.client_id, target.lawyer_id,
+        p_consultation_fee, p_service_fee, p_consultation_fee + p_service_fee,
+        coalesce(p_currency, 'PKR'), p_payment_method, p_transaction_id
+    )
+    returning * into created;
+
+    return created;
+end;
+$$;
+
+-- Confirm the appointment and mark the payment completed, or neither
+create or replace function public.complete_payment(
+    p_payment_id uuid,
+    p_appointment_status text default 'confirmed'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    booked appointments;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> payment.client_id then
+        raise exception 'NOT_AUTHORIZED: only the paying client can complete this payment';
+    end if;
+
+    if payment.status <> 'pending' then
+        raise exception 'INVALID_STATUS: payment is %', payment.status;
+    end if;
+
+    booked := confirm_appointment_hold(payment.appointment_id, p_appointment_status);
+
+    update payments set status = 'completed' where id = p_payment_id
+    returning * into payment;
+
+    update appointments
+       set payment_status = 'paid',
+           payment_method = payment.payment_method,
+           payment_amount = payment.amount,
+           transaction_id = payment.transaction_id,
+           payment_date = payment.completed_at
+     where id = payment.appointment_id
+    returning * into booked;
+
+    return jsonb_build_object('payment', to_jsonb(payment), 'appointment', to_jsonb(booked));
+end;
+$$;
+
+-- The client records a failed attempt; the lawyer refunds a completed payment
+create or replace function public.set_payment_status(
+    p_payment_id uuid,
+    p_status text,
+    p_reason text default null
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if p_status not in ('failed', 'refunded') then
+        raise exception 'INVALID_ACTION: use complete_payment to complete a payment';
+    end if;
+
+    if p_status = 'failed' and auth.uid() is distinct from payment.client_id then
+        raise exception 'NOT_AUTHORIZED: only the paying client can record a failed payment';
+    end if;
+
+    if p_status = 'refunded' and auth.uid() is distinct from payment.lawyer_id then
+        raise exception 'NOT_AUTHORIZED: only the lawyer can refund this payment';
+    end if;
+
+    update payments
+       set status = p_status,
+           failure_reason = case when p_status = 'failed' then p_reason else failure_reason end
+     where id = p_payment_id
+    returning * into payment;
+
+    if p_status = 'refunded' then
+        update appointments set payment_status = 'refunded' where id = payment.appointment_id;
+    end if;
+
+    return payment;
+end;
+$$;
+
+grant execute on function public.record_payment(uuid, numeric, numeric, text, text, text) to authenticated;
+grant execute on function public.complete_payment(uuid, text) to authenticated;
+grant execute on function public.set_payment_status(uuid, text, text) to authenticated;
@@ -0,0 +1,110 @@
+-- ============================================
+-- PAYMENT GATEWAYS
+-- ============================================
+-- Which gateway adapter handled a payment (see js/payment-gateways.js) and
+-- the gateway's own reference for the captured charge, needed to look it up
+-- or refund it later.
+
+alter table public.payments
+    add column if not exists gateway text not null default 'sandbox',
+    add column if not exists gateway_reference text;
+
+drop function if exists public.record_payment(uuid, numeric, numeric, text, text, text);
+
+create or replace function public.record_payment(
+    p_appointment_id uuid,
+    p_consultation_fee numeric,
+    p_service_fee numeric,
+    p_currency text,
+    p_payment_method text,
+    p_transaction_id text,
+    p_gateway text
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    created payments;
+begin
+    select * into target from appointments where id = p_appointment_id;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> target.client_id then
+        raise exception 'NOT_AUTHORIZED: only the client can pay for this appointment';
+    end if;
+
+    insert into payments (
+        appointment_id, client_id, lawyer_id,
+        consultation_fee, service_fee, amount,
+        currency, payment_method, transaction_id, gateway
+    )
+    values (
+        target.id, target.client_id, target.lawyer_id,
+        p_consultation_fee, p_service_fee, p_consultation_fee + p_service_fee,
+        coalesce(p_currency, 'PKR'), p_payment_method, p_transaction_id, p_gateway
+    )
+    returning * into created;
+
+    return created;
+end;
+$$;
+
+drop function if exists public.complete_payment(uuid, text);
+
+create or replace function public.complete_payment(
+    p_payment_id uuid,
+    p_gateway_reference text,
+    p_appointment_status text default 'confirmed'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    booked appointments;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> payment.client_id then
+        raise exception 'NOT_AUTHORIZED: only the paying client can complete this payment';
+    end if;
+
+    if payment.status <> 'pending' then
+        raise exception 'INVALID_STATUS: payment is %', payment.status;
+    end if;
+
+    booked := confirm_appointment_hold(payment.appointment_id, p_appointment_status);
+
+    update payments
+       set status = 'completed',
+           gateway_reference = p_gateway_reference
+     where id = p_payment_id
+    returning * into payment;
+
+    update appointments
+       set payment_status = 'paid',
+           payment_method = payment.payment_method,
+           payment_amount = payment.amount,
+           transaction_id = payment.transaction_id,
+           payment_date = payment.completed_at
+     where id = payment.appointment_id
+    returning * into booked;
+
+    return jsonb_build_object('payment', to_jsonb(payment), 'appointment', to_jsonb(booked));
+end;
+$$;
+
+grant execute on function public.record_payment(uuid, numeric, numeric, text, text, text, text) to authenticated;
+grant execute on function public.complete_payment(uuid, text, text) to authenticated;
@@ -0,0 +1,265 @@
+-- ============================================
+-- PAYMENT REFUNDS
+-- ============================================
+-- Full or partial refunds against a completed payment, issued by the lawyer
+-- or a platform admin with a reason. A refund is reserved as pending before
+-- the gateway is asked to return the money, so two refunds can never add up
+-- to more than was paid, then marked completed or failed.
+
+alter table public.payments
+    add column if not exists refunded_amount numeric(12, 2) not null default 0;
+
+alter table public.payments drop constraint if exists payments_status_check;
+alter table public.payments
+    add constraint payments_status_check
+    check (status in ('pending', 'completed', 'failed', 'partially_refunded', 'refunded'));
+
+create table if not exists public.payment_refunds (
+    id uuid primary key default gen_random_uuid(),
+    payment_id uuid not null references public.payments(id) on delete cascade,
+    appointment_id uuid references public.appointments(id) on delete set null,
+    client_id uuid not null references public.users(id),
+    lawyer_id uuid references public.lawyers(id),
+    amount numeric(12, 2) not null check (amount > 0),
+    currency text not null,
+    reason text not null,
+    refund_number text not null unique,
+    refunded_by uuid references public.users(id),
+    refunded_by_role text not null check (refunded_by_role in ('lawyer', 'admin', 'system')),
+    status text not null default 'pending' check (status in ('pending', 'completed', 'failed')),
+    gateway_reference text,
+    failure_reason text,
+    created_at timestamptz not null default now(),
+    completed_at timestamptz
+);
+
+create index if not exists payment_refunds_payment_idx on public.payment_refunds (payment_id, created_at);
+create index if not exists payment_refunds_client_idx on public.payment_refunds (client_id, created_at desc);
+create index if not exists payment_refunds_lawyer_idx on public.payment_refunds (lawyer_id, created_at desc);
+
+-- Platform staff; appears in users.user_type alongside 'client' and 'lawyer'
+create or replace function public.is_platform_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (select 1 from users where id = auth.uid() and user_type = 'admin')
+$$;
+
+alter table public.payment_refunds enable row level security;
+
+create policy "Participants view their refunds"
+    on public.payment_refunds for select
+    using (auth.uid() in (client_id, lawyer_id) or is_platform_admin());
+
+create policy "Admins view all payments"
+    on public.payments for select
+    using (is_platform_admin());
+
+create or replace function public.enforce_payment_transition()
+returns trigger
+language plpgsql
+as $$
+begin
+    if tg_op = 'INSERT' then
+        if new.status <> 'pending' then
+            raise exception 'INVALID_TRANSITION: payments must start as pending, not %', new.status;
+        end if;
+        return new;
+    end if;
+
+    if new.status is not distinct from old.status then
+        return new;
+    end if;
+
+    if not ((old.status = 'pending' and new.status in ('completed', 'failed'))
+            or (old.status in ('completed', 'partially_refunded') and new.status in ('partially_refunded', 'refunded'))) then
+        raise exception 'INVALID_TRANSITION: cannot move a payment from % to %', old.status, new.status;
+    end if;
+
+    new.status_changed_at := now();
+
+    if new.status = 'completed' then
+        new.completed_at := now();
+    elsif new.status = 'failed' then
+        new.failed_at := now();
+    elsif new.status = 'refunded' then
+        new.refunded_at := now();
+    end if;
+
+    return new;
+end;
+$$;
+
+-- Refunds go through start_payment_refund now; this only records failed attempts
+create or replace function public.set_payment_status(
+    p_payment_id uuid,
+    p_status text,
+    p_reason text default null
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if p_status <> 'failed' then
+        raise exception 'INVALID_ACTION: use complete_payment or start_payment_refund instead';
+    end if;
+
+    if auth.uid() is distinct from payment.client_id then
+        raise exception 'NOT_AUTHORIZED: only the paying client can record a failed payment';
+    end if;
+
+    update payments
+       set status = 'failed',
+           failure_reason = p_reason
+     where id = p_payment_id
+    returning * into payment;
+
+    return payment;
+end;
+$$;
+
+-- Reserve a refund before asking the gateway to return the money
+create or replace function public.start_payment_refund(
+    p_payment_id uuid,
+    p_amount numeric,
+    p_reason text
+)
+returns public.payment_refunds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    reserved numeric;
+    actor text;
+    created payment_refunds;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    actor := case
+        when auth.uid() is null or current_setting('app.transition_actor', true) = 'system' then 'system'
+        when auth.uid() = payment.lawyer_id then 'lawyer'
+        when is_platform_admin() then 'admin'
+    end;
+
+    if actor is null then
+        raise exception 'NOT_AUTHORIZED: only the lawyer or an admin can refund this payment';
+    end if;
+
+    if payment.status not in ('completed', 'partially_refunded') then
+        raise exception 'INVALID_STATUS: only completed payments can be refunded (payment is %)', payment.status;
+    end if;
+
+    if nullif(trim(coalesce(p_reason, '')), '') is null then
+        raise exception 'INVALID_ACTION: a reason is required for a refund';
+    end if;
+
+    select coalesce(sum(amount), 0) into reserved
+      from payment_refunds
+     where payment_id = p_payment_id
+       and status in ('pending', 'completed');
+
+    if p_amount is null or p_amount <= 0 or p_amount > payment.amount - reserved then
+        raise exception 'INVALID_AMOUNT: refund must be more than 0 and at most % %',
+            payment.currency, payment.amount - reserved;
+    end if;
+
+    insert into payment_refunds (
+        payment_id, appointment_id, client_id, lawyer_id,
+        amount, currency, reason, refund_number,
+        refunded_by, refunded_by_role
+    )
+    values (
+        payment.id, payment.appointment_id, payment.client_id, payment.lawyer_id,
+        p_amount, payment.currency, trim(p_reason),
+        'RFD-' || to_char(now(), 'YYYYMMDD') || '-' || upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 8)),
+        auth.uid(), actor
+    )
+    returning * into created;
+
+    return created;
+end;
+$$;
+
+-- Record what the gateway did with a pending refund
+create or replace function public.finish_payment_refund(
+    p_refund_id uuid,
+    p_succeeded boolean,
+    p_gateway_reference text default null,
+    p_failure_reason text default null
+)
+returns public.payment_refunds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    refund payment_refunds;
+    payment payments;
+begin
+    select * into refund from payment_refunds where id = p_refund_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: refund does not exist';
+    end if;
+
+    if auth.uid() is distinct from refund.refunded_by and not is_platform_admin()
+       and coalesce(current_setting('app.transition_actor', true), '') <> 'system' then
+        raise exception 'NOT_AUTHORIZED: only whoever started this refund can finish it';
+    end if;
+
+    if refund.status <> 'pending' then
+        raise exception 'INVALID_STATUS: refund is %', refund.status;
+    end if;
+
+    if not p_succeeded then
+        update payment_refunds
+           set status = 'failed',
+               failure_reason = p_failure_reason
+         where id = p_refund_id
+        returning * into refund;
+
+        return refund;
+    end if;
+
+    update payment_refunds
+       set status = 'completed',
+           gateway_reference = p_gateway_reference,
+           completed_at = now()
+     where id = p_refund_id
+    returning * into refund;
+
+    update payments
+       set refunded_amount = refunded_amount + refund.amount,
+           status = case when refunded_amount + refund.amount >= amount then 'refunded' else 'partially_refunded' end
+     where id = refund.payment_id
+    returning * into payment;
+
+    update appointments
+       set payment_status = payment.status
+     where id = refund.appointment_id;
+
+    return refund;
+end;
+$$;
+
+grant execute on function public.start_payment_refund(uuid, numeric, text) to authenticated;
+grant execute on function public.finish_payment_refund(uuid, boolean, text, text) to authenticated;
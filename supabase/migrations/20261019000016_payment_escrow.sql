@@ -0,0 +1,390 @@
+-- ============================================
+-- PAYMENT ESCROW
+-- ============================================
+-- A completed appointment payment is held by the platform instead of going
+-- straight to the lawyer:
+--   held      -> the meeting has not happened yet, or the dispute window is open
+--   released  -> the lawyer is paid (whatever was not refunded)
+--   refunded  -> everything went back to the client
+--   disputed  -> the client disputed the charge; an admin releases or refunds it
+-- When the appointment is cancelled, declined or expires, the refund due under
+-- the cancellation policy (all of it when the lawyer cancels or does not attend)
+-- is queued automatically and the rest is released. When it is completed or
+-- marked no-show, the client has escrow_dispute_window() to dispute it.
+--
+-- Queued refunds are pending payment_refunds rows started by the system. An
+-- admin returns the money through the payment's gateway and finishes them from
+-- the Disputes & Queued Refunds section of their profile page (see
+-- settlePendingRefunds in js/payment.js).
+
+alter table public.payments
+    add column if not exists escrow_status text
+        check (escrow_status in ('held', 'released', 'refunded', 'disputed')),
+    add column if not exists escrow_release_at timestamptz,
+    add column if not exists escrow_released_at timestamptz,
+    add column if not exists disputed_at timestamptz,
+    add column if not exists dispute_reason text,
+    add column if not exists dispute_resolution text check (dispute_resolution in ('released', 'refunded')),
+    add column if not exists dispute_note text,
+    add column if not exists dispute_resolved_by uuid references public.users(id),
+    add column if not exists dispute_resolved_at timestamptz;
+
+create index if not exists payments_escrow_release_idx
+    on public.payments (escrow_release_at)
+    where escrow_status = 'held';
+
+-- How long a client has after the meeting to dispute the charge
+create or replace function public.escrow_dispute_window()
+returns interval
+language sql
+immutable
+as $$
+    select interval '72 hours'
+$$;
+
+create or replace function public.payment_refund_number()
+returns text
+language sql
+volatile
+as $$
+    select 'RFD-' || to_char(now(), 'YYYYMMDD') || '-' || upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 8))
+$$;
+
+-- Amount of a payment not yet refunded or reserved for a refund
+create or replace function public.payment_refundable_amount(p_payment_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select p.amount - coalesce((
+        select sum(r.amount)
+          from payment_refunds r
+         where r.payment_id = p.id
+           and r.status in ('pending', 'completed')
+    ), 0)
+      from payments p
+     where p.id = p_payment_id
+$$;
+
+-- Queue a system refund for the gateway to carry out
+create or replace function public.queue_payment_refund(
+    p_payment_id uuid,
+    p_amount numeric,
+    p_reason text,
+    p_role text default 'system'
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if p_amount is null or p_amount <= 0 then
+        return;
+    end if;
+
+    insert into payment_refunds (
+        payment_id, appointment_id, client_id, lawyer_id,
+        amount, currency, reason, refund_number,
+        refunded_by, refunded_by_role
+    )
+    select id, appointment_id, client_id, lawyer_id,
+           p_amount, currency, p_reason, payment_refund_number(),
+           case when p_role = 'system' then null else auth.uid() end, p_role
+      from payments
+     where id = p_payment_id;
+end;
+$$;
+
+revoke execute on function public.queue_payment_refund(uuid, numeric, text, text) from public, anon, authenticated;
+
+-- Completed appointment payments start out held in escrow
+create or replace function public.hold_payment_in_escrow()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.status = 'completed' and old.status = 'pending' and new.appointment_id is not null then
+        new.escrow_status := 'held';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists payments_hold_in_escrow on public.payments;
+create trigger payments_hold_in_escrow
+    before update of status on public.payments
+    for each row execute function public.hold_payment_in_escrow();
+
+-- Settle the escrowed payment when its appointment reaches a final status.
+-- Runs after appointments_set_refund_due has worked out refund_due.
+create or replace function public.settle_appointment_escrow()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    refundable numeric;
+    refund_amount numeric;
+begin
+    if new.status is not distinct from old.status
+       or new.status not in ('completed', 'no_show', 'cancelled', 'declined', 'expired') then
+        return new;
+    end if;
+
+    select * into payment
+      from payments
+     where appointment_id = new.id
+       and escrow_status = 'held'
+     for update;
+
+    if not found then
+        return new;
+    end if;
+
+    refundable := payment_refundable_amount(payment.id);
+
+    if new.status = 'completed' then
+        refund_amount := 0;
+    elsif new.status in ('declined', 'expired') or old.status = 'pending' then
+        -- The lawyer never accepted the booking
+        refund_amount := refundable;
+    else
+        refund_amount := least(coalesce(new.refund_due, 0), refundable);
+    end if;
+
+    perform queue_payment_refund(
+        payment.id,
+        refund_amount,
+        case new.status
+            when 'declined' then 'Booking declined by the lawyer'
+            when 'expired' then 'Booking request expired'
+            when 'no_show' then 'Missed appointment (' || new.no_show_party || ' did not attend)'
+            else 'Appointment cancelled'
+        end
+    );
+
+    if refund_amount >= refundable then
+        update payments
+           set escrow_status = 'refunded',
+               escrow_release_at = null
+         where id = payment.id;
+    elsif new.status in ('completed', 'no_show') then
+        update payments
+           set escrow_release_at = now() + escrow_dispute_window()
+         where id = payment.id;
+    else
+        update payments
+           set escrow_status = 'released',
+               escrow_released_at = now()
+         where id = payment.id;
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists appointments_settle_escrow on public.appointments;
+create trigger appointments_settle_escrow
+    after update of status on public.appointments
+    for each row execute function public.settle_appointment_escrow();
+
+-- Pay lawyers once the dispute window has passed
+create or replace function public.release_escrowed_payments()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    released integer;
+begin
+    update payments
+       set escrow_status = 'released',
+           escrow_released_at = now()
+     where escrow_status = 'held'
+       and escrow_release_at <= now();
+
+    get diagnostics released = row_count;
+    return released;
+end;
+$$;
+
+-- The client disputes a charge after the meeting, before the funds are released
+create or replace function public.dispute_payment(
+    p_payment_id uuid,
+    p_reason text
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if auth.uid() is distinct from payment.client_id then
+        raise exception 'NOT_AUTHORIZED: only the client can dispute this payment';
+    end if;
+
+    if payment.escrow_status <> 'held' or payment.escrow_release_at is null or payment.escrow_release_at <= now() then
+        raise exception 'INVALID_STATUS: this payment can no longer be disputed';
+    end if;
+
+    if nullif(trim(coalesce(p_reason, '')), '') is null then
+        raise exception 'INVALID_ACTION: a reason is required for a dispute';
+    end if;
+
+    update payments
+       set escrow_status = 'disputed',
+           disputed_at = now(),
+           dispute_reason = trim(p_reason)
+     where id = p_payment_id
+    returning * into payment;
+
+    return payment;
+end;
+$$;
+
+-- An admin settles a dispute: refund some or all of what is left, release the rest
+create or replace function public.resolve_payment_dispute(
+    p_payment_id uuid,
+    p_refund_amount numeric,
+    p_note text default null
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    refundable numeric;
+begin
+    if not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: only an admin can resolve disputes';
+    end if;
+
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if payment.escrow_status <> 'disputed' then
+        raise exception 'INVALID_STATUS: payment is not disputed';
+    end if;
+
+    refundable := payment_refundable_amount(p_payment_id);
+
+    if p_refund_amount is null or p_refund_amount < 0 or p_refund_amount > refundable then
+        raise exception 'INVALID_AMOUNT: refund must be between 0 and % %', payment.currency, refundable;
+    end if;
+
+    perform queue_payment_refund(p_payment_id, p_refund_amount, 'Dispute resolved: ' || coalesce(p_note, payment.dispute_reason), 'admin');
+
+    update payments
+       set escrow_status = case when p_refund_amount >= refundable then 'refunded' else 'released' end,
+           escrow_released_at = case when p_refund_amount >= refundable then null else now() end,
+           dispute_resolution = case when p_refund_amount >= refundable then 'refunded' else 'released' end,
+           dispute_note = p_note,
+           dispute_resolved_by = auth.uid(),
+           dispute_resolved_at = now()
+     where id = p_payment_id
+    returning * into payment;
+
+    return payment;
+end;
+$$;
+
+-- System refunds can be finished by either participant; a refund that
+-- returns everything left also empties the escrow
+create or replace function public.finish_payment_refund(
+    p_refund_id uuid,
+    p_succeeded boolean,
+    p_gateway_reference text default null,
+    p_failure_reason text default null
+)
+returns public.payment_refunds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    refund payment_refunds;
+    payment payments;
+begin
+    select * into refund from payment_refunds where id = p_refund_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: refund does not exist';
+    end if;
+
+    if not (auth.uid() is not distinct from refund.refunded_by
+            or (refund.refunded_by_role = 'system' and auth.uid() in (refund.client_id, refund.lawyer_id))
+            or is_platform_admin()
+            or coalesce(current_setting('app.transition_actor', true), '') = 'system') then
+        raise exception 'NOT_AUTHORIZED: only whoever started this refund can finish it';
+    end if;
+
+    if refund.status <> 'pending' then
+        raise exception 'INVALID_STATUS: refund is %', refund.status;
+    end if;
+
+    if not p_succeeded then
+        update payment_refunds
+           set status = 'failed',
+               failure_reason = p_failure_reason
+         where id = p_refund_id
+        returning * into refund;
+
+        return refund;
+    end if;
+
+    update payment_refunds
+       set status = 'completed',
+           gateway_reference = p_gateway_reference,
+           completed_at = now()
+     where id = p_refund_id
+    returning * into refund;
+
+    update payments
+       set refunded_amount = refunded_amount + refund.amount,
+           status = case when refunded_amount + refund.amount >= amount then 'refunded' else 'partially_refunded' end,
+           escrow_status = case
+               when refunded_amount + refund.amount >= amount and escrow_status is not null then 'refunded'
+               else escrow_status
+           end
+     where id = refund.payment_id
+    returning * into payment;
+
+    update appointments
+       set payment_status = payment.status
+     where id = refund.appointment_id;
+
+    return refund;
+end;
+$$;
+
+grant execute on function public.dispute_payment(uuid, text) to authenticated;
+grant execute on function public.resolve_payment_dispute(uuid, numeric, text) to authenticated;
+grant execute on function public.release_escrowed_payments() to authenticated;
+
+-- Release escrow every 15 minutes where pg_cron is available
+do $$
+begin
+    if exists (select 1 from pg_extension where extname = 'pg_cron') then
+        perform cron.schedule('release-escrowed-payments', '*/15 * * * *', 'select public.release_escrowed_payments()');
+    end if;
+end;
+$$;
@@ -0,0 +1,247 @@
+-- ============================================
+-- LAWYER SETTLEMENT
+-- ============================================
+-- What each lawyer is owed. The client pays the consultation fee plus the
+-- platform's service fee; the platform also keeps a commission on the
+-- consultation fee. Refunds reduce the lawyer's share in proportion to the
+-- part of the payment refunded. Payments released from escrow are grouped
+-- into weekly payout batches. Mirrors js/settlement.js.
+
+-- Platform commission on the consultation fee
+create or replace function public.platform_commission_rate()
+returns numeric
+language sql
+immutable
+as $$
+    select 0.10::numeric
+$$;
+
+create table if not exists public.payout_batches (
+    id uuid primary key default gen_random_uuid(),
+    lawyer_id uuid not null references public.lawyers(id) on delete cascade,
+    period_start date not null,
+    period_end date not null,
+    payment_count integer not null default 0,
+    gross_amount numeric(12, 2) not null default 0,
+    commission_amount numeric(12, 2) not null default 0,
+    refunded_amount numeric(12, 2) not null default 0,
+    net_amount numeric(12, 2) not null default 0,
+    currency text not null default 'PKR',
+    status text not null default 'pending' check (status in ('pending', 'paid')),
+    payout_reference text,
+    created_at timestamptz not null default now(),
+    paid_at timestamptz,
+    check (period_start <= period_end)
+);
+
+create index if not exists payout_batches_lawyer_idx on public.payout_batches (lawyer_id, period_start desc);
+
+alter table public.payments
+    add column if not exists payout_batch_id uuid references public.payout_batches(id) on delete set null;
+
+create index if not exists payments_payout_idx
+    on public.payments (lawyer_id, escrow_released_at)
+    where escrow_status = 'released' and payout_batch_id is null;
+
+alter table public.payout_batches enable row level security;
+
+create policy "Lawyers view their payout batches"
+    on public.payout_batches for select
+    using (auth.uid() = lawyer_id or is_platform_admin());
+
+-- One line per payment received by a lawyer, with the lawyer's share worked out.
+-- earned_on is when the funds were released (or paid, while still in escrow).
+create or replace function public.lawyer_earnings(
+    p_lawyer_id uuid,
+    p_start date,
+    p_end date
+)
+returns table (
+    payment_id uuid,
+    appointment_id uuid,
+    transaction_id text,
+    earned_on date,
+    escrow_status text,
+    payout_batch_id uuid,
+    currency text,
+    amount numeric,
+    consultation_fee numeric,
+    refunded_amount numeric,
+    lawyer_gross numeric,
+    commission numeric,
+    lawyer_refunded numeric,
+    net numeric
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is not null and auth.uid() <> p_lawyer_id and not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: you can only view your own earnings';
+    end if;
+
+    return query
+    select p.id,
+           p.appointment_id,
+           p.transaction_id,
+           (coalesce(p.escrow_released_at, p.completed_at) at time zone 'Asia/Karachi')::date,
+           p.escrow_status,
+           p.payout_batch_id,
+           p.currency,
+           p.amount,
+           p.consultation_fee,
+           p.refunded_amount,
+           fee.gross,
+           fee.commission,
+           refund.lawyer_share,
+           fee.gross - fee.commission - refund.lawyer_share
+      from payments p
+     cross join lateral (
+        select p.consultation_fee as gross,
+               round(p.consultation_fee * platform_commission_rate(), 2) as commission
+     ) fee
+     cross join lateral (
+        select round((fee.gross - fee.commission) * p.refunded_amount / p.amount, 2) as lawyer_share
+     ) refund
+     where p.lawyer_id = p_lawyer_id
+       and p.status in ('completed', 'partially_refunded', 'refunded')
+       and (coalesce(p.escrow_released_at, p.completed_at) at time zone 'Asia/Karachi')::date between p_start and p_end
+     order by coalesce(p.escrow_released_at, p.completed_at);
+end;
+$$;
+
+-- Group a lawyer's released, unbatched payments in a period into a payout batch
+create or replace function public.create_payout_batch(
+    p_lawyer_id uuid,
+    p_period_start date,
+    p_period_end date
+)
+returns public.payout_batches
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    batch payout_batches;
+begin
+    if auth.uid() is not null and not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: only an admin can create payout batches';
+    end if;
+
+    insert into payout_batches (lawyer_id, period_start, period_end)
+    values (p_lawyer_id, p_period_start, p_period_end)
+    returning * into batch;
+
+    update payments p
+       set payout_batch_id = batch.id
+     where p.lawyer_id = p_lawyer_id
+       and p.escrow_status = 'released'
+       and p.payout_batch_id is null
+       and (p.escrow_released_at at time zone 'Asia/Karachi')::date between p_period_start and p_period_end;
+
+    update payout_batches b
+       set payment_count = totals.payment_count,
+           gross_amount = totals.gross,
+           commission_amount = totals.commission,
+           refunded_amount = totals.refunded,
+           net_amount = totals.net
+      from (
+        select count(*) as payment_count,
+               coalesce(sum(e.lawyer_gross), 0) as gross,
+               coalesce(sum(e.commission), 0) as commission,
+               coalesce(sum(e.lawyer_refunded), 0) as refunded,
+               coalesce(sum(e.net), 0) as net
+          from lawyer_earnings(p_lawyer_id, p_period_start, p_period_end) e
+         where e.payout_batch_id = batch.id
+      ) totals
+     where b.id = batch.id
+    returning b.* into batch;
+
+    if batch.payment_count = 0 then
+        delete from payout_batches where id = batch.id;
+        return null;
+    end if;
+
+    return batch;
+end;
+$$;
+
+-- Batch last week's released payments for every lawyer (Monday to Sunday)
+create or replace function public.create_weekly_payout_batches()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    week_start date := date_trunc('week', (now() at time zone 'Asia/Karachi')::date - 7)::date;
+    lawyer uuid;
+    created integer := 0;
+begin
+    for lawyer in
+        select distinct lawyer_id
+          from payments
+         where escrow_status = 'released'
+           and payout_batch_id is null
+           and (escrow_released_at at time zone 'Asia/Karachi')::date between week_start and week_start + 6
+    loop
+        if (create_payout_batch(lawyer, week_start, week_start + 6)).id is not null then
+            created := created + 1;
+        end if;
+    end loop;
+
+    return created;
+end;
+$$;
+
+-- Record that a batch has been paid out to the lawyer
+create or replace function public.mark_payout_batch_paid(
+    p_batch_id uuid,
+    p_reference text default null
+)
+returns public.payout_batches
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    batch payout_batches;
+begin
+    if not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: only an admin can mark payouts as paid';
+    end if;
+
+    update payout_batches
+       set status = 'paid',
+           payout_reference = p_reference,
+           paid_at = now()
+     where id = p_batch_id
+       and status = 'pending'
+    returning * into batch;
+
+    if not found then
+        raise exception 'INVALID_STATUS: payout batch is not pending';
+    end if;
+
+    return batch;
+end;
+$$;
+
+-- Called without a signed-in user only by the scheduled job
+revoke execute on function public.lawyer_earnings(uuid, date, date) from public, anon;
+revoke execute on function public.create_payout_batch(uuid, date, date) from public, anon;
+grant execute on function public.lawyer_earnings(uuid, date, date) to authenticated;
+grant execute on function public.create_payout_batch(uuid, date, date) to authenticated;
+grant execute on function public.mark_payout_batch_paid(uuid, text) to authenticated;
+revoke execute on function public.create_weekly_payout_batches() from public, anon, authenticated;
+
+-- Batch payouts every Monday morning where pg_cron is available
+do $$
+begin
+    if exists (select 1 from pg_extension where extname = 'pg_cron') then
+        perform cron.schedule('create-weekly-payout-batches', '0 2 * * 1', 'select public.create_weekly_payout_batches()');
+    end if;
+end;
+$$;
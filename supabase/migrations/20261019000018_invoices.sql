@@ -0,0 +1,280 @@
+-- ============================================
+-- INVOICES
+-- ============================================
+-- Every completed payment gets a tax invoice and every completed refund a
+-- credit note, numbered in sequence (INV-000001, CN-000001) when they happen.
+-- The platform's details, the lawyer's and client's details and the tax line
+-- are copied onto the invoice when it is issued, so downloading it again
+-- later always gives the same document. Prices already include tax; the tax
+-- line shows how much of the total it is. The PDF is drawn in the browser
+-- (see js/invoice.js).
+
+-- The platform's invoice details and numbering (a single row)
+create table if not exists public.invoice_settings (
+    id boolean primary key default true check (id),
+    business_name text not null default 'Brief-Case',
+    address text,
+    email text,
+    phone text,
+    tax_registration_no text,
+    tax_label text not null default 'GST',
+    tax_rate numeric(5, 4) not null default 0 check (tax_rate >= 0 and tax_rate < 1),
+    next_invoice_number bigint not null default 1,
+    next_credit_note_number bigint not null default 1,
+    updated_at timestamptz not null default now()
+);
+
+insert into public.invoice_settings (id) values (true) on conflict (id) do nothing;
+
+alter table public.invoice_settings enable row level security;
+
+create policy "Signed-in users view invoice settings"
+    on public.invoice_settings for select
+    using (auth.uid() is not null);
+
+create policy "Admins update invoice settings"
+    on public.invoice_settings for update
+    using (is_platform_admin());
+
+-- Admins edit the details; the counters only move when a document is issued
+revoke update on public.invoice_settings from anon, authenticated;
+grant update (business_name, address, email, phone, tax_registration_no, tax_label, tax_rate, updated_at)
+    on public.invoice_settings to authenticated;
+
+create table if not exists public.invoices (
+    id uuid primary key default gen_random_uuid(),
+    invoice_number text not null unique,
+    kind text not null check (kind in ('invoice', 'credit_note')),
+    payment_id uuid not null references public.payments(id) on delete cascade,
+    refund_id uuid unique references public.payment_refunds(id) on delete cascade,
+    client_id uuid not null references public.users(id),
+    lawyer_id uuid references public.lawyers(id),
+    currency text not null,
+    consultation_fee numeric(12, 2) not null,
+    service_fee numeric(12, 2) not null,
+    total numeric(12, 2) not null,
+    tax_label text not null,
+    tax_rate numeric(5, 4) not null,
+    tax_amount numeric(12, 2) not null,
+    platform_details jsonb not null,
+    lawyer_details jsonb not null,
+    client_details jsonb not null,
+    service_details jsonb not null,
+    issued_at timestamptz not null default now(),
+    check ((kind = 'credit_note') = (refund_id is not null))
+);
+
+create unique index if not exists invoices_one_per_payment_idx
+    on public.invoices (payment_id)
+    where kind = 'invoice';
+
+create index if not exists invoices_client_idx on public.invoices (client_id, issued_at desc);
+create index if not exists invoices_lawyer_idx on public.invoices (lawyer_id, issued_at desc);
+
+alter table public.invoices enable row level security;
+
+create policy "Participants view their invoices"
+    on public.invoices for select
+    using (auth.uid() in (client_id, lawyer_id) or is_platform_admin());
+
+-- Issue the invoice for a payment (or its credit note for a refund) unless it
+-- already has one. The settings row is locked while the number is taken, so
+-- numbers are handed out in order without gaps.
+create or replace function public.create_invoice(
+    p_payment_id uuid,
+    p_refund_id uuid default null
+)
+returns public.invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    refund payment_refunds;
+    original invoices;
+    existing invoices;
+    settings invoice_settings;
+    doc_total numeric;
+    consultation_share numeric;
+    rate numeric;
+    created invoices;
+begin
+    -- Locking the payment stops two requests issuing the same document twice
+    select * into payment from payments where id = p_payment_id for update;
+
+    if p_refund_id is null then
+        select * into existing from invoices where payment_id = p_payment_id and kind = 'invoice';
+    else
+        select * into existing from invoices where refund_id = p_refund_id;
+    end if;
+
+    if found then
+        return existing;
+    end if;
+
+    if p_refund_id is null then
+        doc_total := payment.amount;
+        consultation_share := payment.consultation_fee;
+    else
+        -- A credit note splits the refund in the same proportion as the payment
+        -- and uses the tax rate of the invoice it corrects
+        select * into refund from payment_refunds where id = p_refund_id;
+        original := create_invoice(p_payment_id);
+        doc_total := refund.amount;
+        consultation_share := round(refund.amount * payment.consultation_fee / payment.amount, 2);
+        rate := original.tax_rate;
+    end if;
+
+    if p_refund_id is null then
+        update invoice_settings
+           set next_invoice_number = next_invoice_number + 1
+         where id = true
+        returning * into settings;
+    else
+        update invoice_settings
+           set next_credit_note_number = next_credit_note_number + 1
+         where id = true
+        returning * into settings;
+    end if;
+
+    rate := coalesce(rate, settings.tax_rate);
+
+    insert into invoices (
+        invoice_number, kind, payment_id, refund_id, client_id, lawyer_id,
+        currency, consultation_fee, service_fee, total,
+        tax_label, tax_rate, tax_amount,
+        platform_details, lawyer_details, client_details, service_details
+    )
+    select case
+               when p_refund_id is null then 'INV-' || lpad((settings.next_invoice_number - 1)::text, 6, '0')
+               else 'CN-' || lpad((settings.next_credit_note_number - 1)::text, 6, '0')
+           end,
+           case when p_refund_id is null then 'invoice' else 'credit_note' end,
+           payment.id, p_refund_id, payment.client_id, payment.lawyer_id,
+           payment.currency, consultation_share, doc_total - consultation_share, doc_total,
+           coalesce(original.tax_label, settings.tax_label), rate,
+           round(doc_total - doc_total / (1 + rate), 2),
+           coalesce(original.platform_details, jsonb_build_object(
+               'name', settings.business_name,
+               'address', settings.address,
+               'email', settings.email,
+               'phone', settings.phone,
+               'taxRegistrationNo', settings.tax_registration_no
+           )),
+           jsonb_build_object(
+               'name', lawyer_user.first_name || ' ' || lawyer_user.last_name,
+               'email', lawyer_user.email,
+               'lawFirm', l.law_firm,
+               'barRegistrationNo', l.bar_registration_no
+           ),
+           jsonb_build_object(
+               'name', client_user.first_name || ' ' || client_user.last_name,
+               'email', client_user.email
+           ),
+           jsonb_build_object(
+               'title', coalesce(a.title, 'Legal Consultation'),
+               'date', a.appointment_date,
+               'time', a.appointment_time,
+               'meetingType', a.meeting_type,
+               'reason', refund.reason,
+               'originalInvoiceNumber', original.invoice_number
+           )
+      from users client_user
+      left join lawyers l on l.id = payment.lawyer_id
+      left join users lawyer_user on lawyer_user.id = payment.lawyer_id
+      left join appointments a on a.id = payment.appointment_id
+     where client_user.id = payment.client_id
+    returning * into created;
+
+    return created;
+end;
+$$;
+
+revoke execute on function public.create_invoice(uuid, uuid) from public, anon, authenticated;
+
+-- Issue invoices and credit notes as payments complete and refunds go through
+create or replace function public.issue_payment_invoice()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.status = 'completed' and old.status = 'pending' then
+        perform create_invoice(new.id);
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists payments_issue_invoice on public.payments;
+create trigger payments_issue_invoice
+    after update of status on public.payments
+    for each row execute function public.issue_payment_invoice();
+
+create or replace function public.issue_refund_credit_note()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.status = 'completed' and old.status = 'pending' then
+        perform create_invoice(new.payment_id, new.id);
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists payment_refunds_issue_credit_note on public.payment_refunds;
+create trigger payment_refunds_issue_credit_note
+    after update of status on public.payment_refunds
+    for each row execute function public.issue_refund_credit_note();
+
+-- Get the invoice for a payment (or the credit note for a refund), issuing it
+-- now for payments made before invoices existed
+create or replace function public.get_invoice(
+    p_payment_id uuid,
+    p_refund_id uuid default null
+)
+returns public.invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    refund payment_refunds;
+begin
+    select * into payment from payments where id = p_payment_id;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if auth.uid() is null or (auth.uid() not in (payment.client_id, payment.lawyer_id) and not is_platform_admin()) then
+        raise exception 'NOT_AUTHORIZED: you can only view invoices for your own payments';
+    end if;
+
+    if p_refund_id is null then
+        if payment.status not in ('completed', 'partially_refunded', 'refunded') then
+            raise exception 'INVALID_STATUS: payment is %', payment.status;
+        end if;
+    else
+        select * into refund from payment_refunds where id = p_refund_id and payment_id = p_payment_id;
+
+        if not found then
+            raise exception 'NOT_FOUND: refund does not exist';
+        end if;
+
+        if refund.status <> 'completed' then
+            raise exception 'INVALID_STATUS: refund is %', refund.status;
+        end if;
+    end if;
+
+    return create_invoice(p_payment_id, p_refund_id);
+end;
+$$;
+
+grant execute on function public.get_invoice(uuid, uuid) to authenticated;
@@ -0,0 +1,600 @@
+-- ============================================
+-- PROMO CODES
+-- ============================================
+-- Discount codes handed out by marketing and NGO partners: a percentage off,
+-- a fixed amount off, or a free consultation. The discount comes off what the
+-- client pays (consultation fee plus service fee) and is funded by the
+-- platform, so the lawyer's earnings are unchanged. Mirrors
+-- calculateTotalFee in js/payment.js.
+--
+-- A code is checked again when the payment is recorded, and a redemption is
+-- reserved with it; the redemption is kept when the payment completes and
+-- released (so the code can be used again) when the payment fails or
+-- everything is refunded.
+
+create table if not exists public.promo_codes (
+    id uuid primary key default gen_random_uuid(),
+    code text not null unique check (code = upper(code)),
+    description text,
+    partner_name text,
+    discount_type text not null check (discount_type in ('percent', 'fixed', 'free')),
+    discount_value numeric(12, 2) not null default 0,
+    currency text not null default 'PKR',
+    valid_from timestamptz,
+    valid_until timestamptz,
+    max_uses integer check (max_uses > 0),
+    max_uses_per_user integer default 1 check (max_uses_per_user > 0),
+    new_clients_only boolean not null default false,
+    eligible_lawyer_ids uuid[],
+    eligible_practice_area_ids uuid[],
+    active boolean not null default true,
+    created_by uuid references public.users(id),
+    created_at timestamptz not null default now(),
+    check (discount_type <> 'percent' or (discount_value > 0 and discount_value <= 100)),
+    check (discount_type <> 'fixed' or discount_value > 0),
+    check (valid_until is null or valid_from is null or valid_from < valid_until)
+);
+
+create table if not exists public.promo_redemptions (
+    id uuid primary key default gen_random_uuid(),
+    promo_code_id uuid not null references public.promo_codes(id) on delete cascade,
+    client_id uuid not null references public.users(id),
+    appointment_id uuid references public.appointments(id) on delete set null,
+    payment_id uuid not null unique references public.payments(id) on delete cascade,
+    discount_amount numeric(12, 2) not null check (discount_amount > 0),
+    status text not null default 'reserved' check (status in ('reserved', 'redeemed', 'released')),
+    created_at timestamptz not null default now(),
+    redeemed_at timestamptz,
+    released_at timestamptz
+);
+
+create index if not exists promo_redemptions_code_idx on public.promo_redemptions (promo_code_id, status);
+create index if not exists promo_redemptions_client_idx on public.promo_redemptions (client_id, promo_code_id);
+
+alter table public.payments
+    add column if not exists promo_code_id uuid references public.promo_codes(id),
+    add column if not exists discount_amount numeric(12, 2) not null default 0 check (discount_amount >= 0);
+
+-- A free consultation is recorded as a payment of 0
+alter table public.payments drop constraint if exists payments_amount_check;
+alter table public.payments drop constraint if exists payments_check;
+alter table public.payments
+    add constraint payments_amount_check check (amount >= 0),
+    add constraint payments_breakdown_check check (amount = consultation_fee + service_fee - discount_amount);
+
+alter table public.invoices
+    add column if not exists discount_amount numeric(12, 2) not null default 0;
+
+alter table public.promo_codes enable row level security;
+alter table public.promo_redemptions enable row level security;
+
+-- Codes are not listed to clients; they are checked with validate_promo_code
+create policy "Admins manage promo codes"
+    on public.promo_codes for all
+    using (is_platform_admin())
+    with check (is_platform_admin());
+
+create policy "Clients view their promo redemptions"
+    on public.promo_redemptions for select
+    using (auth.uid() = client_id or is_platform_admin());
+
+-- Discount a code gives on a subtotal (consultation fee plus service fee)
+create or replace function public.promo_code_discount(
+    p_promo public.promo_codes,
+    p_subtotal numeric
+)
+returns numeric
+language sql
+immutable
+as $$
+    select case p_promo.discount_type
+        when 'free' then p_subtotal
+        when 'percent' then least(round(p_subtotal * p_promo.discount_value / 100), p_subtotal)
+        when 'fixed' then least(p_promo.discount_value, p_subtotal)
+        else 0
+    end
+$$;
+
+-- Find a code and check it can be used by this client with this lawyer.
+-- Locks the code so that two payments cannot both take its last use.
+create or replace function public.check_promo_code(
+    p_code text,
+    p_client_id uuid,
+    p_lawyer_id uuid,
+    p_currency text default 'PKR'
+)
+returns public.promo_codes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    promo promo_codes;
+    uses integer;
+begin
+    select * into promo
+      from promo_codes
+     where code = upper(trim(p_code))
+       and active
+     for update;
+
+    if not found then
+        raise exception 'INVALID_PROMO: this code does not exist';
+    end if;
+
+    if promo.valid_from is not null and now() < promo.valid_from then
+        raise exception 'INVALID_PROMO: this code is not valid until %', to_char(promo.valid_from at time zone 'Asia/Karachi', 'DD Mon YYYY');
+    end if;
+
+    if promo.valid_until is not null and now() >= promo.valid_until then
+        raise exception 'INVALID_PROMO: this code has expired';
+    end if;
+
+    if promo.discount_type = 'fixed' and promo.currency <> coalesce(p_currency, 'PKR') then
+        raise exception 'INVALID_PROMO: this code can only be used for payments in %', promo.currency;
+    end if;
+
+    if promo.max_uses is not null then
+        select count(*) into uses
+          from promo_redemptions
+         where promo_code_id = promo.id
+           and status in ('reserved', 'redeemed');
+
+        if uses >= promo.max_uses then
+            raise exception 'INVALID_PROMO: this code has been fully used';
+        end if;
+    end if;
+
+    if promo.max_uses_per_user is not null then
+        select count(*) into uses
+          from promo_redemptions
+         where promo_code_id = promo.id
+           and client_id = p_client_id
+           and status in ('reserved', 'redeemed');
+
+        if uses >= promo.max_uses_per_user then
+            raise exception 'INVALID_PROMO: you have already used this code';
+        end if;
+    end if;
+
+    if promo.new_clients_only and exists (
+        select 1 from payments
+         where client_id = p_client_id
+           and status in ('completed', 'partially_refunded', 'refunded')
+    ) then
+        raise exception 'INVALID_PROMO: this code is only for your first consultation';
+    end if;
+
+    if promo.eligible_lawyer_ids is not null and not (p_lawyer_id = any(promo.eligible_lawyer_ids)) then
+        raise exception 'INVALID_PROMO: this code cannot be used with this lawyer';
+    end if;
+
+    if promo.eligible_practice_area_ids is not null and not exists (
+        select 1 from lawyer_practice_areas
+         where lawyer_id = p_lawyer_id
+           and practice_area_id = any(promo.eligible_practice_area_ids)
+    ) then
+        raise exception 'INVALID_PROMO: this code cannot be used for this lawyer''s practice areas';
+    end if;
+
+    return promo;
+end;
+$$;
+
+revoke execute on function public.check_promo_code(text, uuid, uuid, text) from public, anon, authenticated;
+
+-- Check a code at checkout, before the client pays
+create or replace function public.validate_promo_code(
+    p_code text,
+    p_appointment_id uuid
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    promo promo_codes;
+begin
+    select * into target from appointments where id = p_appointment_id;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> target.client_id then
+        raise exception 'NOT_AUTHORIZED: only the client can pay for this appointment';
+    end if;
+
+    promo := check_promo_code(p_code, target.client_id, target.lawyer_id);
+
+    return jsonb_build_object(
+        'code', promo.code,
+        'description', promo.description,
+        'discountType', promo.discount_type,
+        'discountValue', promo.discount_value,
+        'currency', promo.currency
+    );
+end;
+$$;
+
+drop function if exists public.record_payment(uuid, numeric, numeric, text, text, text, text, text);
+
+create or replace function public.record_payment(
+    p_appointment_id uuid,
+    p_consultation_fee numeric,
+    p_service_fee numeric,
+    p_currency text,
+    p_payment_method text,
+    p_transaction_id text,
+    p_gateway text,
+    p_idempotency_key text,
+    p_promo_code text default null,
+    p_discount_amount numeric default 0
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    existing payments;
+    promo promo_codes;
+    discount numeric := 0;
+    created payments;
+begin
+    select * into target from appointments where id = p_appointment_id;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> target.client_id then
+        raise exception 'NOT_AUTHORIZED: only the client can pay for this appointment';
+    end if;
+
+    select * into existing from payments where idempotency_key = p_idempotency_key;
+
+    if found then
+        if existing.appointment_id is distinct from p_appointment_id then
+            raise exception 'INVALID_ACTION: this idempotency key belongs to a different payment';
+        end if;
+        return existing;
+    end if;
+
+    if exists (select 1 from payments where appointment_id = p_appointment_id and status = 'completed') then
+        raise exception 'ALREADY_PAID: this appointment has already been paid for';
+    end if;
+
+    if nullif(trim(coalesce(p_promo_code, '')), '') is not null then
+        promo := check_promo_code(p_promo_code, target.client_id, target.lawyer_id, coalesce(p_currency, 'PKR'));
+        discount := promo_code_discount(promo, p_consultation_fee + p_service_fee);
+    end if;
+
+    if discount <> coalesce(p_discount_amount, 0) then
+        raise exception 'INVALID_AMOUNT: the discount has changed to % %; please review the total', coalesce(p_currency, 'PKR'), discount;
+    end if;
+
+    begin
+        insert into payments (
+            appointment_id, client_id, lawyer_id,
+            consultation_fee, service_fee, discount_amount, amount, promo_code_id,
+            currency, payment_method, transaction_id, gateway, idempotency_key
+        )
+        values (
+            target.id, target.client_id, target.lawyer_id,
+            p_consultation_fee, p_service_fee, discount, p_consultation_fee + p_service_fee - discount, promo.id,
+            coalesce(p_currency, 'PKR'), p_payment_method, p_transaction_id, p_gateway, p_idempotency_key
+        )
+        returning * into created;
+    exception when unique_violation then
+        -- A concurrent submission with the same key got there first
+        select * into created from payments where idempotency_key = p_idempotency_key;
+        if not found then
+            raise;
+        end if;
+        return created;
+    end;
+
+    if discount > 0 then
+        insert into promo_redemptions (promo_code_id, client_id, appointment_id, payment_id, discount_amount)
+        values (promo.id, created.client_id, created.appointment_id, created.id, discount);
+    end if;
+
+    return created;
+end;
+$$;
+
+grant execute on function public.record_payment(uuid, numeric, numeric, text, text, text, text, text, text, numeric) to authenticated;
+grant execute on function public.validate_promo_code(text, uuid) to authenticated;
+
+-- Keep a redemption when its payment completes; give the use back when the
+-- payment fails or nothing of it is kept
+create or replace function public.sync_promo_redemption()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.promo_code_id is null then
+        return new;
+    end if;
+
+    if new.status = 'completed' and old.status = 'pending' then
+        update promo_redemptions
+           set status = 'redeemed',
+               redeemed_at = now()
+         where payment_id = new.id
+           and status = 'reserved';
+    elsif new.status = 'failed'
+          or (new.status = 'refunded' and old.status <> 'refunded')
+          or (new.escrow_status = 'refunded' and old.escrow_status is distinct from 'refunded') then
+        update promo_redemptions
+           set status = 'released',
+               released_at = now()
+         where payment_id = new.id
+           and status <> 'released';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists payments_sync_promo_redemption on public.payments;
+create trigger payments_sync_promo_redemption
+    after update of status, escrow_status on public.payments
+    for each row execute function public.sync_promo_redemption();
+
+-- Free consultations have nothing to refund from
+create or replace function public.lawyer_earnings(
+    p_lawyer_id uuid,
+    p_start date,
+    p_end date
+)
+returns table (
+    payment_id uuid,
+    appointment_id uuid,
+    transaction_id text,
+    earned_on date,
+    escrow_status text,
+    payout_batch_id uuid,
+    currency text,
+    amount numeric,
+    consultation_fee numeric,
+    refunded_amount numeric,
+    lawyer_gross numeric,
+    commission numeric,
+    lawyer_refunded numeric,
+    net numeric
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is not null and auth.uid() <> p_lawyer_id and not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: you can only view your own earnings';
+    end if;
+
+    return query
+    select p.id,
+           p.appointment_id,
+           p.transaction_id,
+           (coalesce(p.escrow_released_at, p.completed_at) at time zone 'Asia/Karachi')::date,
+           p.escrow_status,
+           p.payout_batch_id,
+           p.currency,
+           p.amount,
+           p.consultation_fee,
+           p.refunded_amount,
+           fee.gross,
+           fee.commission,
+           refund.lawyer_share,
+           fee.gross - fee.commission - refund.lawyer_share
+      from payments p
+     cross join lateral (
+        select p.consultation_fee as gross,
+               round(p.consultation_fee * platform_commission_rate(), 2) as commission
+     ) fee
+     cross join lateral (
+        select coalesce(round((fee.gross - fee.commission) * p.refunded_amount / nullif(p.amount, 0), 2), 0) as lawyer_share
+     ) refund
+     where p.lawyer_id = p_lawyer_id
+       and p.status in ('completed', 'partially_refunded', 'refunded')
+       and (coalesce(p.escrow_released_at, p.completed_at) at time zone 'Asia/Karachi')::date between p_start and p_end
+     order by coalesce(p.escrow_released_at, p.completed_at);
+end;
+$$;
+
+-- Invoices show the discount; a credit note takes its share of it
+create or replace function public.create_invoice(
+    p_payment_id uuid,
+    p_refund_id uuid default null
+)
+returns public.invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    refund payment_refunds;
+    original invoices;
+    existing invoices;
+    settings invoice_settings;
+    doc_total numeric;
+    consultation_share numeric;
+    discount_share numeric;
+    rate numeric;
+    created invoices;
+begin
+    -- Locking the payment stops two requests issuing the same document twice
+    select * into payment from payments where id = p_payment_id for update;
+
+    if p_refund_id is null then
+        select * into existing from invoices where payment_id = p_payment_id and kind = 'invoice';
+    else
+        select * into existing from invoices where refund_id = p_refund_id;
+    end if;
+
+    if found then
+        return existing;
+    end if;
+
+    if p_refund_id is null then
+        doc_total := payment.amount;
+        consultation_share := payment.consultation_fee;
+        discount_share := payment.discount_amount;
+    else
+        -- A credit note splits the refund in the same proportion as the payment
+        -- and uses the tax rate of the invoice it corrects
+        select * into refund from payment_refunds where id = p_refund_id;
+        original := create_invoice(p_payment_id);
+        doc_total := refund.amount;
+        consultation_share := round(refund.amount * payment.consultation_fee / payment.amount, 2);
+        discount_share := round(refund.amount * payment.discount_amount / payment.amount, 2);
+        rate := original.tax_rate;
+    end if;
+
+    if p_refund_id is null then
+        update invoice_settings
+           set next_invoice_number = next_invoice_number + 1
+         where id = true
+        returning * into settings;
+    else
+        update invoice_settings
+           set next_credit_note_number = next_credit_note_number + 1
+         where id = true
+        returning * into settings;
+    end if;
+
+    rate := coalesce(rate, settings.tax_rate);
+
+    insert into invoices (
+        invoice_number, kind, payment_id, refund_id, client_id, lawyer_id,
+        currency, consultation_fee, service_fee, discount_amount, total,
+        tax_label, tax_rate, tax_amount,
+        platform_details, lawyer_details, client_details, service_details
+    )
+    select case
+               when p_refund_id is null then 'INV-' || lpad((settings.next_invoice_number - 1)::text, 6, '0')
+               else 'CN-' || lpad((settings.next_credit_note_number - 1)::text, 6, '0')
+           end,
+           case when p_refund_id is null then 'invoice' else 'credit_note' end,
+           payment.id, p_refund_id, payment.client_id, payment.lawyer_id,
+           payment.currency, consultation_share, doc_total - consultation_share + discount_share, discount_share, doc_total,
+           coalesce(original.tax_label, settings.tax_label), rate,
+           round(doc_total - doc_total / (1 + rate), 2),
+           coalesce(original.platform_details, jsonb_build_object(
+               'name', settings.business_name,
+               'address', settings.address,
+               'email', settings.email,
+               'phone', settings.phone,
+               'taxRegistrationNo', settings.tax_registration_no
+           )),
+           jsonb_build_object(
+               'name', lawyer_user.first_name || ' ' || lawyer_user.last_name,
+               'email', lawyer_user.email,
+               'lawFirm', l.law_firm,
+               'barRegistrationNo', l.bar_registration_no
+           ),
+           jsonb_build_object(
+               'name', client_user.first_name || ' ' || client_user.last_name,
+               'email', client_user.email
+           ),
+           jsonb_build_object(
+               'title', coalesce(a.title, 'Legal Consultation'),
+               'date', a.appointment_date,
+               'time', a.appointment_time,
+               'meetingType', a.meeting_type,
+               'promoCode', promo.code,
+               'reason', refund.reason,
+               'originalInvoiceNumber', original.invoice_number
+           )
+      from users client_user
+      left join lawyers l on l.id = payment.lawyer_id
+      left join users lawyer_user on lawyer_user.id = payment.lawyer_id
+      left join appointments a on a.id = payment.appointment_id
+      left join promo_codes promo on promo.id = payment.promo_code_id
+     where client_user.id = payment.client_id
+    returning * into created;
+
+    return created;
+end;
+$$;
+
+-- A free consultation has nothing to refund, so settle it by what happened:
+-- the lawyer is paid if the meeting went ahead or the client missed it
+create or replace function public.settle_appointment_escrow()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    refundable numeric;
+    refund_amount numeric;
+begin
+    if new.status is not distinct from old.status
+       or new.status not in ('completed', 'no_show', 'cancelled', 'declined', 'expired') then
+        return new;
+    end if;
+
+    select * into payment
+      from payments
+     where appointment_id = new.id
+       and escrow_status = 'held'
+     for update;
+
+    if not found then
+        return new;
+    end if;
+
+    refundable := payment_refundable_amount(payment.id);
+
+    if new.status = 'completed' then
+        refund_amount := 0;
+    elsif new.status in ('declined', 'expired') or old.status = 'pending' then
+        -- The lawyer never accepted the booking
+        refund_amount := refundable;
+    else
+        refund_amount := least(coalesce(new.refund_due, 0), refundable);
+    end if;
+
+    perform queue_payment_refund(
+        payment.id,
+        refund_amount,
+        case new.status
+            when 'declined' then 'Booking declined by the lawyer'
+            when 'expired' then 'Booking request expired'
+            when 'no_show' then 'Missed appointment (' || new.no_show_party || ' did not attend)'
+            else 'Appointment cancelled'
+        end
+    );
+
+    if refund_amount >= refundable
+       and (refundable > 0
+            or not (new.status = 'completed' or (new.status = 'no_show' and new.no_show_party = 'client'))) then
+        update payments
+           set escrow_status = 'refunded',
+               escrow_release_at = null
+         where id = payment.id;
+    elsif new.status in ('completed', 'no_show') then
+        update payments
+           set escrow_release_at = now() + escrow_dispute_window()
+         where id = payment.id;
+    else
+        update payments
+           set escrow_status = 'released',
+               escrow_released_at = now()
+         where id = payment.id;
+    end if;
+
+    return new;
+end;
+$$;
@@ -0,0 +1,566 @@
+-- ============================================
+-- PAYMENT PLANS
+-- ============================================
+-- A lawyer can bill a matter (optionally tied to an appointment) as a
+-- retainer plus installments instead of a single consultation fee. Each
+-- installment is paid separately through the payments ledger:
+--   upcoming  -> not yet due
+--   overdue   -> the due date has passed without payment
+--   paid      -> its payment completed
+--   cancelled -> the plan was cancelled before it was paid
+-- A daily job marks installments overdue and leaves the client a reminder
+-- shortly before each one is due and again when it becomes overdue.
+--
+-- Installment payments are not tied to a meeting, so they skip escrow and
+-- are released to the lawyer as soon as they complete. Mirrors the payment
+-- plan helpers in js/payment.js.
+
+create table if not exists public.payment_plans (
+    id uuid primary key default gen_random_uuid(),
+    lawyer_id uuid not null references public.lawyers(id) on delete cascade,
+    client_id uuid not null references public.users(id) on delete cascade,
+    appointment_id uuid references public.appointments(id) on delete set null,
+    title text not null,
+    description text,
+    currency text not null default 'PKR',
+    total_amount numeric(12, 2) not null check (total_amount > 0),
+    status text not null default 'active' check (status in ('active', 'completed', 'cancelled')),
+    created_at timestamptz not null default now(),
+    completed_at timestamptz,
+    cancelled_at timestamptz
+);
+
+create table if not exists public.payment_plan_installments (
+    id uuid primary key default gen_random_uuid(),
+    plan_id uuid not null references public.payment_plans(id) on delete cascade,
+    sequence integer not null,
+    label text not null,
+    amount numeric(12, 2) not null check (amount > 0),
+    due_date date not null,
+    status text not null default 'upcoming' check (status in ('upcoming', 'overdue', 'paid', 'cancelled')),
+    paid_at timestamptz,
+    unique (plan_id, sequence)
+);
+
+create index if not exists payment_plans_client_idx on public.payment_plans (client_id, created_at desc);
+create index if not exists payment_plans_lawyer_idx on public.payment_plans (lawyer_id, created_at desc);
+create index if not exists payment_plan_installments_due_idx
+    on public.payment_plan_installments (due_date)
+    where status in ('upcoming', 'overdue');
+
+create table if not exists public.payment_plan_reminders (
+    id uuid primary key default gen_random_uuid(),
+    installment_id uuid not null references public.payment_plan_installments(id) on delete cascade,
+    client_id uuid not null references public.users(id) on delete cascade,
+    kind text not null check (kind in ('due_soon', 'overdue')),
+    created_at timestamptz not null default now(),
+    dismissed_at timestamptz,
+    unique (installment_id, kind)
+);
+
+create index if not exists payment_plan_reminders_client_idx
+    on public.payment_plan_reminders (client_id, created_at desc)
+    where dismissed_at is null;
+
+alter table public.payments
+    add column if not exists installment_id uuid references public.payment_plan_installments(id);
+
+create unique index if not exists payments_one_completed_installment_idx
+    on public.payments (installment_id)
+    where status = 'completed';
+
+alter table public.payment_plans enable row level security;
+alter table public.payment_plan_installments enable row level security;
+alter table public.payment_plan_reminders enable row level security;
+
+create policy "Participants view their payment plans"
+    on public.payment_plans for select
+    using (auth.uid() in (client_id, lawyer_id) or is_platform_admin());
+
+create policy "Participants view their installments"
+    on public.payment_plan_installments for select
+    using (exists (
+        select 1 from public.payment_plans p
+         where p.id = plan_id
+           and (auth.uid() in (p.client_id, p.lawyer_id) or is_platform_admin())
+    ));
+
+create policy "Clients view their payment reminders"
+    on public.payment_plan_reminders for select
+    using (auth.uid() = client_id);
+
+create policy "Clients dismiss their payment reminders"
+    on public.payment_plan_reminders for update
+    using (auth.uid() = client_id)
+    with check (auth.uid() = client_id);
+
+-- How many days before an installment is due the client is reminded
+create or replace function public.installment_reminder_days()
+returns integer
+language sql
+immutable
+as $$
+    select 3
+$$;
+
+-- The lawyer sets up a plan. p_installments is a list of
+-- { "label": text, "amount": numeric, "dueDate": "YYYY-MM-DD" }, in order.
+create or replace function public.create_payment_plan(
+    p_client_id uuid,
+    p_appointment_id uuid,
+    p_title text,
+    p_description text,
+    p_currency text,
+    p_installments jsonb
+)
+returns public.payment_plans
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    plan payment_plans;
+    item jsonb;
+    next_sequence integer := 0;
+    previous_due date;
+begin
+    if auth.uid() is null or not exists (select 1 from lawyers where id = auth.uid()) then
+        raise exception 'NOT_AUTHORIZED: only a lawyer can create a payment plan';
+    end if;
+
+    if p_appointment_id is not null then
+        select * into target from appointments where id = p_appointment_id;
+
+        if not found then
+            raise exception 'NOT_FOUND: appointment does not exist';
+        end if;
+
+        if target.lawyer_id <> auth.uid() or target.client_id <> p_client_id then
+            raise exception 'NOT_AUTHORIZED: this appointment is not between you and this client';
+        end if;
+    elsif not exists (select 1 from appointments where lawyer_id = auth.uid() and client_id = p_client_id) then
+        raise exception 'NOT_AUTHORIZED: you can only create payment plans for your own clients';
+    end if;
+
+    if nullif(trim(coalesce(p_title, '')), '') is null then
+        raise exception 'INVALID_ACTION: a title is required for a payment plan';
+    end if;
+
+    if jsonb_typeof(p_installments) <> 'array' or jsonb_array_length(p_installments) = 0 then
+        raise exception 'INVALID_ACTION: a payment plan needs at least one installment';
+    end if;
+
+    insert into payment_plans (lawyer_id, client_id, appointment_id, title, description, currency, total_amount)
+    select auth.uid(), p_client_id, p_appointment_id, trim(p_title), p_description, coalesce(p_currency, 'PKR'),
+           sum((value->>'amount')::numeric)
+      from jsonb_array_elements(p_installments)
+    returning * into plan;
+
+    for item in select value from jsonb_array_elements(p_installments)
+    loop
+        if coalesce((item->>'amount')::numeric, 0) <= 0 then
+            raise exception 'INVALID_AMOUNT: every installment must be more than 0';
+        end if;
+
+        if (item->>'dueDate')::date is null or (item->>'dueDate')::date < previous_due then
+            raise exception 'INVALID_ACTION: installments must have due dates in order';
+        end if;
+
+        insert into payment_plan_installments (plan_id, sequence, label, amount, due_date)
+        values (
+            plan.id, next_sequence,
+            coalesce(nullif(trim(item->>'label'), ''), 'Installment ' || (next_sequence + 1)),
+            (item->>'amount')::numeric,
+            (item->>'dueDate')::date
+        );
+
+        previous_due := (item->>'dueDate')::date;
+        next_sequence := next_sequence + 1;
+    end loop;
+
+    return plan;
+end;
+$$;
+
+-- The lawyer cancels what is left of a plan; paid installments stay paid
+create or replace function public.cancel_payment_plan(p_plan_id uuid)
+returns public.payment_plans
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    plan payment_plans;
+begin
+    select * into plan from payment_plans where id = p_plan_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment plan does not exist';
+    end if;
+
+    if auth.uid() is distinct from plan.lawyer_id and not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: only the lawyer can cancel this payment plan';
+    end if;
+
+    if plan.status <> 'active' then
+        raise exception 'INVALID_STATUS: payment plan is %', plan.status;
+    end if;
+
+    update payment_plan_installments
+       set status = 'cancelled'
+     where plan_id = p_plan_id
+       and status in ('upcoming', 'overdue');
+
+    update payment_plans
+       set status = 'cancelled',
+           cancelled_at = now()
+     where id = p_plan_id
+    returning * into plan;
+
+    return plan;
+end;
+$$;
+
+-- Record an attempt to pay one installment. Mirrors record_payment.
+create or replace function public.record_installment_payment(
+    p_installment_id uuid,
+    p_amount numeric,
+    p_currency text,
+    p_payment_method text,
+    p_transaction_id text,
+    p_gateway text,
+    p_idempotency_key text
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    installment payment_plan_installments;
+    plan payment_plans;
+    existing payments;
+    created payments;
+begin
+    select * into installment from payment_plan_installments where id = p_installment_id;
+
+    if not found then
+        raise exception 'NOT_FOUND: installment does not exist';
+    end if;
+
+    select * into plan from payment_plans where id = installment.plan_id;
+
+    if auth.uid() is null or auth.uid() <> plan.client_id then
+        raise exception 'NOT_AUTHORIZED: only the client can pay this installment';
+    end if;
+
+    select * into existing from payments where idempotency_key = p_idempotency_key;
+
+    if found then
+        if existing.installment_id is distinct from p_installment_id then
+            raise exception 'INVALID_ACTION: this idempotency key belongs to a different payment';
+        end if;
+        return existing;
+    end if;
+
+    if installment.status = 'paid'
+       or exists (select 1 from payments where installment_id = p_installment_id and status = 'completed') then
+        raise exception 'ALREADY_PAID: this installment has already been paid';
+    end if;
+
+    if installment.status = 'cancelled' or plan.status <> 'active' then
+        raise exception 'INVALID_STATUS: this payment plan is %', plan.status;
+    end if;
+
+    if p_amount is distinct from installment.amount or coalesce(p_currency, 'PKR') <> plan.currency then
+        raise exception 'INVALID_AMOUNT: this installment is % %', plan.currency, installment.amount;
+    end if;
+
+    begin
+        insert into payments (
+            installment_id, client_id, lawyer_id,
+            consultation_fee, service_fee, amount,
+            currency, payment_method, transaction_id, gateway, idempotency_key
+        )
+        values (
+            installment.id, plan.client_id, plan.lawyer_id,
+            installment.amount, 0, installment.amount,
+            plan.currency, p_payment_method, p_transaction_id, p_gateway, p_idempotency_key
+        )
+        returning * into created;
+    exception when unique_violation then
+        -- A concurrent submission with the same key got there first
+        select * into created from payments where idempotency_key = p_idempotency_key;
+        if not found then
+            raise;
+        end if;
+    end;
+
+    return created;
+end;
+$$;
+
+-- Installment payments mark their installment paid (and the plan completed
+-- once nothing is left); appointment payments confirm their appointment
+create or replace function public.complete_payment(
+    p_payment_id uuid,
+    p_gateway_reference text,
+    p_appointment_status text default 'confirmed'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    booked appointments;
+    installment payment_plan_installments;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> payment.client_id then
+        raise exception 'NOT_AUTHORIZED: only the paying client can complete this payment';
+    end if;
+
+    if payment.status <> 'pending' then
+        raise exception 'INVALID_STATUS: payment is %', payment.status;
+    end if;
+
+    if payment.installment_id is not null then
+        select * into installment from payment_plan_installments where id = payment.installment_id for update;
+
+        if installment.status not in ('upcoming', 'overdue') then
+            raise exception 'ALREADY_PAID: this installment is %', installment.status;
+        end if;
+
+        update payments
+           set status = 'completed',
+               gateway_reference = p_gateway_reference,
+               escrow_status = 'released',
+               escrow_released_at = now()
+         where id = p_payment_id
+        returning * into payment;
+
+        update payment_plan_installments
+           set status = 'paid',
+               paid_at = payment.completed_at
+         where id = installment.id
+        returning * into installment;
+
+        update payment_plans
+           set status = 'completed',
+               completed_at = now()
+         where id = installment.plan_id
+           and not exists (
+               select 1 from payment_plan_installments
+                where plan_id = installment.plan_id
+                  and status in ('upcoming', 'overdue')
+           );
+
+        return jsonb_build_object('payment', to_jsonb(payment), 'installment', to_jsonb(installment));
+    end if;
+
+    if exists (
+        select 1 from payments
+         where appointment_id = payment.appointment_id
+           and status = 'completed'
+           and id <> p_payment_id
+    ) then
+        raise exception 'ALREADY_PAID: this appointment has already been paid for';
+    end if;
+
+    booked := confirm_appointment_hold(payment.appointment_id, p_appointment_status);
+
+    update payments
+       set status = 'completed',
+           gateway_reference = p_gateway_reference
+     where id = p_payment_id
+    returning * into payment;
+
+    update appointments
+       set payment_status = 'paid',
+           payment_method = payment.payment_method,
+           payment_amount = payment.amount,
+           transaction_id = payment.transaction_id,
+           payment_date = payment.completed_at
+     where id = payment.appointment_id
+    returning * into booked;
+
+    return jsonb_build_object('payment', to_jsonb(payment), 'appointment', to_jsonb(booked));
+end;
+$$;
+
+-- Mark missed installments overdue and leave reminders (runs daily)
+create or replace function public.track_payment_plan_installments()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    today date := (now() at time zone 'Asia/Karachi')::date;
+    marked_overdue integer;
+begin
+    update payment_plan_installments i
+       set status = 'overdue'
+      from payment_plans p
+     where p.id = i.plan_id
+       and p.status = 'active'
+       and i.status = 'upcoming'
+       and i.due_date < today;
+
+    get diagnostics marked_overdue = row_count;
+
+    insert into payment_plan_reminders (installment_id, client_id, kind)
+    select i.id, p.client_id,
+           case when i.status = 'overdue' then 'overdue' else 'due_soon' end
+      from payment_plan_installments i
+      join payment_plans p on p.id = i.plan_id
+     where p.status = 'active'
+       and (i.status = 'overdue'
+            or (i.status = 'upcoming' and i.due_date <= today + installment_reminder_days()))
+    on conflict (installment_id, kind) do nothing;
+
+    return marked_overdue;
+end;
+$$;
+
+revoke execute on function public.track_payment_plan_installments() from public, anon, authenticated;
+
+-- Invoices for installments name the plan and installment
+create or replace function public.create_invoice(
+    p_payment_id uuid,
+    p_refund_id uuid default null
+)
+returns public.invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    refund payment_refunds;
+    original invoices;
+    existing invoices;
+    settings invoice_settings;
+    doc_total numeric;
+    consultation_share numeric;
+    discount_share numeric;
+    rate numeric;
+    created invoices;
+begin
+    -- Locking the payment stops two requests issuing the same document twice
+    select * into payment from payments where id = p_payment_id for update;
+
+    if p_refund_id is null then
+        select * into existing from invoices where payment_id = p_payment_id and kind = 'invoice';
+    else
+        select * into existing from invoices where refund_id = p_refund_id;
+    end if;
+
+    if found then
+        return existing;
+    end if;
+
+    if p_refund_id is null then
+        doc_total := payment.amount;
+        consultation_share := payment.consultation_fee;
+        discount_share := payment.discount_amount;
+    else
+        -- A credit note splits the refund in the same proportion as the payment
+        -- and uses the tax rate of the invoice it corrects
+        select * into refund from payment_refunds where id = p_refund_id;
+        original := create_invoice(p_payment_id);
+        doc_total := refund.amount;
+        consultation_share := round(refund.amount * payment.consultation_fee / payment.amount, 2);
+        discount_share := round(refund.amount * payment.discount_amount / payment.amount, 2);
+        rate := original.tax_rate;
+    end if;
+
+    if p_refund_id is null then
+        update invoice_settings
+           set next_invoice_number = next_invoice_number + 1
+         where id = true
+        returning * into settings;
+    else
+        update invoice_settings
+           set next_credit_note_number = next_credit_note_number + 1
+         where id = true
+        returning * into settings;
+    end if;
+
+    rate := coalesce(rate, settings.tax_rate);
+
+    insert into invoices (
+        invoice_number, kind, payment_id, refund_id, client_id, lawyer_id,
+        currency, consultation_fee, service_fee, discount_amount, total,
+        tax_label, tax_rate, tax_amount,
+        platform_details, lawyer_details, client_details, service_details
+    )
+    select case
+               when p_refund_id is null then 'INV-' || lpad((settings.next_invoice_number - 1)::text, 6, '0')
+               else 'CN-' || lpad((settings.next_credit_note_number - 1)::text, 6, '0')
+           end,
+           case when p_refund_id is null then 'invoice' else 'credit_note' end,
+           payment.id, p_refund_id, payment.client_id, payment.lawyer_id,
+           payment.currency, consultation_share, doc_total - consultation_share + discount_share, discount_share, doc_total,
+           coalesce(original.tax_label, settings.tax_label), rate,
+           round(doc_total - doc_total / (1 + rate), 2),
+           coalesce(original.platform_details, jsonb_build_object(
+               'name', settings.business_name,
+               'address', settings.address,
+               'email', settings.email,
+               'phone', settings.phone,
+               'taxRegistrationNo', settings.tax_registration_no
+           )),
+           jsonb_build_object(
+               'name', lawyer_user.first_name || ' ' || lawyer_user.last_name,
+               'email', lawyer_user.email,
+               'lawFirm', l.law_firm,
+               'barRegistrationNo', l.bar_registration_no
+           ),
+           jsonb_build_object(
+               'name', client_user.first_name || ' ' || client_user.last_name,
+               'email', client_user.email
+           ),
+           jsonb_build_object(
+               'title', coalesce(a.title, plan.title || ' - ' || installment.label, 'Legal Consultation'),
+               'date', a.appointment_date,
+               'time', a.appointment_time,
+               'meetingType', a.meeting_type,
+               'promoCode', promo.code,
+               'reason', refund.reason,
+               'originalInvoiceNumber', original.invoice_number
+           )
+      from users client_user
+      left join lawyers l on l.id = payment.lawyer_id
+      left join users lawyer_user on lawyer_user.id = payment.lawyer_id
+      left join appointments a on a.id = payment.appointment_id
+      left join promo_codes promo on promo.id = payment.promo_code_id
+      left join payment_plan_installments installment on installment.id = payment.installment_id
+      left join payment_plans plan on plan.id = installment.plan_id
+     where client_user.id = payment.client_id
+    returning * into created;
+
+    return created;
+end;
+$$;
+
+grant execute on function public.create_payment_plan(uuid, uuid, text, text, text, jsonb) to authenticated;
+grant execute on function public.cancel_payment_plan(uuid) to authenticated;
+grant execute on function public.record_installment_payment(uuid, numeric, text, text, text, text, text) to authenticated;
+
+-- Track installments every morning where pg_cron is available
+do $$
+begin
+    if exists (select 1 from pg_extension where extname = 'pg_cron') then
+        perform cron.schedule('track-payment-plan-installments', '0 4 * * *', 'select public.track_payment_plan_installments()');
+    end if;
+end;
+$$;
@@ -0,0 +1,267 @@
+-- ============================================
+-- SAVED PAYMENT METHODS
+-- ============================================
+-- A saved method is a gateway token plus what the client needs to recognise
+-- it (brand, last four digits, expiry). Card numbers and CVVs only ever go
+-- from the browser to the gateway's tokenize() (see js/payment-gateways.js).
+--
+-- Methods are added, removed and made default through the functions below,
+-- which check the method belongs to the caller and keep exactly one default
+-- per user in a single transaction. A daily job flags cards past their expiry
+-- month; expired cards cannot be saved or paid with.
+
+alter table public.payment_methods
+    add column if not exists gateway text,
+    add column if not exists gateway_token text,
+    add column if not exists is_expired boolean not null default false;
+
+-- Methods saved before tokenization are kept for history but cannot be paid
+-- with, so they stop being the default
+update public.payment_methods
+   set is_default = false
+ where is_default
+   and gateway_token is null;
+
+-- The old two-step default switch could leave several defaults behind
+update public.payment_methods
+   set is_default = false
+ where is_default
+   and id not in (
+       select distinct on (user_id) id
+         from public.payment_methods
+        where is_default
+        order by user_id, id
+   );
+
+create unique index if not exists payment_methods_one_default_idx
+    on public.payment_methods (user_id)
+    where is_default;
+
+create unique index if not exists payment_methods_gateway_token_idx
+    on public.payment_methods (gateway, gateway_token);
+
+alter table public.payment_methods enable row level security;
+
+drop policy if exists "Users view their payment methods" on public.payment_methods;
+create policy "Users view their payment methods"
+    on public.payment_methods for select
+    using (auth.uid() = user_id);
+
+-- Changes go through the functions below
+revoke insert, update, delete on public.payment_methods from anon, authenticated;
+
+-- A card can be used until the end of its expiry month
+create or replace function public.is_card_expired(p_expiry_month integer, p_expiry_year integer)
+returns boolean
+language sql
+stable
+as $$
+    select make_date(p_expiry_year, p_expiry_month, 1) + interval '1 month'
+           <= (now() at time zone 'Asia/Karachi')::date
+$$;
+
+-- Keep is_expired in step with the expiry date whenever a method is written
+create or replace function public.flag_expired_payment_method()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.is_expired := new.payment_type = 'card'
+        and new.expiry_month is not null
+        and new.expiry_year is not null
+        and is_card_expired(new.expiry_month, new.expiry_year);
+    return new;
+end;
+$$;
+
+drop trigger if exists payment_methods_flag_expired on public.payment_methods;
+create trigger payment_methods_flag_expired
+    before insert or update on public.payment_methods
+    for each row execute function public.flag_expired_payment_method();
+
+-- Save a tokenized method for the caller. The first method saved becomes the default.
+create or replace function public.add_payment_method(
+    p_user_id uuid,
+    p_payment_type text,
+    p_gateway text,
+    p_gateway_token text,
+    p_card_type text,
+    p_last_four text,
+    p_expiry_month integer,
+    p_expiry_year integer,
+    p_make_default boolean default false
+)
+returns public.payment_methods
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    created payment_methods;
+begin
+    if auth.uid() is null or auth.uid() <> p_user_id then
+        raise exception 'NOT_AUTHORIZED: you can only save payment methods to your own account';
+    end if;
+
+    if nullif(p_gateway, '') is null or nullif(p_gateway_token, '') is null then
+        raise exception 'INVALID_ACTION: payment methods must be tokenized by a payment gateway';
+    end if;
+
+    if p_payment_type = 'card' then
+        if coalesce(p_last_four, '') !~ '^[0-9]{4}$' or coalesce(p_expiry_month, 0) not between 1 and 12 or coalesce(p_expiry_year, 0) < 2000 then
+            raise exception 'INVALID_ACTION: card details are incomplete';
+        end if;
+
+        if is_card_expired(p_expiry_month, p_expiry_year) then
+            raise exception 'CARD_EXPIRED: this card has expired';
+        end if;
+    end if;
+
+    -- Lock the user's methods so two saves cannot both become the first default
+    perform 1 from payment_methods where user_id = p_user_id for update;
+
+    if p_make_default then
+        update payment_methods set is_default = false where user_id = p_user_id and is_default;
+    end if;
+
+    insert into payment_methods (
+        user_id, payment_type, gateway, gateway_token,
+        card_type, last_four_digits, expiry_month, expiry_year, is_default
+    )
+    values (
+        p_user_id, p_payment_type, p_gateway, p_gateway_token,
+        p_card_type, p_last_four, p_expiry_month, p_expiry_year,
+        p_make_default or not exists (select 1 from payment_methods where user_id = p_user_id and is_default)
+    )
+    returning * into created;
+
+    return created;
+end;
+$$;
+
+-- Make one of the caller's methods the default and unset the old one together
+create or replace function public.set_default_payment_method(
+    p_user_id uuid,
+    p_payment_method_id uuid
+)
+returns public.payment_methods
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    method payment_methods;
+begin
+    if auth.uid() is null or auth.uid() <> p_user_id then
+        raise exception 'NOT_AUTHORIZED: you can only change your own payment methods';
+    end if;
+
+    perform 1 from payment_methods where user_id = p_user_id for update;
+
+    select * into method from payment_methods where id = p_payment_method_id;
+
+    if not found or method.user_id <> p_user_id then
+        raise exception 'NOT_FOUND: payment method does not exist';
+    end if;
+
+    if method.gateway_token is null then
+        raise exception 'INVALID_ACTION: this payment method was saved before cards were tokenized; please add it again';
+    end if;
+
+    if method.is_expired then
+        raise exception 'CARD_EXPIRED: an expired card cannot be the default';
+    end if;
+
+    update payment_methods
+       set is_default = false
+     where user_id = p_user_id
+       and is_default
+       and id <> p_payment_method_id;
+
+    update payment_methods
+       set is_default = true
+     where id = p_payment_method_id
+    returning * into method;
+
+    return method;
+end;
+$$;
+
+-- Remove one of the caller's methods. If it was the default, the usable
+-- method that expires last takes over.
+create or replace function public.delete_payment_method(
+    p_user_id uuid,
+    p_payment_method_id uuid
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    method payment_methods;
+begin
+    if auth.uid() is null or auth.uid() <> p_user_id then
+        raise exception 'NOT_AUTHORIZED: you can only remove your own payment methods';
+    end if;
+
+    perform 1 from payment_methods where user_id = p_user_id for update;
+
+    delete from payment_methods
+     where id = p_payment_method_id
+       and user_id = p_user_id
+    returning * into method;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment method does not exist';
+    end if;
+
+    if method.is_default then
+        update payment_methods
+           set is_default = true
+         where id = (
+             select id from payment_methods
+              where user_id = p_user_id
+                and not is_expired
+                and gateway_token is not null
+              order by expiry_year desc nulls last, expiry_month desc nulls last
+              limit 1
+         );
+    end if;
+end;
+$$;
+
+-- Flag cards that passed their expiry month (runs daily)
+create or replace function public.flag_expired_payment_methods()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    flagged integer;
+begin
+    update payment_methods
+       set is_expired = true
+     where payment_type = 'card'
+       and not is_expired
+       and is_card_expired(expiry_month, expiry_year);
+
+    get diagnostics flagged = row_count;
+    return flagged;
+end;
+$$;
+
+revoke execute on function public.flag_expired_payment_methods() from public, anon, authenticated;
+
+grant execute on function public.add_payment_method(uuid, text, text, text, text, text, integer, integer, boolean) to authenticated;
+grant execute on function public.set_default_payment_method(uuid, uuid) to authenticated;
+grant execute on function public.delete_payment_method(uuid, uuid) to authenticated;
+
+do $$
+begin
+    if exists (select 1 from pg_extension where extname = 'pg_cron') then
+        perform cron.schedule('flag-expired-payment-methods', '15 0 * * *', 'select public.flag_expired_payment_methods()');
+    end if;
+end;
+$$;
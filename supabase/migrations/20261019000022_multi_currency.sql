@@ -0,0 +1,305 @@
+-- ============================================
+-- MULTI-CURRENCY PRICING
+-- ============================================
+-- Lawyers price consultations in their own currency (fee_currency) and are
+-- paid out in their settlement currency. Clients are charged in the lawyer's
+-- fee currency and shown an estimate in their preferred currency.
+--
+-- Rates live in exchange_rates as the value of one unit in PKR and are kept
+-- up to date by platform admins. When a payment is recorded, the rate from
+-- its currency to the lawyer's settlement currency is stored on it, so
+-- earnings, payouts and receipts keep using the rate that applied at the time.
+-- Mirrors the currency helpers in js/supabase-client.js.
+
+create table if not exists public.exchange_rates (
+    currency text primary key check (currency ~ '^[A-Z]{3}$'),
+    name text not null,
+    rate_to_pkr numeric(14, 6) not null check (rate_to_pkr > 0),
+    updated_at timestamptz not null default now(),
+    updated_by uuid references public.users(id) on delete set null
+);
+
+-- Starting rates; admins keep them current
+insert into public.exchange_rates (currency, name, rate_to_pkr)
+values
+    ('PKR', 'Pakistani Rupee', 1),
+    ('USD', 'US Dollar', 280),
+    ('GBP', 'British Pound', 355),
+    ('AED', 'UAE Dirham', 76.25)
+on conflict (currency) do nothing;
+
+alter table public.exchange_rates enable row level security;
+
+create policy "Anyone can view exchange rates"
+    on public.exchange_rates for select
+    using (true);
+
+create policy "Admins manage exchange rates"
+    on public.exchange_rates for all
+    using (is_platform_admin())
+    with check (is_platform_admin());
+
+alter table public.lawyers
+    add column if not exists fee_currency text not null default 'PKR' references public.exchange_rates(currency),
+    add column if not exists settlement_currency text not null default 'PKR' references public.exchange_rates(currency);
+
+alter table public.users
+    add column if not exists preferred_currency text references public.exchange_rates(currency);
+
+alter table public.payments
+    add column if not exists settlement_currency text,
+    add column if not exists exchange_rate numeric(14, 6),
+    add column if not exists settlement_amount numeric(12, 2);
+
+-- Payments taken so far were charged and settled in the same currency
+update public.payments
+   set settlement_currency = currency,
+       exchange_rate = 1,
+       settlement_amount = amount
+ where settlement_currency is null;
+
+-- How many units of p_to one unit of p_from is worth
+create or replace function public.exchange_rate_between(p_from text, p_to text)
+returns numeric
+language sql
+stable
+set search_path = public
+as $$
+    select case
+               when p_from = p_to then 1::numeric
+               else (select rate_to_pkr from exchange_rates where currency = p_from)
+                    / (select rate_to_pkr from exchange_rates where currency = p_to)
+           end
+$$;
+
+-- Fix the settlement currency and rate when a payment is recorded
+create or replace function public.set_payment_settlement()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    new.settlement_currency := coalesce(
+        (select settlement_currency from lawyers where id = new.lawyer_id),
+        new.currency
+    );
+    new.exchange_rate := round(exchange_rate_between(new.currency, new.settlement_currency), 6);
+
+    if new.exchange_rate is null then
+        raise exception 'INVALID_ACTION: there is no exchange rate from % to %', new.currency, new.settlement_currency;
+    end if;
+
+    new.settlement_amount := round(new.amount * new.exchange_rate, 2);
+    return new;
+end;
+$$;
+
+drop trigger if exists payments_set_settlement on public.payments;
+create trigger payments_set_settlement
+    before insert on public.payments
+    for each row execute function public.set_payment_settlement();
+
+-- Appointments are charged in the lawyer's fee currency, so a fixed-amount
+-- code must be in that currency to apply
+create or replace function public.validate_promo_code(
+    p_code text,
+    p_appointment_id uuid
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    promo promo_codes;
+begin
+    select * into target from appointments where id = p_appointment_id;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> target.client_id then
+        raise exception 'NOT_AUTHORIZED: only the client can pay for this appointment';
+    end if;
+
+    promo := check_promo_code(
+        p_code, target.client_id, target.lawyer_id,
+        (select fee_currency from lawyers where id = target.lawyer_id)
+    );
+
+    return jsonb_build_object(
+        'code', promo.code,
+        'description', promo.description,
+        'discountType', promo.discount_type,
+        'discountValue', promo.discount_value,
+        'currency', promo.currency
+    );
+end;
+$$;
+
+-- Earnings are worked out in the settlement currency at each payment's rate.
+-- amount and consultation_fee stay in the currency the client was charged.
+create or replace function public.lawyer_earnings(
+    p_lawyer_id uuid,
+    p_start date,
+    p_end date
+)
+returns table (
+    payment_id uuid,
+    appointment_id uuid,
+    transaction_id text,
+    earned_on date,
+    escrow_status text,
+    payout_batch_id uuid,
+    currency text,
+    amount numeric,
+    consultation_fee numeric,
+    refunded_amount numeric,
+    lawyer_gross numeric,
+    commission numeric,
+    lawyer_refunded numeric,
+    net numeric
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if auth.uid() is not null and auth.uid() <> p_lawyer_id and not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: you can only view your own earnings';
+    end if;
+
+    return query
+    select p.id,
+           p.appointment_id,
+           p.transaction_id,
+           (coalesce(p.escrow_released_at, p.completed_at) at time zone 'Asia/Karachi')::date,
+           p.escrow_status,
+           p.payout_batch_id,
+           coalesce(p.settlement_currency, p.currency),
+           p.amount,
+           p.consultation_fee,
+           p.refunded_amount,
+           fee.gross,
+           fee.commission,
+           refund.lawyer_share,
+           fee.gross - fee.commission - refund.lawyer_share
+      from payments p
+     cross join lateral (
+        select round(p.consultation_fee * coalesce(p.exchange_rate, 1), 2) as gross
+     ) settled
+     cross join lateral (
+        select settled.gross,
+               round(settled.gross * platform_commission_rate(), 2) as commission
+     ) fee
+     cross join lateral (
+        select coalesce(round((fee.gross - fee.commission) * p.refunded_amount / nullif(p.amount, 0), 2), 0) as lawyer_share
+     ) refund
+     where p.lawyer_id = p_lawyer_id
+       and p.status in ('completed', 'partially_refunded', 'refunded')
+       and (coalesce(p.escrow_released_at, p.completed_at) at time zone 'Asia/Karachi')::date between p_start and p_end
+     order by coalesce(p.escrow_released_at, p.completed_at);
+end;
+$$;
+
+-- A batch holds payments settled in one currency, the lawyer's current
+-- settlement currency unless p_currency says otherwise
+drop function if exists public.create_payout_batch(uuid, date, date);
+
+create or replace function public.create_payout_batch(
+    p_lawyer_id uuid,
+    p_period_start date,
+    p_period_end date,
+    p_currency text default null
+)
+returns public.payout_batches
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    batch payout_batches;
+begin
+    if auth.uid() is not null and not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: only an admin can create payout batches';
+    end if;
+
+    insert into payout_batches (lawyer_id, period_start, period_end, currency)
+    select p_lawyer_id, p_period_start, p_period_end, coalesce(p_currency, settlement_currency)
+      from lawyers
+     where id = p_lawyer_id
+    returning * into batch;
+
+    if batch.id is null then
+        raise exception 'NOT_FOUND: lawyer does not exist';
+    end if;
+
+    update payments p
+       set payout_batch_id = batch.id
+     where p.lawyer_id = p_lawyer_id
+       and p.escrow_status = 'released'
+       and p.payout_batch_id is null
+       and p.settlement_currency = batch.currency
+       and (p.escrow_released_at at time zone 'Asia/Karachi')::date between p_period_start and p_period_end;
+
+    update payout_batches b
+       set payment_count = totals.payment_count,
+           gross_amount = totals.gross,
+           commission_amount = totals.commission,
+           refunded_amount = totals.refunded,
+           net_amount = totals.net
+      from (
+        select count(*) as payment_count,
+               coalesce(sum(e.lawyer_gross), 0) as gross,
+               coalesce(sum(e.commission), 0) as commission,
+               coalesce(sum(e.lawyer_refunded), 0) as refunded,
+               coalesce(sum(e.net), 0) as net
+          from lawyer_earnings(p_lawyer_id, p_period_start, p_period_end) e
+         where e.payout_batch_id = batch.id
+      ) totals
+     where b.id = batch.id
+    returning b.* into batch;
+
+    if batch.payment_count = 0 then
+        delete from payout_batches where id = batch.id;
+        return null;
+    end if;
+
+    return batch;
+end;
+$$;
+
+-- Batch last week's released payments for every lawyer, one batch per settlement currency
+create or replace function public.create_weekly_payout_batches()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    week_start date := date_trunc('week', (now() at time zone 'Asia/Karachi')::date - 7)::date;
+    pending record;
+    created integer := 0;
+begin
+    for pending in
+        select distinct lawyer_id, settlement_currency
+          from payments
+         where escrow_status = 'released'
+           and payout_batch_id is null
+           and (escrow_released_at at time zone 'Asia/Karachi')::date between week_start and week_start + 6
+    loop
+        if (create_payout_batch(pending.lawyer_id, week_start, week_start + 6, pending.settlement_currency)).id is not null then
+            created := created + 1;
+        end if;
+    end loop;
+
+    return created;
+end;
+$$;
+
+revoke execute on function public.create_payout_batch(uuid, date, date, text) from public, anon;
+grant execute on function public.create_payout_batch(uuid, date, date, text) to authenticated;
@@ -0,0 +1,432 @@
+-- ============================================
+-- DONATIONS
+-- ============================================
+-- Gifts to the platform from donate.html, charged through the same gateway
+-- adapters as appointment payments (see js/donations.js). A donation goes to
+-- a campaign and can be designated for the pro bono fund. Donors can give
+-- without an account; anonymous gifts keep no name or email on record.
+--
+-- A recurring donation charges a signed-in donor's saved payment method once
+-- a month. Gateways run in the browser, so a due charge is made the next time
+-- the donor opens their profile (chargeDueRecurringDonations); the database
+-- makes sure each month is charged at most once.
+
+create table if not exists public.donation_campaigns (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    description text,
+    goal_amount numeric(12, 2) check (goal_amount > 0),
+    currency text not null default 'PKR' references public.exchange_rates(currency),
+    is_active boolean not null default true,
+    created_by uuid references public.users(id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+-- Donations without a campaign of their own go to the general fund
+insert into public.donation_campaigns (name, description)
+select 'General Fund', 'Keeps Brief-Case running and legal help affordable for everyone.'
+ where not exists (select 1 from public.donation_campaigns);
+
+create table if not exists public.recurring_donations (
+    id uuid primary key default gen_random_uuid(),
+    donor_id uuid not null references public.users(id) on delete cascade,
+    campaign_id uuid not null references public.donation_campaigns(id),
+    designation text not null default 'general' check (designation in ('general', 'pro_bono')),
+    is_anonymous boolean not null default false,
+    amount numeric(12, 2) not null check (amount > 0),
+    currency text not null references public.exchange_rates(currency),
+    payment_method_id uuid references public.payment_methods(id) on delete set null,
+    next_charge_on date not null,
+    status text not null default 'active' check (status in ('active', 'cancelled')),
+    created_at timestamptz not null default now(),
+    cancelled_at timestamptz
+);
+
+create table if not exists public.donations (
+    id uuid primary key default gen_random_uuid(),
+    campaign_id uuid not null references public.donation_campaigns(id),
+    recurring_donation_id uuid references public.recurring_donations(id) on delete set null,
+    charge_for date,
+    donor_id uuid references public.users(id) on delete set null,
+    donor_name text,
+    donor_email text,
+    is_anonymous boolean not null default false,
+    designation text not null default 'general' check (designation in ('general', 'pro_bono')),
+    amount numeric(12, 2) not null check (amount > 0),
+    currency text not null references public.exchange_rates(currency),
+    payment_method text not null,
+    gateway text not null,
+    gateway_reference text,
+    transaction_id text not null unique,
+    status text not null default 'pending' check (status in ('pending', 'completed', 'failed')),
+    failure_reason text,
+    receipt_number text unique,
+    created_at timestamptz not null default now(),
+    completed_at timestamptz
+);
+
+-- One charge per month of a recurring donation
+create unique index if not exists donations_one_charge_per_period_idx
+    on public.donations (recurring_donation_id, charge_for)
+    where status <> 'failed';
+
+create index if not exists donations_campaign_idx on public.donations (campaign_id, status);
+create index if not exists donations_donor_idx on public.donations (donor_id, created_at desc);
+
+create sequence if not exists public.donation_receipt_number_seq;
+
+alter table public.donation_campaigns enable row level security;
+alter table public.recurring_donations enable row level security;
+alter table public.donations enable row level security;
+
+create policy "Anyone can view active campaigns"
+    on public.donation_campaigns for select
+    using (is_active or is_platform_admin());
+
+create policy "Admins manage campaigns"
+    on public.donation_campaigns for all
+    using (is_platform_admin())
+    with check (is_platform_admin());
+
+create policy "Donors view their recurring donations"
+    on public.recurring_donations for select
+    using (auth.uid() = donor_id or is_platform_admin());
+
+create policy "Donors view their donations"
+    on public.donations for select
+    using (auth.uid() = donor_id or is_platform_admin());
+
+-- Donations are written only through the functions below
+revoke insert, update, delete on public.recurring_donations from anon, authenticated;
+revoke insert, update, delete on public.donations from anon, authenticated;
+
+-- Record a donation attempt before charging it. Pass p_recurring_donation_id
+-- to charge the month that is due on one of the caller's recurring donations.
+create or replace function public.record_donation(
+    p_campaign_id uuid,
+    p_amount numeric,
+    p_currency text,
+    p_designation text,
+    p_is_anonymous boolean,
+    p_donor_name text,
+    p_donor_email text,
+    p_payment_method text,
+    p_transaction_id text,
+    p_gateway text,
+    p_recurring_donation_id uuid default null
+)
+returns public.donations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    recurring recurring_donations;
+    campaign donation_campaigns;
+    donor users;
+    created donations;
+begin
+    if p_recurring_donation_id is not null then
+        select * into recurring from recurring_donations where id = p_recurring_donation_id for update;
+
+        if not found or auth.uid() is null or recurring.donor_id <> auth.uid() then
+            raise exception 'NOT_FOUND: recurring donation does not exist';
+        end if;
+
+        if recurring.status <> 'active' then
+            raise exception 'INVALID_STATUS: recurring donation is %', recurring.status;
+        end if;
+
+        if recurring.next_charge_on > (now() at time zone 'Asia/Karachi')::date then
+            raise exception 'INVALID_ACTION: this month''s donation is not due until %', recurring.next_charge_on;
+        end if;
+
+        -- An attempt abandoned mid-charge (e.g. the tab was closed) must not block the month forever
+        update donations
+           set status = 'failed',
+               failure_reason = 'The payment was not completed'
+         where recurring_donation_id = recurring.id
+           and charge_for = recurring.next_charge_on
+           and status = 'pending'
+           and created_at < now() - interval '15 minutes';
+
+        p_campaign_id := recurring.campaign_id;
+        p_amount := recurring.amount;
+        p_currency := recurring.currency;
+        p_designation := recurring.designation;
+        p_is_anonymous := recurring.is_anonymous;
+    end if;
+
+    select * into campaign from donation_campaigns where id = p_campaign_id;
+
+    if not found or not campaign.is_active then
+        raise exception 'NOT_FOUND: this campaign is not accepting donations';
+    end if;
+
+    if coalesce(p_amount, 0) <= 0 then
+        raise exception 'INVALID_AMOUNT: donations must be more than zero';
+    end if;
+
+    if not exists (select 1 from exchange_rates where currency = p_currency) then
+        raise exception 'INVALID_ACTION: donations in % are not accepted', p_currency;
+    end if;
+
+    if auth.uid() is not null then
+        select * into donor from users where id = auth.uid();
+    end if;
+
+    begin
+        insert into donations (
+            campaign_id, recurring_donation_id, charge_for,
+            donor_id, donor_name, donor_email, is_anonymous, designation,
+            amount, currency, payment_method, gateway, transaction_id
+        )
+        values (
+            p_campaign_id, recurring.id, recurring.next_charge_on,
+            auth.uid(),
+            case when p_is_anonymous then null
+                 else coalesce(nullif(trim(p_donor_name), ''), nullif(trim(concat_ws(' ', donor.first_name, donor.last_name)), '')) end,
+            case when p_is_anonymous then null
+                 else coalesce(nullif(trim(p_donor_email), ''), donor.email) end,
+            coalesce(p_is_anonymous, false), coalesce(p_designation, 'general'),
+            round(p_amount, 2), p_currency, p_payment_method, p_gateway, p_transaction_id
+        )
+        returning * into created;
+    exception when unique_violation then
+        if recurring.id is not null then
+            raise exception 'ALREADY_PAID: this month''s donation has already been made';
+        end if;
+        raise;
+    end;
+
+    return created;
+end;
+$$;
+
+-- Mark a charged donation complete and give it a receipt number. The
+-- transaction id is checked too, since a guest's donation has no owner.
+create or replace function public.complete_donation(
+    p_donation_id uuid,
+    p_transaction_id text,
+    p_gateway_reference text
+)
+returns public.donations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    donation donations;
+begin
+    select * into donation from donations where id = p_donation_id for update;
+
+    if not found
+       or donation.transaction_id <> p_transaction_id
+       or donation.donor_id is distinct from auth.uid() then
+        raise exception 'NOT_FOUND: donation does not exist';
+    end if;
+
+    if donation.status <> 'pending' then
+        raise exception 'INVALID_STATUS: donation is %', donation.status;
+    end if;
+
+    update donations
+       set status = 'completed',
+           gateway_reference = p_gateway_reference,
+           completed_at = now(),
+           receipt_number = 'DON-' || lpad(nextval('donation_receipt_number_seq')::text, 6, '0')
+     where id = p_donation_id
+    returning * into donation;
+
+    -- Months missed while the donor was away are skipped, not charged later
+    if donation.recurring_donation_id is not null then
+        update recurring_donations
+           set next_charge_on = (
+               select min(due)::date
+                 from generate_series(donation.charge_for + interval '1 month', donation.charge_for + interval '10 years', interval '1 month') due
+                where due > (now() at time zone 'Asia/Karachi')::date
+           )
+         where id = donation.recurring_donation_id;
+    end if;
+
+    return donation;
+end;
+$$;
+
+-- Record why a donation attempt was not charged
+create or replace function public.fail_donation(
+    p_donation_id uuid,
+    p_transaction_id text,
+    p_reason text
+)
+returns public.donations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    donation donations;
+begin
+    update donations
+       set status = 'failed',
+           failure_reason = p_reason
+     where id = p_donation_id
+       and transaction_id = p_transaction_id
+       and donor_id is not distinct from auth.uid()
+       and status = 'pending'
+    returning * into donation;
+
+    if not found then
+        raise exception 'NOT_FOUND: donation does not exist';
+    end if;
+
+    return donation;
+end;
+$$;
+
+-- Set up a monthly donation on one of the caller's saved payment methods.
+-- The first month is due today.
+create or replace function public.start_recurring_donation(
+    p_campaign_id uuid,
+    p_amount numeric,
+    p_currency text,
+    p_designation text,
+    p_is_anonymous boolean,
+    p_payment_method_id uuid
+)
+returns public.recurring_donations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    method payment_methods;
+    created recurring_donations;
+begin
+    if auth.uid() is null then
+        raise exception 'NOT_AUTHORIZED: sign in to set up a monthly donation';
+    end if;
+
+    if not exists (select 1 from donation_campaigns where id = p_campaign_id and is_active) then
+        raise exception 'NOT_FOUND: this campaign is not accepting donations';
+    end if;
+
+    if coalesce(p_amount, 0) <= 0 then
+        raise exception 'INVALID_AMOUNT: donations must be more than zero';
+    end if;
+
+    select * into method from payment_methods where id = p_payment_method_id;
+
+    if not found or method.user_id <> auth.uid() then
+        raise exception 'NOT_FOUND: payment method does not exist';
+    end if;
+
+    if method.gateway_token is null then
+        raise exception 'INVALID_ACTION: this payment method was saved before cards were tokenized; please add it again';
+    end if;
+
+    if method.is_expired then
+        raise exception 'CARD_EXPIRED: this card has expired';
+    end if;
+
+    insert into recurring_donations (
+        donor_id, campaign_id, designation, is_anonymous,
+        amount, currency, payment_method_id, next_charge_on
+    )
+    values (
+        auth.uid(), p_campaign_id, coalesce(p_designation, 'general'), coalesce(p_is_anonymous, false),
+        round(p_amount, 2), p_currency, p_payment_method_id, (now() at time zone 'Asia/Karachi')::date
+    )
+    returning * into created;
+
+    return created;
+end;
+$$;
+
+-- Stop a monthly donation; months already given stay on record
+create or replace function public.cancel_recurring_donation(p_recurring_donation_id uuid)
+returns public.recurring_donations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    recurring recurring_donations;
+begin
+    update recurring_donations
+       set status = 'cancelled',
+           cancelled_at = now()
+     where id = p_recurring_donation_id
+       and donor_id = auth.uid()
+       and status = 'active'
+    returning * into recurring;
+
+    if not found then
+        raise exception 'NOT_FOUND: recurring donation does not exist or is already cancelled';
+    end if;
+
+    return recurring;
+end;
+$$;
+
+-- Totals per campaign and currency for completed donations (admin only),
+-- with the amount in PKR at today's rates for comparing campaigns
+create or replace function public.donation_campaign_summary(
+    p_start date default null,
+    p_end date default null
+)
+returns table (
+    campaign_id uuid,
+    campaign_name text,
+    is_active boolean,
+    goal_amount numeric,
+    goal_currency text,
+    currency text,
+    donation_count bigint,
+    donor_count bigint,
+    anonymous_count bigint,
+    total_amount numeric,
+    pro_bono_amount numeric,
+    recurring_amount numeric,
+    total_in_pkr numeric
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: only an admin can view donation totals';
+    end if;
+
+    return query
+    select c.id,
+           c.name,
+           c.is_active,
+           c.goal_amount,
+           c.currency,
+           d.currency,
+           count(*),
+           count(distinct coalesce(d.donor_id::text, d.donor_email)),
+           count(*) filter (where d.is_anonymous),
+           sum(d.amount),
+           coalesce(sum(d.amount) filter (where d.designation = 'pro_bono'), 0),
+           coalesce(sum(d.amount) filter (where d.recurring_donation_id is not null), 0),
+           round(sum(d.amount) * exchange_rate_between(d.currency, 'PKR'), 2)
+      from donation_campaigns c
+      join donations d on d.campaign_id = c.id
+     where d.status = 'completed'
+       and (p_start is null or (d.completed_at at time zone 'Asia/Karachi')::date >= p_start)
+       and (p_end is null or (d.completed_at at time zone 'Asia/Karachi')::date <= p_end)
+     group by c.id, d.currency
+     order by c.name, d.currency;
+end;
+$$;
+
+grant execute on function public.record_donation(uuid, numeric, text, text, boolean, text, text, text, text, text, uuid) to anon, authenticated;
+grant execute on function public.complete_donation(uuid, text, text) to anon, authenticated;
+grant execute on function public.fail_donation(uuid, text, text) to anon, authenticated;
+grant execute on function public.start_recurring_donation(uuid, numeric, text, text, boolean, uuid) to authenticated;
+grant execute on function public.cancel_recurring_donation(uuid) to authenticated;
+grant execute on function public.donation_campaign_summary(date, date) to authenticated;
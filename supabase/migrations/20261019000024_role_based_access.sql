@@ -0,0 +1,210 @@
+-- ============================================
+-- ROLE-BASED ACCESS
+-- ============================================
+-- A user's role is the user_type on their users record, never anything the
+-- browser says. Users cannot give themselves a different role, and the
+-- permission checks in js/authorization.js call the same functions the
+-- policies below use, so the page and the database agree on who may do what.
+--
+-- Access the base schema granted more widely is narrowed with restrictive
+-- policies, which every request must pass in addition to a permissive one.
+
+-- The signed-in user's role: 'client', 'lawyer' or 'admin'
+create or replace function public.current_user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select user_type from users where id = auth.uid()
+$$;
+
+-- Signing up picks client or lawyer; only an admin can change a role later
+create or replace function public.protect_user_type()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    -- Migrations and the service role run without a user
+    if auth.uid() is null or is_platform_admin() then
+        return new;
+    end if;
+
+    if tg_op = 'INSERT' and new.user_type not in ('client', 'lawyer') then
+        raise exception 'NOT_AUTHORIZED: accounts can only be created as a client or a lawyer';
+    end if;
+
+    if tg_op = 'UPDATE' and new.user_type is distinct from old.user_type then
+        raise exception 'NOT_AUTHORIZED: only an admin can change an account''s role';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists users_protect_user_type on public.users;
+create trigger users_protect_user_type
+    before insert or update of user_type on public.users
+    for each row execute function public.protect_user_type();
+
+-- ============================================
+-- PERMISSION CHECKS
+-- ============================================
+
+-- A client's own documents, and those of a client who has booked the lawyer
+create or replace function public.can_view_client_documents(p_client_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select auth.uid() = p_client_id
+        or is_platform_admin()
+        or (
+            current_user_role() = 'lawyer'
+            and exists (
+                select 1 from appointments
+                 where lawyer_id = auth.uid()
+                   and client_id = p_client_id
+                   and status not in ('held', 'expired', 'cancelled', 'declined')
+            )
+        )
+$$;
+
+-- The client and lawyer of an appointment, and admins
+create or replace function public.can_update_appointment(p_appointment_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select is_platform_admin()
+        or exists (
+            select 1 from appointments
+             where id = p_appointment_id
+               and auth.uid() in (client_id, lawyer_id)
+        )
+$$;
+
+create or replace function public.is_conversation_participant(p_conversation_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from conversations
+         where id = p_conversation_id
+           and auth.uid() in (client_id, lawyer_id)
+    )
+$$;
+
+grant execute on function public.current_user_role() to authenticated;
+grant execute on function public.can_view_client_documents(uuid) to authenticated;
+grant execute on function public.can_update_appointment(uuid) to authenticated;
+grant execute on function public.is_conversation_participant(uuid) to authenticated;
+
+-- ============================================
+-- POLICIES
+-- ============================================
+
+-- Users and lawyer profiles: readable as before, changed only by their owner
+create policy "Users change only their own record"
+    on public.users as restrictive for update
+    using (auth.uid() = id or is_platform_admin())
+    with check (auth.uid() = id or is_platform_admin());
+
+create policy "Lawyers change only their own profile"
+    on public.lawyers as restrictive for update
+    using (auth.uid() = id or is_platform_admin())
+    with check (auth.uid() = id or is_platform_admin());
+
+create policy "Only lawyer accounts have lawyer profiles"
+    on public.lawyers as restrictive for insert
+    with check (auth.uid() = id and current_user_role() = 'lawyer');
+
+-- Appointments stay readable for slot availability; only participants change them
+create policy "Participants update their appointments"
+    on public.appointments as restrictive for update
+    using (can_update_appointment(id));
+
+create policy "Participants delete their appointments"
+    on public.appointments as restrictive for delete
+    using (can_update_appointment(id));
+
+-- Documents
+alter table public.documents enable row level security;
+
+create policy "Owners and their lawyers view documents"
+    on public.documents for select
+    using (can_view_client_documents(user_id));
+
+create policy "Owners manage their documents"
+    on public.documents for all
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
+
+create policy "Documents are visible only to their owner and lawyers"
+    on public.documents as restrictive for select
+    using (can_view_client_documents(user_id));
+
+create policy "Documents are added only by their owner"
+    on public.documents as restrictive for insert
+    with check (auth.uid() = user_id);
+
+create policy "Documents are updated only by their owner"
+    on public.documents as restrictive for update
+    using (auth.uid() = user_id);
+
+create policy "Documents are deleted only by their owner"
+    on public.documents as restrictive for delete
+    using (auth.uid() = user_id);
+
+-- Conversations and messages
+alter table public.conversations enable row level security;
+alter table public.messages enable row level security;
+
+create policy "Participants use their conversations"
+    on public.conversations for all
+    using (auth.uid() in (client_id, lawyer_id))
+    with check (auth.uid() in (client_id, lawyer_id));
+
+create policy "Conversations are limited to their participants"
+    on public.conversations as restrictive for all
+    using (auth.uid() in (client_id, lawyer_id))
+    with check (auth.uid() in (client_id, lawyer_id));
+
+create policy "Participants read messages"
+    on public.messages for select
+    using (is_conversation_participant(conversation_id));
+
+create policy "Participants send messages"
+    on public.messages for insert
+    with check (sender_id = auth.uid() and is_conversation_participant(conversation_id));
+
+create policy "Participants mark messages read"
+    on public.messages for update
+    using (is_conversation_participant(conversation_id));
+
+create policy "Senders delete their messages"
+    on public.messages for delete
+    using (sender_id = auth.uid());
+
+create policy "Messages are limited to conversation participants"
+    on public.messages as restrictive for all
+    using (is_conversation_participant(conversation_id))
+    with check (is_conversation_participant(conversation_id));
+
+create policy "Messages are sent only in the sender's name"
+    on public.messages as restrictive for insert
+    with check (sender_id = auth.uid());
+
+create policy "Messages are deleted only by their sender"
+    on public.messages as restrictive for delete
+    using (sender_id = auth.uid());
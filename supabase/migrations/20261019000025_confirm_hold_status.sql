@@ -0,0 +1,199 @@
+-- ============================================
+-- CONFIRMING HELD SLOTS
+-- ============================================
+-- 'confirmed' means the appointment has been paid for, so only
+-- complete_payment may book a held slot as confirmed. The public
+-- confirm_appointment_hold no longer takes a status: it books a held slot as
+-- 'scheduled', and the status a payment books is decided here, not by the caller.
+
+-- Book a held slot as p_status ('scheduled' or 'confirmed'), or send it for the
+-- lawyer's approval first. Callers check who is asking.
+create or replace function public.book_appointment_hold(
+    p_appointment_id uuid,
+    p_status text
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    needs_approval boolean;
+begin
+    if p_status not in ('scheduled', 'confirmed') then
+        raise exception 'INVALID_STATUS: a held slot cannot be booked as %', p_status;
+    end if;
+
+    select * into target
+      from appointments
+     where id = p_appointment_id
+     for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if target.status = 'held' and target.hold_expires_at <= now() then
+        update appointments set status = 'expired', hold_expires_at = null where id = p_appointment_id;
+        raise exception 'HOLD_EXPIRED: the reservation expired before payment was completed';
+    end if;
+
+    if target.status not in ('held', 'scheduled', 'confirmed', 'rescheduled') then
+        raise exception 'INVALID_STATUS: appointment is %', target.status;
+    end if;
+
+    select requires_approval into needs_approval from lawyers where id = target.lawyer_id;
+
+    if target.status = 'held' and coalesce(needs_approval, false) then
+        update appointments
+           set status = 'pending',
+               hold_expires_at = null,
+               approval_status = p_status,
+               approval_expires_at = booking_approval_deadline(target.lawyer_id, target.starts_at)
+         where id = p_appointment_id
+        returning * into target;
+
+        return target;
+    end if;
+
+    update appointments
+       set status = p_status,
+           hold_expires_at = null
+     where id = p_appointment_id
+    returning * into target;
+
+    return target;
+end;
+$$;
+
+revoke execute on function public.book_appointment_hold(uuid, text) from public, anon, authenticated;
+
+-- Book a held slot without payment
+drop function if exists public.confirm_appointment_hold(uuid, text);
+
+create or replace function public.confirm_appointment_hold(p_appointment_id uuid)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+begin
+    select * into target from appointments where id = p_appointment_id;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() not in (target.client_id, target.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this appointment';
+    end if;
+
+    if target.status <> 'held' then
+        raise exception 'INVALID_STATUS: appointment is %', target.status;
+    end if;
+
+    return book_appointment_hold(p_appointment_id, 'scheduled');
+end;
+$$;
+
+grant execute on function public.confirm_appointment_hold(uuid) to authenticated;
+
+-- A completed payment always books the appointment as confirmed
+drop function if exists public.complete_payment(uuid, text, text);
+
+create or replace function public.complete_payment(
+    p_payment_id uuid,
+    p_gateway_reference text
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    booked appointments;
+    installment payment_plan_installments;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> payment.client_id then
+        raise exception 'NOT_AUTHORIZED: only the paying client can complete this payment';
+    end if;
+
+    if payment.status <> 'pending' then
+        raise exception 'INVALID_STATUS: payment is %', payment.status;
+    end if;
+
+    if payment.installment_id is not null then
+        select * into installment from payment_plan_installments where id = payment.installment_id for update;
+
+        if installment.status not in ('upcoming', 'overdue') then
+            raise exception 'ALREADY_PAID: this installment is %', installment.status;
+        end if;
+
+        update payments
+           set status = 'completed',
+               gateway_reference = p_gateway_reference,
+               escrow_status = 'released',
+               escrow_released_at = now()
+         where id = p_payment_id
+        returning * into payment;
+
+        update payment_plan_installments
+           set status = 'paid',
+               paid_at = payment.completed_at
+         where id = installment.id
+        returning * into installment;
+
+        update payment_plans
+           set status = 'completed',
+               completed_at = now()
+         where id = installment.plan_id
+           and not exists (
+               select 1 from payment_plan_installments
+                where plan_id = installment.plan_id
+                  and status in ('upcoming', 'overdue')
+           );
+
+        return jsonb_build_object('payment', to_jsonb(payment), 'installment', to_jsonb(installment));
+    end if;
+
+    if exists (
+        select 1 from payments
+         where appointment_id = payment.appointment_id
+           and status = 'completed'
+           and id <> p_payment_id
+    ) then
+        raise exception 'ALREADY_PAID: this appointment has already been paid for';
+    end if;
+
+    booked := book_appointment_hold(payment.appointment_id, 'confirmed');
+
+    update payments
+       set status = 'completed',
+           gateway_reference = p_gateway_reference
+     where id = p_payment_id
+    returning * into payment;
+
+    update appointments
+       set payment_status = 'paid',
+           payment_method = payment.payment_method,
+           payment_amount = payment.amount,
+           transaction_id = payment.transaction_id,
+           payment_date = payment.completed_at
+     where id = payment.appointment_id
+    returning * into booked;
+
+    return jsonb_build_object('payment', to_jsonb(payment), 'appointment', to_jsonb(booked));
+end;
+$$;
+
+grant execute on function public.complete_payment(uuid, text) to authenticated;
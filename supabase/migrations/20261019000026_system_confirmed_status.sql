@@ -0,0 +1,280 @@
+-- ============================================
+-- CONFIRMED APPOINTMENTS
+-- ============================================
+-- 'confirmed' means paid, so only the platform moves an appointment there:
+-- complete_payment when the payment goes through, a lawyer accepting a
+-- request that was already paid for, and a declined or withdrawn reschedule
+-- going back to a paid booking. Those functions act as 'system' for that
+-- one change. Mirrors TRANSITIONS in js/appointment-lifecycle.js.
+
+update public.appointment_status_transitions
+   set allowed_roles = array['system']
+ where to_status = 'confirmed';
+
+-- Lawyers accept or decline requests as before
+create or replace function public.respond_to_booking_request(
+    p_appointment_id uuid,
+    p_action text,
+    p_reason text default null
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+begin
+    perform expire_stale_holds();
+
+    select * into target from appointments where id = p_appointment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> target.lawyer_id then
+        raise exception 'NOT_AUTHORIZED: only the lawyer can respond to a booking request';
+    end if;
+
+    if target.status <> 'pending' then
+        raise exception 'INVALID_STATUS: booking request is already %', target.status;
+    end if;
+
+    perform set_config('app.transition_reason', coalesce(p_reason, ''), true);
+
+    if p_action = 'accept' then
+        -- A paid request is confirmed by the platform; the lawyer only accepts it
+        if target.approval_status = 'confirmed' then
+            perform set_config('app.transition_actor', 'system', true);
+        end if;
+
+        update appointments
+           set status = coalesce(approval_status, 'scheduled')
+         where id = p_appointment_id
+        returning * into target;
+
+        perform set_config('app.transition_actor', '', true);
+    elsif p_action = 'decline' then
+        if nullif(trim(coalesce(p_reason, '')), '') is null then
+            raise exception 'INVALID_ACTION: a reason is required to decline a booking request';
+        end if;
+
+        update appointments
+           set status = 'declined',
+               decline_reason = p_reason
+         where id = p_appointment_id
+        returning * into target;
+    else
+        raise exception 'INVALID_ACTION: %', p_action;
+    end if;
+
+    perform set_config('app.transition_reason', '', true);
+    return target;
+end;
+$$;
+
+-- Responding to a reschedule proposal, as before
+create or replace function public.respond_to_reschedule(
+    p_request_id uuid,
+    p_action text,
+    p_date date default null,
+    p_time time default null,
+    p_note text default null
+)
+returns public.appointment_reschedule_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    request appointment_reschedule_requests;
+    target appointments;
+    shifted jsonb;
+begin
+    select * into request from appointment_reschedule_requests where id = p_request_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: reschedule request does not exist';
+    end if;
+
+    if request.status <> 'pending' then
+        raise exception 'INVALID_STATUS: reschedule request is already %', request.status;
+    end if;
+
+    select * into target from appointments where id = request.appointment_id for update;
+
+    if auth.uid() is null or auth.uid() not in (target.client_id, target.lawyer_id) then
+        raise exception 'NOT_AUTHORIZED: not a participant in this appointment';
+    end if;
+
+    if p_action = 'withdraw' then
+        if auth.uid() <> request.proposed_by then
+            raise exception 'NOT_AUTHORIZED: only the proposer can withdraw a proposal';
+        end if;
+    elsif auth.uid() = request.proposed_by then
+        raise exception 'NOT_AUTHORIZED: the other party must respond to this proposal';
+    end if;
+
+    if p_action = 'accept' then
+        if not exists (
+            select 1 from jsonb_array_elements(request.proposed_slots) slot
+             where (slot->>'date')::date = p_date
+               and (slot->>'time')::time = p_time
+        ) then
+            raise exception 'INVALID_PROPOSAL: choose one of the proposed times';
+        end if;
+
+        perform pg_advisory_xact_lock(hashtext(target.lawyer_id::text || p_date::text));
+        perform expire_stale_holds();
+
+        if p_date <> target.appointment_date and lawyer_daily_cap_reached(target.lawyer_id, p_date, target.id) then
+            raise exception 'DAILY_CAP_REACHED: the lawyer is fully booked on %', p_date;
+        end if;
+
+        if appointment_slot_conflicts(target.lawyer_id, p_date, p_time, target.duration_minutes, target.id) then
+            raise exception 'SLOT_UNAVAILABLE: the proposed time has since been booked';
+        end if;
+
+        update appointments
+           set appointment_date = p_date,
+               appointment_time = p_time,
+               status = 'rescheduled'
+         where id = target.id;
+
+        if request.apply_to_series and target.series_id is not null then
+            shifted := shift_series_sessions(target.id, p_date - request.previous_date, p_time);
+        end if;
+
+        update appointment_reschedule_requests
+           set status = 'accepted',
+               accepted_date = p_date,
+               accepted_time = p_time,
+               responded_by = auth.uid(),
+               response_note = p_note,
+               responded_at = now(),
+               series_result = shifted
+         where id = p_request_id
+        returning * into request;
+
+    elsif p_action in ('decline', 'withdraw') then
+        -- Going back to a paid booking restores a status only the platform can set
+        if request.previous_status = 'confirmed' then
+            perform set_config('app.transition_actor', 'system', true);
+        end if;
+
+        update appointments set status = request.previous_status where id = target.id;
+
+        perform set_config('app.transition_actor', '', true);
+
+        update appointment_reschedule_requests
+           set status = case when p_action = 'decline' then 'declined' else 'withdrawn' end,
+               responded_by = auth.uid(),
+               response_note = p_note,
+               responded_at = now()
+         where id = p_request_id
+        returning * into request;
+
+    else
+        raise exception 'INVALID_ACTION: %', p_action;
+    end if;
+
+    return request;
+end;
+$$;
+
+-- Payments confirm their appointment as the platform
+create or replace function public.complete_payment(
+    p_payment_id uuid,
+    p_gateway_reference text
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    booked appointments;
+    installment payment_plan_installments;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> payment.client_id then
+        raise exception 'NOT_AUTHORIZED: only the paying client can complete this payment';
+    end if;
+
+    if payment.status <> 'pending' then
+        raise exception 'INVALID_STATUS: payment is %', payment.status;
+    end if;
+
+    if payment.installment_id is not null then
+        select * into installment from payment_plan_installments where id = payment.installment_id for update;
+
+        if installment.status not in ('upcoming', 'overdue') then
+            raise exception 'ALREADY_PAID: this installment is %', installment.status;
+        end if;
+
+        update payments
+           set status = 'completed',
+               gateway_reference = p_gateway_reference,
+               escrow_status = 'released',
+               escrow_released_at = now()
+         where id = p_payment_id
+        returning * into payment;
+
+        update payment_plan_installments
+           set status = 'paid',
+               paid_at = payment.completed_at
+         where id = installment.id
+        returning * into installment;
+
+        update payment_plans
+           set status = 'completed',
+               completed_at = now()
+         where id = installment.plan_id
+           and not exists (
+               select 1 from payment_plan_installments
+                where plan_id = installment.plan_id
+                  and status in ('upcoming', 'overdue')
+           );
+
+        return jsonb_build_object('payment', to_jsonb(payment), 'installment', to_jsonb(installment));
+    end if;
+
+    if exists (
+        select 1 from payments
+         where appointment_id = payment.appointment_id
+           and status = 'completed'
+           and id <> p_payment_id
+    ) then
+        raise exception 'ALREADY_PAID: this appointment has already been paid for';
+    end if;
+
+    -- Confirming a paid appointment is the platform's doing, not the client's
+    perform set_config('app.transition_actor', 'system', true);
+    booked := book_appointment_hold(payment.appointment_id, 'confirmed');
+    perform set_config('app.transition_actor', '', true);
+
+    update payments
+       set status = 'completed',
+           gateway_reference = p_gateway_reference
+     where id = p_payment_id
+    returning * into payment;
+
+    update appointments
+       set payment_status = 'paid',
+           payment_method = payment.payment_method,
+           payment_amount = payment.amount,
+           transaction_id = payment.transaction_id,
+           payment_date = payment.completed_at
+     where id = payment.appointment_id
+    returning * into booked;
+
+    return jsonb_build_object('payment', to_jsonb(payment), 'appointment', to_jsonb(booked));
+end;
+$$;
@@ -0,0 +1,75 @@
+-- ============================================
+-- TIMEZONE VALIDATION
+-- ============================================
+-- users.timezone must be a zone the database knows: one bad value would make
+-- every appointment with that lawyer fail in set_appointment_instants.
+-- Changing a lawyer's zone also moves their appointments one at a time, so a
+-- clash in the new zone no longer undoes the whole change.
+
+-- Accounts saved with an unknown zone fall back to the platform's
+update public.users
+   set timezone = 'Asia/Karachi'
+ where timezone not in (select name from pg_timezone_names);
+
+create or replace function public.validate_user_timezone()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+    if not exists (select 1 from pg_timezone_names where name = new.timezone) then
+        raise exception 'INVALID_TIMEZONE: % is not a recognised timezone', new.timezone;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists users_validate_timezone on public.users;
+create trigger users_validate_timezone
+    before insert or update of timezone on public.users
+    for each row execute function public.validate_user_timezone();
+
+-- Keep upcoming and still-open appointments at the same instant in the new
+-- zone. They move one at a time, starting from the end the wall-clock times
+-- move towards, so each slot is free before the next appointment moves into it.
+create or replace function public.shift_appointments_to_new_timezone()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    moves_later boolean;
+    moving record;
+begin
+    if new.timezone is not distinct from old.timezone then
+        return new;
+    end if;
+
+    moves_later := (now() at time zone new.timezone) > (now() at time zone old.timezone);
+
+    for moving in
+        select id, starts_at
+          from appointments
+         where lawyer_id = new.id
+           and (starts_at > now() or status = any(active_appointment_statuses()))
+         order by case when moves_later then starts_at end desc,
+                  starts_at
+    loop
+        begin
+            update appointments
+               set appointment_date = (moving.starts_at at time zone new.timezone)::date,
+                   appointment_time = (moving.starts_at at time zone new.timezone)::time
+             where id = moving.id;
+        exception when unique_violation then
+            -- Another booking already has this wall-clock time in the new zone,
+            -- e.g. in the hour repeated when clocks go back. This one keeps its
+            -- stored date and time (and its instant) and needs rescheduling.
+            raise warning 'SLOT_UNAVAILABLE: appointment % clashes with another booking in %; reschedule it',
+                moving.id, new.timezone;
+        end;
+    end loop;
+
+    return new;
+end;
+$$;
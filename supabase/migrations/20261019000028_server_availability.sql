@@ -0,0 +1,91 @@
+-- ============================================
+-- AVAILABILITY ON THE SERVER
+-- ============================================
+-- Working hours and availability overrides were only applied when the
+-- browser built the slot list, so a direct call to reserve_appointment_slot
+-- could book a blocked day. appointment_slot_conflicts now also treats a time
+-- outside the lawyer's hours as taken, which covers every booking, reschedule,
+-- recurring series and waitlist offer. Mirrors getAvailabilityWindows in js/search.js.
+
+-- Whether a slot lies inside one of the lawyer's windows on that date: weekly
+-- hours or extra hours, with no block over any part of it
+create or replace function public.lawyer_works_during(
+    p_lawyer_id uuid,
+    p_date date,
+    p_time time,
+    p_duration_minutes integer
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    with slot as (
+        select p_time as starts, p_time + make_interval(mins => p_duration_minutes) as ends
+    )
+    select slot.ends > slot.starts
+       and not exists (
+           select 1 from lawyer_availability_overrides o
+            where o.lawyer_id = p_lawyer_id
+              and o.override_date = p_date
+              and o.override_type = 'blocked'
+              and (o.start_time is null or (o.start_time < slot.ends and slot.starts < o.end_time))
+       )
+       and (
+           exists (
+               select 1 from lawyer_availability a
+                where a.lawyer_id = p_lawyer_id
+                  and a.is_available is not false
+                  and a.day_of_week = extract(dow from p_date)
+                  and a.start_time <= slot.starts
+                  and slot.ends <= a.end_time
+           )
+           or exists (
+               select 1 from lawyer_availability_overrides o
+                where o.lawyer_id = p_lawyer_id
+                  and o.override_date = p_date
+                  and o.override_type = 'extra'
+                  and o.start_time <= slot.starts
+                  and slot.ends <= o.end_time
+           )
+       )
+      from slot
+$$;
+
+create or replace function public.appointment_slot_conflicts(
+    p_lawyer_id uuid,
+    p_date date,
+    p_time time,
+    p_duration_minutes integer,
+    p_exclude_appointment_id uuid default null
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select not lawyer_works_during(p_lawyer_id, p_date, p_time, p_duration_minutes)
+    or exists (
+        select 1
+          from appointments a
+          join lawyers l on l.id = a.lawyer_id
+         where a.lawyer_id = p_lawyer_id
+           and a.appointment_date = p_date
+           and a.id is distinct from p_exclude_appointment_id
+           and a.status = any(active_appointment_statuses())
+           and a.appointment_time < p_time + make_interval(mins => p_duration_minutes + l.buffer_minutes)
+           and p_time < a.appointment_time + make_interval(mins => a.duration_minutes + l.buffer_minutes)
+    ) or exists (
+        select 1
+          from waitlist_offers o
+         where o.lawyer_id = p_lawyer_id
+           and o.slot_date = p_date
+           and o.status = 'open'
+           and o.expires_at > now()
+           and o.client_id is distinct from auth.uid()
+           and o.slot_time < p_time + make_interval(mins => p_duration_minutes)
+           and p_time < o.slot_time + make_interval(mins => o.duration_minutes)
+    )
+$$;
@@ -0,0 +1,108 @@
+-- ============================================
+-- RECURRING SERIES DATES
+-- ============================================
+-- When a client books only the free sessions of a series, the dates they were
+-- shown as free are passed in p_dates. Every other date is reported back as
+-- skipped without being booked, and the free ones still go through
+-- reserve_appointment_slot, so the client is told exactly which sessions
+-- were booked.
+
+drop function if exists public.create_appointment_series(uuid, uuid, time, integer, integer, date, date, integer, text, text, text, boolean);
+
+create or replace function public.create_appointment_series(
+    p_client_id uuid,
+    p_lawyer_id uuid,
+    p_time time,
+    p_weekday integer,
+    p_interval_weeks integer,
+    p_start_date date,
+    p_end_date date default null,
+    p_count integer default null,
+    p_title text default 'Consultation',
+    p_description text default null,
+    p_meeting_type text default null,
+    p_skip_conflicts boolean default false,
+    p_dates date[] default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    series appointment_series;
+    session_date date;
+    session_index integer := 0;
+    booked appointments;
+    booked_sessions jsonb := '[]'::jsonb;
+    conflicts jsonb := '[]'::jsonb;
+    duration integer := coalesce(lawyer_consultation_duration(p_lawyer_id, p_meeting_type), 60);
+begin
+    if auth.uid() is null or auth.uid() <> p_client_id then
+        raise exception 'NOT_AUTHORIZED: you can only book appointments for yourself';
+    end if;
+
+    if p_end_date is null and p_count is null then
+        raise exception 'INVALID_RECURRENCE: give an end date or a number of sessions';
+    end if;
+
+    if p_start_date < current_date then
+        raise exception 'INVALID_RECURRENCE: a series cannot start in the past';
+    end if;
+
+    insert into appointment_series (
+        client_id, lawyer_id, interval_weeks, weekday, appointment_time,
+        start_date, end_date, occurrence_count, meeting_type, title, description
+    )
+    values (
+        p_client_id, p_lawyer_id, p_interval_weeks, p_weekday, p_time,
+        p_start_date, p_end_date, p_count, p_meeting_type, coalesce(p_title, 'Consultation'), p_description
+    )
+    returning * into series;
+
+    for session_date in
+        select * from appointment_series_dates(p_start_date, p_weekday, p_interval_weeks, p_end_date, p_count)
+    loop
+        session_index := session_index + 1;
+
+        -- The client already found this date unavailable
+        if p_dates is not null and not (session_date = any(p_dates)) then
+            conflicts := conflicts || jsonb_build_object('date', session_date, 'reason', 'SLOT_UNAVAILABLE: this time slot is not available');
+            continue;
+        end if;
+
+        begin
+            booked := reserve_appointment_slot(
+                p_client_id, p_lawyer_id, session_date, p_time,
+                series.title, p_description, p_meeting_type, null
+            );
+
+            update appointments
+               set series_id = series.id,
+                   series_index = session_index
+             where id = booked.id;
+
+            booked_sessions := booked_sessions || jsonb_build_object('date', session_date, 'appointment_id', booked.id);
+        exception when others then
+            conflicts := conflicts || jsonb_build_object('date', session_date, 'reason', sqlerrm);
+        end;
+    end loop;
+
+    if jsonb_array_length(booked_sessions) = 0 then
+        raise exception 'SERIES_CONFLICT: none of the sessions could be booked';
+    end if;
+
+    if jsonb_array_length(conflicts) > 0 and not p_skip_conflicts then
+        raise exception 'SERIES_CONFLICT: % of the sessions could not be booked', jsonb_array_length(conflicts);
+    end if;
+
+    return jsonb_build_object(
+        'series_id', series.id,
+        'duration_minutes', duration,
+        'booked', booked_sessions,
+        'conflicts', conflicts
+    );
+end;
+$$;
+
+grant execute on function public.create_appointment_series(uuid, uuid, time, integer, integer, date, date, integer, text, text, text, boolean, date[]) to authenticated;
@@ -0,0 +1,125 @@
+-- ============================================
+-- PAYMENT AMOUNTS
+-- ============================================
+-- record_payment used to store whatever fee breakdown and currency the browser
+-- sent. The price of a consultation is now worked out here: the lawyer's
+-- consultation_fee in their fee_currency, plus the platform service fee. A
+-- request with different figures is rejected, the same way
+-- record_installment_payment rejects an amount that is not the installment's.
+
+-- Share of the consultation fee charged to the client on top, rounded to a
+-- whole unit. Mirrors calculateTotalFee in js/payment.js.
+create or replace function public.platform_service_fee_rate()
+returns numeric
+language sql
+immutable
+as $$
+    select 0.15::numeric
+$$;
+
+create or replace function public.record_payment(
+    p_appointment_id uuid,
+    p_consultation_fee numeric,
+    p_service_fee numeric,
+    p_currency text,
+    p_payment_method text,
+    p_transaction_id text,
+    p_gateway text,
+    p_idempotency_key text,
+    p_promo_code text default null,
+    p_discount_amount numeric default 0
+)
+returns public.payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    lawyer lawyers;
+    consultation_fee numeric;
+    service_fee numeric;
+    existing payments;
+    promo promo_codes;
+    discount numeric := 0;
+    created payments;
+begin
+    select * into target from appointments where id = p_appointment_id;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> target.client_id then
+        raise exception 'NOT_AUTHORIZED: only the client can pay for this appointment';
+    end if;
+
+    select * into existing from payments where idempotency_key = p_idempotency_key;
+
+    if found then
+        if existing.appointment_id is distinct from p_appointment_id then
+            raise exception 'INVALID_ACTION: this idempotency key belongs to a different payment';
+        end if;
+        return existing;
+    end if;
+
+    if exists (select 1 from payments where appointment_id = p_appointment_id and status = 'completed') then
+        raise exception 'ALREADY_PAID: this appointment has already been paid for';
+    end if;
+
+    -- The price comes from the lawyer's profile; the caller's figures must match it
+    select * into lawyer from lawyers where id = target.lawyer_id;
+
+    consultation_fee := lawyer.consultation_fee;
+
+    if consultation_fee is null or consultation_fee <= 0 then
+        raise exception 'INVALID_AMOUNT: this lawyer has not set a consultation fee';
+    end if;
+
+    service_fee := round(consultation_fee * platform_service_fee_rate());
+
+    if p_consultation_fee is distinct from consultation_fee
+       or p_service_fee is distinct from service_fee
+       or p_currency is distinct from lawyer.fee_currency then
+        raise exception 'INVALID_AMOUNT: this consultation costs % % plus a % % service fee; please review the total',
+            lawyer.fee_currency, consultation_fee, lawyer.fee_currency, service_fee;
+    end if;
+
+    if nullif(trim(coalesce(p_promo_code, '')), '') is not null then
+        promo := check_promo_code(p_promo_code, target.client_id, target.lawyer_id, lawyer.fee_currency);
+        discount := promo_code_discount(promo, consultation_fee + service_fee);
+    end if;
+
+    if discount <> coalesce(p_discount_amount, 0) then
+        raise exception 'INVALID_AMOUNT: the discount has changed to % %; please review the total', lawyer.fee_currency, discount;
+    end if;
+
+    begin
+        insert into payments (
+            appointment_id, client_id, lawyer_id,
+            consultation_fee, service_fee, discount_amount, amount, promo_code_id,
+            currency, payment_method, transaction_id, gateway, idempotency_key
+        )
+        values (
+            target.id, target.client_id, target.lawyer_id,
+            consultation_fee, service_fee, discount, consultation_fee + service_fee - discount, promo.id,
+            lawyer.fee_currency, p_payment_method, p_transaction_id, p_gateway, p_idempotency_key
+        )
+        returning * into created;
+    exception when unique_violation then
+        -- A concurrent submission with the same key got there first
+        select * into created from payments where idempotency_key = p_idempotency_key;
+        if not found then
+            raise;
+        end if;
+        return created;
+    end;
+
+    if discount > 0 then
+        insert into promo_redemptions (promo_code_id, client_id, appointment_id, payment_id, discount_amount)
+        values (promo.id, created.client_id, created.appointment_id, created.id, discount);
+    end if;
+
+    return created;
+end;
+$$;
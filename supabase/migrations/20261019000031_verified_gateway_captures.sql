@@ -0,0 +1,195 @@
+-- ============================================
+-- VERIFIED GATEWAY CAPTURES
+-- ============================================
+-- complete_payment used to take the browser's word that a charge had gone
+-- through, and every payment type went to the in-browser sandbox. A payment
+-- is now only completed with a gateway reference the database can check:
+-- real gateways report each capture through their webhook (running with the
+-- service role) into gateway_captures, and each capture pays for one payment.
+-- The sandbox is for development and testing only and is accepted only while
+-- an admin has turned sandbox_enabled on.
+
+create table if not exists public.payment_gateway_settings (
+    id boolean primary key default true check (id),
+    sandbox_enabled boolean not null default false,
+    updated_at timestamptz not null default now()
+);
+
+insert into public.payment_gateway_settings (id) values (true) on conflict (id) do nothing;
+
+alter table public.payment_gateway_settings enable row level security;
+
+create policy "Signed-in users view payment gateway settings"
+    on public.payment_gateway_settings for select
+    using (auth.uid() is not null);
+
+create policy "Admins update payment gateway settings"
+    on public.payment_gateway_settings for update
+    using (is_platform_admin());
+
+-- Charges the gateways have confirmed. Only the webhook writes here; there
+-- are no policies, so clients can neither read nor add captures.
+create table if not exists public.gateway_captures (
+    id uuid primary key default gen_random_uuid(),
+    gateway text not null,
+    reference text not null,
+    amount numeric(12, 2) not null check (amount > 0),
+    currency text not null,
+    captured_at timestamptz not null default now(),
+    used_at timestamptz,
+    unique (gateway, reference)
+);
+
+alter table public.gateway_captures enable row level security;
+
+-- Check that a gateway really captured p_amount in p_currency under
+-- p_reference, and use the capture up so it cannot pay for anything else
+create or replace function public.verify_gateway_capture(
+    p_gateway text,
+    p_reference text,
+    p_amount numeric,
+    p_currency text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if p_reference is null then
+        raise exception 'GATEWAY_UNVERIFIED: the payment has no gateway reference';
+    end if;
+
+    if p_gateway = 'sandbox' then
+        if not coalesce((select sandbox_enabled from payment_gateway_settings), false) then
+            raise exception 'GATEWAY_UNVERIFIED: sandbox payments are turned off';
+        end if;
+        return;
+    end if;
+
+    update gateway_captures
+       set used_at = now()
+     where gateway = p_gateway
+       and reference = p_reference
+       and amount = p_amount
+       and currency = p_currency
+       and used_at is null;
+
+    if not found then
+        raise exception 'GATEWAY_UNVERIFIED: % has not reported a matching capture for %', p_gateway, p_reference;
+    end if;
+end;
+$$;
+
+revoke execute on function public.verify_gateway_capture(text, text, numeric, text) from public, anon, authenticated;
+
+create or replace function public.complete_payment(
+    p_payment_id uuid,
+    p_gateway_reference text
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    booked appointments;
+    installment payment_plan_installments;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    if auth.uid() is null or auth.uid() <> payment.client_id then
+        raise exception 'NOT_AUTHORIZED: only the paying client can complete this payment';
+    end if;
+
+    if payment.status <> 'pending' then
+        raise exception 'INVALID_STATUS: payment is %', payment.status;
+    end if;
+
+    -- Free bookings (a full discount) never reach a gateway
+    if payment.amount > 0 then
+        if exists (
+            select 1 from payments
+             where gateway = payment.gateway
+               and gateway_reference = p_gateway_reference
+               and id <> p_payment_id
+        ) then
+            raise exception 'GATEWAY_UNVERIFIED: this gateway reference belongs to another payment';
+        end if;
+
+        perform verify_gateway_capture(payment.gateway, p_gateway_reference, payment.amount, payment.currency);
+    end if;
+
+    if payment.installment_id is not null then
+        select * into installment from payment_plan_installments where id = payment.installment_id for update;
+
+        if installment.status not in ('upcoming', 'overdue') then
+            raise exception 'ALREADY_PAID: this installment is %', installment.status;
+        end if;
+
+        update payments
+           set status = 'completed',
+               gateway_reference = p_gateway_reference,
+               escrow_status = 'released',
+               escrow_released_at = now()
+         where id = p_payment_id
+        returning * into payment;
+
+        update payment_plan_installments
+           set status = 'paid',
+               paid_at = payment.completed_at
+         where id = installment.id
+        returning * into installment;
+
+        update payment_plans
+           set status = 'completed',
+               completed_at = now()
+         where id = installment.plan_id
+           and not exists (
+               select 1 from payment_plan_installments
+                where plan_id = installment.plan_id
+                  and status in ('upcoming', 'overdue')
+           );
+
+        return jsonb_build_object('payment', to_jsonb(payment), 'installment', to_jsonb(installment));
+    end if;
+
+    if exists (
+        select 1 from payments
+         where appointment_id = payment.appointment_id
+           and status = 'completed'
+           and id <> p_payment_id
+    ) then
+        raise exception 'ALREADY_PAID: this appointment has already been paid for';
+    end if;
+
+    -- Confirming a paid appointment is the platform's doing, not the client's
+    perform set_config('app.transition_actor', 'system', true);
+    booked := book_appointment_hold(payment.appointment_id, 'confirmed');
+    perform set_config('app.transition_actor', '', true);
+
+    update payments
+       set status = 'completed',
+           gateway_reference = p_gateway_reference
+     where id = p_payment_id
+    returning * into payment;
+
+    update appointments
+       set payment_status = 'paid',
+           payment_method = payment.payment_method,
+           payment_amount = payment.amount,
+           transaction_id = payment.transaction_id,
+           payment_date = payment.completed_at
+     where id = payment.appointment_id
+    returning * into booked;
+
+    return jsonb_build_object('payment', to_jsonb(payment), 'appointment', to_jsonb(booked));
+end;
+$$;
+
+grant execute on function public.complete_payment(uuid, text) to authenticated;
@@ -0,0 +1,166 @@
+-- ============================================
+-- REFUND REVIEW
+-- ============================================
+-- A client marking the lawyer as a no-show used to queue a full refund with
+-- nobody checking the claim. The payment now goes to 'disputed' instead, for
+-- an admin to settle with resolve_payment_dispute. A lawyer admitting the
+-- no-show, or the platform recording it, still refunds straight away.
+--
+-- System refunds (cancellations, declined requests) could be marked
+-- 'completed' by either participant with any gateway reference. They are now
+-- finished only by whoever carries out the refund at the gateway: the refund
+-- worker running with the service role, or an admin. A refund started by a
+-- lawyer or admin is still finished by that person.
+
+create or replace function public.settle_appointment_escrow()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    refundable numeric;
+    refund_amount numeric;
+begin
+    if new.status is not distinct from old.status
+       or new.status not in ('completed', 'no_show', 'cancelled', 'declined', 'expired') then
+        return new;
+    end if;
+
+    select * into payment
+      from payments
+     where appointment_id = new.id
+       and escrow_status = 'held'
+     for update;
+
+    if not found then
+        return new;
+    end if;
+
+    refundable := payment_refundable_amount(payment.id);
+
+    -- The client says the lawyer did not attend: an admin decides the refund
+    -- with resolve_payment_dispute instead of it being paid out automatically
+    if new.status = 'no_show' and new.no_show_party = 'lawyer'
+       and appointment_actor_role(new.client_id, new.lawyer_id) = 'client' then
+        update payments
+           set escrow_status = 'disputed',
+               escrow_release_at = null,
+               disputed_at = now(),
+               dispute_reason = 'Client reported that the lawyer did not attend'
+         where id = payment.id;
+
+        return new;
+    end if;
+
+    if new.status = 'completed' then
+        refund_amount := 0;
+    elsif new.status in ('declined', 'expired') or old.status = 'pending' then
+        -- The lawyer never accepted the booking
+        refund_amount := refundable;
+    else
+        refund_amount := least(coalesce(new.refund_due, 0), refundable);
+    end if;
+
+    perform queue_payment_refund(
+        payment.id,
+        refund_amount,
+        case new.status
+            when 'declined' then 'Booking declined by the lawyer'
+            when 'expired' then 'Booking request expired'
+            when 'no_show' then 'Missed appointment (' || new.no_show_party || ' did not attend)'
+            else 'Appointment cancelled'
+        end
+    );
+
+    if refund_amount >= refundable
+       and (refundable > 0
+            or not (new.status = 'completed' or (new.status = 'no_show' and new.no_show_party = 'client'))) then
+        update payments
+           set escrow_status = 'refunded',
+               escrow_release_at = null
+         where id = payment.id;
+    elsif new.status in ('completed', 'no_show') then
+        update payments
+           set escrow_release_at = now() + escrow_dispute_window()
+         where id = payment.id;
+    else
+        update payments
+           set escrow_status = 'released',
+               escrow_released_at = now()
+         where id = payment.id;
+    end if;
+
+    return new;
+end;
+$$;
+
+-- Refunds are finished by whoever returned the money at the gateway; a
+-- refund that returns everything left also empties the escrow
+create or replace function public.finish_payment_refund(
+    p_refund_id uuid,
+    p_succeeded boolean,
+    p_gateway_reference text default null,
+    p_failure_reason text default null
+)
+returns public.payment_refunds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    refund payment_refunds;
+    payment payments;
+begin
+    select * into refund from payment_refunds where id = p_refund_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: refund does not exist';
+    end if;
+
+    if not ((refund.refunded_by is not null and auth.uid() is not distinct from refund.refunded_by)
+            or auth.role() = 'service_role'
+            or is_platform_admin()
+            or coalesce(current_setting('app.transition_actor', true), '') = 'system') then
+        raise exception 'NOT_AUTHORIZED: only whoever carries out this refund can finish it';
+    end if;
+
+    if refund.status <> 'pending' then
+        raise exception 'INVALID_STATUS: refund is %', refund.status;
+    end if;
+
+    if not p_succeeded then
+        update payment_refunds
+           set status = 'failed',
+               failure_reason = p_failure_reason
+         where id = p_refund_id
+        returning * into refund;
+
+        return refund;
+    end if;
+
+    update payment_refunds
+       set status = 'completed',
+           gateway_reference = p_gateway_reference,
+           completed_at = now()
+     where id = p_refund_id
+    returning * into refund;
+
+    update payments
+       set refunded_amount = refunded_amount + refund.amount,
+           status = case when refunded_amount + refund.amount >= amount then 'refunded' else 'partially_refunded' end,
+           escrow_status = case
+               when refunded_amount + refund.amount >= amount and escrow_status is not null then 'refunded'
+               else escrow_status
+           end
+     where id = refund.payment_id
+    returning * into payment;
+
+    update appointments
+       set payment_status = payment.status
+     where id = refund.appointment_id;
+
+    return refund;
+end;
+$$;
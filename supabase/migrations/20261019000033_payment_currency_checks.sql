@@ -0,0 +1,77 @@
+-- ============================================
+-- PAYMENT CURRENCY CHECKS
+-- ============================================
+-- A payment's currency and its conversion are decided by the database, not by
+-- the browser. An appointment payment must be in the lawyer's fee_currency and
+-- an installment in its plan's currency, whichever function recorded it, and
+-- the settlement rate always comes from the stored exchange_rates row.
+-- exchange_rate_between treats any currency as worth 1 of itself, so an
+-- unknown code is now rejected before it is used.
+
+create or replace function public.set_payment_settlement()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    expected_currency text;
+begin
+    if not exists (select 1 from exchange_rates where currency = new.currency) then
+        raise exception 'INVALID_ACTION: % is not a supported currency', new.currency;
+    end if;
+
+    if new.installment_id is not null then
+        select plan.currency into expected_currency
+          from payment_plan_installments installment
+          join payment_plans plan on plan.id = installment.plan_id
+         where installment.id = new.installment_id;
+    elsif new.appointment_id is not null then
+        select fee_currency into expected_currency from lawyers where id = new.lawyer_id;
+    end if;
+
+    if new.currency is distinct from coalesce(expected_currency, new.currency) then
+        raise exception 'INVALID_AMOUNT: this payment must be made in %', expected_currency;
+    end if;
+
+    new.settlement_currency := coalesce(
+        (select settlement_currency from lawyers where id = new.lawyer_id),
+        new.currency
+    );
+    new.exchange_rate := round(exchange_rate_between(new.currency, new.settlement_currency), 6);
+
+    if new.exchange_rate is null then
+        raise exception 'INVALID_ACTION: there is no exchange rate from % to %', new.currency, new.settlement_currency;
+    end if;
+
+    new.settlement_amount := round(new.amount * new.exchange_rate, 2);
+    return new;
+end;
+$$;
+
+-- The conversion is fixed when the payment is recorded and cannot be edited later
+create or replace function public.protect_payment_settlement()
+returns trigger
+language plpgsql
+as $$
+begin
+    if new.currency is distinct from old.currency
+       or new.settlement_currency is distinct from old.settlement_currency
+       or new.exchange_rate is distinct from old.exchange_rate
+       or new.settlement_amount is distinct from old.settlement_amount then
+        raise exception 'INVALID_ACTION: a payment''s currency and exchange rate cannot be changed';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists payments_protect_settlement on public.payments;
+create trigger payments_protect_settlement
+    before update of currency, settlement_currency, exchange_rate, settlement_amount on public.payments
+    for each row execute function public.protect_payment_settlement();
+
+-- Plans can only be priced in a currency that has a rate
+alter table public.payment_plans drop constraint if exists payment_plans_currency_fkey;
+alter table public.payment_plans
+    add constraint payment_plans_currency_fkey
+    foreign key (currency) references public.exchange_rates(currency) not valid;
@@ -0,0 +1,73 @@
+-- ============================================
+-- VERIFIED DONATIONS
+-- ============================================
+-- complete_donation accepted any gateway reference, from anyone holding the
+-- transaction id, including signed-out visitors. A donation is now only
+-- completed with a capture the database can check (see
+-- verify_gateway_capture), and only by the signed-in donor or by the
+-- gateway's webhook running with the service role. A guest's gift stays
+-- 'pending' until the webhook confirms it.
+
+-- The donor, or the gateway webhook for guests, completes a charged donation
+create or replace function public.complete_donation(
+    p_donation_id uuid,
+    p_transaction_id text,
+    p_gateway_reference text
+)
+returns public.donations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    donation donations;
+begin
+    select * into donation from donations where id = p_donation_id for update;
+
+    if not found
+       or donation.transaction_id <> p_transaction_id
+       or not (auth.role() = 'service_role'
+               or (auth.uid() is not null and donation.donor_id = auth.uid())) then
+        raise exception 'NOT_FOUND: donation does not exist';
+    end if;
+
+    if donation.status <> 'pending' then
+        raise exception 'INVALID_STATUS: donation is %', donation.status;
+    end if;
+
+    if exists (
+        select 1 from donations
+         where gateway = donation.gateway
+           and gateway_reference = p_gateway_reference
+           and id <> p_donation_id
+    ) then
+        raise exception 'GATEWAY_UNVERIFIED: this gateway reference belongs to another donation';
+    end if;
+
+    perform verify_gateway_capture(donation.gateway, p_gateway_reference, donation.amount, donation.currency);
+
+    update donations
+       set status = 'completed',
+           gateway_reference = p_gateway_reference,
+           completed_at = now(),
+           receipt_number = 'DON-' || lpad(nextval('donation_receipt_number_seq')::text, 6, '0')
+     where id = p_donation_id
+    returning * into donation;
+
+    -- Months missed while the donor was away are skipped, not charged later
+    if donation.recurring_donation_id is not null then
+        update recurring_donations
+           set next_charge_on = (
+               select min(due)::date
+                 from generate_series(donation.charge_for + interval '1 month', donation.charge_for + interval '10 years', interval '1 month') due
+                where due > (now() at time zone 'Asia/Karachi')::date
+           )
+         where id = donation.recurring_donation_id;
+    end if;
+
+    return donation;
+end;
+$$;
+
+revoke execute on function public.complete_donation(uuid, text, text) from public, anon;
+grant execute on function public.complete_donation(uuid, text, text) to authenticated, service_role;
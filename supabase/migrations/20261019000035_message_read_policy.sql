@@ -0,0 +1,30 @@
+-- ============================================
+-- MESSAGE READ RECEIPTS
+-- ============================================
+-- "Participants mark messages read" let either participant rewrite any column
+-- of any message in the conversation, including its text and sender. Updates
+-- are now limited to the read flag, and only on messages from the other
+-- participant. Also drops the restrictive policies from
+-- ..._role_based_access.sql that repeated the permissive policy next to them
+-- word for word and so restricted nothing.
+
+drop policy if exists "Participants mark messages read" on public.messages;
+
+create policy "Recipients mark messages read"
+    on public.messages for update
+    using (is_conversation_participant(conversation_id) and sender_id <> auth.uid())
+    with check (is_conversation_participant(conversation_id) and sender_id <> auth.uid());
+
+revoke update on public.messages from anon, authenticated;
+grant update (is_read, read_at) on public.messages to authenticated;
+
+drop policy if exists "Documents are visible only to their owner and lawyers" on public.documents;
+drop policy if exists "Documents are added only by their owner" on public.documents;
+drop policy if exists "Documents are updated only by their owner" on public.documents;
+drop policy if exists "Documents are deleted only by their owner" on public.documents;
+
+drop policy if exists "Conversations are limited to their participants" on public.conversations;
+
+drop policy if exists "Messages are limited to conversation participants" on public.messages;
+drop policy if exists "Messages are sent only in the sender's name" on public.messages;
+drop policy if exists "Messages are deleted only by their sender" on public.messages;
@@ -0,0 +1,111 @@
+-- ============================================
+-- APPOINTMENT WRITE ACCESS
+-- ============================================
+-- Participants could insert appointments and move them to another date, time
+-- or lawyer with plain table writes, skipping the overlap, buffer, daily-cap,
+-- working-hours, approval and payment checks in reserve_appointment_slot and
+-- the reschedule functions. Bookings are now only created by those functions,
+-- and the scheduling columns only change through them.
+--
+-- book_appointment_hold also marked a lapsed hold 'expired' right before
+-- raising HOLD_EXPIRED, which rolled the update back; expire_stale_holds
+-- (run before every reservation) is what marks it.
+
+revoke insert on public.appointments from anon, authenticated;
+
+-- Security definer functions run as their owner, so a check on the API roles
+-- only stops direct writes from the browser
+create or replace function public.protect_appointment_schedule()
+returns trigger
+language plpgsql
+as $$
+begin
+    if current_user not in ('anon', 'authenticated') then
+        return new;
+    end if;
+
+    if new.lawyer_id is distinct from old.lawyer_id
+       or new.client_id is distinct from old.client_id
+       or new.appointment_date is distinct from old.appointment_date
+       or new.appointment_time is distinct from old.appointment_time
+       or new.duration_minutes is distinct from old.duration_minutes
+       or new.starts_at is distinct from old.starts_at
+       or new.ends_at is distinct from old.ends_at
+       or new.series_id is distinct from old.series_id
+       or new.approval_status is distinct from old.approval_status
+       or new.approval_expires_at is distinct from old.approval_expires_at
+       or (new.hold_expires_at is not null and new.hold_expires_at is distinct from old.hold_expires_at) then
+        raise exception 'NOT_AUTHORIZED: appointments are booked and rescheduled through the booking functions';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists appointments_protect_schedule on public.appointments;
+create trigger appointments_protect_schedule
+    before update on public.appointments
+    for each row execute function public.protect_appointment_schedule();
+
+-- Book a held slot as p_status ('scheduled' or 'confirmed'), or send it for the
+-- lawyer's approval first. Callers check who is asking.
+create or replace function public.book_appointment_hold(
+    p_appointment_id uuid,
+    p_status text
+)
+returns public.appointments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target appointments;
+    needs_approval boolean;
+begin
+    if p_status not in ('scheduled', 'confirmed') then
+        raise exception 'INVALID_STATUS: a held slot cannot be booked as %', p_status;
+    end if;
+
+    select * into target
+      from appointments
+     where id = p_appointment_id
+     for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: appointment does not exist';
+    end if;
+
+    -- Raising rolls back any update made here, so expire_stale_holds marks it expired
+    if target.status = 'held' and target.hold_expires_at <= now() then
+        raise exception 'HOLD_EXPIRED: the reservation expired before payment was completed';
+    end if;
+
+    if target.status not in ('held', 'scheduled', 'confirmed', 'rescheduled') then
+        raise exception 'INVALID_STATUS: appointment is %', target.status;
+    end if;
+
+    select requires_approval into needs_approval from lawyers where id = target.lawyer_id;
+
+    if target.status = 'held' and coalesce(needs_approval, false) then
+        update appointments
+           set status = 'pending',
+               hold_expires_at = null,
+               approval_status = p_status,
+               approval_expires_at = booking_approval_deadline(target.lawyer_id, target.starts_at)
+         where id = p_appointment_id
+        returning * into target;
+
+        return target;
+    end if;
+
+    update appointments
+       set status = p_status,
+           hold_expires_at = null
+     where id = p_appointment_id
+    returning * into target;
+
+    return target;
+end;
+$$;
+
+revoke execute on function public.book_appointment_hold(uuid, text) from public, anon, authenticated;
@@ -0,0 +1,54 @@
+-- ============================================
+-- TIMEZONE CHANGE CLASHES
+-- ============================================
+-- When an appointment could not move to its new wall-clock time,
+-- shift_appointments_to_new_timezone only raised a warning nobody sees, and
+-- the appointment kept its old date and time, i.e. a different real instant
+-- in the new zone. The timezone change is now refused instead, naming the
+-- appointments that clash, so the lawyer can reschedule them first.
+
+create or replace function public.shift_appointments_to_new_timezone()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    moves_later boolean;
+    moving record;
+    clashes text[] := '{}';
+begin
+    if new.timezone is not distinct from old.timezone then
+        return new;
+    end if;
+
+    moves_later := (now() at time zone new.timezone) > (now() at time zone old.timezone);
+
+    for moving in
+        select id, starts_at
+          from appointments
+         where lawyer_id = new.id
+           and (starts_at > now() or status = any(active_appointment_statuses()))
+         order by case when moves_later then starts_at end desc,
+                  starts_at
+    loop
+        begin
+            update appointments
+               set appointment_date = (moving.starts_at at time zone new.timezone)::date,
+                   appointment_time = (moving.starts_at at time zone new.timezone)::time
+             where id = moving.id;
+        exception when unique_violation then
+            -- Another booking already has this wall-clock time in the new zone,
+            -- e.g. in the hour repeated when clocks go back
+            clashes := clashes || to_char(moving.starts_at at time zone new.timezone, 'DD Mon YYYY HH24:MI');
+        end;
+    end loop;
+
+    if cardinality(clashes) > 0 then
+        raise exception 'SLOT_UNAVAILABLE: in % these appointments would share a time with another booking: %. Reschedule them before changing your timezone',
+            new.timezone, array_to_string(clashes, ', ');
+    end if;
+
+    return new;
+end;
+$$;
@@ -0,0 +1,55 @@
+-- ============================================
+-- CANCELLATION TERMS PROTECTION
+-- ============================================
+-- set_refund_due works the refund out from the appointment's own copy of the
+-- cancellation policy and the amount paid. Both could be edited by either
+-- participant with a plain update, so a client could give themselves a 100%
+-- refund tier or a higher payment_amount and then cancel. These columns now
+-- only change through the security definer functions, and a new booking
+-- always takes the lawyer's current policy, whatever the insert says.
+
+create or replace function public.snapshot_cancellation_policy()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    select coalesce(cancellation_policy, default_cancellation_policy()) into new.cancellation_policy
+      from lawyers
+     where id = new.lawyer_id;
+
+    new.cancellation_policy := coalesce(new.cancellation_policy, default_cancellation_policy());
+    return new;
+end;
+$$;
+
+-- As in protect_appointment_schedule, only direct writes from the browser are checked
+create or replace function public.protect_appointment_payment_terms()
+returns trigger
+language plpgsql
+as $$
+begin
+    if current_user not in ('anon', 'authenticated') then
+        return new;
+    end if;
+
+    if new.cancellation_policy is distinct from old.cancellation_policy
+       or new.refund_percent is distinct from old.refund_percent
+       or new.refund_due is distinct from old.refund_due
+       or new.payment_amount is distinct from old.payment_amount
+       or new.payment_status is distinct from old.payment_status
+       or new.payment_method is distinct from old.payment_method
+       or new.payment_date is distinct from old.payment_date
+       or new.transaction_id is distinct from old.transaction_id then
+        raise exception 'NOT_AUTHORIZED: payment and cancellation terms of an appointment cannot be edited';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists appointments_protect_payment_terms on public.appointments;
+create trigger appointments_protect_payment_terms
+    before update on public.appointments
+    for each row execute function public.protect_appointment_payment_terms();
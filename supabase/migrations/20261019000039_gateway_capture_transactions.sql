@@ -0,0 +1,12 @@
+-- ============================================
+-- GATEWAY CAPTURE TRANSACTIONS
+-- ============================================
+-- Captures reach gateway_captures through supabase/functions/gateway-webhook.
+-- They also keep the transaction id the browser gave the gateway, so each
+-- capture can be traced to the payment or donation it was taken for.
+
+alter table public.gateway_captures
+    add column if not exists transaction_id text;
+
+create index if not exists gateway_captures_transaction_idx
+    on public.gateway_captures (transaction_id);
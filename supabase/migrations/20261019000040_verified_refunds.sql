@@ -0,0 +1,222 @@
+-- ============================================
+-- VERIFIED REFUNDS
+-- ============================================
+-- start_payment_refund treated a request without a user as the platform, and
+-- like every function it could be run by anyone with the anon key unless
+-- revoked. Only the service role (or a database function acting as the
+-- system) now starts system refunds, and signed-out callers cannot run it.
+--
+-- finish_payment_refund marked a refund completed with whatever gateway
+-- reference the browser sent. Gateways now report each refund through
+-- supabase/functions/gateway-webhook into gateway_refunds, as they do
+-- captures, and a refund is only completed against a matching report that
+-- has not been used for another refund.
+
+create table if not exists public.gateway_refunds (
+    id uuid primary key default gen_random_uuid(),
+    gateway text not null,
+    reference text not null,
+    amount numeric(12, 2) not null check (amount > 0),
+    currency text not null,
+    refunded_at timestamptz not null default now(),
+    used_at timestamptz,
+    unique (gateway, reference)
+);
+
+-- Only the webhook writes here; there are no policies
+alter table public.gateway_refunds enable row level security;
+
+-- Check that a gateway really returned p_amount in p_currency under
+-- p_reference, and use the report up. Mirrors verify_gateway_capture.
+create or replace function public.verify_gateway_refund(
+    p_gateway text,
+    p_reference text,
+    p_amount numeric,
+    p_currency text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if p_reference is null then
+        raise exception 'GATEWAY_UNVERIFIED: the refund has no gateway reference';
+    end if;
+
+    if p_gateway = 'sandbox' then
+        if not coalesce((select sandbox_enabled from payment_gateway_settings), false) then
+            raise exception 'GATEWAY_UNVERIFIED: sandbox payments are turned off';
+        end if;
+        return;
+    end if;
+
+    update gateway_refunds
+       set used_at = now()
+     where gateway = p_gateway
+       and reference = p_reference
+       and amount = p_amount
+       and currency = p_currency
+       and used_at is null;
+
+    if not found then
+        raise exception 'GATEWAY_UNVERIFIED: % has not reported a matching refund for %', p_gateway, p_reference;
+    end if;
+end;
+$$;
+
+revoke execute on function public.verify_gateway_refund(text, text, numeric, text) from public, anon, authenticated;
+
+create or replace function public.start_payment_refund(
+    p_payment_id uuid,
+    p_amount numeric,
+    p_reason text
+)
+returns public.payment_refunds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    payment payments;
+    reserved numeric;
+    actor text;
+    created payment_refunds;
+begin
+    select * into payment from payments where id = p_payment_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: payment does not exist';
+    end if;
+
+    actor := case
+        when auth.role() = 'service_role' or current_setting('app.transition_actor', true) = 'system' then 'system'
+        when auth.uid() = payment.lawyer_id then 'lawyer'
+        when is_platform_admin() then 'admin'
+    end;
+
+    if actor is null then
+        raise exception 'NOT_AUTHORIZED: only the lawyer or an admin can refund this payment';
+    end if;
+
+    if payment.status not in ('completed', 'partially_refunded') then
+        raise exception 'INVALID_STATUS: only completed payments can be refunded (payment is %)', payment.status;
+    end if;
+
+    if nullif(trim(coalesce(p_reason, '')), '') is null then
+        raise exception 'INVALID_ACTION: a reason is required for a refund';
+    end if;
+
+    select coalesce(sum(amount), 0) into reserved
+      from payment_refunds
+     where payment_id = p_payment_id
+       and status in ('pending', 'completed');
+
+    if p_amount is null or p_amount <= 0 or p_amount > payment.amount - reserved then
+        raise exception 'INVALID_AMOUNT: refund must be more than 0 and at most % %',
+            payment.currency, payment.amount - reserved;
+    end if;
+
+    insert into payment_refunds (
+        payment_id, appointment_id, client_id, lawyer_id,
+        amount, currency, reason, refund_number,
+        refunded_by, refunded_by_role
+    )
+    values (
+        payment.id, payment.appointment_id, payment.client_id, payment.lawyer_id,
+        p_amount, payment.currency, trim(p_reason),
+        'RFD-' || to_char(now(), 'YYYYMMDD') || '-' || upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 8)),
+        auth.uid(), actor
+    )
+    returning * into created;
+
+    return created;
+end;
+$$;
+
+revoke execute on function public.start_payment_refund(uuid, numeric, text) from public, anon;
+grant execute on function public.start_payment_refund(uuid, numeric, text) to authenticated, service_role;
+
+create or replace function public.finish_payment_refund(
+    p_refund_id uuid,
+    p_succeeded boolean,
+    p_gateway_reference text default null,
+    p_failure_reason text default null
+)
+returns public.payment_refunds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    refund payment_refunds;
+    payment payments;
+begin
+    select * into refund from payment_refunds where id = p_refund_id for update;
+
+    if not found then
+        raise exception 'NOT_FOUND: refund does not exist';
+    end if;
+
+    if not ((refund.refunded_by is not null and auth.uid() is not distinct from refund.refunded_by)
+            or auth.role() = 'service_role'
+            or is_platform_admin()
+            or coalesce(current_setting('app.transition_actor', true), '') = 'system') then
+        raise exception 'NOT_AUTHORIZED: only whoever carries out this refund can finish it';
+    end if;
+
+    if refund.status <> 'pending' then
+        raise exception 'INVALID_STATUS: refund is %', refund.status;
+    end if;
+
+    if not p_succeeded then
+        update payment_refunds
+           set status = 'failed',
+               failure_reason = p_failure_reason
+         where id = p_refund_id
+        returning * into refund;
+
+        return refund;
+    end if;
+
+    select * into payment from payments where id = refund.payment_id;
+
+    if exists (
+        select 1 from payment_refunds r
+          join payments p on p.id = r.payment_id
+         where p.gateway = payment.gateway
+           and r.gateway_reference = p_gateway_reference
+           and r.id <> p_refund_id
+    ) then
+        raise exception 'GATEWAY_UNVERIFIED: this gateway reference belongs to another refund';
+    end if;
+
+    perform verify_gateway_refund(payment.gateway, p_gateway_reference, refund.amount, refund.currency);
+
+    update payment_refunds
+       set status = 'completed',
+           gateway_reference = p_gateway_reference,
+           completed_at = now()
+     where id = p_refund_id
+    returning * into refund;
+
+    update payments
+       set refunded_amount = refunded_amount + refund.amount,
+           status = case when refunded_amount + refund.amount >= amount then 'refunded' else 'partially_refunded' end,
+           escrow_status = case
+               when refunded_amount + refund.amount >= amount and escrow_status is not null then 'refunded'
+               else escrow_status
+           end
+     where id = refund.payment_id
+    returning * into payment;
+
+    update appointments
+       set payment_status = payment.status
+     where id = refund.appointment_id;
+
+    return refund;
+end;
+$$;
+
+revoke execute on function public.finish_payment_refund(uuid, boolean, text, text) from public, anon;
+grant execute on function public.finish_payment_refund(uuid, boolean, text, text) to authenticated, service_role;
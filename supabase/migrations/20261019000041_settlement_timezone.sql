@@ -0,0 +1,186 @@
+-- ============================================
+-- SETTLEMENT TIMEZONE
+-- ============================================
+-- Earnings, statements and payout batches dated each payment in Pakistan
+-- time, so a lawyer elsewhere saw late-evening payments on the next day's
+-- line and in the wrong statement period. A payment is now dated in its
+-- lawyer's own timezone. Dates that belong to no one user (the start of the
+-- weekly payout run) use platform_timezone(), the single place the platform's
+-- zone is set.
+
+-- The platform's own timezone
+create or replace function public.platform_timezone()
+returns text
+language sql
+immutable
+as $$
+    select 'Asia/Karachi'::text
+$$;
+
+create or replace function public.lawyer_earnings(
+    p_lawyer_id uuid,
+    p_start date,
+    p_end date
+)
+returns table (
+    payment_id uuid,
+    appointment_id uuid,
+    transaction_id text,
+    earned_on date,
+    escrow_status text,
+    payout_batch_id uuid,
+    currency text,
+    amount numeric,
+    consultation_fee numeric,
+    refunded_amount numeric,
+    lawyer_gross numeric,
+    commission numeric,
+    lawyer_refunded numeric,
+    net numeric
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    lawyer_timezone text;
+begin
+    if auth.uid() is not null and auth.uid() <> p_lawyer_id and not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: you can only view your own earnings';
+    end if;
+
+    select coalesce(max(timezone), platform_timezone()) into lawyer_timezone
+      from users
+     where id = p_lawyer_id;
+
+    return query
+    select p.id,
+           p.appointment_id,
+           p.transaction_id,
+           (coalesce(p.escrow_released_at, p.completed_at) at time zone lawyer_timezone)::date,
+           p.escrow_status,
+           p.payout_batch_id,
+           coalesce(p.settlement_currency, p.currency),
+           p.amount,
+           p.consultation_fee,
+           p.refunded_amount,
+           fee.gross,
+           fee.commission,
+           refund.lawyer_share,
+           fee.gross - fee.commission - refund.lawyer_share
+      from payments p
+     cross join lateral (
+        select round(p.consultation_fee * coalesce(p.exchange_rate, 1), 2) as gross
+     ) settled
+     cross join lateral (
+        select settled.gross,
+               round(settled.gross * platform_commission_rate(), 2) as commission
+     ) fee
+     cross join lateral (
+        select coalesce(round((fee.gross - fee.commission) * p.refunded_amount / nullif(p.amount, 0), 2), 0) as lawyer_share
+     ) refund
+     where p.lawyer_id = p_lawyer_id
+       and p.status in ('completed', 'partially_refunded', 'refunded')
+       and (coalesce(p.escrow_released_at, p.completed_at) at time zone lawyer_timezone)::date between p_start and p_end
+     order by coalesce(p.escrow_released_at, p.completed_at);
+end;
+$$;
+
+create or replace function public.create_payout_batch(
+    p_lawyer_id uuid,
+    p_period_start date,
+    p_period_end date,
+    p_currency text default null
+)
+returns public.payout_batches
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    batch payout_batches;
+    lawyer_timezone text;
+begin
+    if auth.uid() is not null and not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: only an admin can create payout batches';
+    end if;
+
+    insert into payout_batches (lawyer_id, period_start, period_end, currency)
+    select p_lawyer_id, p_period_start, p_period_end, coalesce(p_currency, settlement_currency)
+      from lawyers
+     where id = p_lawyer_id
+    returning * into batch;
+
+    if batch.id is null then
+        raise exception 'NOT_FOUND: lawyer does not exist';
+    end if;
+
+    select coalesce(max(timezone), platform_timezone()) into lawyer_timezone
+      from users
+     where id = p_lawyer_id;
+
+    update payments p
+       set payout_batch_id = batch.id
+     where p.lawyer_id = p_lawyer_id
+       and p.escrow_status = 'released'
+       and p.payout_batch_id is null
+       and p.settlement_currency = batch.currency
+       and (p.escrow_released_at at time zone lawyer_timezone)::date between p_period_start and p_period_end;
+
+    update payout_batches b
+       set payment_count = totals.payment_count,
+           gross_amount = totals.gross,
+           commission_amount = totals.commission,
+           refunded_amount = totals.refunded,
+           net_amount = totals.net
+      from (
+        select count(*) as payment_count,
+               coalesce(sum(e.lawyer_gross), 0) as gross,
+               coalesce(sum(e.commission), 0) as commission,
+               coalesce(sum(e.lawyer_refunded), 0) as refunded,
+               coalesce(sum(e.net), 0) as net
+          from lawyer_earnings(p_lawyer_id, p_period_start, p_period_end) e
+         where e.payout_batch_id = batch.id
+      ) totals
+     where b.id = batch.id
+    returning b.* into batch;
+
+    if batch.payment_count = 0 then
+        delete from payout_batches where id = batch.id;
+        return null;
+    end if;
+
+    return batch;
+end;
+$$;
+
+-- The week runs Monday to Sunday in platform time; each payment in it is
+-- dated in its lawyer's timezone
+create or replace function public.create_weekly_payout_batches()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    week_start date := date_trunc('week', (now() at time zone platform_timezone())::date - 7)::date;
+    pending record;
+    created integer := 0;
+begin
+    for pending in
+        select distinct p.lawyer_id, p.settlement_currency
+          from payments p
+          join users u on u.id = p.lawyer_id
+         where p.escrow_status = 'released'
+           and p.payout_batch_id is null
+           and (p.escrow_released_at at time zone u.timezone)::date between week_start and week_start + 6
+    loop
+        if (create_payout_batch(pending.lawyer_id, week_start, week_start + 6, pending.settlement_currency)).id is not null then
+            created := created + 1;
+        end if;
+    end loop;
+
+    return created;
+end;
+$$;
@@ -0,0 +1,16 @@
+-- ============================================
+-- CARD EXPIRY TIMEZONE
+-- ============================================
+-- is_card_expired wrote the platform's zone out by hand. It now reads it from
+-- platform_timezone(), so cards roll over at the same midnight as every other
+-- platform-wide date.
+
+-- A card can be used until the end of its expiry month
+create or replace function public.is_card_expired(p_expiry_month integer, p_expiry_year integer)
+returns boolean
+language sql
+stable
+as $$
+    select make_date(p_expiry_year, p_expiry_month, 1) + interval '1 month'
+           <= (now() at time zone platform_timezone())::date
+$$;
@@ -0,0 +1,283 @@
+-- ============================================
+-- DONATION TIMEZONE
+-- ============================================
+-- Recurring donations fell due, and campaign totals were dated, at midnight
+-- in a zone written out by hand in each function. They now use
+-- platform_timezone(), so the due check in record_donation, the first month
+-- set by start_recurring_donation and the next month set by
+-- complete_donation always agree on what "today" is.
+
+-- Record a donation attempt before charging it
+create or replace function public.record_donation(
+    p_campaign_id uuid,
+    p_amount numeric,
+    p_currency text,
+    p_designation text,
+    p_is_anonymous boolean,
+    p_donor_name text,
+    p_donor_email text,
+    p_payment_method text,
+    p_transaction_id text,
+    p_gateway text,
+    p_recurring_donation_id uuid default null
+)
+returns public.donations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    recurring recurring_donations;
+    campaign donation_campaigns;
+    donor users;
+    created donations;
+begin
+    if p_recurring_donation_id is not null then
+        select * into recurring from recurring_donations where id = p_recurring_donation_id for update;
+
+        if not found or auth.uid() is null or recurring.donor_id <> auth.uid() then
+            raise exception 'NOT_FOUND: recurring donation does not exist';
+        end if;
+
+        if recurring.status <> 'active' then
+            raise exception 'INVALID_STATUS: recurring donation is %', recurring.status;
+        end if;
+
+        if recurring.next_charge_on > (now() at time zone platform_timezone())::date then
+            raise exception 'INVALID_ACTION: this month''s donation is not due until %', recurring.next_charge_on;
+        end if;
+
+        -- An attempt abandoned mid-charge (e.g. the tab was closed) must not block the month forever
+        update donations
+           set status = 'failed',
+               failure_reason = 'The payment was not completed'
+         where recurring_donation_id = recurring.id
+           and charge_for = recurring.next_charge_on
+           and status = 'pending'
+           and created_at < now() - interval '15 minutes';
+
+        p_campaign_id := recurring.campaign_id;
+        p_amount := recurring.amount;
+        p_currency := recurring.currency;
+        p_designation := recurring.designation;
+        p_is_anonymous := recurring.is_anonymous;
+    end if;
+
+    select * into campaign from donation_campaigns where id = p_campaign_id;
+
+    if not found or not campaign.is_active then
+        raise exception 'NOT_FOUND: this campaign is not accepting donations';
+    end if;
+
+    if coalesce(p_amount, 0) <= 0 then
+        raise exception 'INVALID_AMOUNT: donations must be more than zero';
+    end if;
+
+    if not exists (select 1 from exchange_rates where currency = p_currency) then
+        raise exception 'INVALID_ACTION: donations in % are not accepted', p_currency;
+    end if;
+
+    if auth.uid() is not null then
+        select * into donor from users where id = auth.uid();
+    end if;
+
+    begin
+        insert into donations (
+            campaign_id, recurring_donation_id, charge_for,
+            donor_id, donor_name, donor_email, is_anonymous, designation,
+            amount, currency, payment_method, gateway, transaction_id
+        )
+        values (
+            p_campaign_id, recurring.id, recurring.next_charge_on,
+            auth.uid(),
+            case when p_is_anonymous then null
+                 else coalesce(nullif(trim(p_donor_name), ''), nullif(trim(concat_ws(' ', donor.first_name, donor.last_name)), '')) end,
+            case when p_is_anonymous then null
+                 else coalesce(nullif(trim(p_donor_email), ''), donor.email) end,
+            coalesce(p_is_anonymous, false), coalesce(p_designation, 'general'),
+            round(p_amount, 2), p_currency, p_payment_method, p_gateway, p_transaction_id
+        )
+        returning * into created;
+    exception when unique_violation then
+        if recurring.id is not null then
+            raise exception 'ALREADY_PAID: this month''s donation has already been made';
+        end if;
+        raise;
+    end;
+
+    return created;
+end;
+$$;
+
+-- The donor, or the gateway webhook for guests, completes a charged donation
+create or replace function public.complete_donation(
+    p_donation_id uuid,
+    p_transaction_id text,
+    p_gateway_reference text
+)
+returns public.donations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    donation donations;
+begin
+    select * into donation from donations where id = p_donation_id for update;
+
+    if not found
+       or donation.transaction_id <> p_transaction_id
+       or not (auth.role() = 'service_role'
+               or (auth.uid() is not null and donation.donor_id = auth.uid())) then
+        raise exception 'NOT_FOUND: donation does not exist';
+    end if;
+
+    if donation.status <> 'pending' then
+        raise exception 'INVALID_STATUS: donation is %', donation.status;
+    end if;
+
+    if exists (
+        select 1 from donations
+         where gateway = donation.gateway
+           and gateway_reference = p_gateway_reference
+           and id <> p_donation_id
+    ) then
+        raise exception 'GATEWAY_UNVERIFIED: this gateway reference belongs to another donation';
+    end if;
+
+    perform verify_gateway_capture(donation.gateway, p_gateway_reference, donation.amount, donation.currency);
+
+    update donations
+       set status = 'completed',
+           gateway_reference = p_gateway_reference,
+           completed_at = now(),
+           receipt_number = 'DON-' || lpad(nextval('donation_receipt_number_seq')::text, 6, '0')
+     where id = p_donation_id
+    returning * into donation;
+
+    -- Months missed while the donor was away are skipped, not charged later
+    if donation.recurring_donation_id is not null then
+        update recurring_donations
+           set next_charge_on = (
+               select min(due)::date
+                 from generate_series(donation.charge_for + interval '1 month', donation.charge_for + interval '10 years', interval '1 month') due
+                where due > (now() at time zone platform_timezone())::date
+           )
+         where id = donation.recurring_donation_id;
+    end if;
+
+    return donation;
+end;
+$$;
+
+-- The first month is due today
+create or replace function public.start_recurring_donation(
+    p_campaign_id uuid,
+    p_amount numeric,
+    p_currency text,
+    p_designation text,
+    p_is_anonymous boolean,
+    p_payment_method_id uuid
+)
+returns public.recurring_donations
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    method payment_methods;
+    created recurring_donations;
+begin
+    if auth.uid() is null then
+        raise exception 'NOT_AUTHORIZED: sign in to set up a monthly donation';
+    end if;
+
+    if not exists (select 1 from donation_campaigns where id = p_campaign_id and is_active) then
+        raise exception 'NOT_FOUND: this campaign is not accepting donations';
+    end if;
+
+    if coalesce(p_amount, 0) <= 0 then
+        raise exception 'INVALID_AMOUNT: donations must be more than zero';
+    end if;
+
+    select * into method from payment_methods where id = p_payment_method_id;
+
+    if not found or method.user_id <> auth.uid() then
+        raise exception 'NOT_FOUND: payment method does not exist';
+    end if;
+
+    if method.gateway_token is null then
+        raise exception 'INVALID_ACTION: this payment method was saved before cards were tokenized; please add it again';
+    end if;
+
+    if method.is_expired then
+        raise exception 'CARD_EXPIRED: this card has expired';
+    end if;
+
+    insert into recurring_donations (
+        donor_id, campaign_id, designation, is_anonymous,
+        amount, currency, payment_method_id, next_charge_on
+    )
+    values (
+        auth.uid(), p_campaign_id, coalesce(p_designation, 'general'), coalesce(p_is_anonymous, false),
+        round(p_amount, 2), p_currency, p_payment_method_id, (now() at time zone platform_timezone())::date
+    )
+    returning * into created;
+
+    return created;
+end;
+$$;
+
+-- Totals per campaign and currency for completed donations (admin only)
+create or replace function public.donation_campaign_summary(
+    p_start date default null,
+    p_end date default null
+)
+returns table (
+    campaign_id uuid,
+    campaign_name text,
+    is_active boolean,
+    goal_amount numeric,
+    goal_currency text,
+    currency text,
+    donation_count bigint,
+    donor_count bigint,
+    anonymous_count bigint,
+    total_amount numeric,
+    pro_bono_amount numeric,
+    recurring_amount numeric,
+    total_in_pkr numeric
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if not is_platform_admin() then
+        raise exception 'NOT_AUTHORIZED: only an admin can view donation totals';
+    end if;
+
+    return query
+    select c.id,
+           c.name,
+           c.is_active,
+           c.goal_amount,
+           c.currency,
+           d.currency,
+           count(*),
+           count(distinct coalesce(d.donor_id::text, d.donor_email)),
+           count(*) filter (where d.is_anonymous),
+           sum(d.amount),
+           coalesce(sum(d.amount) filter (where d.designation = 'pro_bono'), 0),
+           coalesce(sum(d.amount) filter (where d.recurring_donation_id is not null), 0),
+           round(sum(d.amount) * exchange_rate_between(d.currency, 'PKR'), 2)
+      from donation_campaigns c
+      join donations d on d.campaign_id = c.id
+     where d.status = 'completed'
+       and (p_start is null or (d.completed_at at time zone platform_timezone())::date >= p_start)
+       and (p_end is null or (d.completed_at at time zone platform_timezone())::date <= p_end)
+     group by c.id, d.currency
+     order by c.name, d.currency;
+end;
+$$;
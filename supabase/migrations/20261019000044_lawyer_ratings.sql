@@ -0,0 +1,78 @@
+-- ============================================
+-- LAWYER RATINGS
+-- ============================================
+-- A client's review recalculated the lawyer's rating by updating the lawyers
+-- row from the browser, which "Lawyers change only their own profile" now
+-- refuses, so ratings stopped moving. The rating is recalculated in the
+-- database whenever a review is written, changed or removed.
+
+-- Set a lawyer's average rating and review count from their reviews
+-- (5.0 until the first review)
+create or replace function public.refresh_lawyer_rating(p_lawyer_id uuid)
+returns public.lawyers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    lawyer lawyers;
+begin
+    update lawyers l
+       set average_rating = coalesce(totals.average, 5.0),
+           total_reviews = totals.review_count
+      from (
+        select round(avg(rating), 1) as average,
+               count(*) as review_count
+          from reviews
+         where lawyer_id = p_lawyer_id
+      ) totals
+     where l.id = p_lawyer_id
+    returning l.* into lawyer;
+
+    if lawyer.id is null then
+        raise exception 'NOT_FOUND: lawyer does not exist';
+    end if;
+
+    return lawyer;
+end;
+$$;
+
+-- A lawyer being deleted takes their reviews with them, so there is no rating
+-- left to refresh
+create or replace function public.refresh_reviewed_lawyer_rating()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'UPDATE'
+       and new.lawyer_id is not distinct from old.lawyer_id
+       and new.rating is not distinct from old.rating then
+        return null;
+    end if;
+
+    if tg_op in ('UPDATE', 'DELETE') and exists (select 1 from lawyers where id = old.lawyer_id) then
+        perform refresh_lawyer_rating(old.lawyer_id);
+    end if;
+
+    if tg_op = 'INSERT' or (tg_op = 'UPDATE' and new.lawyer_id is distinct from old.lawyer_id) then
+        perform refresh_lawyer_rating(new.lawyer_id);
+    end if;
+
+    return null;
+end;
+$$;
+
+drop trigger if exists reviews_refresh_lawyer_rating on public.reviews;
+create trigger reviews_refresh_lawyer_rating
+    after insert or update or delete on public.reviews
+    for each row execute function public.refresh_reviewed_lawyer_rating();
+
+-- Only recalculates from the reviews on record, so anyone signed in may run it
+revoke execute on function public.refresh_lawyer_rating(uuid) from public, anon;
+grant execute on function public.refresh_lawyer_rating(uuid) to authenticated;
+revoke execute on function public.refresh_reviewed_lawyer_rating() from public, anon, authenticated;
+
+-- Catch up ratings missed while the browser could not update them
+select refresh_lawyer_rating(id) from public.lawyers;
@@ -0,0 +1,64 @@
+-- ============================================
+-- RESTORE RESTRICTIVE ACCESS
+-- ============================================
+-- ..._message_read_receipts.sql dropped the restrictive policies on
+-- documents, conversations and messages because they repeated this repo's
+-- permissive policies. They are what narrows the base schema's own
+-- permissive policies, which are not defined here, so dropping them opened
+-- those tables back up. They are restored as they were.
+--
+-- Marking messages read is also limited by a restrictive policy, so only the
+-- recipient can update a message whatever other update policy exists. The
+-- column grant from ..._message_read_receipts.sql keeps that update to
+-- is_read and read_at.
+
+drop policy if exists "Documents are visible only to their owner and lawyers" on public.documents;
+create policy "Documents are visible only to their owner and lawyers"
+    on public.documents as restrictive for select
+    using (can_view_client_documents(user_id));
+
+drop policy if exists "Documents are added only by their owner" on public.documents;
+create policy "Documents are added only by their owner"
+    on public.documents as restrictive for insert
+    with check (auth.uid() = user_id);
+
+drop policy if exists "Documents are updated only by their owner" on public.documents;
+create policy "Documents are updated only by their owner"
+    on public.documents as restrictive for update
+    using (auth.uid() = user_id);
+
+drop policy if exists "Documents are deleted only by their owner" on public.documents;
+create policy "Documents are deleted only by their owner"
+    on public.documents as restrictive for delete
+    using (auth.uid() = user_id);
+
+drop policy if exists "Conversations are limited to their participants" on public.conversations;
+create policy "Conversations are limited to their participants"
+    on public.conversations as restrictive for all
+    using (auth.uid() in (client_id, lawyer_id))
+    with check (auth.uid() in (client_id, lawyer_id));
+
+drop policy if exists "Messages are limited to conversation participants" on public.messages;
+create policy "Messages are limited to conversation participants"
+    on public.messages as restrictive for all
+    using (is_conversation_participant(conversation_id))
+    with check (is_conversation_participant(conversation_id));
+
+drop policy if exists "Messages are sent only in the sender's name" on public.messages;
+create policy "Messages are sent only in the sender's name"
+    on public.messages as restrictive for insert
+    with check (sender_id = auth.uid());
+
+drop policy if exists "Messages are deleted only by their sender" on public.messages;
+create policy "Messages are deleted only by their sender"
+    on public.messages as restrictive for delete
+    using (sender_id = auth.uid());
+
+drop policy if exists "Messages are marked read only by their recipient" on public.messages;
+create policy "Messages are marked read only by their recipient"
+    on public.messages as restrictive for update
+    using (sender_id <> auth.uid())
+    with check (sender_id <> auth.uid());
+
+revoke update on public.messages from anon, authenticated;
+grant update (is_read, read_at) on public.messages to authenticated;